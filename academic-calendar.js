@@ -0,0 +1,126 @@
+// academic-calendar.js - Dated occurrences of weekly schedule slots
+//
+// A slot repeats every week on its weekday, within its academic term if it has one. Holidays
+// cancel its occurrences. An exception cancels or moves (to another date, time or room) the
+// occurrence on one date and wins over a holiday, so a class that falls on one can be made up.
+const { getDayOfWeek, addDays, nextWeekday } = require('./time-utils');
+
+// Whether two terms share a date; a slot without a term (null) runs alongside every term
+function termsOverlap(a, b) {
+    if (!a || !b) return true;
+    return a.start_date <= b.end_date && b.start_date <= a.end_date;
+}
+
+// The holiday a YYYY-MM-DD date falls in, or null
+function holidayOn(date, holidays) {
+    return holidays.find(holiday => holiday.start_date <= date && date <= holiday.end_date) || null;
+}
+
+// Whether a slot meets on a date: the right weekday, and inside its term if it has one
+function occursOn(schedule, term, date) {
+    return getDayOfWeek(date) === schedule.day_of_week && (!term || (term.start_date <= date && date <= term.end_date));
+}
+
+// The occurrence an exception moves `original` to, remembering where it came from
+function movedOccurrence(original, exception) {
+    const date = exception.new_date || original.date;
+    return {
+        ...original,
+        date,
+        day_of_week: getDayOfWeek(date),
+        start_time: exception.new_start_time || original.start_time,
+        end_time: exception.new_end_time || original.end_time,
+        resource_type: exception.new_resource_type || original.resource_type,
+        resource_id: exception.new_resource_id || original.resource_id,
+        exception: {
+            id: exception.id,
+            type: exception.type,
+            reason: exception.reason,
+            date: original.date,
+            start_time: original.start_time,
+            end_time: original.end_time,
+            resource_type: original.resource_type,
+            resource_id: original.resource_id
+        }
+    };
+}
+
+const byDateAndTime = (a, b) => a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time);
+
+/**
+ * Resolve slots into what actually happens from `from` to `to` (YYYY-MM-DD, both included).
+ * The calendar is { schedules, terms, holidays, exceptions }.
+ * Returns { occurrences, cancelled }, both in date and time order. Occurrences look like
+ * { id (the slot's), date, day_of_week, start_time, end_time, resource_type, resource_id,
+ * subject, instructor, course_code, term_id, exception }, where `exception` is null or says
+ * what the occurrence was moved from. `cancelled` has the occurrences that don't take place
+ * as the slot says, with a `cause` ('holiday', 'cancelled', 'rescheduled' or 'room_changed')
+ * and `reason`.
+ */
+function resolveOccurrences({ schedules, terms, holidays, exceptions }, from, to) {
+    const termById = new Map(terms.map(term => [term.id, term]));
+    const inRange = date => from <= date && date <= to;
+    const occurrences = [];
+    const cancelled = [];
+
+    for (const schedule of schedules) {
+        const term = schedule.term_id ? termById.get(schedule.term_id) : null;
+        if (schedule.term_id && !term) continue;
+
+        const own = exceptions.filter(exception => exception.schedule_id === schedule.id);
+        const first = term && term.start_date > from ? term.start_date : from;
+        const last = term && term.end_date < to ? term.end_date : to;
+        const dates = [];
+        for (let date = nextWeekday(first, schedule.day_of_week); date <= last; date = addDays(date, 7)) {
+            dates.push(date);
+        }
+        // Occurrences moved into the range from a date outside it
+        own.filter(exception => !inRange(exception.date) && exception.new_date && inRange(exception.new_date) && occursOn(schedule, term, exception.date))
+            .forEach(exception => dates.push(exception.date));
+
+        for (const date of dates) {
+            const original = {
+                id: schedule.id,
+                date,
+                day_of_week: schedule.day_of_week,
+                start_time: schedule.start_time,
+                end_time: schedule.end_time,
+                resource_type: schedule.resource_type,
+                resource_id: schedule.resource_id,
+                subject: schedule.subject,
+                instructor: schedule.instructor,
+                course_code: schedule.course_code,
+                term_id: schedule.term_id
+            };
+
+            const exception = own.find(e => e.date === date);
+            if (!exception) {
+                const holiday = holidayOn(date, holidays);
+                if (holiday) {
+                    cancelled.push({ ...original, cause: 'holiday', reason: holiday.name });
+                } else {
+                    occurrences.push({ ...original, exception: null });
+                }
+                continue;
+            }
+
+            if (inRange(date)) {
+                cancelled.push({ ...original, cause: exception.type, reason: exception.reason, exception_id: exception.id });
+            }
+            if (exception.type !== 'cancelled') {
+                const moved = movedOccurrence(original, exception);
+                if (inRange(moved.date)) occurrences.push(moved);
+            }
+        }
+    }
+
+    return { occurrences: occurrences.sort(byDateAndTime), cancelled: cancelled.sort(byDateAndTime) };
+}
+
+module.exports = {
+    termsOverlap,
+    holidayOn,
+    occursOn,
+    movedOccurrence,
+    resolveOccurrences
+};
@@ -0,0 +1,67 @@
+// audit.js - Audit trail middleware for write routes
+//
+// audit(entityType, action) snapshots the entity before the route handler runs and again
+// when the handler responds successfully, then records both in audit_log with the acting user.
+
+// Database providing getAuditSnapshot() and createAuditEntry(), set once at startup
+let auditStore = null;
+
+function setAuditStore(store) {
+    auditStore = store;
+}
+
+async function recordEntry(req, entityType, action, entityId, before, body, options) {
+    const after = options.snapshot === false
+        ? body
+        : (entityId ? await auditStore.getAuditSnapshot(entityType, entityId) : null);
+
+    // Nothing changed (e.g. deleting a row that was already gone)
+    if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+    await auditStore.createAuditEntry({
+        actor: req.user,
+        action,
+        entity_type: entityType,
+        entity_id: entityId,
+        before,
+        after
+    });
+}
+
+/**
+ * Audit middleware, e.g. audit('bus', 'update'). Place it after the permission check.
+ * `entityType` may be a function of the request. The entity id is `options.id(req)` (may be
+ * async), req.params.id, or for creates the `id` of the JSON response. Routes that touch
+ * many rows at once pass `snapshot: false` to record the response body as the "after" state.
+ * Failed requests (status >= 400) are not recorded.
+ */
+function audit(entityType, action, options = {}) {
+    return async (req, res, next) => {
+        try {
+            const type = typeof entityType === 'function' ? entityType(req) : entityType;
+            const id = options.id ? await options.id(req) : req.params.id;
+            const before = id && options.snapshot !== false ? await auditStore.getAuditSnapshot(type, id) : null;
+
+            // Write the entry before the response goes out, so the log never lags behind the client
+            const json = res.json.bind(res);
+            res.json = body => {
+                if (res.statusCode >= 400) return json(body);
+
+                recordEntry(req, type, action, id || (body && body.id), before, body, options)
+                    .catch(error => console.error('Error writing audit log:', error))
+                    .finally(() => json(body));
+                return res;
+            };
+
+            next();
+        } catch (error) {
+            console.error('Error reading audit snapshot:', error);
+            res.status(500).json({ error: 'Failed to record audit entry' });
+        }
+    };
+}
+
+module.exports = {
+    setAuditStore,
+    audit
+};
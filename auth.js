@@ -1,21 +1,33 @@
 // auth.js - Authentication Middleware
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { ROLES, hasPermission } = require('./permissions');
 
 // Secret key for JWT (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'campus-info-secret-key-2025';
-const JWT_EXPIRES_IN = '24h';
+// Access tokens are short-lived; clients renew them with a refresh token
+const JWT_EXPIRES_IN_SECONDS = 15 * 60;
 
-// Generate JWT token
+// Store consulted for revoked tokens and deactivated accounts (the Database instance, set on startup)
+let tokenStore = null;
+
+function setTokenStore(store) {
+    tokenStore = store;
+}
+
+// Generate JWT access token
 function generateToken(user) {
     return jwt.sign(
         { 
             id: user.id, 
             student_id: user.student_id, 
             role: user.role,
-            name: user.name
+            name: user.name,
+            dept: user.dept || null,
+            tv: user.token_version || 0 // must match users.token_version
         },
         JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
+        { expiresIn: JWT_EXPIRES_IN_SECONDS, jwtid: crypto.randomBytes(16).toString('hex') }
     );
 }
 
@@ -28,26 +40,56 @@ function authenticateToken(req, res, next) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    jwt.verify(token, JWT_SECRET, async (err, user) => {
         if (err) {
+            // 401 tells the client to try its refresh token
+            if (err.name === 'TokenExpiredError') {
+                return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' });
+            }
             return res.status(403).json({ error: 'Invalid or expired token' });
         }
+
+        try {
+            const status = tokenStore ? await tokenStore.checkAccessToken(user) : 'valid';
+            if (status === 'inactive') {
+                return res.status(403).json({ error: 'Account is deactivated', code: 'ACCOUNT_INACTIVE' });
+            }
+            if (status === 'revoked') {
+                return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
+            }
+        } catch (error) {
+            console.error('Error checking token revocation:', error);
+            return res.status(500).json({ error: 'Failed to verify token' });
+        }
+
         req.user = user;
         next();
     });
 }
 
-// Admin role check middleware
-function requireAdmin(req, res, next) {
-    if (req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
+// Permission check middleware, e.g. requirePermission('bookings:approve', { dept: req => ... })
+// `permission` may be a function of the request; `dept` may be a value, a list, or an
+// (async) function of the request giving the department(s) of the resources acted on.
+function requirePermission(permission, options = {}) {
+    return async (req, res, next) => {
+        try {
+            const required = typeof permission === 'function' ? await permission(req) : permission;
+            const dept = typeof options.dept === 'function' ? await options.dept(req) : options.dept;
+
+            if (!hasPermission(req.user, required, dept)) {
+                return res.status(403).json({ error: `Permission required: ${required}` });
+            }
+            next();
+        } catch (error) {
+            console.error('Error checking permissions:', error);
+            res.status(500).json({ error: 'Failed to check permissions' });
+        }
+    };
 }
 
-// Student or Admin role check middleware
+// Any known role check middleware
 function requireAuth(req, res, next) {
-    if (!req.user || (req.user.role !== 'admin' && req.user.role !== 'student')) {
+    if (!req.user || !ROLES[req.user.role]) {
         return res.status(403).json({ error: 'Valid user access required' });
     }
     next();
@@ -55,8 +97,10 @@ function requireAuth(req, res, next) {
 
 module.exports = {
     generateToken,
+    setTokenStore,
     authenticateToken,
-    requireAdmin,
+    requirePermission,
     requireAuth,
-    JWT_SECRET
+    JWT_SECRET,
+    JWT_EXPIRES_IN_SECONDS
 };
\ No newline at end of file
@@ -0,0 +1,86 @@
+// bus-timetable.js - Trip time estimates and stop-to-stop lookups for bus timetables
+//
+// Trips store an HH:MM time (or null) per stop in the order they visit them, and only the
+// first stop must be timed. Untimed stops are estimated from the timed ones around them.
+const { getDayOfWeek, timeToMinutes, minutesToTime } = require('./time-utils');
+const { holidayOn } = require('./academic-calendar');
+
+const WEEKEND_DAYS = ['Saturday', 'Sunday'];
+const DEFAULT_MINUTES_BETWEEN_STOPS = 5; // when a trip has no second timed stop to go by
+
+// Timetable that runs on a YYYY-MM-DD date: 'holiday' if it falls in one of `holidays`
+// (rows of the holidays table), otherwise 'weekday' or 'weekend'
+function busServiceForDate(date, holidays = []) {
+    if (holidayOn(date, holidays)) return 'holiday';
+    return WEEKEND_DAYS.includes(getDayOfWeek(date)) ? 'weekend' : 'weekday';
+}
+
+/**
+ * Fill in a trip's untimed stops: interpolate between timed stops and continue at the pace
+ * of the last timed stretch (or DEFAULT_MINUTES_BETWEEN_STOPS) after the last one.
+ * Returns [{ time, estimated }] in travel order.
+ */
+function estimateTripTimes(times) {
+    const known = times
+        .map((time, index) => ({ index, minutes: time ? timeToMinutes(time) : null }))
+        .filter(stop => stop.minutes !== null);
+
+    return times.map((time, index) => {
+        if (time) return { time, estimated: false };
+
+        const before = known.filter(stop => stop.index < index).pop();
+        const after = known.find(stop => stop.index > index);
+        let minutes;
+
+        if (before && after) {
+            minutes = before.minutes + (after.minutes - before.minutes) * (index - before.index) / (after.index - before.index);
+        } else {
+            const last = known[known.length - 1];
+            const previous = known[known.length - 2];
+            const pace = previous ? (last.minutes - previous.minutes) / (last.index - previous.index) : DEFAULT_MINUTES_BETWEEN_STOPS;
+            minutes = last.minutes + pace * (index - last.index);
+        }
+        return { time: minutesToTime(Math.round(minutes)), estimated: true };
+    });
+}
+
+/**
+ * Trips of the given buses (as returned by Database.getAllBuses) that stop at `from` and later
+ * at `to`, on one service. Stop names match case-insensitively. Returns
+ * [{ bus, trip, departure_time, arrival_time, departure_estimated, arrival_estimated }].
+ */
+function findTripsBetween(buses, from, to, service) {
+    const fromName = from.trim().toLowerCase();
+    const toName = to.trim().toLowerCase();
+    const results = [];
+
+    for (const bus of buses) {
+        for (const trip of bus.trips) {
+            if (trip.service !== service) continue;
+
+            const stops = trip.direction === 'inbound' ? bus.stops.slice().reverse() : bus.stops;
+            const names = stops.map(stop => stop.toLowerCase());
+            const fromIndex = names.indexOf(fromName);
+            const toIndex = names.indexOf(toName, fromIndex + 1);
+            if (fromIndex === -1 || toIndex === -1) continue;
+
+            const times = estimateTripTimes(trip.times);
+            results.push({
+                bus,
+                trip,
+                departure_time: times[fromIndex].time,
+                arrival_time: times[toIndex].time,
+                departure_estimated: times[fromIndex].estimated,
+                arrival_estimated: times[toIndex].estimated
+            });
+        }
+    }
+    return results.sort((a, b) => a.departure_time.localeCompare(b.departure_time));
+}
+
+module.exports = {
+    WEEKEND_DAYS,
+    busServiceForDate,
+    estimateTripTimes,
+    findTripsBetween
+};
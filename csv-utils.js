@@ -0,0 +1,78 @@
+// csv-utils.js - Minimal RFC 4180 CSV parsing and writing for timetable imports and GTFS feeds
+
+// Parse CSV text into an array of rows (arrays of strings), honouring quoted fields
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Parse CSV text with a header line into an array of objects keyed by column name
+function parseCsv(text) {
+    const [header, ...rows] = parseCsvRows(text.replace(/^\uFEFF/, ''));
+    if (!header) return [];
+
+    const columns = header.map(name => name.trim().toLowerCase());
+    return rows.map(values => {
+        const record = {};
+        columns.forEach((column, index) => {
+            record[column] = (values[index] || '').trim();
+        });
+        return record;
+    });
+}
+
+// Quote a value when it contains a comma, quote or line break; null and undefined become empty
+function formatCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Write records as CSV text with a header line of `columns`, in that order
+function formatCsv(columns, records) {
+    const lines = [columns, ...records.map(record => columns.map(column => record[column]))];
+    return lines.map(values => values.map(formatCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parseCsvRows,
+    parseCsv,
+    formatCsv
+};
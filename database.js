@@ -2,318 +2,273 @@
 const sqlite3 = require('sqlite3').verbose();
 const bcrypt = require('bcryptjs');
 const path = require('path');
-
-class Database {
-    constructor() {
-        this.db = null;
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Migrator = require('./migrator');
+const TransactionGate = require('./transaction-gate');
+const {
+    DAYS_OF_WEEK, isValidTime, getDayOfWeek, addDays, formatLocalDate, formatLocalTime, timeToMinutes,
+    summarizeOpeningHours, openingRangesOn, isOpenAt, isOpenThroughout
+} = require('./time-utils');
+const { busServiceForDate, findTripsBetween } = require('./bus-timetable');
+const { termsOverlap, occursOn, movedOccurrence, resolveOccurrences } = require('./academic-calendar');
+const { RESOURCE_MANAGE_PERMISSIONS } = require('./permissions');
+
+const RESOURCE_TYPES = ['classroom', 'lab'];
+const RESOURCE_TABLES = { classroom: 'classrooms', lab: 'labs', bus: 'buses', menu_item: 'cafeteria_menu' };
+const MAX_SERIES_OCCURRENCES = 52;
+const BUS_LOOKAHEAD_DAYS = 7;
+const REFRESH_TOKEN_DAYS = 30;
+const USER_COLUMNS = 'id, student_id, name, email, role, dept, is_active, created_at, updated_at';
+const RESET_CODE_HOURS = 24;
+const RESET_CODE_LENGTH = 8;
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I look-alikes
+
+// Cafeteria order statuses each status may move on to
+const ORDER_TRANSITIONS = {
+    placed: ['preparing', 'cancelled'],
+    preparing: ['ready', 'cancelled'],
+    ready: ['collected', 'cancelled'],
+    collected: [],
+    cancelled: []
+};
+
+// Classrooms and labs with the department code as `dept`, the floor name as `floor`, their
+// building and how many critical issue tickets are unresolved; a lab's `location` reads like
+// the free text it replaced
+const criticalIssues = (type, alias) => `(SELECT COUNT(*) FROM issue_tickets i
+            WHERE i.resource_type = '${type}' AND i.resource_id = ${alias}.id AND i.priority = 'critical' AND i.status != 'resolved') AS critical_issues`;
+const CLASSROOM_SELECT = `
+    SELECT c.*, d.code AS dept, d.name AS department_name, f.name AS floor, f.level AS floor_level,
+           f.building_id, b.name AS building,
+           ${criticalIssues('classroom', 'c')}
+    FROM classrooms c
+    JOIN departments d ON c.department_id = d.id
+    JOIN floors f ON c.floor_id = f.id
+    JOIN buildings b ON f.building_id = b.id`;
+const LAB_SELECT = `
+    SELECT l.*, d.code AS dept, d.name AS department_name, f.name AS floor, f.level AS floor_level,
+           f.building_id, b.name AS building,
+           f.name || COALESCE(', Room ' || l.room, '') || ', ' || b.name AS location,
+           ${criticalIssues('lab', 'l')}
+    FROM labs l
+    JOIN departments d ON l.department_id = d.id
+    JOIN floors f ON l.floor_id = f.id
+    JOIN buildings b ON f.building_id = b.id`;
+const FLOOR_ORDER = 'f.level IS NULL, f.level, f.name';
+
+// Whether a lab (with attachOpeningHours fields) is open for the whole of a time range on a
+// date: its manual override while that lasts, otherwise its hours and exceptions for the date
+function labOpenDuring(lab, date, startTime, endTime) {
+    if (lab.status_override && (!lab.status_override_until || `${date} ${startTime}` < lab.status_override_until)) {
+        return lab.status_override === 'open';
     }
+    return isOpenThroughout(openingRangesOn(date, lab.opening_hours, lab.opening_exceptions), startTime, endTime);
+}
 
-    // Initialize database connection
-    async init() {
-        return new Promise((resolve, reject) => {
-            const dbPath = path.join(__dirname, 'campus_info.db');
-            this.db = new sqlite3.Database(dbPath, (err) => {
-                if (err) {
-                    console.error('Error opening database:', err);
-                    reject(err);
-                } else {
-                    console.log('✅ Connected to SQLite database');
-                    this.createTables().then(resolve).catch(reject);
-                }
-            });
-        });
-    }
+// Issue tickets with the reporter, assignee and resource names, the department of a classroom
+// or lab, and how many comments they have
+const ISSUE_SELECT = `
+    SELECT t.*, r.name AS reporter_name, a.name AS assignee_name,
+           CASE t.resource_type
+               WHEN 'classroom' THEN 'Room ' || c.room
+               WHEN 'lab' THEN l.name
+               WHEN 'bus' THEN 'Bus ' || b.number
+               WHEN 'menu_item' THEN m.name
+           END AS resource_name,
+           COALESCE(cd.code, ld.code) AS dept,
+           (SELECT COUNT(*) FROM issue_ticket_comments WHERE ticket_id = t.id) AS comment_count
+    FROM issue_tickets t
+    LEFT JOIN users r ON t.reporter_id = r.id
+    LEFT JOIN users a ON t.assignee_id = a.id
+    LEFT JOIN classrooms c ON t.resource_type = 'classroom' AND t.resource_id = c.id
+    LEFT JOIN departments cd ON c.department_id = cd.id
+    LEFT JOIN labs l ON t.resource_type = 'lab' AND t.resource_id = l.id
+    LEFT JOIN departments ld ON l.department_id = ld.id
+    LEFT JOIN buses b ON t.resource_type = 'bus' AND t.resource_id = b.id
+    LEFT JOIN cafeteria_menu m ON t.resource_type = 'menu_item' AND t.resource_id = m.id`;
+// Unresolved tickets first, then by severity, newest first
+const ISSUE_ORDER = `t.status = 'resolved', CASE t.priority WHEN 'critical' THEN 0 WHEN 'high' THEN 1 WHEN 'medium' THEN 2 ELSE 3 END, t.created_at DESC, t.id DESC`;
+
+// Catalogue entries behind a lab's `computers` and `projector` fields
+const COMPUTER_EQUIPMENT = 'computer';
+const PROJECTOR_EQUIPMENT = 'projector';
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    // Create database tables
-    async createTables() {
-        return new Promise((resolve, reject) => {
-            const createTablesSQL = `
-                -- Users table
-                CREATE TABLE IF NOT EXISTS users (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    student_id TEXT UNIQUE,
-                    name TEXT NOT NULL,
-                    password TEXT NOT NULL,
-                    role TEXT NOT NULL CHECK (role IN ('admin', 'student')),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+function createResetCodeError() {
+    const error = new Error('Invalid or expired reset code');
+    error.code = 'INVALID_RESET_CODE';
+    return error;
+}
 
-                -- Classrooms table
-                CREATE TABLE IF NOT EXISTS classrooms (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    room TEXT NOT NULL UNIQUE,
-                    dept TEXT NOT NULL,
-                    floor TEXT NOT NULL,
-                    capacity INTEGER NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+function createRefreshTokenError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_REFRESH_TOKEN';
+    return error;
+}
 
-                -- Labs table
-                CREATE TABLE IF NOT EXISTS labs (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    dept TEXT NOT NULL,
-                    location TEXT NOT NULL,
-                    computers INTEGER NOT NULL,
-                    projector TEXT DEFAULT 'No',
-                    instruments TEXT DEFAULT 'None',
-                    status TEXT NOT NULL CHECK (status IN ('open', 'closed')),
-                    hours TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+// Error raised when a booking overlaps a weekly schedule slot or an approved booking
+function createConflictError(conflicts) {
+    const error = new Error('Booking conflicts with existing schedules or approved bookings');
+    error.code = 'BOOKING_CONFLICT';
+    error.conflicts = conflicts;
+    return error;
+}
 
-                -- Buses table
-                CREATE TABLE IF NOT EXISTS buses (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    number TEXT NOT NULL UNIQUE,
-                    time TEXT NOT NULL,
-                    route TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+// Error raised when a booking names a resource type ('INVALID_RESOURCE') or a room
+// ('RESOURCE_NOT_FOUND') that doesn't exist
+function createBookingResourceError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
-                -- Bus stops table (for normalized stop data)
-                CREATE TABLE IF NOT EXISTS bus_stops (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    bus_id INTEGER NOT NULL,
-                    stop_name TEXT NOT NULL,
-                    stop_order INTEGER NOT NULL,
-                    FOREIGN KEY (bus_id) REFERENCES buses (id) ON DELETE CASCADE
-                );
+// Error raised when a cafeteria order can't be placed or changed; code is 'INVALID_ORDER',
+// 'SLOT_FULL' or 'OUT_OF_STOCK'
+function createOrderError(message, code = 'INVALID_ORDER') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
 
-                -- Cafeteria menu table
-                CREATE TABLE IF NOT EXISTS cafeteria_menu (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    name TEXT NOT NULL,
-                    description TEXT NOT NULL,
-                    price DECIMAL(10,2) NOT NULL,
-                    category TEXT NOT NULL CHECK (category IN ('food', 'snacks', 'drinks')),
-                    availability TEXT NOT NULL CHECK (availability IN ('available', 'limited')),
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+// Combine per-date conflicts of a booking series, listing each slot or booking once
+function mergeConflicts(conflicting) {
+    const unique = rows => [...new Map(rows.map(row => [row.id, row])).values()];
+    return {
+        schedules: unique(conflicting.flatMap(c => c.schedules)),
+        bookings: unique(conflicting.flatMap(c => c.bookings))
+    };
+}
 
-                -- Cafeteria info table
-                CREATE TABLE IF NOT EXISTS cafeteria_info (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    location TEXT NOT NULL,
-                    contact TEXT NOT NULL,
-                    hours TEXT NOT NULL,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+// Check the fields of a weekly schedule slot, returning a list of problems
+function getScheduleErrors(schedule) {
+    const errors = [];
 
-                -- Schedules table for weekly routines
-                CREATE TABLE IF NOT EXISTS schedules (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
-                    resource_id INTEGER NOT NULL,
-                    day_of_week TEXT NOT NULL, -- 'Monday', 'Tuesday', etc.
-                    start_time TIME NOT NULL,
-                    end_time TIME NOT NULL,
-                    subject TEXT NOT NULL,
-                    instructor TEXT,
-                    course_code TEXT,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-                );
+    if (!RESOURCE_TYPES.includes(schedule.resource_type)) {
+        errors.push('resource_type must be "classroom" or "lab"');
+    }
+    if (!schedule.resource_id) {
+        errors.push('resource_id is required');
+    }
+    if (!DAYS_OF_WEEK.includes(schedule.day_of_week)) {
+        errors.push(`day_of_week must be one of ${DAYS_OF_WEEK.join(', ')}`);
+    }
+    if (!isValidTime(schedule.start_time) || !isValidTime(schedule.end_time)) {
+        errors.push('start_time and end_time must be HH:MM');
+    } else if (schedule.start_time >= schedule.end_time) {
+        errors.push('start_time must be before end_time');
+    }
+    if (!schedule.subject) {
+        errors.push('subject is required');
+    }
 
-                -- Booking requests table for special programs
-                CREATE TABLE IF NOT EXISTS booking_requests (
-                    id INTEGER PRIMARY KEY AUTOINCREMENT,
-                    user_id INTEGER NOT NULL,
-                    resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
-                    resource_id INTEGER NOT NULL,
-                    date DATE NOT NULL,
-                    start_time TIME NOT NULL,
-                    end_time TIME NOT NULL,
-                    program_name TEXT NOT NULL,
-                    description TEXT,
-                    participant_count INTEGER,
-                    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
-                    admin_notes TEXT,
-                    reviewed_by INTEGER,
-                    reviewed_at DATETIME,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-                    FOREIGN KEY (user_id) REFERENCES users (id),
-                    FOREIGN KEY (reviewed_by) REFERENCES users (id)
-                );
+    return errors;
+}
 
-                -- Create indexes for better performance
-                CREATE INDEX IF NOT EXISTS idx_users_student_id ON users (student_id);
-                CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
-                CREATE INDEX IF NOT EXISTS idx_classrooms_dept ON classrooms (dept);
-                CREATE INDEX IF NOT EXISTS idx_classrooms_floor ON classrooms (floor);
-                CREATE INDEX IF NOT EXISTS idx_labs_status ON labs (status);
-                CREATE INDEX IF NOT EXISTS idx_labs_dept ON labs (dept);
-                CREATE INDEX IF NOT EXISTS idx_buses_number ON buses (number);
-                CREATE INDEX IF NOT EXISTS idx_bus_stops_bus_id ON bus_stops (bus_id);
-                CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_category ON cafeteria_menu (category);
-                CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_availability ON cafeteria_menu (availability);
-                CREATE INDEX IF NOT EXISTS idx_schedules_resource ON schedules (resource_type, resource_id);
-                CREATE INDEX IF NOT EXISTS idx_schedules_day ON schedules (day_of_week);
-                CREATE INDEX IF NOT EXISTS idx_booking_requests_user ON booking_requests (user_id);
-                CREATE INDEX IF NOT EXISTS idx_booking_requests_resource ON booking_requests (resource_type, resource_id);
-                CREATE INDEX IF NOT EXISTS idx_booking_requests_status ON booking_requests (status);
-                CREATE INDEX IF NOT EXISTS idx_booking_requests_date ON booking_requests (date);
-            `;
+const IMPORT_TEXT_FIELDS = ['resource_type', 'day_of_week', 'start_time', 'end_time', 'subject', 'instructor', 'course_code', 'term'];
+const IMPORT_ID_FIELDS = ['resource_id', 'term_id'];
 
-            this.db.exec(createTablesSQL, (err) => {
-                if (err) {
-                    console.error('Error creating tables:', err);
-                    reject(err);
-                } else {
-                    console.log('✅ Database tables created successfully');
-                    this.insertSampleData().then(resolve).catch(reject);
-                }
-            });
-        });
+// Type errors in an imported timetable row (JSON rows can hold anything), checked before any field is used
+function getImportRowShapeErrors(record) {
+    if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        return ['row must be an object'];
     }
+    const given = field => record[field] !== undefined && record[field] !== null && record[field] !== '';
+    const errors = IMPORT_TEXT_FIELDS
+        .filter(field => given(field) && typeof record[field] !== 'string')
+        .map(field => `${field} must be text`);
+    if (given('resource') && !['string', 'number'].includes(typeof record.resource)) {
+        errors.push('resource must be a room number or lab name');
+    }
+    IMPORT_ID_FIELDS
+        .filter(field => given(field) && !/^\d+$/.test(String(record[field])))
+        .forEach(field => errors.push(`${field} must be a positive whole number`));
+    return errors;
+}
 
-    // Insert sample data
-    async insertSampleData() {
-        return new Promise(async (resolve, reject) => {
-            try {
-                // Check if admin user already exists
-                const adminUser = await this.findUserByStudentId('admin');
-                if (!adminUser) {
-                    console.log('📋 Creating default admin user...');
-                    await this.createUser({
-                        student_id: 'admin',
-                        name: 'System Administrator',
-                        password: 'admin123',
-                        role: 'admin'
-                    });
-                    console.log('✅ Default admin user created (admin/admin123)');
-                } else {
-                    console.log('ℹ️ Admin user already exists');
-                }
-
-                // Check if sample data already exists
-                const classroomCount = await this.getCount('classrooms');
-                if (classroomCount > 0) {
-                    console.log('📋 Sample data already exists');
-                    resolve();
-                    return;
-                }
-
-                console.log('📋 Inserting sample data...');
-
-                // Sample classrooms
-                const classrooms = [
-                    { room: 'G-101', dept: 'CSE', floor: 'Ground Floor', capacity: 60 },
-                    { room: 'G-102', dept: 'EEE', floor: 'Ground Floor', capacity: 50 },
-                    { room: 'G-103', dept: 'BBA', floor: 'Ground Floor', capacity: 70 },
-                    { room: '1-201', dept: 'CSE', floor: '1st Floor', capacity: 80 },
-                    { room: '1-202', dept: 'CSE', floor: '1st Floor', capacity: 60 },
-                    { room: '1-203', dept: 'EEE', floor: '1st Floor', capacity: 55 },
-                    { room: '2-301', dept: 'BBA', floor: '2nd Floor', capacity: 90 },
-                    { room: '2-302', dept: 'Civil', floor: '2nd Floor', capacity: 65 },
-                    { room: '2-303', dept: 'Civil', floor: '2nd Floor', capacity: 70 },
-                    { room: '3-401', dept: 'CSE', floor: '3rd Floor', capacity: 75 },
-                    { room: '3-402', dept: 'EEE', floor: '3rd Floor', capacity: 60 },
-                    { room: '3-403', dept: 'BBA', floor: '3rd Floor', capacity: 85 }
-                ];
-
-                // Sample labs
-                const labs = [
-                    { name: 'CSE Programming Lab 1', dept: 'CSE', location: '1st Floor, Room 1-105', computers: 50, projector: 'Yes', instruments: 'Whiteboard, Sound System', status: 'open', hours: '8:00 AM - 6:00 PM' },
-                    { name: 'CSE Programming Lab 2', dept: 'CSE', location: '1st Floor, Room 1-106', computers: 45, projector: 'Yes', instruments: 'Whiteboard', status: 'open', hours: '8:00 AM - 8:00 PM' },
-                    { name: 'EEE Circuit Lab', dept: 'EEE', location: '2nd Floor, Room 2-205', computers: 30, projector: 'No', instruments: 'Oscilloscopes (20), Multimeters (25), Function Generators (15)', status: 'closed', hours: 'Maintenance until 3:00 PM' },
-                    { name: 'Physics Lab', dept: 'Physics', location: 'Ground Floor, Room G-015', computers: 25, projector: 'Yes', instruments: 'Microscopes (15), Lab Equipment Sets (20)', status: 'open', hours: '9:00 AM - 5:00 PM' },
-                    { name: 'Chemistry Lab', dept: 'Chemistry', location: 'Ground Floor, Room G-016', computers: 30, projector: 'Yes', instruments: 'Fume Hoods (4), Lab Benches (10), Glassware Sets (30)', status: 'open', hours: '9:00 AM - 5:00 PM' },
-                    { name: 'Network & Security Lab', dept: 'CSE', location: '3rd Floor, Room 3-308', computers: 40, projector: 'Yes', instruments: 'Routers (10), Switches (15), Network Cables', status: 'closed', hours: 'Scheduled class until 4:30 PM' },
-                    { name: 'CAD Lab', dept: 'Civil', location: '2nd Floor, Room 2-210', computers: 35, projector: 'Yes', instruments: 'Drawing Tablets (35), 3D Printer', status: 'open', hours: '8:00 AM - 6:00 PM' }
-                ];
-
-                // Sample buses with stops
-                const busesWithStops = [
-                    { 
-                        bus: { number: 'A1', time: '7:30 AM', route: 'Campus → City Center → Main Station' },
-                        stops: ['Campus Gate', 'Medical College', 'Shopping Mall', 'City Center', 'Main Station']
-                    },
-                    { 
-                        bus: { number: 'A2', time: '8:00 AM', route: 'Campus → University Area → Airport Road' },
-                        stops: ['Campus Gate', 'Student Dormitory', 'University Market', 'Tech Park', 'Airport Road']
-                    },
-                    { 
-                        bus: { number: 'B1', time: '9:00 AM', route: 'Campus → Residential Area → Lake View' },
-                        stops: ['Campus Gate', 'Faculty Housing', 'Green Park', 'Lake View']
-                    },
-                    { 
-                        bus: { number: 'B2', time: '1:00 PM', route: 'Main Station → City Center → Campus' },
-                        stops: ['Main Station', 'City Center', 'Shopping Mall', 'Medical College', 'Campus Gate']
-                    },
-                    { 
-                        bus: { number: 'C1', time: '5:00 PM', route: 'Campus → Downtown → Metro Station' },
-                        stops: ['Campus Gate', 'Library Square', 'Downtown Plaza', 'Business District', 'Metro Station']
-                    },
-                    { 
-                        bus: { number: 'C2', time: '6:30 PM', route: 'Airport Road → University Area → Campus' },
-                        stops: ['Airport Road', 'Tech Park', 'University Market', 'Student Dormitory', 'Campus Gate']
-                    }
-                ];
+function createScheduleError(errors) {
+    const error = new Error(errors.join('; '));
+    error.code = 'INVALID_SCHEDULE';
+    error.errors = errors;
+    return error;
+}
 
-                // Insert classrooms
-                for (const classroom of classrooms) {
-                    await this.insertClassroom(classroom);
-                }
+// Whether a room's inventory has enough working items for every { equipment_type_id, quantity }
+function meetsEquipmentRequirements(equipment, requirements) {
+    return requirements.every(({ equipment_type_id, quantity }) => {
+        const item = equipment.find(entry => entry.equipment_type_id === equipment_type_id);
+        return item !== undefined && item.working_quantity >= quantity;
+    });
+}
 
-                // Insert labs
-                for (const lab of labs) {
-                    await this.insertLab(lab);
-                }
+// Emits 'change' ({ type, data, audience? }) after successful writes, see CHANGE_EVENTS below
+class Database extends EventEmitter {
+    constructor() {
+        super();
+        this.db = null;
+    }
 
-                // Insert buses and stops
-                for (const busData of busesWithStops) {
-                    const busId = await this.insertBus(busData.bus);
-                    for (let i = 0; i < busData.stops.length; i++) {
-                        await this.insertBusStop(busId, busData.stops[i], i + 1);
-                    }
-                }
+    // Open the database connection, apply pending migrations and make sure an admin exists
+    async init() {
+        await this.open();
+        await this.migrate();
+        await this.ensureDefaultAdmin();
+    }
 
-                // Sample cafeteria menu items
-                const menuItems = [
-                    { name: 'Chicken Biriyani', description: 'Traditional aromatic rice with tender chicken', price: 180.00, category: 'food', availability: 'available' },
-                    { name: 'Beef Curry', description: 'Spicy beef curry with rice', price: 160.00, category: 'food', availability: 'available' },
-                    { name: 'Fish Fry', description: 'Crispy fried fish with lemon', price: 140.00, category: 'food', availability: 'limited' },
-                    { name: 'Vegetable Fried Rice', description: 'Mixed vegetables with fragrant rice', price: 120.00, category: 'food', availability: 'available' },
-                    { name: 'Dal with Rice', description: 'Traditional lentil curry with steamed rice', price: 80.00, category: 'food', availability: 'available' },
-                    { name: 'Chicken Sandwich', description: 'Grilled chicken with fresh vegetables', price: 100.00, category: 'snacks', availability: 'available' },
-                    { name: 'Samosa', description: 'Crispy pastry with spiced filling', price: 25.00, category: 'snacks', availability: 'available' },
-                    { name: 'French Fries', description: 'Golden crispy potato fries', price: 60.00, category: 'snacks', availability: 'available' },
-                    { name: 'Spring Rolls', description: 'Crispy vegetable spring rolls', price: 45.00, category: 'snacks', availability: 'limited' },
-                    { name: 'Tea', description: 'Hot milk tea', price: 15.00, category: 'drinks', availability: 'available' },
-                    { name: 'Coffee', description: 'Fresh brewed coffee', price: 25.00, category: 'drinks', availability: 'available' },
-                    { name: 'Fresh Juice', description: 'Seasonal fresh fruit juice', price: 40.00, category: 'drinks', availability: 'available' },
-                    { name: 'Soft Drinks', description: 'Chilled carbonated drinks', price: 30.00, category: 'drinks', availability: 'available' },
-                    { name: 'Lassi', description: 'Sweet yogurt drink', price: 35.00, category: 'drinks', availability: 'limited' }
-                ];
-
-                // Insert cafeteria menu items
-                for (const item of menuItems) {
-                    await this.insertMenuItem(item);
+    // Open the database connection without touching the schema
+    open() {
+        return new Promise((resolve, reject) => {
+            const dbPath = process.env.DB_PATH || path.join(__dirname, 'campus_info.db');
+            const connection = new sqlite3.Database(dbPath, (err) => {
+                if (err) {
+                    console.error('Error opening database:', err);
+                    reject(err);
+                } else {
+                    // Every query goes through the gate, so transactions never overlap (see transaction-gate.js)
+                    this.gate = new TransactionGate(connection);
+                    this.db = this.gate.connection;
+                    console.log('✅ Connected to SQLite database');
+                    resolve();
                 }
+            });
+        });
+    }
 
-                // Insert cafeteria info
-                await this.insertCafeteriaInfo({
-                    location: 'Ground Floor, Main Building',
-                    contact: '+880-1234-567890',
-                    hours: '8:00 AM - 8:00 PM'
-                });
+    // Apply any migrations in ./migrations that have not run against this database yet
+    async migrate() {
+        const applied = await new Migrator(this).migrate();
+        console.log(applied.length > 0
+            ? `✅ Database schema migrated (${applied.length} migration${applied.length === 1 ? '' : 's'} applied)`
+            : '✅ Database schema is up to date');
+    }
 
-                console.log('✅ Sample data inserted successfully');
-                resolve();
+    // Used by migrations to add columns to tables that may already have them
+    async addColumnIfMissing(table, column, definition) {
+        const columns = await this.all(`PRAGMA table_info(${table})`);
+        if (!columns.some(c => c.name === column)) {
+            await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`✅ Added ${table}.${column} column`);
+        }
+    }
 
-            } catch (error) {
-                console.error('Error inserting sample data:', error);
-                reject(error);
-            }
-        });
+    // Create the default admin account on a fresh database
+    async ensureDefaultAdmin() {
+        const adminUser = await this.findUserByStudentId('admin');
+        if (!adminUser) {
+            console.log('📋 Creating default admin user...');
+            await this.createUser({
+                student_id: 'admin',
+                name: 'System Administrator',
+                password: 'admin123',
+                role: 'admin'
+            });
+            console.log('✅ Default admin user created (admin/admin123)');
+        } else {
+            console.log('ℹ️ Admin user already exists');
+        }
     }
 
     // Helper method to get count of records
@@ -326,31 +281,105 @@ class Database {
         });
     }
 
-    // Insert methods
-    insertClassroom(classroom) {
+    // Promise helpers for multi-step operations
+    run(sql, params = []) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO classrooms (room, dept, floor, capacity) VALUES (?, ?, ?, ?)`;
-            this.db.run(sql, [classroom.room, classroom.dept, classroom.floor, classroom.capacity], function(err) {
+            this.db.run(sql, params, function(err) {
                 if (err) reject(err);
-                else resolve(this.lastID);
+                else resolve({ lastID: this.lastID, changes: this.changes });
+            });
+        });
+    }
+
+    get(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.get(sql, params, (err, row) => {
+                if (err) reject(err);
+                else resolve(row);
+            });
+        });
+    }
+
+    all(sql, params = []) {
+        return new Promise((resolve, reject) => {
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else resolve(rows);
+            });
+        });
+    }
+
+    // Run several semicolon-separated statements (used by migrations)
+    exec(sql) {
+        return new Promise((resolve, reject) => {
+            this.db.exec(sql, (err) => {
+                if (err) reject(err);
+                else resolve();
             });
         });
     }
 
-    insertLab(lab) {
+    // Run an async callback inside BEGIN/COMMIT, rolling back if it throws. Transactions run one
+    // at a time; other queries wait for the running one instead of joining it.
+    transaction(callback) {
+        return this.gate.transaction(callback);
+    }
+
+    // Insert methods
+    insertClassroom(classroom) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO labs (name, dept, location, computers, projector, instruments, status, hours) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-            this.db.run(sql, [lab.name, lab.dept, lab.location, lab.computers, lab.projector || 'No', lab.instruments || 'None', lab.status, lab.hours], function(err) {
+            const sql = `INSERT INTO classrooms (room, department_id, floor_id, capacity) VALUES (?, ?, ?, ?)`;
+            this.db.run(sql, [classroom.room, classroom.department_id, classroom.floor_id, classroom.capacity], function(err) {
                 if (err) reject(err);
                 else resolve(this.lastID);
             });
         });
     }
 
+    async insertLab(lab) {
+        const result = await this.run(
+            `INSERT INTO labs (name, department_id, floor_id, room) VALUES (?, ?, ?, ?)`,
+            [lab.name, lab.department_id, lab.floor_id, lab.room || null]
+        );
+        await this.setOpeningHours('lab', result.lastID, lab.opening_hours || []);
+        return result.lastID;
+    }
+
+    async insertDepartment(department) {
+        const { lastID } = await this.run(`INSERT INTO departments (code, name) VALUES (?, ?)`, [department.code, department.name]);
+        return lastID;
+    }
+
+    async insertBuilding(building) {
+        const { lastID } = await this.run(`INSERT INTO buildings (name, description) VALUES (?, ?)`, [building.name, building.description || null]);
+        return lastID;
+    }
+
+    async insertFloor(floor) {
+        const { lastID } = await this.run(
+            `INSERT INTO floors (building_id, name, level) VALUES (?, ?, ?)`,
+            [floor.building_id, floor.name, floor.level ?? null]
+        );
+        return lastID;
+    }
+
+    async insertEquipmentType(type) {
+        const { lastID } = await this.run(`INSERT INTO equipment_types (name, description) VALUES (?, ?)`, [type.name, type.description || null]);
+        return lastID;
+    }
+
+    async insertRoomEquipment(resourceType, resourceId, entry) {
+        await this.run(
+            `INSERT INTO room_equipment (resource_type, resource_id, equipment_type_id, working_quantity, broken_quantity, notes)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [resourceType, resourceId, entry.equipment_type_id, entry.working_quantity || 0, entry.broken_quantity || 0, entry.notes || null]
+        );
+    }
+
     insertBus(bus) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO buses (number, time, route) VALUES (?, ?, ?)`;
-            this.db.run(sql, [bus.number, bus.time, bus.route], function(err) {
+            const sql = `INSERT INTO buses (number, route) VALUES (?, ?)`;
+            this.db.run(sql, [bus.number, bus.route], function(err) {
                 if (err) reject(err);
                 else resolve(this.lastID);
             });
@@ -367,26 +396,47 @@ class Database {
         });
     }
 
-    insertMenuItem(item) {
+    async insertMenuItem(item) {
+        const result = await this.run(
+            `INSERT INTO cafeteria_menu (cafeteria_id, name, description, price, category, availability, daily_stock, calories, spice_level) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [item.cafeteria_id, item.name, item.description, item.price, item.category, item.availability, item.daily_stock ?? null, item.calories ?? null, item.spice_level ?? null]
+        );
+        await this.setMenuItemLabels(result.lastID, item);
+        return result.lastID;
+    }
+
+    insertMenuRotationItem(entry) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO cafeteria_menu (name, description, price, category, availability) VALUES (?, ?, ?, ?, ?)`;
-            this.db.run(sql, [item.name, item.description, item.price, item.category, item.availability], function(err) {
+            const sql = `INSERT INTO cafeteria_menu_rotation (day_of_week, period, menu_item_id) VALUES (?, ?, ?)`;
+            this.db.run(sql, [entry.day_of_week, entry.period, entry.menu_item_id], function(err) {
                 if (err) reject(err);
                 else resolve(this.lastID);
             });
         });
     }
 
-    insertCafeteriaInfo(info) {
+    insertPickupSlot(slot) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO cafeteria_info (location, contact, hours) VALUES (?, ?, ?)`;
-            this.db.run(sql, [info.location, info.contact, info.hours], function(err) {
+            const sql = `INSERT INTO cafeteria_pickup_slots (cafeteria_id, start_time, end_time, capacity) VALUES (?, ?, ?, ?)`;
+            this.db.run(sql, [slot.cafeteria_id, slot.start_time, slot.end_time, slot.capacity], function(err) {
                 if (err) reject(err);
                 else resolve(this.lastID);
             });
         });
     }
 
+    async insertCafeteria(cafeteria) {
+        const result = await this.run(
+            `INSERT INTO cafeterias (name, location, contact) VALUES (?, ?, ?)`,
+            [cafeteria.name, cafeteria.location, cafeteria.contact]
+        );
+        await this.setOpeningHours('cafeteria', result.lastID, cafeteria.opening_hours || []);
+        if (cafeteria.is_default) {
+            await this.setDefaultCafeteria(result.lastID);
+        }
+        return result.lastID;
+    }
+
     // CRUD Operations
 
     // Users (Authentication)
@@ -397,8 +447,8 @@ class Database {
                 const saltRounds = 10;
                 const hashedPassword = await bcrypt.hash(userData.password, saltRounds);
                 
-                const sql = `INSERT INTO users (student_id, name, password, role) VALUES (?, ?, ?, ?)`;
-                this.db.run(sql, [userData.student_id, userData.name, hashedPassword, userData.role], function(err) {
+                const sql = `INSERT INTO users (student_id, name, email, password, role, dept) VALUES (?, ?, ?, ?, ?, ?)`;
+                this.db.run(sql, [userData.student_id, userData.name, userData.email || null, hashedPassword, userData.role, userData.dept || null], function(err) {
                     if (err) {
                         reject(err);
                     } else {
@@ -406,7 +456,9 @@ class Database {
                             id: this.lastID, 
                             student_id: userData.student_id,
                             name: userData.name,
-                            role: userData.role
+                            email: userData.email || null,
+                            role: userData.role,
+                            dept: userData.dept || null
                         });
                     }
                 });
@@ -431,457 +483,2830 @@ class Database {
 
     async getAllUsers() {
         return new Promise((resolve, reject) => {
-            this.db.all(`SELECT id, student_id, name, role, created_at FROM users ORDER BY created_at DESC`, (err, rows) => {
+            this.db.all(`SELECT ${USER_COLUMNS} FROM users ORDER BY created_at DESC`, (err, rows) => {
                 if (err) reject(err);
                 else resolve(rows);
             });
         });
     }
 
+    findUserById(id) {
+        return this.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [id]);
+    }
+
+    // Throws if the change would leave no active admin account
+    async assertOtherActiveAdmin(userId) {
+        const row = await this.get(
+            `SELECT COUNT(*) AS count FROM users WHERE role = 'admin' AND is_active = 1 AND id != ?`,
+            [userId]
+        );
+        if (row.count === 0) {
+            const error = new Error('At least one active admin account is required');
+            error.code = 'LAST_ADMIN';
+            throw error;
+        }
+    }
+
+    // Admin update of name, student_id, email, role, dept and is_active. Role, department or activation
+    // changes end the user's sessions, since role and department are baked into their access tokens.
+    async updateUser(id, updates) {
+        const existing = await this.findUserById(id);
+        if (!existing) {
+            throw new Error('User not found');
+        }
+
+        const user = { ...existing };
+        ['student_id', 'name', 'email', 'role', 'dept'].forEach(field => {
+            if (updates[field] !== undefined) user[field] = updates[field];
+        });
+        if (updates.is_active !== undefined) user.is_active = updates.is_active ? 1 : 0;
+
+        const losesAdmin = existing.role === 'admin' && existing.is_active && (user.role !== 'admin' || !user.is_active);
+        if (losesAdmin) {
+            await this.assertOtherActiveAdmin(id);
+        }
+
+        const accessChanged = user.role !== existing.role || user.dept !== existing.dept || user.is_active !== existing.is_active;
+        await this.transaction(async () => {
+            await this.run(
+                `UPDATE users SET student_id = ?, name = ?, email = ?, role = ?, dept = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [user.student_id, user.name, user.email || null, user.role, user.dept || null, user.is_active, id]
+            );
+            if (accessChanged) {
+                await this.invalidateUserSessions(id);
+            }
+        });
+
+        return this.findUserById(id);
+    }
+
+    // Delete an account together with its booking requests, series, tokens, notifications and reported issues
+    async deleteUser(id) {
+        const existing = await this.findUserById(id);
+        if (!existing) {
+            throw new Error('User not found');
+        }
+        if (existing.role === 'admin' && existing.is_active) {
+            await this.assertOtherActiveAdmin(id);
+        }
+
+        return this.transaction(async () => {
+            await this.run(`DELETE FROM booking_request_equipment WHERE booking_request_id IN (SELECT id FROM booking_requests WHERE user_id = ?)`, [id]);
+            const bookings = await this.run(`DELETE FROM booking_requests WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM booking_series WHERE user_id = ?`, [id]);
+            await this.run(`UPDATE booking_requests SET reviewed_by = NULL WHERE reviewed_by = ?`, [id]);
+            await this.run(`UPDATE password_reset_codes SET created_by = NULL WHERE created_by = ?`, [id]);
+            await this.run(`DELETE FROM password_reset_codes WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM refresh_tokens WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM calendar_feed_tokens WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM notifications WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM cafeteria_order_items WHERE order_id IN (SELECT id FROM cafeteria_orders WHERE user_id = ?)`, [id]);
+            await this.run(`DELETE FROM cafeteria_orders WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM issue_ticket_comments WHERE ticket_id IN (SELECT id FROM issue_tickets WHERE reporter_id = ?)`, [id]);
+            await this.run(`DELETE FROM issue_tickets WHERE reporter_id = ?`, [id]);
+            await this.run(`UPDATE issue_tickets SET assignee_id = NULL WHERE assignee_id = ?`, [id]);
+            await this.run(`UPDATE issue_ticket_comments SET user_id = NULL WHERE user_id = ?`, [id]);
+            await this.run(`DELETE FROM users WHERE id = ?`, [id]);
+
+            return {
+                message: 'User deleted successfully',
+                deleted_booking_requests: bookings.changes
+            };
+        });
+    }
+
+    // Store a new password hash and sign the user out everywhere.
+    // A reset code, if given, is used up in the same transaction.
+    async setPassword(id, password, resetCodeId = null) {
+        const hashedPassword = await bcrypt.hash(password, 10);
+        await this.transaction(async () => {
+            if (resetCodeId) {
+                const used = await this.run(
+                    `UPDATE password_reset_codes SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL`,
+                    [resetCodeId]
+                );
+                if (used.changes === 0) {
+                    throw createResetCodeError();
+                }
+            }
+            const result = await this.run(
+                `UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [hashedPassword, id]
+            );
+            if (result.changes === 0) {
+                throw new Error('User not found');
+            }
+            await this.invalidateUserSessions(id);
+        });
+    }
+
+    // Self-service password change; the current password must match
+    async changePassword(id, currentPassword, newPassword) {
+        const user = await this.get(`SELECT password FROM users WHERE id = ?`, [id]);
+        if (!user) {
+            throw new Error('User not found');
+        }
+        if (!(await this.validatePassword(currentPassword, user.password))) {
+            const error = new Error('Current password is incorrect');
+            error.code = 'INVALID_PASSWORD';
+            throw error;
+        }
+        await this.setPassword(id, newPassword);
+    }
+
+    // Issue a one-time reset code for an admin to pass on; earlier unused codes stop working
+    async createPasswordResetCode(userId, adminId) {
+        const user = await this.findUserById(userId);
+        if (!user) {
+            throw new Error('User not found');
+        }
+
+        const code = Array.from(crypto.randomBytes(RESET_CODE_LENGTH), byte => RESET_CODE_ALPHABET[byte % RESET_CODE_ALPHABET.length]).join('');
+        const codeId = await this.transaction(async () => {
+            await this.run(
+                `UPDATE password_reset_codes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL`,
+                [userId]
+            );
+            const result = await this.run(
+                `INSERT INTO password_reset_codes (user_id, code_hash, created_by, expires_at) VALUES (?, ?, ?, datetime('now', ?))`,
+                [userId, hashToken(code), adminId, `+${RESET_CODE_HOURS} hours`]
+            );
+            return result.lastID;
+        });
+
+        const row = await this.get(`SELECT expires_at FROM password_reset_codes WHERE id = ?`, [codeId]);
+        return { user, code, expires_at: row.expires_at };
+    }
+
+    // Set a new password using a reset code (codes are case-insensitive and single use)
+    async resetPasswordWithCode(studentId, code, newPassword) {
+        const row = await this.get(
+            `SELECT c.id, c.user_id FROM password_reset_codes c JOIN users u ON c.user_id = u.id
+             WHERE u.student_id = ? AND c.code_hash = ? AND c.used_at IS NULL AND c.expires_at > CURRENT_TIMESTAMP`,
+            [studentId, hashToken(String(code).trim().toUpperCase())]
+        );
+        if (!row) {
+            throw createResetCodeError();
+        }
+
+        await this.setPassword(row.user_id, newPassword, row.id);
+    }
+
+    // Calendar feed tokens
+
+    // Get the user's feed token, creating one on first use
+    async getCalendarToken(userId) {
+        const row = await this.get(`SELECT token FROM calendar_feed_tokens WHERE user_id = ?`, [userId]);
+        return row ? row.token : this.resetCalendarToken(userId);
+    }
+
+    // Replace the user's feed token, invalidating previously shared feed URLs
+    async resetCalendarToken(userId) {
+        const token = crypto.randomBytes(24).toString('hex');
+        await this.run(`DELETE FROM calendar_feed_tokens WHERE user_id = ?`, [userId]);
+        await this.run(`INSERT INTO calendar_feed_tokens (user_id, token) VALUES (?, ?)`, [userId, token]);
+        return token;
+    }
+
+    findUserByCalendarToken(token) {
+        return this.get(
+            `SELECT u.id, u.student_id, u.name, u.role, u.dept FROM calendar_feed_tokens t JOIN users u ON t.user_id = u.id WHERE t.token = ? AND u.is_active = 1`,
+            [token]
+        );
+    }
+
+    // Session tokens (refresh tokens and access token revocation)
+
+    // Issue a refresh token; only its hash is stored. Rotations keep the original family_id.
+    async createRefreshToken(userId, familyId = null) {
+        const token = crypto.randomBytes(48).toString('hex');
+        await this.run(`DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < CURRENT_TIMESTAMP`, [userId]);
+        await this.run(
+            `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, datetime('now', ?))`,
+            [userId, hashToken(token), familyId || crypto.randomBytes(16).toString('hex'), `+${REFRESH_TOKEN_DAYS} days`]
+        );
+        return token;
+    }
+
+    // Exchange a refresh token for a new one. Presenting an already rotated token
+    // revokes its whole family, since it means the token was copied.
+    async rotateRefreshToken(token) {
+        const result = await this.transaction(async () => {
+            const row = await this.get(
+                `SELECT r.*, r.expires_at < CURRENT_TIMESTAMP AS expired FROM refresh_tokens r WHERE r.token_hash = ?`,
+                [hashToken(String(token))]
+            );
+            if (!row || row.expired) {
+                throw createRefreshTokenError('Invalid or expired refresh token');
+            }
+            if (row.revoked_at) {
+                await this.run(
+                    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = ? AND revoked_at IS NULL`,
+                    [row.family_id]
+                );
+                return { reused: true }; // commit the revocation before failing
+            }
+
+            const user = await this.get(
+                `SELECT id, student_id, name, email, role, dept, token_version FROM users WHERE id = ? AND is_active = 1`,
+                [row.user_id]
+            );
+            if (!user) {
+                throw createRefreshTokenError('Invalid or expired refresh token');
+            }
+
+            await this.run(`UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+            const refreshToken = await this.createRefreshToken(user.id, row.family_id);
+            return { user, refreshToken };
+        });
+
+        if (result.reused) {
+            throw createRefreshTokenError('Refresh token has been revoked');
+        }
+        return result;
+    }
+
+    // Revoke one refresh token of a user (sign out of this device)
+    async revokeRefreshToken(userId, token) {
+        const result = await this.run(
+            `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND token_hash = ? AND revoked_at IS NULL`,
+            [userId, hashToken(String(token))]
+        );
+        return result.changes > 0;
+    }
+
+    // Deny an access token until it would have expired anyway (exp is JWT seconds)
+    async revokeAccessToken(jti, exp) {
+        await this.run(`DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP`);
+        await this.run(
+            `INSERT OR IGNORE INTO revoked_tokens (jti, expires_at) VALUES (?, datetime(?, 'unixepoch'))`,
+            [jti, exp]
+        );
+    }
+
+    // Sign a user out everywhere: outdated token_version rejects their access tokens
+    async revokeAllUserTokens(userId) {
+        return this.transaction(() => this.invalidateUserSessions(userId));
+    }
+
+    // Statements behind revokeAllUserTokens, for callers already inside a transaction
+    async invalidateUserSessions(userId) {
+        await this.run(`UPDATE users SET token_version = token_version + 1 WHERE id = ?`, [userId]);
+        const result = await this.run(
+            `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL`,
+            [userId]
+        );
+        return result.changes;
+    }
+
+    // Checked by authenticateToken on every request: 'valid', 'revoked' or 'inactive'
+    async checkAccessToken(payload) {
+        const user = await this.get(`SELECT token_version, is_active FROM users WHERE id = ?`, [payload.id]);
+        if (!user) return 'revoked';
+        if (!user.is_active) return 'inactive';
+        if (user.token_version !== (payload.tv || 0)) return 'revoked';
+
+        const revoked = payload.jti && await this.get(`SELECT jti FROM revoked_tokens WHERE jti = ?`, [payload.jti]);
+        return revoked ? 'revoked' : 'valid';
+    }
+
+    // Resource type and department behind a classroom, lab, schedule slot, booking request,
+    // booking series or issue ticket, used to check department-scoped permissions
+    async getResourceScope(kind, id) {
+        if (kind === 'classroom' || kind === 'lab') {
+            const row = await this.get(
+                `SELECT d.code AS dept FROM ${kind === 'lab' ? 'labs' : 'classrooms'} r JOIN departments d ON r.department_id = d.id WHERE r.id = ?`,
+                [id]
+            );
+            return row ? { resource_type: kind, dept: row.dept } : null;
+        }
+
+        const tables = { schedule: 'schedules', booking_request: 'booking_requests', booking_series: 'booking_series', issue_ticket: 'issue_tickets' };
+        if (!tables[kind]) return null;
+
+        return await this.get(`
+            SELECT r.resource_type, COALESCE(cd.code, ld.code) AS dept
+            FROM ${tables[kind]} r
+            LEFT JOIN classrooms c ON r.resource_type = 'classroom' AND r.resource_id = c.id
+            LEFT JOIN labs l ON r.resource_type = 'lab' AND r.resource_id = l.id
+            LEFT JOIN departments cd ON c.department_id = cd.id
+            LEFT JOIN departments ld ON l.department_id = ld.id
+            WHERE r.id = ?
+        `, [id]) || null;
+    }
+
     // Classrooms
     getAllClassrooms(filters = {}) {
         return new Promise((resolve, reject) => {
-            let sql = `SELECT * FROM classrooms`;
+            let sql = CLASSROOM_SELECT;
             const params = [];
             const conditions = [];
 
             if (filters.dept && filters.dept !== 'all') {
-                conditions.push('dept = ?');
+                conditions.push('d.code = ?');
                 params.push(filters.dept);
             }
 
+            if (filters.building_id) {
+                conditions.push('f.building_id = ?');
+                params.push(filters.building_id);
+            }
+
+            if (filters.floor_id) {
+                conditions.push('c.floor_id = ?');
+                params.push(filters.floor_id);
+            }
+
             if (filters.search) {
-                conditions.push('(room LIKE ? OR dept LIKE ? OR floor LIKE ?)');
+                conditions.push('(c.room LIKE ? OR d.code LIKE ? OR d.name LIKE ? OR f.name LIKE ? OR b.name LIKE ?)');
                 const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm, searchTerm);
             }
 
             if (conditions.length > 0) {
                 sql += ' WHERE ' + conditions.join(' AND ');
             }
 
-            sql += ' ORDER BY floor, room';
+            sql += ` ORDER BY b.name, ${FLOOR_ORDER}, c.room`;
 
             this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve(rows);
+                else this.attachEquipment('classroom', rows).then(resolve).catch(reject);
             });
         });
     }
 
     getClassroomById(id) {
         return new Promise((resolve, reject) => {
-            this.db.get(`SELECT * FROM classrooms WHERE id = ?`, [id], (err, row) => {
+            this.db.get(`${CLASSROOM_SELECT} WHERE c.id = ?`, [id], (err, row) => {
                 if (err) reject(err);
-                else resolve(row);
+                else if (!row) resolve(row);
+                else this.attachEquipment('classroom', [row]).then(([classroom]) => resolve(classroom)).catch(reject);
             });
         });
     }
 
     createClassroom(classroom) {
         return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO classrooms (room, dept, floor, capacity) VALUES (?, ?, ?, ?)`;
-            this.db.run(sql, [classroom.room, classroom.dept, classroom.floor, classroom.capacity], function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID, ...classroom });
-            });
+            this.insertClassroom(classroom)
+                .then(id => this.getClassroomById(id))
+                .then(resolve)
+                .catch(reject);
         });
     }
 
     updateClassroom(id, classroom) {
         return new Promise((resolve, reject) => {
-            const sql = `UPDATE classrooms SET room = ?, dept = ?, floor = ?, capacity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-            this.db.run(sql, [classroom.room, classroom.dept, classroom.floor, classroom.capacity, id], function(err) {
+            const sql = `UPDATE classrooms SET room = ?, department_id = ?, floor_id = ?, capacity = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
+            this.db.run(sql, [classroom.room, classroom.department_id, classroom.floor_id, classroom.capacity, id], (err) => {
                 if (err) reject(err);
-                else resolve({ id: parseInt(id), ...classroom });
+                else this.getClassroomById(id).then(resolve).catch(reject);
             });
         });
     }
 
-    deleteClassroom(id) {
-        return new Promise((resolve, reject) => {
-            this.db.run(`DELETE FROM classrooms WHERE id = ?`, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ message: 'Classroom deleted successfully' });
-            });
+    async deleteClassroom(id) {
+        await this.transaction(async () => {
+            await this.run(`DELETE FROM room_equipment WHERE resource_type = 'classroom' AND resource_id = ?`, [id]);
+            await this.deleteScheduleExceptionsFor('classroom', id);
+            await this.deleteIssueTickets('classroom', id);
+            await this.run(`DELETE FROM classrooms WHERE id = ?`, [id]);
         });
+        return { message: 'Classroom deleted successfully' };
     }
 
     // Labs
     getAllLabs(filters = {}) {
         return new Promise((resolve, reject) => {
-            let sql = `SELECT * FROM labs`;
+            let sql = LAB_SELECT;
             const params = [];
             const conditions = [];
 
-            if (filters.status && filters.status !== 'all') {
-                conditions.push('status = ?');
-                params.push(filters.status);
+            if (filters.dept && filters.dept !== 'all') {
+                conditions.push('d.code = ?');
+                params.push(filters.dept);
+            }
+
+            if (filters.building_id) {
+                conditions.push('f.building_id = ?');
+                params.push(filters.building_id);
+            }
+
+            if (filters.floor_id) {
+                conditions.push('l.floor_id = ?');
+                params.push(filters.floor_id);
             }
 
             if (filters.search) {
-                conditions.push('(name LIKE ? OR dept LIKE ?)');
+                conditions.push('(l.name LIKE ? OR d.code LIKE ? OR d.name LIKE ? OR b.name LIKE ?)');
                 const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm);
+                params.push(searchTerm, searchTerm, searchTerm, searchTerm);
             }
 
             if (conditions.length > 0) {
                 sql += ' WHERE ' + conditions.join(' AND ');
             }
 
-            sql += ' ORDER BY name';
+            sql += ' ORDER BY l.name';
 
+            // Status depends on the hours and the clock, so it's filtered after they're attached
             this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve(rows);
+                else this.attachEquipment('lab', rows)
+                    .then(labs => this.attachOpeningHours('lab', labs))
+                    .then(labs => filters.status && filters.status !== 'all' ? labs.filter(lab => lab.status === filters.status) : labs)
+                    .then(resolve)
+                    .catch(reject);
             });
         });
     }
 
-    updateLabStatus(id, status) {
+    getLabById(id) {
         return new Promise((resolve, reject) => {
-            this.db.get(`SELECT * FROM labs WHERE id = ?`, [id], (err, lab) => {
-                if (err) {
-                    reject(err);
-                } else if (!lab) {
-                    reject(new Error('Lab not found'));
-                } else {
-                    const sql = `UPDATE labs SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-                    this.db.run(sql, [status, id], function(err) {
-                        if (err) reject(err);
-                        else resolve({ ...lab, status });
-                    });
-                }
+            this.db.get(`${LAB_SELECT} WHERE l.id = ?`, [id], (err, row) => {
+                if (err) reject(err);
+                else if (!row) resolve(row);
+                else this.attachEquipment('lab', [row])
+                    .then(labs => this.attachOpeningHours('lab', labs))
+                    .then(([lab]) => resolve(lab))
+                    .catch(reject);
             });
         });
     }
 
-    // Buses
-    getAllBuses(filters = {}) {
-        return new Promise((resolve, reject) => {
-            let sql = `
-                SELECT b.*, GROUP_CONCAT(bs.stop_name ORDER BY bs.stop_order) as stops_string
-                FROM buses b
-                LEFT JOIN bus_stops bs ON b.id = bs.bus_id
-            `;
-            const params = [];
-            const conditions = [];
+    async createLab(lab) {
+        const id = await this.transaction(() => this.insertLab(lab));
+        return this.getLabById(id);
+    }
 
-            if (filters.search) {
-                conditions.push('(b.number LIKE ? OR b.route LIKE ? OR bs.stop_name LIKE ?)');
-                const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm, searchTerm);
+    // Opening hours left out are kept
+    async updateLab(id, lab) {
+        await this.transaction(async () => {
+            await this.run(
+                `UPDATE labs SET name = ?, department_id = ?, floor_id = ?, room = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [lab.name, lab.department_id, lab.floor_id, lab.room || null, id]
+            );
+            if (lab.opening_hours !== undefined) {
+                await this.setOpeningHours('lab', id, lab.opening_hours);
             }
+        });
+        return this.getLabById(id);
+    }
 
-            if (conditions.length > 0) {
-                sql += ' WHERE ' + conditions.join(' AND ');
+    // Delete a lab together with its weekly schedule and booking requests
+    deleteLab(id) {
+        return this.transaction(async () => {
+            await this.deleteScheduleExceptionsFor('lab', id);
+            const schedules = await this.run(`DELETE FROM schedules WHERE resource_type = 'lab' AND resource_id = ?`, [id]);
+            await this.run(
+                `DELETE FROM booking_request_equipment WHERE booking_request_id IN (SELECT id FROM booking_requests WHERE resource_type = 'lab' AND resource_id = ?)`,
+                [id]
+            );
+            const bookings = await this.run(`DELETE FROM booking_requests WHERE resource_type = 'lab' AND resource_id = ?`, [id]);
+            await this.run(`DELETE FROM booking_series WHERE resource_type = 'lab' AND resource_id = ?`, [id]);
+            await this.run(`DELETE FROM room_equipment WHERE resource_type = 'lab' AND resource_id = ?`, [id]);
+            await this.deleteIssueTickets('lab', id);
+            await this.setOpeningHours('lab', id, []);
+            await this.run(`DELETE FROM opening_hour_exceptions WHERE resource_type = 'lab' AND resource_id = ?`, [id]);
+            const lab = await this.run(`DELETE FROM labs WHERE id = ?`, [id]);
+
+            if (lab.changes === 0) {
+                throw new Error('Lab not found');
             }
 
-            sql += ' GROUP BY b.id ORDER BY b.number';
+            return {
+                message: 'Lab deleted successfully',
+                deleted_schedules: schedules.changes,
+                deleted_booking_requests: bookings.changes
+            };
+        });
+    }
 
-            this.db.all(sql, params, (err, rows) => {
-                if (err) {
-                    reject(err);
+    // Force a lab open or closed until a server-local 'YYYY-MM-DD HH:MM', or pass a null status
+    // to go back to its opening hours
+    async updateLabStatus(id, status, until = null) {
+        const result = await this.run(
+            `UPDATE labs SET status_override = ?, status_override_until = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [status, status ? until : null, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Lab not found');
+        }
+        return this.getLabById(id);
+    }
+
+    // Departments
+
+    // Departments with how many classrooms, labs and staff accounts belong to each
+    async getDepartments() {
+        return this.all(`
+            SELECT d.*,
+                   (SELECT COUNT(*) FROM classrooms c WHERE c.department_id = d.id) AS classroom_count,
+                   (SELECT COUNT(*) FROM labs l WHERE l.department_id = d.id) AS lab_count,
+                   (SELECT COUNT(*) FROM users u WHERE u.dept = d.code COLLATE NOCASE) AS user_count
+            FROM departments d
+            ORDER BY d.code
+        `);
+    }
+
+    async getDepartmentById(id) {
+        return await this.get(`SELECT * FROM departments WHERE id = ?`, [id]) || null;
+    }
+
+    async getDepartmentByCode(code) {
+        return await this.get(`SELECT * FROM departments WHERE code = ?`, [code]) || null;
+    }
+
+    async createDepartment(department) {
+        const id = await this.insertDepartment(department);
+        return this.getDepartmentById(id);
+    }
+
+    // Users are tied to a department by its code, so renaming the code moves them along;
+    // their sessions end since tokens carry the old code
+    async updateDepartment(id, department) {
+        await this.transaction(async () => {
+            const existing = await this.getDepartmentById(id);
+            if (!existing) {
+                throw new Error('Department not found');
+            }
+            await this.run(
+                `UPDATE departments SET code = ?, name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [department.code, department.name, id]
+            );
+            if (existing.code !== department.code) {
+                const users = await this.all(`SELECT id FROM users WHERE dept = ? COLLATE NOCASE`, [existing.code]);
+                await this.run(`UPDATE users SET dept = ? WHERE dept = ? COLLATE NOCASE`, [department.code, existing.code]);
+                for (const user of users) {
+                    await this.invalidateUserSessions(user.id);
+                }
+            }
+        });
+        return this.getDepartmentById(id);
+    }
+
+    async deleteDepartment(id) {
+        const department = await this.getDepartmentById(id);
+        if (!department) {
+            throw new Error('Department not found');
+        }
+        const usage = await this.get(`
+            SELECT (SELECT COUNT(*) FROM classrooms WHERE department_id = ?) +
+                   (SELECT COUNT(*) FROM labs WHERE department_id = ?) AS rooms,
+                   (SELECT COUNT(*) FROM users WHERE dept = ? COLLATE NOCASE) AS users
+        `, [id, id, department.code]);
+        if (usage.rooms > 0 || usage.users > 0) {
+            const error = new Error(`${department.code} still has ${usage.rooms > 0 ? 'classrooms or labs' : 'staff accounts'}; move them first`);
+            error.code = 'DEPARTMENT_IN_USE';
+            throw error;
+        }
+        await this.run(`DELETE FROM departments WHERE id = ?`, [id]);
+        return { message: 'Department deleted successfully' };
+    }
+
+    // Buildings and floors
+
+    // Floors of a building from the ground up, with how many classrooms and labs each has
+    async getFloors(buildingId) {
+        return this.all(`
+            SELECT f.*,
+                   (SELECT COUNT(*) FROM classrooms c WHERE c.floor_id = f.id) AS classroom_count,
+                   (SELECT COUNT(*) FROM labs l WHERE l.floor_id = f.id) AS lab_count
+            FROM floors f
+            WHERE f.building_id = ?
+            ORDER BY ${FLOOR_ORDER}
+        `, [buildingId]);
+    }
+
+    async getFloorById(id) {
+        return await this.get(`SELECT * FROM floors WHERE id = ?`, [id]) || null;
+    }
+
+    async getBuildings() {
+        const buildings = await this.all(`SELECT * FROM buildings ORDER BY name`);
+        for (const building of buildings) {
+            building.floors = await this.getFloors(building.id);
+        }
+        return buildings;
+    }
+
+    async getBuildingById(id) {
+        const building = await this.get(`SELECT * FROM buildings WHERE id = ?`, [id]);
+        if (!building) return null;
+        return { ...building, floors: await this.getFloors(id) };
+    }
+
+    // A building's floors with the classrooms and labs on each, for the campus directory
+    async getBuildingDirectory(id) {
+        const building = await this.getBuildingById(id);
+        if (!building) return null;
+
+        const classrooms = await this.getAllClassrooms({ building_id: id });
+        const labs = await this.getAllLabs({ building_id: id });
+        building.floors = building.floors.map(floor => ({
+            ...floor,
+            classrooms: classrooms.filter(room => room.floor_id === floor.id),
+            labs: labs.filter(lab => lab.floor_id === floor.id)
+        }));
+        return building;
+    }
+
+    async createBuilding(building) {
+        const id = await this.insertBuilding(building);
+        return this.getBuildingById(id);
+    }
+
+    async updateBuilding(id, building) {
+        const result = await this.run(
+            `UPDATE buildings SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [building.name, building.description || null, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Building not found');
+        }
+        return this.getBuildingById(id);
+    }
+
+    // Only a building with no classrooms or labs on any floor can go; its floors go with it
+    async deleteBuilding(id) {
+        await this.transaction(async () => {
+            const building = await this.getBuildingById(id);
+            if (!building) {
+                throw new Error('Building not found');
+            }
+            if (building.floors.some(floor => floor.classroom_count > 0 || floor.lab_count > 0)) {
+                const error = new Error(`${building.name} still has classrooms or labs; move them first`);
+                error.code = 'BUILDING_IN_USE';
+                throw error;
+            }
+            await this.run(`DELETE FROM floors WHERE building_id = ?`, [id]);
+            await this.run(`DELETE FROM buildings WHERE id = ?`, [id]);
+        });
+        return { message: 'Building deleted successfully' };
+    }
+
+    async createFloor(buildingId, floor) {
+        const id = await this.insertFloor({ ...floor, building_id: buildingId });
+        return this.getFloorById(id);
+    }
+
+    async updateFloor(id, floor) {
+        const result = await this.run(
+            `UPDATE floors SET name = ?, level = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [floor.name, floor.level ?? null, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Floor not found');
+        }
+        return this.getFloorById(id);
+    }
+
+    async deleteFloor(id) {
+        const floor = await this.get(`
+            SELECT f.*,
+                   (SELECT COUNT(*) FROM classrooms WHERE floor_id = f.id) + (SELECT COUNT(*) FROM labs WHERE floor_id = f.id) AS rooms
+            FROM floors f WHERE f.id = ?
+        `, [id]);
+        if (!floor) {
+            throw new Error('Floor not found');
+        }
+        if (floor.rooms > 0) {
+            const error = new Error(`${floor.name} still has classrooms or labs; move them first`);
+            error.code = 'FLOOR_IN_USE';
+            throw error;
+        }
+        await this.run(`DELETE FROM floors WHERE id = ?`, [id]);
+        return { message: 'Floor deleted successfully' };
+    }
+
+    // Equipment
+
+    // The catalogue, with how many of each are installed (working and broken) across all rooms
+    async getEquipmentTypes() {
+        return this.all(`
+            SELECT t.*,
+                   COALESCE(SUM(e.working_quantity), 0) AS working_quantity,
+                   COALESCE(SUM(e.broken_quantity), 0) AS broken_quantity,
+                   COUNT(e.id) AS room_count
+            FROM equipment_types t
+            LEFT JOIN room_equipment e ON e.equipment_type_id = t.id
+            GROUP BY t.id
+            ORDER BY t.name
+        `);
+    }
+
+    async getEquipmentTypeById(id) {
+        return this.get(`SELECT * FROM equipment_types WHERE id = ?`, [id]);
+    }
+
+    async createEquipmentType(type) {
+        const id = await this.insertEquipmentType(type);
+        return this.getEquipmentTypeById(id);
+    }
+
+    async updateEquipmentType(id, type) {
+        const { changes } = await this.run(
+            `UPDATE equipment_types SET name = ?, description = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [type.name, type.description || null, id]
+        );
+        if (changes === 0) {
+            throw new Error('Equipment type not found');
+        }
+        return this.getEquipmentTypeById(id);
+    }
+
+    async deleteEquipmentType(id) {
+        const type = await this.get(`
+            SELECT t.*,
+                   (SELECT COUNT(*) FROM room_equipment WHERE equipment_type_id = t.id) AS rooms,
+                   (SELECT COUNT(*) FROM booking_request_equipment WHERE equipment_type_id = t.id) AS bookings
+            FROM equipment_types t WHERE t.id = ?
+        `, [id]);
+        if (!type) {
+            throw new Error('Equipment type not found');
+        }
+        if (type.rooms > 0 || type.bookings > 0) {
+            const error = new Error(`${type.name} is still listed in room inventories or booking requests`);
+            error.code = 'EQUIPMENT_TYPE_IN_USE';
+            throw error;
+        }
+        await this.run(`DELETE FROM equipment_types WHERE id = ?`, [id]);
+        return { message: 'Equipment type deleted successfully' };
+    }
+
+    // Add each room's inventory as `equipment`. Labs also get the summary fields they used to store:
+    // `computers` (working computers), `projector` ('Yes'/'No') and `instruments` (everything else).
+    async attachEquipment(resourceType, rooms) {
+        if (rooms.length === 0) return rooms;
+
+        const rows = await this.all(`
+            SELECT e.resource_id, e.equipment_type_id, t.name, e.working_quantity, e.broken_quantity, e.notes
+            FROM room_equipment e
+            JOIN equipment_types t ON e.equipment_type_id = t.id
+            WHERE e.resource_type = ? AND e.resource_id IN (${rooms.map(() => '?').join(', ')})
+            ORDER BY t.name
+        `, [resourceType, ...rooms.map(room => room.id)]);
+
+        return rooms.map(room => {
+            const equipment = rows
+                .filter(row => row.resource_id === room.id)
+                .map(({ resource_id, ...item }) => item);
+            if (resourceType !== 'lab') {
+                return { ...room, equipment };
+            }
+
+            const working = name => equipment
+                .filter(item => item.name.toLowerCase() === name)
+                .reduce((sum, item) => sum + item.working_quantity, 0);
+            const instruments = equipment
+                .filter(item => ![COMPUTER_EQUIPMENT, PROJECTOR_EQUIPMENT].includes(item.name.toLowerCase()) && item.working_quantity > 0)
+                .map(item => item.working_quantity > 1 ? `${item.name} (${item.working_quantity})` : item.name)
+                .join(', ');
+            return {
+                ...room,
+                computers: working(COMPUTER_EQUIPMENT),
+                projector: working(PROJECTOR_EQUIPMENT) > 0 ? 'Yes' : 'No',
+                instruments: instruments || 'None',
+                equipment
+            };
+        });
+    }
+
+    // Replace a room's inventory with entries of { equipment_type_id, working_quantity, broken_quantity, notes }
+    async setRoomEquipment(resourceType, resourceId, entries) {
+        await this.transaction(async () => {
+            await this.run(`DELETE FROM room_equipment WHERE resource_type = ? AND resource_id = ?`, [resourceType, resourceId]);
+            for (const entry of entries) {
+                await this.insertRoomEquipment(resourceType, resourceId, entry);
+            }
+        });
+        return resourceType === 'lab' ? this.getLabById(resourceId) : this.getClassroomById(resourceId);
+    }
+
+    // Classrooms and labs with at least the required number of working items of each type.
+    // `requirements` is a list of { equipment_type_id, quantity }.
+    async findRoomsWithEquipment(requirements, filters = {}) {
+        const { type, dept, building_id } = filters;
+        const rooms = [];
+        if (!type || type === 'all' || type === 'classroom') {
+            const classrooms = await this.getAllClassrooms({ dept, building_id });
+            classrooms.forEach(room => rooms.push({ resource_type: 'classroom', name: `Room ${room.room}`, ...room }));
+        }
+        if (!type || type === 'all' || type === 'lab') {
+            const labs = await this.getAllLabs({ dept, building_id });
+            labs.forEach(lab => rooms.push({ resource_type: 'lab', ...lab }));
+        }
+        return rooms.filter(room => meetsEquipmentRequirements(room.equipment, requirements));
+    }
+
+    // Issue Tickets
+
+    // Newest first within unresolved-then-resolved and severity order. Filters: status ('active' for
+    // anything not resolved), priority, resource_type, resource_id, reporter_id, assignee_id
+    async getIssueTickets(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.status === 'active') {
+            conditions.push(`t.status != 'resolved'`);
+        } else if (filters.status && filters.status !== 'all') {
+            conditions.push('t.status = ?');
+            params.push(filters.status);
+        }
+        for (const field of ['priority', 'resource_type', 'resource_id', 'reporter_id', 'assignee_id']) {
+            if (filters[field] !== undefined && filters[field] !== null && filters[field] !== '') {
+                conditions.push(`t.${field} = ?`);
+                params.push(filters[field]);
+            }
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.all(`${ISSUE_SELECT} ${where} ORDER BY ${ISSUE_ORDER}`, params);
+    }
+
+    // A ticket with its comments, oldest first
+    async getIssueTicketById(id) {
+        const ticket = await this.get(`${ISSUE_SELECT} WHERE t.id = ?`, [id]);
+        if (!ticket) return null;
+
+        ticket.comments = await this.all(`
+            SELECT c.id, c.user_id, u.name AS user_name, c.body, c.created_at
+            FROM issue_ticket_comments c
+            LEFT JOIN users u ON c.user_id = u.id
+            WHERE c.ticket_id = ?
+            ORDER BY c.created_at, c.id
+        `, [id]);
+        return ticket;
+    }
+
+    async createIssueTicket(ticket) {
+        const { lastID } = await this.run(
+            `INSERT INTO issue_tickets (resource_type, resource_id, category, priority, description, reporter_id) VALUES (?, ?, ?, ?, ?, ?)`,
+            [ticket.resource_type, ticket.resource_id, ticket.category, ticket.priority || 'medium', ticket.description, ticket.reporter_id]
+        );
+        return this.getIssueTicketById(lastID);
+    }
+
+    // Change status, priority, category or assignee_id (null unassigns); fields left out are kept.
+    // Resolving stamps resolved_at and reopening clears it.
+    async updateIssueTicket(id, changes) {
+        const assignments = [];
+        const params = [];
+        for (const field of ['status', 'priority', 'category', 'assignee_id']) {
+            if (changes[field] !== undefined) {
+                assignments.push(`${field} = ?`);
+                params.push(changes[field]);
+            }
+        }
+        if (changes.status !== undefined) {
+            assignments.push(`resolved_at = CASE WHEN ? = 'resolved' THEN COALESCE(resolved_at, CURRENT_TIMESTAMP) END`);
+            params.push(changes.status);
+        }
+
+        const result = await this.run(
+            `UPDATE issue_tickets SET ${[...assignments, 'updated_at = CURRENT_TIMESTAMP'].join(', ')} WHERE id = ?`,
+            [...params, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Issue ticket not found');
+        }
+        return this.getIssueTicketById(id);
+    }
+
+    async addIssueComment(ticketId, userId, body) {
+        return this.transaction(async () => {
+            const ticket = await this.run(`UPDATE issue_tickets SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [ticketId]);
+            if (ticket.changes === 0) {
+                throw new Error('Issue ticket not found');
+            }
+            const { lastID } = await this.run(
+                `INSERT INTO issue_ticket_comments (ticket_id, user_id, body) VALUES (?, ?, ?)`,
+                [ticketId, userId, body]
+            );
+            return { id: lastID, ticket_id: Number(ticketId), user_id: userId, body };
+        });
+    }
+
+    // Remove the tickets filed against a resource that is being deleted, with their comments
+    async deleteIssueTickets(resourceType, resourceId) {
+        await this.run(
+            `DELETE FROM issue_ticket_comments WHERE ticket_id IN (SELECT id FROM issue_tickets WHERE resource_type = ? AND resource_id = ?)`,
+            [resourceType, resourceId]
+        );
+        await this.run(`DELETE FROM issue_tickets WHERE resource_type = ? AND resource_id = ?`, [resourceType, resourceId]);
+    }
+
+    // Buses
+
+    // Bus routes with their stops (names in outbound order) and trips. A trip's `times` follow
+    // the order it visits the stops: outbound trips run along `stops`, inbound trips in reverse.
+    async getAllBuses(filters = {}) {
+        let sql = `SELECT * FROM buses`;
+        const params = [];
+
+        if (filters.search) {
+            sql += ` WHERE number LIKE ? OR route LIKE ? OR id IN (SELECT bus_id FROM bus_stops WHERE stop_name LIKE ?)`;
+            const searchTerm = `%${filters.search}%`;
+            params.push(searchTerm, searchTerm, searchTerm);
+        }
+
+        sql += ' ORDER BY number';
+        return this.attachBusTimetables(await this.all(sql, params));
+    }
+
+    async getBusById(id) {
+        const bus = await this.get(`SELECT * FROM buses WHERE id = ?`, [id]);
+        return bus ? (await this.attachBusTimetables([bus]))[0] : null;
+    }
+
+    // Distinct stop names across all routes
+    async getBusStopNames() {
+        const rows = await this.all(`SELECT DISTINCT stop_name FROM bus_stops ORDER BY stop_name`);
+        return rows.map(row => row.stop_name);
+    }
+
+    // Upcoming trips that stop at `from` and later at `to`, from date/time on. Looks up to
+    // BUS_LOOKAHEAD_DAYS ahead, on each day's service (holiday service on holidays), until
+    // `limit` departures are found.
+    async getNextBusDepartures({ from, to, date, time, limit = 5 }) {
+        const buses = await this.getAllBuses();
+        const holidays = await this.getHolidays({ from: date, to: addDays(date, BUS_LOOKAHEAD_DAYS - 1) });
+        const departures = [];
+
+        for (let offset = 0; offset < BUS_LOOKAHEAD_DAYS && departures.length < limit; offset++) {
+            const day = addDays(date, offset);
+            const trips = findTripsBetween(buses, from, to, busServiceForDate(day, holidays))
+                .filter(trip => offset > 0 || trip.departure_time >= time);
+
+            for (const { bus, trip, ...times } of trips) {
+                departures.push({
+                    date: day,
+                    ...times,
+                    duration_minutes: timeToMinutes(times.arrival_time) - timeToMinutes(times.departure_time),
+                    bus_id: bus.id,
+                    number: bus.number,
+                    route: bus.route,
+                    trip_id: trip.id,
+                    direction: trip.direction,
+                    service: trip.service
+                });
+            }
+        }
+        return departures.slice(0, limit);
+    }
+
+    // Add stops and trips (sorted by departure) to bus rows
+    async attachBusTimetables(buses) {
+        if (buses.length === 0) return buses;
+
+        const ids = buses.map(bus => bus.id);
+        const placeholders = ids.map(() => '?').join(', ');
+        const stops = await this.all(
+            `SELECT bus_id, stop_name, stop_order FROM bus_stops WHERE bus_id IN (${placeholders}) ORDER BY stop_order`,
+            ids
+        );
+        const trips = await this.all(`SELECT * FROM bus_trips WHERE bus_id IN (${placeholders}) ORDER BY id`, ids);
+        const stopTimes = await this.all(
+            `SELECT st.trip_id, st.stop_order, st.arrival_time
+             FROM bus_stop_times st
+             JOIN bus_trips t ON st.trip_id = t.id
+             WHERE t.bus_id IN (${placeholders})`,
+            ids
+        );
+
+        const timesByTrip = new Map();
+        for (const row of stopTimes) {
+            if (!timesByTrip.has(row.trip_id)) timesByTrip.set(row.trip_id, new Map());
+            timesByTrip.get(row.trip_id).set(row.stop_order, row.arrival_time);
+        }
+
+        return buses.map(bus => {
+            const busStops = stops.filter(stop => stop.bus_id === bus.id);
+            const orders = busStops.map(stop => stop.stop_order);
+
+            const busTrips = trips
+                .filter(trip => trip.bus_id === bus.id)
+                .map(trip => {
+                    const times = timesByTrip.get(trip.id) || new Map();
+                    const travelOrder = trip.direction === 'inbound' ? orders.slice().reverse() : orders;
+                    return {
+                        id: trip.id,
+                        direction: trip.direction,
+                        service: trip.service,
+                        times: travelOrder.map(order => times.get(order) || null)
+                    };
+                })
+                .sort((a, b) => (a.times[0] || '').localeCompare(b.times[0] || ''));
+
+            return { ...bus, stops: busStops.map(stop => stop.stop_name), trips: busTrips };
+        });
+    }
+
+    // Insert the stops and trips of a route; busData.trips[].times follow each trip's travel order
+    async insertBusTimetable(busId, busData) {
+        const stops = busData.stops || [];
+        for (let i = 0; i < stops.length; i++) {
+            await this.insertBusStop(busId, stops[i], i + 1);
+        }
+
+        for (const trip of busData.trips || []) {
+            const result = await this.run(
+                `INSERT INTO bus_trips (bus_id, direction, service) VALUES (?, ?, ?)`,
+                [busId, trip.direction, trip.service]
+            );
+            for (let i = 0; i < stops.length; i++) {
+                const stopOrder = trip.direction === 'inbound' ? stops.length - i : i + 1;
+                await this.run(
+                    `INSERT INTO bus_stop_times (trip_id, stop_order, arrival_time) VALUES (?, ?, ?)`,
+                    [result.lastID, stopOrder, trip.times[i] || null]
+                );
+            }
+        }
+    }
+
+    // Remove a route's stops and trips
+    async deleteBusTimetable(busId) {
+        await this.run(`DELETE FROM bus_stop_times WHERE trip_id IN (SELECT id FROM bus_trips WHERE bus_id = ?)`, [busId]);
+        await this.run(`DELETE FROM bus_trips WHERE bus_id = ?`, [busId]);
+        await this.run(`DELETE FROM bus_stops WHERE bus_id = ?`, [busId]);
+    }
+
+    async createBus(busData) {
+        const busId = await this.transaction(async () => {
+            const id = await this.insertBus(busData);
+            await this.insertBusTimetable(id, busData);
+            return id;
+        });
+        return this.getBusById(busId);
+    }
+
+    // Replace a route's details, stops and trips
+    async updateBus(id, busData) {
+        await this.transaction(async () => {
+            const bus = await this.run(
+                `UPDATE buses SET number = ?, route = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [busData.number, busData.route, id]
+            );
+            if (bus.changes === 0) {
+                throw new Error('Bus not found');
+            }
+
+            await this.deleteBusTimetable(id);
+            await this.insertBusTimetable(id, busData);
+        });
+        return this.getBusById(id);
+    }
+
+    deleteBus(id) {
+        return this.transaction(async () => {
+            await this.deleteBusTimetable(id);
+            await this.deleteIssueTickets('bus', id);
+            const bus = await this.run(`DELETE FROM buses WHERE id = ?`, [id]);
+            if (bus.changes === 0) {
+                throw new Error('Bus not found');
+            }
+            return { message: 'Bus route deleted successfully' };
+        });
+    }
+
+    // Known coordinates of bus stops, by stop name
+    getBusStopLocations() {
+        return this.all(`SELECT stop_name, latitude, longitude FROM bus_stop_locations ORDER BY stop_name`);
+    }
+
+    getBusStopLocation(stopName) {
+        return this.get(`SELECT stop_name, latitude, longitude FROM bus_stop_locations WHERE stop_name = ?`, [stopName]);
+    }
+
+    // Every stop a route serves with its coordinates (null until they are set)
+    getBusStopsWithLocations() {
+        return this.all(
+            `SELECT DISTINCT s.stop_name, l.latitude, l.longitude
+             FROM bus_stops s
+             LEFT JOIN bus_stop_locations l ON l.stop_name = s.stop_name
+             ORDER BY s.stop_name`
+        );
+    }
+
+    // Set the coordinates of a stop that some route serves
+    async setBusStopLocation(stopName, { latitude, longitude }) {
+        const served = await this.get(`SELECT 1 FROM bus_stops WHERE stop_name = ? LIMIT 1`, [stopName]);
+        if (!served) {
+            throw new Error('Bus stop not found');
+        }
+
+        await this.run(
+            `INSERT INTO bus_stop_locations (stop_name, latitude, longitude) VALUES (?, ?, ?)
+             ON CONFLICT(stop_name) DO UPDATE SET latitude = excluded.latitude, longitude = excluded.longitude, updated_at = CURRENT_TIMESTAMP`,
+            [stopName, latitude, longitude]
+        );
+        return this.getBusStopLocation(stopName);
+    }
+
+    async deleteBusStopLocation(stopName) {
+        const result = await this.run(`DELETE FROM bus_stop_locations WHERE stop_name = ?`, [stopName]);
+        if (result.changes === 0) {
+            throw new Error('Bus stop location not found');
+        }
+        return { message: 'Bus stop location removed successfully' };
+    }
+
+    // Replace every bus route, its timetable and the stop locations in one go (GTFS imports).
+    // buses are shaped like createBus() input; locations are { stop_name, latitude, longitude }.
+    // Issue tickets follow their route to its new id by route number; those of dropped routes go.
+    replaceBusRoutes({ buses, locations = [] }) {
+        return this.transaction(async () => {
+            const previous = await this.get(`SELECT COUNT(*) AS count FROM buses`);
+            const previousNumbers = await this.all(`SELECT id, number FROM buses`);
+            await this.exec(`
+                DELETE FROM bus_stop_times;
+                DELETE FROM bus_trips;
+                DELETE FROM bus_stops;
+                DELETE FROM buses;
+                DELETE FROM bus_stop_locations;
+            `);
+
+            const newIds = new Map();
+            for (const bus of buses) {
+                const id = await this.insertBus(bus);
+                await this.insertBusTimetable(id, bus);
+                newIds.set(String(bus.number), id);
+            }
+
+            // Negative ids keep a moved ticket from being matched again as another route's old id
+            for (const { id, number } of previousNumbers) {
+                if (newIds.has(String(number))) {
+                    await this.run(
+                        `UPDATE issue_tickets SET resource_id = ? WHERE resource_type = 'bus' AND resource_id = ?`,
+                        [-newIds.get(String(number)), id]
+                    );
                 } else {
-                    // Convert stops_string to stops array
-                    const buses = rows.map(row => ({
-                        ...row,
-                        stops: row.stops_string ? row.stops_string.split(',') : [],
-                        stops_string: undefined
-                    }));
-                    resolve(buses);
+                    await this.deleteIssueTickets('bus', id);
+                }
+            }
+            await this.run(`UPDATE issue_tickets SET resource_id = -resource_id WHERE resource_type = 'bus' AND resource_id < 0`);
+
+            for (const location of locations) {
+                await this.run(
+                    `INSERT INTO bus_stop_locations (stop_name, latitude, longitude) VALUES (?, ?, ?)`,
+                    [location.stop_name, location.latitude, location.longitude]
+                );
+            }
+
+            return {
+                routes: buses.length,
+                trips: buses.reduce((total, bus) => total + bus.trips.length, 0),
+                stops: new Set(buses.flatMap(bus => bus.stops)).size,
+                replaced: previous.count
+            };
+        });
+    }
+
+    // Cafeteria
+    /**
+     * Menu items by category and name. Filters: cafeteria_id, category, availability, search, diet (tags an
+     * item must all have), exclude_allergens (allergens it must not contain), max_spice and
+     * max_calories (items without stated calories are left out).
+     */
+    async getAllMenuItems(filters = {}) {
+        let sql = `SELECT * FROM cafeteria_menu`;
+        const params = [];
+        const conditions = [];
+
+        if (filters.cafeteria_id) {
+            conditions.push('cafeteria_id = ?');
+            params.push(filters.cafeteria_id);
+        }
+
+        if (filters.category && filters.category !== 'all') {
+            conditions.push('category = ?');
+            params.push(filters.category);
+        }
+
+        if (filters.availability && filters.availability !== 'all') {
+            conditions.push('availability = ?');
+            params.push(filters.availability);
+        }
+
+        if (filters.search) {
+            conditions.push('(name LIKE ? OR description LIKE ?)');
+            const searchTerm = `%${filters.search}%`;
+            params.push(searchTerm, searchTerm);
+        }
+
+        for (const tag of filters.diet || []) {
+            conditions.push('EXISTS (SELECT 1 FROM cafeteria_menu_dietary_tags t WHERE t.menu_item_id = cafeteria_menu.id AND t.tag = ?)');
+            params.push(tag);
+        }
+
+        if (filters.exclude_allergens && filters.exclude_allergens.length > 0) {
+            const placeholders = filters.exclude_allergens.map(() => '?').join(', ');
+            conditions.push(`NOT EXISTS (SELECT 1 FROM cafeteria_menu_allergens a WHERE a.menu_item_id = cafeteria_menu.id AND a.allergen IN (${placeholders}))`);
+            params.push(...filters.exclude_allergens);
+        }
+
+        if (filters.max_spice !== undefined) {
+            conditions.push('COALESCE(spice_level, 0) <= ?');
+            params.push(filters.max_spice);
+        }
+
+        if (filters.max_calories !== undefined) {
+            conditions.push('calories <= ?');
+            params.push(filters.max_calories);
+        }
+
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+
+        sql += ' ORDER BY category, name';
+
+        return this.attachMenuLabels(await this.all(sql, params));
+    }
+
+    async getMenuItemById(id) {
+        const item = await this.get(`SELECT * FROM cafeteria_menu WHERE id = ?`, [id]);
+        return item && (await this.attachMenuLabels([item]))[0];
+    }
+
+    // Add dietary_tags and allergens (sorted name lists) to menu items
+    async attachMenuLabels(items) {
+        if (items.length === 0) return items;
+
+        const placeholders = items.map(() => '?').join(', ');
+        const ids = items.map(item => item.id);
+        const tags = await this.all(
+            `SELECT menu_item_id, tag FROM cafeteria_menu_dietary_tags WHERE menu_item_id IN (${placeholders}) ORDER BY tag`,
+            ids
+        );
+        const allergens = await this.all(
+            `SELECT menu_item_id, allergen FROM cafeteria_menu_allergens WHERE menu_item_id IN (${placeholders}) ORDER BY allergen`,
+            ids
+        );
+
+        return items.map(item => ({
+            ...item,
+            dietary_tags: tags.filter(row => row.menu_item_id === item.id).map(row => row.tag),
+            allergens: allergens.filter(row => row.menu_item_id === item.id).map(row => row.allergen)
+        }));
+    }
+
+    // Replace the dietary tags and allergens of a menu item; lists left undefined are kept
+    async setMenuItemLabels(id, { dietary_tags, allergens }) {
+        if (dietary_tags !== undefined) {
+            await this.run(`DELETE FROM cafeteria_menu_dietary_tags WHERE menu_item_id = ?`, [id]);
+            for (const tag of new Set(dietary_tags)) {
+                await this.run(`INSERT INTO cafeteria_menu_dietary_tags (menu_item_id, tag) VALUES (?, ?)`, [id, tag]);
+            }
+        }
+        if (allergens !== undefined) {
+            await this.run(`DELETE FROM cafeteria_menu_allergens WHERE menu_item_id = ?`, [id]);
+            for (const allergen of new Set(allergens)) {
+                await this.run(`INSERT INTO cafeteria_menu_allergens (menu_item_id, allergen) VALUES (?, ?)`, [id, allergen]);
+            }
+        }
+    }
+
+    async createMenuItem(item) {
+        const id = await this.transaction(() => this.insertMenuItem(item));
+        return this.getMenuItemById(id);
+    }
+
+    // Update a menu item. Calories, spice level, dietary tags and allergens that are left out
+    // keep their current values, so older clients can't wipe allergen information by accident.
+    async updateMenuItem(id, item) {
+        await this.transaction(async () => {
+            const result = await this.run(
+                `UPDATE cafeteria_menu SET name = ?, description = ?, price = ?, category = ?, availability = ?, daily_stock = ?,
+                    calories = CASE WHEN ? THEN ? ELSE calories END,
+                    spice_level = CASE WHEN ? THEN ? ELSE spice_level END,
+                    updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [
+                    item.name, item.description, item.price, item.category, item.availability, item.daily_stock ?? null,
+                    item.calories !== undefined, item.calories ?? null,
+                    item.spice_level !== undefined, item.spice_level ?? null,
+                    id
+                ]
+            );
+            if (result.changes === 0) {
+                throw new Error('Menu item not found');
+            }
+            await this.setMenuItemLabels(id, item);
+        });
+        return this.getMenuItemById(id);
+    }
+
+    async deleteMenuItem(id) {
+        await this.transaction(async () => {
+            await this.run(`DELETE FROM cafeteria_menu_dietary_tags WHERE menu_item_id = ?`, [id]);
+            await this.run(`DELETE FROM cafeteria_menu_allergens WHERE menu_item_id = ?`, [id]);
+            await this.run(`DELETE FROM cafeteria_menu_plan_items WHERE menu_item_id = ?`, [id]);
+            await this.run(`DELETE FROM cafeteria_menu_rotation WHERE menu_item_id = ?`, [id]);
+            await this.deleteIssueTickets('menu_item', id);
+            await this.run(`DELETE FROM cafeteria_menu WHERE id = ?`, [id]);
+        });
+        return { message: 'Menu item deleted successfully' };
+    }
+
+    // Opening hours of labs and cafeterias
+
+    async setOpeningHours(resourceType, resourceId, hours) {
+        await this.run(`DELETE FROM opening_hours WHERE resource_type = ? AND resource_id = ?`, [resourceType, resourceId]);
+        for (const range of hours) {
+            await this.run(
+                `INSERT INTO opening_hours (resource_type, resource_id, day_of_week, open_time, close_time) VALUES (?, ?, ?, ?, ?)`,
+                [resourceType, resourceId, range.day_of_week, range.open_time, range.close_time]
+            );
+        }
+    }
+
+    // Add to lab or cafeteria rows their weekly `opening_hours` ([{ day_of_week, open_time, close_time }]
+    // in week order), `hours` (a readable summary), `opening_exceptions` from today on, `hours_today`
+    // and whether they're open right now as `status`. An unexpired manual override decides a lab's
+    // status; `scheduled_status` is what its hours alone say.
+    async attachOpeningHours(resourceType, rows) {
+        if (rows.length === 0) return rows;
+
+        const today = formatLocalDate();
+        const time = formatLocalTime();
+        const placeholders = rows.map(() => '?').join(', ');
+        const ids = rows.map(row => row.id);
+        const hours = await this.all(
+            `SELECT resource_id, day_of_week, open_time, close_time FROM opening_hours
+             WHERE resource_type = ? AND resource_id IN (${placeholders}) ORDER BY open_time`,
+            [resourceType, ...ids]
+        );
+        const exceptions = await this.all(
+            `SELECT resource_id, date, open_time, close_time, reason FROM opening_hour_exceptions
+             WHERE resource_type = ? AND resource_id IN (${placeholders}) AND date >= ? ORDER BY date`,
+            [resourceType, ...ids, today]
+        );
+
+        return rows.map(row => {
+            const openingHours = DAYS_OF_WEEK
+                .flatMap(day => hours.filter(range => range.resource_id === row.id && range.day_of_week === day))
+                .map(({ resource_id, ...range }) => range);
+            const openingExceptions = exceptions
+                .filter(exception => exception.resource_id === row.id)
+                .map(({ resource_id, ...exception }) => exception);
+            const todayRanges = openingRangesOn(today, openingHours, openingExceptions);
+            const scheduled = isOpenAt(todayRanges, time) ? 'open' : 'closed';
+            const described = {
+                ...row,
+                opening_hours: openingHours,
+                hours: summarizeOpeningHours(openingHours),
+                opening_exceptions: openingExceptions,
+                hours_today: todayRanges.map(range => `${range.open_time}-${range.close_time}`).join(', ') || 'Closed',
+                status: scheduled
+            };
+            if (resourceType !== 'lab') {
+                return described;
+            }
+
+            const overridden = row.status_override && (!row.status_override_until || row.status_override_until > `${today} ${time}`);
+            return {
+                ...described,
+                status: overridden ? row.status_override : scheduled,
+                scheduled_status: scheduled,
+                status_override: overridden ? row.status_override : null,
+                status_override_until: overridden ? row.status_override_until : null
+            };
+        });
+    }
+
+    // Different hours on one date, or closed all day when open_time is null; replaces any
+    // exception already on that date. Returns the updated lab or cafeteria.
+    async setOpeningException(resourceType, resourceId, exception) {
+        await this.run(
+            `INSERT INTO opening_hour_exceptions (resource_type, resource_id, date, open_time, close_time, reason)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON CONFLICT (resource_type, resource_id, date)
+             DO UPDATE SET open_time = excluded.open_time, close_time = excluded.close_time, reason = excluded.reason`,
+            [resourceType, resourceId, exception.date, exception.open_time || null, exception.close_time || null, exception.reason || null]
+        );
+        return resourceType === 'lab' ? this.getLabById(resourceId) : this.getCafeteriaById(resourceId);
+    }
+
+    async deleteOpeningException(resourceType, resourceId, date) {
+        const result = await this.run(
+            `DELETE FROM opening_hour_exceptions WHERE resource_type = ? AND resource_id = ? AND date = ?`,
+            [resourceType, resourceId, date]
+        );
+        if (result.changes === 0) {
+            throw new Error('Opening exception not found');
+        }
+        return resourceType === 'lab' ? this.getLabById(resourceId) : this.getCafeteriaById(resourceId);
+    }
+
+    // Cafeterias
+
+    // Add opening hours (see attachOpeningHours) to a cafeterias row
+    async describeCafeteria(row) {
+        const [cafeteria] = await this.attachOpeningHours('cafeteria', [{ ...row, is_default: !!row.is_default }]);
+        return cafeteria;
+    }
+
+    // Outlets with the default one first
+    async getCafeterias() {
+        const rows = await this.all(`SELECT * FROM cafeterias ORDER BY is_default DESC, name`);
+        return this.attachOpeningHours('cafeteria', rows.map(row => ({ ...row, is_default: !!row.is_default })));
+    }
+
+    async getCafeteriaById(id) {
+        const row = await this.get(`SELECT * FROM cafeterias WHERE id = ?`, [id]);
+        return row ? this.describeCafeteria(row) : null;
+    }
+
+    // The outlet behind the single-cafeteria /api/cafeteria/* endpoints
+    async getDefaultCafeteria() {
+        const row = await this.get(`SELECT * FROM cafeterias WHERE is_default = 1`);
+        return row ? this.describeCafeteria(row) : null;
+    }
+
+    async setDefaultCafeteria(id) {
+        await this.run(`UPDATE cafeterias SET is_default = CASE WHEN id = ? THEN 1 ELSE 0 END`, [id]);
+    }
+
+    async createCafeteria(cafeteria) {
+        const id = await this.transaction(() => this.insertCafeteria(cafeteria));
+        return this.getCafeteriaById(id);
+    }
+
+    // Update an outlet. A name or opening hours left out are kept, so the old
+    // { location, contact, hours } info form still works.
+    async updateCafeteria(id, cafeteria) {
+        await this.transaction(async () => {
+            const result = await this.run(
+                `UPDATE cafeterias SET name = COALESCE(?, name), location = ?, contact = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [cafeteria.name ?? null, cafeteria.location, cafeteria.contact, id]
+            );
+            if (result.changes === 0) {
+                throw new Error('Cafeteria not found');
+            }
+            if (cafeteria.opening_hours !== undefined) {
+                await this.setOpeningHours('cafeteria', id, cafeteria.opening_hours);
+            }
+            if (cafeteria.is_default) {
+                await this.setDefaultCafeteria(id);
+            }
+        });
+        return this.getCafeteriaById(id);
+    }
+
+    // Menu items, pickup slots and the orders behind them belong to one outlet, so only an
+    // outlet without any can go; the default outlet can't
+    async deleteCafeteria(id) {
+        await this.transaction(async () => {
+            const cafeteria = await this.get(`SELECT * FROM cafeterias WHERE id = ?`, [id]);
+            if (!cafeteria) {
+                throw new Error('Cafeteria not found');
+            }
+            const usage = await this.get(`
+                SELECT (SELECT COUNT(*) FROM cafeteria_menu WHERE cafeteria_id = ?) AS items,
+                       (SELECT COUNT(*) FROM cafeteria_pickup_slots WHERE cafeteria_id = ?) AS slots
+            `, [id, id]);
+            if (cafeteria.is_default || usage.items > 0 || usage.slots > 0) {
+                const error = new Error(cafeteria.is_default
+                    ? 'The default outlet cannot be deleted; make another outlet the default first'
+                    : `${cafeteria.name} still has menu items or pickup slots; remove them first`);
+                error.code = 'CAFETERIA_IN_USE';
+                throw error;
+            }
+            await this.run(
+                `DELETE FROM cafeteria_menu_plan_items WHERE plan_id IN (SELECT id FROM cafeteria_menu_plans WHERE cafeteria_id = ?)`,
+                [id]
+            );
+            await this.run(`DELETE FROM cafeteria_menu_plans WHERE cafeteria_id = ?`, [id]);
+            await this.setOpeningHours('cafeteria', id, []);
+            await this.run(`DELETE FROM opening_hour_exceptions WHERE resource_type = 'cafeteria' AND resource_id = ?`, [id]);
+            await this.run(`DELETE FROM cafeterias WHERE id = ?`, [id]);
+        });
+        return { message: 'Cafeteria deleted successfully' };
+    }
+
+    // Portions of each menu item ordered for a pickup date (cancelled orders don't count)
+    async getOrderedQuantities(date) {
+        const rows = await this.all(`
+            SELECT oi.menu_item_id, SUM(oi.quantity) AS quantity
+            FROM cafeteria_order_items oi
+            JOIN cafeteria_orders o ON oi.order_id = o.id
+            WHERE o.pickup_date = ? AND o.status != 'cancelled'
+            GROUP BY oi.menu_item_id
+        `, [date]);
+        return new Map(rows.map(row => [row.menu_item_id, row.quantity]));
+    }
+
+    // Add stock_remaining for a pickup date to menu items (null unless the item is limited
+    // with a daily stock)
+    async attachMenuStock(items, date) {
+        const ordered = await this.getOrderedQuantities(date);
+        return items.map(item => ({
+            ...item,
+            stock_remaining: item.availability === 'limited' && item.daily_stock !== null
+                ? Math.max(item.daily_stock - (ordered.get(item.id) || 0), 0)
+                : null
+        }));
+    }
+
+    // Menu Plans
+
+    // Meal periods in serving order
+    getMealPeriods() {
+        return this.all(`SELECT * FROM cafeteria_meal_periods ORDER BY start_time`);
+    }
+
+    /**
+     * An outlet's menu of each meal period on `date` as [{ period, source, item_ids }]. A dated
+     * plan ('plan') wins over the weekly rotation ('rotation'); until the outlet has a rotation,
+     * periods without a plan serve its whole catalogue ('catalogue', item_ids null).
+     */
+    async getDayMenu(cafeteriaId, date) {
+        const periods = await this.getMealPeriods();
+        const plans = await this.all(`
+            SELECT p.period, pi.menu_item_id
+            FROM cafeteria_menu_plans p
+            LEFT JOIN cafeteria_menu_plan_items pi ON pi.plan_id = p.id
+            WHERE p.cafeteria_id = ? AND p.date = ?
+            ORDER BY pi.menu_item_id
+        `, [cafeteriaId, date]);
+        // The rotation belongs to an outlet through its menu items
+        const rotation = await this.all(`
+            SELECT r.day_of_week, r.period, r.menu_item_id
+            FROM cafeteria_menu_rotation r
+            JOIN cafeteria_menu m ON r.menu_item_id = m.id
+            WHERE m.cafeteria_id = ?
+            ORDER BY r.menu_item_id
+        `, [cafeteriaId]);
+        const hasRotation = rotation.length > 0;
+        const dayOfWeek = getDayOfWeek(date);
+        const todaysRotation = rotation.filter(row => row.day_of_week === dayOfWeek);
+
+        const itemIds = (rows, period) => rows
+            .filter(row => row.period === period && row.menu_item_id !== null)
+            .map(row => row.menu_item_id);
+
+        return periods.map(({ name }) => {
+            if (plans.some(row => row.period === name)) {
+                return { period: name, source: 'plan', item_ids: itemIds(plans, name) };
+            }
+            if (hasRotation) {
+                return { period: name, source: 'rotation', item_ids: itemIds(todaysRotation, name) };
+            }
+            return { period: name, source: 'catalogue', item_ids: null };
+        });
+    }
+
+    // Set of the menu item ids served on `date` in `period` (any period when null), or null
+    // when the whole catalogue is served
+    async getServedMenuItemIds(cafeteriaId, date, period = null) {
+        const menus = (await this.getDayMenu(cafeteriaId, date)).filter(menu => !period || menu.period === period);
+        if (menus.some(menu => menu.item_ids === null)) return null;
+        return new Set(menus.flatMap(menu => menu.item_ids));
+    }
+
+    // An outlet's menus of every date from `from` to `to` (inclusive), for the menu planner
+    async getMenuPlans(cafeteriaId, from, to) {
+        const days = [];
+        for (let date = from; date <= to; date = addDays(date, 1)) {
+            days.push({ date, day_of_week: getDayOfWeek(date), periods: await this.getDayMenu(cafeteriaId, date) });
+        }
+        return days;
+    }
+
+    // Replace the plans dated `from` to `to` with [{ date, period, item_ids }]. Periods left
+    // out go back to the rotation; an empty item_ids means the period isn't served that day.
+    async replaceMenuPlans(cafeteriaId, from, to, entries) {
+        await this.transaction(async () => {
+            await this.run(
+                `DELETE FROM cafeteria_menu_plan_items WHERE plan_id IN
+                    (SELECT id FROM cafeteria_menu_plans WHERE cafeteria_id = ? AND date BETWEEN ? AND ?)`,
+                [cafeteriaId, from, to]
+            );
+            await this.run(`DELETE FROM cafeteria_menu_plans WHERE cafeteria_id = ? AND date BETWEEN ? AND ?`, [cafeteriaId, from, to]);
+
+            for (const entry of entries) {
+                const plan = await this.run(
+                    `INSERT INTO cafeteria_menu_plans (cafeteria_id, date, period) VALUES (?, ?, ?)`,
+                    [cafeteriaId, entry.date, entry.period]
+                );
+                for (const menuItemId of new Set(entry.item_ids)) {
+                    await this.run(
+                        `INSERT INTO cafeteria_menu_plan_items (plan_id, menu_item_id) VALUES (?, ?)`,
+                        [plan.lastID, menuItemId]
+                    );
+                }
+            }
+        });
+        return this.getMenuPlans(cafeteriaId, from, to);
+    }
+
+    // An outlet's weekly rotation as [{ day_of_week, period, item_ids }] for every weekday and period
+    async getMenuRotation(cafeteriaId) {
+        const periods = await this.getMealPeriods();
+        const rows = await this.all(`
+            SELECT r.* FROM cafeteria_menu_rotation r
+            JOIN cafeteria_menu m ON r.menu_item_id = m.id
+            WHERE m.cafeteria_id = ?
+            ORDER BY r.menu_item_id
+        `, [cafeteriaId]);
+        return DAYS_OF_WEEK.flatMap(day => periods.map(({ name }) => ({
+            day_of_week: day,
+            period: name,
+            item_ids: rows.filter(row => row.day_of_week === day && row.period === name).map(row => row.menu_item_id)
+        })));
+    }
+
+    // Replace an outlet's whole rotation with [{ day_of_week, period, item_ids }]
+    async replaceMenuRotation(cafeteriaId, entries) {
+        await this.transaction(async () => {
+            await this.run(
+                `DELETE FROM cafeteria_menu_rotation WHERE menu_item_id IN (SELECT id FROM cafeteria_menu WHERE cafeteria_id = ?)`,
+                [cafeteriaId]
+            );
+            for (const entry of entries) {
+                for (const menuItemId of new Set(entry.item_ids)) {
+                    await this.run(
+                        `INSERT INTO cafeteria_menu_rotation (day_of_week, period, menu_item_id) VALUES (?, ?, ?)`,
+                        [entry.day_of_week, entry.period, menuItemId]
+                    );
+                }
+            }
+        });
+        return this.getMenuRotation(cafeteriaId);
+    }
+
+    // Pickup Slots
+
+    // An outlet's pickup slots by start time, with the orders booked into each on `date` and the room left
+    async getPickupSlots({ cafeteria_id, date, includeInactive = false } = {}) {
+        const slots = await this.all(`
+            SELECT s.*, COUNT(o.id) AS booked
+            FROM cafeteria_pickup_slots s
+            LEFT JOIN cafeteria_orders o ON o.slot_id = s.id AND o.pickup_date = ? AND o.status != 'cancelled'
+            WHERE s.cafeteria_id = ? ${includeInactive ? '' : 'AND s.is_active = 1'}
+            GROUP BY s.id
+            ORDER BY s.start_time
+        `, [date, cafeteria_id]);
+        return slots.map(slot => ({ ...slot, is_active: !!slot.is_active, remaining: Math.max(slot.capacity - slot.booked, 0) }));
+    }
+
+    async getPickupSlotById(id) {
+        const slot = await this.get(`SELECT * FROM cafeteria_pickup_slots WHERE id = ?`, [id]);
+        return slot ? { ...slot, is_active: !!slot.is_active } : null;
+    }
+
+    async createPickupSlot(slot) {
+        const result = await this.run(
+            `INSERT INTO cafeteria_pickup_slots (cafeteria_id, start_time, end_time, capacity, is_active) VALUES (?, ?, ?, ?, ?)`,
+            [slot.cafeteria_id, slot.start_time, slot.end_time, slot.capacity, slot.is_active === false ? 0 : 1]
+        );
+        return this.getPickupSlotById(result.lastID);
+    }
+
+    async updatePickupSlot(id, slot) {
+        const result = await this.run(
+            `UPDATE cafeteria_pickup_slots SET start_time = ?, end_time = ?, capacity = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [slot.start_time, slot.end_time, slot.capacity, slot.is_active === false ? 0 : 1, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Pickup slot not found');
+        }
+        return this.getPickupSlotById(id);
+    }
+
+    // Slots that orders were ever placed for are kept for the order history; deactivate those instead
+    async deletePickupSlot(id) {
+        const orders = await this.get(`SELECT COUNT(*) AS count FROM cafeteria_orders WHERE slot_id = ?`, [id]);
+        if (orders.count > 0) {
+            throw createOrderError('Pickup slot has orders; deactivate it instead');
+        }
+        const result = await this.run(`DELETE FROM cafeteria_pickup_slots WHERE id = ?`, [id]);
+        if (result.changes === 0) {
+            throw new Error('Pickup slot not found');
+        }
+        return { message: 'Pickup slot deleted successfully' };
+    }
+
+    // Cafeteria Orders
+
+    // Orders with their items, outlet, pickup slot and customer. filters: cafeteria_id, user_id, date, status
+    async getCafeteriaOrders(filters = {}) {
+        let sql = `
+            SELECT o.*, c.name AS cafeteria_name, s.start_time AS slot_start, s.end_time AS slot_end, u.name AS user_name, u.student_id
+            FROM cafeteria_orders o
+            JOIN cafeteria_pickup_slots s ON o.slot_id = s.id
+            LEFT JOIN cafeterias c ON o.cafeteria_id = c.id
+            LEFT JOIN users u ON o.user_id = u.id
+        `;
+        const conditions = [];
+        const params = [];
+
+        if (filters.id) {
+            conditions.push('o.id = ?');
+            params.push(filters.id);
+        }
+        if (filters.cafeteria_id) {
+            conditions.push('o.cafeteria_id = ?');
+            params.push(filters.cafeteria_id);
+        }
+        if (filters.user_id) {
+            conditions.push('o.user_id = ?');
+            params.push(filters.user_id);
+        }
+        if (filters.date) {
+            conditions.push('o.pickup_date = ?');
+            params.push(filters.date);
+        }
+        if (filters.status) {
+            conditions.push('o.status = ?');
+            params.push(filters.status);
+        }
+        if (conditions.length > 0) {
+            sql += ' WHERE ' + conditions.join(' AND ');
+        }
+        sql += filters.user_id
+            ? ' ORDER BY o.pickup_date DESC, s.start_time DESC, o.id DESC'
+            : ' ORDER BY o.pickup_date, s.start_time, o.id';
+
+        const orders = await this.all(sql, params);
+        if (orders.length === 0) return orders;
+
+        const items = await this.all(
+            `SELECT * FROM cafeteria_order_items WHERE order_id IN (${orders.map(() => '?').join(', ')}) ORDER BY id`,
+            orders.map(order => order.id)
+        );
+        return orders.map(order => ({
+            ...order,
+            items: items
+                .filter(item => item.order_id === order.id)
+                .map(({ menu_item_id, name, price, quantity }) => ({ menu_item_id, name, price, quantity }))
+        }));
+    }
+
+    async getCafeteriaOrderById(id) {
+        const [order] = await this.getCafeteriaOrders({ id });
+        return order || null;
+    }
+
+    /**
+     * Place a pre-order: { pickup_date, slot_id, items: [{ menu_item_id, quantity }], notes }.
+     * The order goes to the outlet of the pickup slot and may only hold that outlet's items.
+     * Refuses orders for a full pickup slot (SLOT_FULL) or beyond the day's stock of a limited
+     * item (OUT_OF_STOCK). Prices are taken from the menu at the time of ordering.
+     */
+    async createCafeteriaOrder(userId, order) {
+        const orderId = await this.transaction(async () => {
+            const slot = await this.getPickupSlotById(order.slot_id);
+            if (!slot) {
+                throw createOrderError('Pickup slot not found');
+            }
+            if (!slot.is_active) {
+                throw createOrderError(`The ${slot.start_time} - ${slot.end_time} pickup slot is not taking orders`);
+            }
+            const booked = await this.get(
+                `SELECT COUNT(*) AS count FROM cafeteria_orders WHERE slot_id = ? AND pickup_date = ? AND status != 'cancelled'`,
+                [slot.id, order.pickup_date]
+            );
+            if (booked.count >= slot.capacity) {
+                throw createOrderError(`The ${slot.start_time} - ${slot.end_time} pickup slot on ${order.pickup_date} is full`, 'SLOT_FULL');
+            }
+
+            // The same item listed twice counts as one line
+            const quantities = new Map();
+            for (const item of order.items) {
+                const id = parseInt(item.menu_item_id);
+                quantities.set(id, (quantities.get(id) || 0) + item.quantity);
+            }
+
+            const ordered = await this.getOrderedQuantities(order.pickup_date);
+            const served = await this.getServedMenuItemIds(slot.cafeteria_id, order.pickup_date);
+            const lines = [];
+            for (const [menuItemId, quantity] of quantities) {
+                const menuItem = await this.getMenuItemById(menuItemId);
+                if (!menuItem) {
+                    throw createOrderError(`Menu item ${menuItemId} not found`);
+                }
+                if (menuItem.cafeteria_id !== slot.cafeteria_id) {
+                    throw createOrderError(`${menuItem.name} is not sold at this outlet`);
+                }
+                if (served && !served.has(menuItemId)) {
+                    throw createOrderError(`${menuItem.name} is not on the menu on ${order.pickup_date}`);
+                }
+                if (menuItem.availability === 'limited' && menuItem.daily_stock !== null) {
+                    const remaining = menuItem.daily_stock - (ordered.get(menuItemId) || 0);
+                    if (quantity > remaining) {
+                        throw createOrderError(
+                            remaining > 0
+                                ? `Only ${remaining} ${menuItem.name} left for ${order.pickup_date}`
+                                : `${menuItem.name} is sold out for ${order.pickup_date}`,
+                            'OUT_OF_STOCK'
+                        );
+                    }
+                }
+                lines.push({ menuItem, quantity });
+            }
+
+            const total = lines.reduce((sum, line) => sum + line.menuItem.price * line.quantity, 0);
+            const result = await this.run(
+                `INSERT INTO cafeteria_orders (cafeteria_id, user_id, pickup_date, slot_id, total, notes) VALUES (?, ?, ?, ?, ?, ?)`,
+                [slot.cafeteria_id, userId, order.pickup_date, slot.id, Math.round(total * 100) / 100, order.notes || null]
+            );
+            for (const { menuItem, quantity } of lines) {
+                await this.run(
+                    `INSERT INTO cafeteria_order_items (order_id, menu_item_id, name, price, quantity) VALUES (?, ?, ?, ?, ?)`,
+                    [result.lastID, menuItem.id, menuItem.name, menuItem.price, quantity]
+                );
+            }
+            return result.lastID;
+        });
+        return this.getCafeteriaOrderById(orderId);
+    }
+
+    // Move an order along placed -> preparing -> ready -> collected, or cancel it before collection
+    async updateCafeteriaOrderStatus(id, status) {
+        await this.transaction(async () => {
+            const order = await this.get(`SELECT status FROM cafeteria_orders WHERE id = ?`, [id]);
+            if (!order) {
+                throw new Error('Order not found');
+            }
+            if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+                throw createOrderError(`A ${order.status} order can't be marked ${status}`);
+            }
+            await this.run(`UPDATE cafeteria_orders SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [status, id]);
+        });
+        return this.getCafeteriaOrderById(id);
+    }
+
+    // An outlet's orders for a pickup date by status and slot, and what has to be prepared
+    // (cancelled orders are counted but left out of quantities and revenue)
+    async getCafeteriaOrderSummary(cafeteriaId, date) {
+        const byStatus = Object.fromEntries(Object.keys(ORDER_TRANSITIONS).map(status => [status, 0]));
+        const statusRows = await this.all(
+            `SELECT status, COUNT(*) AS count, SUM(total) AS total FROM cafeteria_orders WHERE cafeteria_id = ? AND pickup_date = ? GROUP BY status`,
+            [cafeteriaId, date]
+        );
+        statusRows.forEach(row => {
+            byStatus[row.status] = row.count;
+        });
+
+        const items = await this.all(`
+            SELECT oi.menu_item_id, oi.name, SUM(oi.quantity) AS quantity, SUM(oi.quantity * oi.price) AS revenue
+            FROM cafeteria_order_items oi
+            JOIN cafeteria_orders o ON oi.order_id = o.id
+            WHERE o.cafeteria_id = ? AND o.pickup_date = ? AND o.status != 'cancelled'
+            GROUP BY oi.menu_item_id, oi.name
+            ORDER BY quantity DESC, oi.name
+        `, [cafeteriaId, date]);
+
+        const slots = (await this.getPickupSlots({ cafeteria_id: cafeteriaId, date, includeInactive: true }))
+            .filter(slot => slot.is_active || slot.booked > 0)
+            .map(({ id, start_time, end_time, capacity, booked }) => ({ id, start_time, end_time, capacity, orders: booked }));
+
+        const revenue = statusRows
+            .filter(row => row.status !== 'cancelled')
+            .reduce((sum, row) => sum + row.total, 0);
+
+        return {
+            cafeteria_id: cafeteriaId,
+            date,
+            orders: statusRows.reduce((sum, row) => sum + row.count, 0),
+            by_status: byStatus,
+            revenue: Math.round(revenue * 100) / 100,
+            items,
+            slots
+        };
+    }
+
+    // Schedule Methods
+
+    // Find other slots of the same resource that overlap a slot on its weekday in a term they share
+    async findScheduleConflicts(schedule, excludeId = null) {
+        const sql = `SELECT s.*, t.start_date AS term_start, t.end_date AS term_end FROM schedules s
+                    LEFT JOIN academic_terms t ON s.term_id = t.id
+                    WHERE s.resource_type = ? AND s.resource_id = ? AND s.day_of_week = ?
+                      AND s.start_time < ? AND s.end_time > ? AND s.id != ?
+                    ORDER BY s.start_time`;
+        const rows = await this.all(sql, [schedule.resource_type, schedule.resource_id, schedule.day_of_week, schedule.end_time, schedule.start_time, excludeId || 0]);
+        const term = schedule.term_id ? await this.getAcademicTermById(schedule.term_id) : null;
+        return rows
+            .filter(row => termsOverlap(term, row.term_id ? { start_date: row.term_start, end_date: row.term_end } : null))
+            .map(({ term_start, term_end, ...slot }) => slot);
+    }
+
+    // Check that the classroom, lab, bus or menu item a slot or ticket refers to exists
+    async resourceExists(resourceType, resourceId) {
+        const table = RESOURCE_TABLES[resourceType];
+        if (!table) return false;
+        const row = await this.get(`SELECT id FROM ${table} WHERE id = ?`, [resourceId]);
+        return !!row;
+    }
+
+    // Validate fields, resource and overlaps, rejecting with an INVALID_SCHEDULE or SCHEDULE_CONFLICT error
+    async validateSchedule(schedule, excludeId = null) {
+        const errors = getScheduleErrors(schedule);
+        if (errors.length > 0) {
+            throw createScheduleError(errors);
+        }
+
+        if (!(await this.resourceExists(schedule.resource_type, schedule.resource_id))) {
+            throw createScheduleError([`${schedule.resource_type} ${schedule.resource_id} does not exist`]);
+        }
+        if (schedule.term_id && !(await this.getAcademicTermById(schedule.term_id))) {
+            throw createScheduleError([`term ${schedule.term_id} does not exist`]);
+        }
+
+        const conflicts = await this.findScheduleConflicts(schedule, excludeId);
+        if (conflicts.length > 0) {
+            const error = new Error('Schedule overlaps an existing slot');
+            error.code = 'SCHEDULE_CONFLICT';
+            error.conflicts = conflicts;
+            throw error;
+        }
+    }
+
+    createSchedule(schedule) {
+        return new Promise(async (resolve, reject) => {
+            try {
+                await this.validateSchedule(schedule);
+
+                const sql = `INSERT INTO schedules (resource_type, resource_id, day_of_week, start_time, end_time, subject, instructor, course_code, term_id) 
+                            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+                this.db.run(sql, [
+                    schedule.resource_type,
+                    schedule.resource_id,
+                    schedule.day_of_week,
+                    schedule.start_time,
+                    schedule.end_time,
+                    schedule.subject,
+                    schedule.instructor || null,
+                    schedule.course_code || null,
+                    schedule.term_id || null
+                ], function(err) {
+                    if (err) reject(err);
+                    else resolve({ id: this.lastID, ...schedule });
+                });
+            } catch (error) {
+                reject(error);
+            }
+        });
+    }
+
+    // Weekly slots of a room with their term's name and dates and their exceptions from today on
+    getSchedulesByResource(resourceType, resourceId, dayOfWeek = null) {
+        return new Promise((resolve, reject) => {
+            let sql = `SELECT s.*, t.name AS term_name, t.start_date AS term_start, t.end_date AS term_end
+                       FROM schedules s LEFT JOIN academic_terms t ON s.term_id = t.id
+                       WHERE s.resource_type = ? AND s.resource_id = ?`;
+            const params = [resourceType, resourceId];
+
+            if (dayOfWeek) {
+                sql += ' AND s.day_of_week = ?';
+                params.push(dayOfWeek);
+            }
+
+            sql += ' ORDER BY s.day_of_week, s.start_time';
+
+            this.db.all(sql, params, (err, rows) => {
+                if (err) reject(err);
+                else this.attachScheduleExceptions(rows).then(resolve).catch(reject);
+            });
+        });
+    }
+
+    // Add each slot's `exceptions` from today on
+    async attachScheduleExceptions(schedules) {
+        if (schedules.length === 0) return schedules;
+        const exceptions = await this.all(
+            `SELECT * FROM schedule_exceptions WHERE schedule_id IN (${schedules.map(() => '?').join(', ')}) AND date >= ? ORDER BY date`,
+            [...schedules.map(schedule => schedule.id), formatLocalDate()]
+        );
+        return schedules.map(schedule => ({ ...schedule, exceptions: exceptions.filter(e => e.schedule_id === schedule.id) }));
+    }
+
+    updateSchedule(scheduleId, updates) {
+        return new Promise((resolve, reject) => {
+            const fields = [];
+            const values = [];
+
+            if (updates.day_of_week) {
+                fields.push('day_of_week = ?');
+                values.push(updates.day_of_week);
+            }
+            if (updates.start_time) {
+                fields.push('start_time = ?');
+                values.push(updates.start_time);
+            }
+            if (updates.end_time) {
+                fields.push('end_time = ?');
+                values.push(updates.end_time);
+            }
+            if (updates.subject) {
+                fields.push('subject = ?');
+                values.push(updates.subject);
+            }
+            if (updates.instructor !== undefined) {
+                fields.push('instructor = ?');
+                values.push(updates.instructor);
+            }
+            if (updates.course_code !== undefined) {
+                fields.push('course_code = ?');
+                values.push(updates.course_code);
+            }
+            if (updates.term_id !== undefined) {
+                fields.push('term_id = ?');
+                values.push(updates.term_id || null);
+            }
+
+            if (fields.length === 0) {
+                return reject(new Error('No fields to update'));
+            }
+
+            fields.push('updated_at = CURRENT_TIMESTAMP');
+            values.push(scheduleId);
+
+            this.get(`SELECT * FROM schedules WHERE id = ?`, [scheduleId])
+                .then(existing => {
+                    if (!existing) throw new Error('Schedule not found');
+                    // Validate the slot as it will look after the update
+                    return this.validateSchedule({ ...existing, ...updates, resource_type: existing.resource_type, resource_id: existing.resource_id }, existing.id);
+                })
+                .then(() => {
+                    const sql = `UPDATE schedules SET ${fields.join(', ')} WHERE id = ?`;
+
+                    const db = this;
+                    this.db.run(sql, values, function(err) {
+                        if (err) reject(err);
+                        else db.pruneScheduleExceptions(scheduleId).then(() => resolve({ id: scheduleId, changes: this.changes })).catch(reject);
+                    });
+                })
+                .catch(reject);
+        });
+    }
+
+    getScheduleById(scheduleId) {
+        return this.get(`SELECT * FROM schedules WHERE id = ?`, [scheduleId]);
+    }
+
+    deleteSchedule(scheduleId) {
+        return this.transaction(async () => {
+            await this.run(`DELETE FROM schedule_exceptions WHERE schedule_id = ?`, [scheduleId]);
+            const result = await this.run(`DELETE FROM schedules WHERE id = ?`, [scheduleId]);
+            return { deleted: result.changes };
+        });
+    }
+
+    // Academic Calendar
+
+    // Terms by start date, with how many weekly slots belong to each
+    getAcademicTerms() {
+        return this.all(`
+            SELECT t.*, (SELECT COUNT(*) FROM schedules s WHERE s.term_id = t.id) AS schedule_count
+            FROM academic_terms t
+            ORDER BY t.start_date, t.name
+        `);
+    }
+
+    getAcademicTermById(id) {
+        return this.get(`SELECT * FROM academic_terms WHERE id = ?`, [id]);
+    }
+
+    async createAcademicTerm(term) {
+        const { lastID } = await this.run(
+            `INSERT INTO academic_terms (name, start_date, end_date) VALUES (?, ?, ?)`,
+            [term.name, term.start_date, term.end_date]
+        );
+        return this.getAcademicTermById(lastID);
+    }
+
+    // Exceptions on dates a term no longer covers are dropped with it
+    async updateAcademicTerm(id, term) {
+        await this.transaction(async () => {
+            const result = await this.run(
+                `UPDATE academic_terms SET name = ?, start_date = ?, end_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+                [term.name, term.start_date, term.end_date, id]
+            );
+            if (result.changes === 0) {
+                throw new Error('Academic term not found');
+            }
+            const schedules = await this.all(`SELECT id FROM schedules WHERE term_id = ?`, [id]);
+            for (const schedule of schedules) {
+                await this.pruneScheduleExceptions(schedule.id);
+            }
+        });
+        return this.getAcademicTermById(id);
+    }
+
+    // Only a term without weekly slots can go
+    async deleteAcademicTerm(id) {
+        const term = await this.get(
+            `SELECT t.*, (SELECT COUNT(*) FROM schedules s WHERE s.term_id = t.id) AS schedule_count FROM academic_terms t WHERE t.id = ?`,
+            [id]
+        );
+        if (!term) {
+            throw new Error('Academic term not found');
+        }
+        if (term.schedule_count > 0) {
+            const error = new Error(`${term.name} still has weekly classes; move or delete them first`);
+            error.code = 'TERM_IN_USE';
+            throw error;
+        }
+        await this.run(`DELETE FROM academic_terms WHERE id = ?`, [id]);
+        return { message: 'Academic term deleted successfully' };
+    }
+
+    // Holidays by start date; with from/to only those touching that date range
+    getHolidays(filters = {}) {
+        const conditions = [];
+        const params = [];
+        if (filters.from) {
+            conditions.push('end_date >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('start_date <= ?');
+            params.push(filters.to);
+        }
+        return this.all(
+            `SELECT * FROM holidays ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''} ORDER BY start_date, name`,
+            params
+        );
+    }
+
+    getHolidayById(id) {
+        return this.get(`SELECT * FROM holidays WHERE id = ?`, [id]);
+    }
+
+    async createHoliday(holiday) {
+        const { lastID } = await this.run(
+            `INSERT INTO holidays (name, start_date, end_date) VALUES (?, ?, ?)`,
+            [holiday.name, holiday.start_date, holiday.end_date]
+        );
+        return this.getHolidayById(lastID);
+    }
+
+    async updateHoliday(id, holiday) {
+        const result = await this.run(
+            `UPDATE holidays SET name = ?, start_date = ?, end_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [holiday.name, holiday.start_date, holiday.end_date, id]
+        );
+        if (result.changes === 0) {
+            throw new Error('Holiday not found');
+        }
+        return this.getHolidayById(id);
+    }
+
+    async deleteHoliday(id) {
+        const result = await this.run(`DELETE FROM holidays WHERE id = ?`, [id]);
+        if (result.changes === 0) {
+            throw new Error('Holiday not found');
+        }
+        return { message: 'Holiday deleted successfully' };
+    }
+
+    // A slot's exception on a date, with the slot's room and subject
+    getScheduleException(scheduleId, date) {
+        return this.get(`
+            SELECT e.*, s.resource_type, s.resource_id, s.subject, s.day_of_week, s.start_time, s.end_time
+            FROM schedule_exceptions e
+            JOIN schedules s ON e.schedule_id = s.id
+            WHERE e.schedule_id = ? AND e.date = ?
+        `, [scheduleId, date]);
+    }
+
+    // Exceptions of a room's slots and those moving classes into the room, with the slots' details
+    getScheduleExceptionsForRoom(resourceType, resourceId) {
+        return this.all(`
+            SELECT e.*, s.resource_type, s.resource_id, s.subject, s.instructor, s.course_code, s.term_id,
+                   s.day_of_week, s.start_time, s.end_time
+            FROM schedule_exceptions e
+            JOIN schedules s ON e.schedule_id = s.id
+            WHERE (s.resource_type = ? AND s.resource_id = ?) OR (e.new_resource_type = ? AND e.new_resource_id = ?)
+            ORDER BY e.date
+        `, [resourceType, resourceId, resourceType, resourceId]);
+    }
+
+    /**
+     * Cancel or move ({ date, type, new_date, new_start_time, new_end_time, new_resource_type,
+     * new_resource_id, reason }) the occurrence of a slot on one date, replacing any exception
+     * already there. Rejects with INVALID_SCHEDULE if the slot doesn't meet on that date or the
+     * target is invalid, and with SCHEDULE_CONFLICT if the target room is taken at the new time.
+     */
+    async setScheduleException(scheduleId, exception, userId) {
+        const schedule = await this.getScheduleById(scheduleId);
+        if (!schedule) {
+            throw new Error('Schedule not found');
+        }
+        const term = schedule.term_id ? await this.getAcademicTermById(schedule.term_id) : null;
+        if (!occursOn(schedule, term, exception.date)) {
+            throw createScheduleError([`${schedule.subject} does not meet on ${exception.date}`]);
+        }
+
+        if (exception.type !== 'cancelled') {
+            const target = movedOccurrence({ ...schedule, date: exception.date }, exception);
+            if (target.start_time >= target.end_time) {
+                throw createScheduleError(['start_time must be before end_time']);
+            }
+            if (!(await this.resourceExists(target.resource_type, target.resource_id))) {
+                throw createScheduleError([`${target.resource_type} ${target.resource_id} does not exist`]);
+            }
+
+            const overlaps = entry => entry.start_time < target.end_time && entry.end_time > target.start_time;
+            const { occurrences } = await this.getScheduleOccurrences(target.date, target.date, target);
+            const bookings = await this.all(
+                `SELECT id, program_name, date, start_time, end_time FROM booking_requests
+                 WHERE resource_type = ? AND resource_id = ? AND date = ? AND status = 'approved'`,
+                [target.resource_type, target.resource_id, target.date]
+            );
+            const conflicts = [
+                ...occurrences.filter(occurrence => occurrence.id !== schedule.id && overlaps(occurrence)),
+                ...bookings.filter(overlaps).map(booking => ({
+                    booking_id: booking.id,
+                    subject: booking.program_name,
+                    date: booking.date,
+                    day_of_week: getDayOfWeek(booking.date),
+                    start_time: booking.start_time,
+                    end_time: booking.end_time
+                }))
+            ];
+            if (conflicts.length > 0) {
+                const error = new Error('The new time overlaps a class or approved booking');
+                error.code = 'SCHEDULE_CONFLICT';
+                error.conflicts = conflicts;
+                throw error;
+            }
+        }
+
+        await this.run(
+            `INSERT INTO schedule_exceptions
+             (schedule_id, date, type, new_date, new_start_time, new_end_time, new_resource_type, new_resource_id, reason, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (schedule_id, date) DO UPDATE SET
+                type = excluded.type, new_date = excluded.new_date, new_start_time = excluded.new_start_time,
+                new_end_time = excluded.new_end_time, new_resource_type = excluded.new_resource_type,
+                new_resource_id = excluded.new_resource_id, reason = excluded.reason,
+                created_by = excluded.created_by, updated_at = CURRENT_TIMESTAMP`,
+            [
+                scheduleId,
+                exception.date,
+                exception.type,
+                exception.new_date || null,
+                exception.new_start_time || null,
+                exception.new_end_time || null,
+                exception.new_resource_type || null,
+                exception.new_resource_id || null,
+                exception.reason || null,
+                userId
+            ]
+        );
+        return this.getScheduleException(scheduleId, exception.date);
+    }
+
+    // Put a slot's occurrence on a date back to normal; returns the removed exception
+    async deleteScheduleException(scheduleId, date) {
+        const exception = await this.getScheduleException(scheduleId, date);
+        if (!exception) {
+            throw new Error('Schedule exception not found');
+        }
+        await this.run(`DELETE FROM schedule_exceptions WHERE id = ?`, [exception.id]);
+        return exception;
+    }
+
+    // Drop a slot's exceptions on dates it no longer meets after its weekday or term changed
+    async pruneScheduleExceptions(scheduleId) {
+        const schedule = await this.getScheduleById(scheduleId);
+        if (!schedule) return;
+        const term = schedule.term_id ? await this.getAcademicTermById(schedule.term_id) : null;
+        const exceptions = await this.all(`SELECT id, date FROM schedule_exceptions WHERE schedule_id = ?`, [scheduleId]);
+        for (const exception of exceptions.filter(e => !occursOn(schedule, term, e.date))) {
+            await this.run(`DELETE FROM schedule_exceptions WHERE id = ?`, [exception.id]);
+        }
+    }
+
+    // Exceptions of a room's slots and those moving classes into it, when the room goes
+    async deleteScheduleExceptionsFor(resourceType, resourceId) {
+        await this.run(
+            `DELETE FROM schedule_exceptions
+             WHERE schedule_id IN (SELECT id FROM schedules WHERE resource_type = ? AND resource_id = ?)
+                OR (new_resource_type = ? AND new_resource_id = ?)`,
+            [resourceType, resourceId, resourceType, resourceId]
+        );
+    }
+
+    // Weekly slots resolved into dated occurrences from `from` to `to` with terms, holidays and
+    // exceptions applied (see academic-calendar.js). With a { resource_type, resource_id }
+    // only the occurrences held in that room and the ones cancelled or moved out of it are kept.
+    async getScheduleOccurrences(from, to, resource = null) {
+        const schedules = await this.all(`SELECT * FROM schedules`);
+        const terms = await this.all(`SELECT * FROM academic_terms`);
+        const holidays = await this.getHolidays({ from, to });
+        const exceptions = await this.all(
+            `SELECT * FROM schedule_exceptions WHERE (date BETWEEN ? AND ?) OR (new_date BETWEEN ? AND ?)`,
+            [from, to, from, to]
+        );
+        const resolved = resolveOccurrences({ schedules, terms, holidays, exceptions }, from, to);
+        if (!resource) return resolved;
+
+        const inRoom = entry => entry.resource_type === resource.resource_type && entry.resource_id === Number(resource.resource_id);
+        return { occurrences: resolved.occurrences.filter(inRoom), cancelled: resolved.cancelled.filter(inRoom) };
+    }
+
+    // What takes up a classroom or lab from `from` to `to`: its classes as they actually happen
+    // and approved bookings (`kind` 'class' or 'booking') in date and time order, plus the
+    // holidays in the range and the classes cancelled or moved elsewhere
+    async getRoomOccupancy(resourceType, resourceId, from, to) {
+        const { occurrences, cancelled } = await this.getScheduleOccurrences(from, to, { resource_type: resourceType, resource_id: resourceId });
+        const bookings = await this.all(
+            `SELECT id, program_name, description, date, start_time, end_time, user_id, series_id FROM booking_requests
+             WHERE resource_type = ? AND resource_id = ? AND status = 'approved' AND date BETWEEN ? AND ?`,
+            [resourceType, resourceId, from, to]
+        );
+
+        return {
+            resource_type: resourceType,
+            resource_id: Number(resourceId),
+            from,
+            to,
+            holidays: await this.getHolidays({ from, to }),
+            occupancy: [
+                ...occurrences.map(occurrence => ({ kind: 'class', ...occurrence })),
+                ...bookings.map(booking => ({ kind: 'booking', ...booking, day_of_week: getDayOfWeek(booking.date) }))
+            ].sort((a, b) => a.date.localeCompare(b.date) || a.start_time.localeCompare(b.start_time)),
+            cancelled
+        };
+    }
+
+    // Availability
+
+    // Classrooms and labs with no class or approved booking overlapping the given date and time range.
+    // Labs use their working computer count as capacity. Results are ordered by fit: the smallest room that
+    // still meets min_capacity (and the equipment requirements, if any) comes first.
+    async getAvailableResources(query) {
+        const { date, start_time, end_time, type, min_capacity, dept, building_id, equipment = [] } = query;
+        const minCapacity = parseInt(min_capacity) || 0;
+
+        const resources = [];
+        if (!type || type === 'all' || type === 'classroom') {
+            const classrooms = await this.getAllClassrooms({ dept, building_id });
+            classrooms.forEach(room => resources.push({
+                resource_type: 'classroom',
+                id: room.id,
+                name: `Room ${room.room}`,
+                dept: room.dept,
+                building_id: room.building_id,
+                location: `${room.floor}, ${room.building}`,
+                capacity: room.capacity,
+                equipment: room.equipment
+            }));
+        }
+        if (!type || type === 'all' || type === 'lab') {
+            const labs = await this.getAllLabs({ dept, building_id });
+            labs.filter(lab => labOpenDuring(lab, date, start_time, end_time)).forEach(lab => resources.push({
+                resource_type: 'lab',
+                id: lab.id,
+                name: lab.name,
+                dept: lab.dept,
+                building_id: lab.building_id,
+                location: lab.location,
+                capacity: lab.computers,
+                projector: lab.projector,
+                hours: lab.hours,
+                equipment: lab.equipment
+            }));
+        }
+
+        // Everything that occupies a room on that day, from classes and approved bookings
+        const { occurrences: slots } = await this.getScheduleOccurrences(date, date);
+        const bookings = await this.all(
+            `SELECT resource_type, resource_id, start_time, end_time FROM booking_requests WHERE date = ? AND status = 'approved'`,
+            [date]
+        );
+        const occupied = [...slots, ...bookings];
+
+        return resources
+            .filter(resource => resource.capacity >= minCapacity && meetsEquipmentRequirements(resource.equipment, equipment))
+            .map(resource => {
+                const own = occupied.filter(o => o.resource_type === resource.resource_type && o.resource_id === resource.id);
+                if (own.some(o => o.start_time < end_time && o.end_time > start_time)) {
+                    return null;
+                }
+                // When the room is next taken after the requested window, if at all that day
+                const next = own
+                    .filter(o => o.start_time >= end_time)
+                    .sort((a, b) => a.start_time.localeCompare(b.start_time))[0];
+                return { ...resource, free_until: next ? next.start_time : null };
+            })
+            .filter(Boolean)
+            .sort((a, b) => (a.capacity - b.capacity) || a.name.localeCompare(b.name));
+    }
+
+    // Import a weekly timetable for many resources in one transaction.
+    // Each record has resource_type plus resource_id or resource (room number / lab name), and
+    // optionally term_id or term (its name).
+    // With replace set, existing slots of every resource in the import are removed first, only
+    // those in the same term (or without one) as the imported rows.
+    // Nothing is written if any row fails; the error carries per-row messages.
+    async importSchedules(records, options = {}) {
+        const classrooms = await this.all(`SELECT id, room FROM classrooms`);
+        const labs = await this.all(`SELECT id, name FROM labs`);
+        const terms = await this.all(`SELECT * FROM academic_terms`);
+        const rowErrors = [];
+        const slots = [];
+
+        records.forEach((record, index) => {
+            const shapeErrors = getImportRowShapeErrors(record);
+            if (shapeErrors.length > 0) {
+                rowErrors.push({ row: index + 1, errors: shapeErrors });
+                return;
+            }
+
+            const resourceName = record.resource === undefined || record.resource === null ? '' : String(record.resource);
+            const slot = {
+                resource_type: (record.resource_type || '').toLowerCase(),
+                resource_id: record.resource_id ? parseInt(record.resource_id) : null,
+                day_of_week: record.day_of_week,
+                start_time: record.start_time,
+                end_time: record.end_time,
+                subject: record.subject,
+                instructor: record.instructor || null,
+                course_code: record.course_code || null,
+                term_id: record.term_id ? parseInt(record.term_id) : null
+            };
+
+            // Resolve resources given by room number or lab name
+            if (!slot.resource_id && resourceName) {
+                const match = slot.resource_type === 'lab'
+                    ? labs.find(lab => lab.name.toLowerCase() === resourceName.toLowerCase())
+                    : classrooms.find(room => room.room.toLowerCase() === resourceName.toLowerCase());
+                if (match) slot.resource_id = match.id;
+            }
+
+            const errors = getScheduleErrors(slot).map(message =>
+                message === 'resource_id is required' && resourceName
+                    ? `${slot.resource_type || 'resource'} "${resourceName}" does not exist`
+                    : message
+            );
+            if (errors.length === 0) {
+                const known = slot.resource_type === 'lab' ? labs : classrooms;
+                if (!known.some(resource => resource.id === slot.resource_id)) {
+                    errors.push(`${slot.resource_type} ${resourceName || slot.resource_id} does not exist`);
                 }
-            });
+            }
+
+            // Terms given by name
+            if (!slot.term_id && record.term) {
+                const term = terms.find(t => t.name.toLowerCase() === String(record.term).trim().toLowerCase());
+                if (term) slot.term_id = term.id;
+                else errors.push(`term "${record.term}" does not exist`);
+            } else if (slot.term_id && !terms.some(t => t.id === slot.term_id)) {
+                errors.push(`term ${record.term_id} does not exist`);
+            }
+
+            if (errors.length === 0) {
+                // Overlaps within the import itself
+                const clash = slots.find(other =>
+                    other.resource_type === slot.resource_type &&
+                    other.resource_id === slot.resource_id &&
+                    other.day_of_week === slot.day_of_week &&
+                    other.start_time < slot.end_time && slot.start_time < other.end_time &&
+                    termsOverlap(terms.find(t => t.id === other.term_id), terms.find(t => t.id === slot.term_id))
+                );
+                if (clash) {
+                    errors.push(`overlaps row ${clash.row} (${clash.start_time}-${clash.end_time})`);
+                }
+            }
+
+            if (errors.length > 0) {
+                rowErrors.push({ row: index + 1, errors });
+            } else {
+                slots.push({ ...slot, row: index + 1 });
+            }
         });
-    }
 
-    createBus(busData) {
-        return new Promise(async (resolve, reject) => {
-            try {
-                const busId = await this.insertBus(busData);
-                
-                // Insert stops
-                if (busData.stops && busData.stops.length > 0) {
-                    for (let i = 0; i < busData.stops.length; i++) {
-                        await this.insertBusStop(busId, busData.stops[i], i + 1);
-                    }
+        // A replace deletes the existing slots of each resource and term (or no term) it imports
+        const replaceKey = slot => `${slot.resource_type}:${slot.resource_id}:${slot.term_id || ''}`;
+        const replaced = new Set(options.replace ? slots.map(replaceKey) : []);
+
+        // Overlaps with slots already in the database that stay, e.g. those of another term
+        for (const slot of slots) {
+            const conflicts = (await this.findScheduleConflicts(slot)).filter(c => !replaced.has(replaceKey(c)));
+            if (conflicts.length > 0) {
+                rowErrors.push({
+                    row: slot.row,
+                    errors: conflicts.map(c => `overlaps existing slot ${c.subject} (${c.start_time}-${c.end_time})`)
+                });
+            }
+        }
+
+        if (rowErrors.length > 0) {
+            const error = new Error('Timetable import failed');
+            error.code = 'IMPORT_FAILED';
+            error.rowErrors = rowErrors.sort((a, b) => a.row - b.row);
+            throw error;
+        }
+
+        return this.transaction(async () => {
+            let deleted = 0;
+            if (options.replace) {
+                for (const key of replaced) {
+                    const [resourceType, resourceId, termId] = key.split(':');
+                    const params = [resourceType, resourceId, termId ? Number(termId) : null];
+                    await this.run(
+                        `DELETE FROM schedule_exceptions WHERE schedule_id IN
+                         (SELECT id FROM schedules WHERE resource_type = ? AND resource_id = ? AND term_id IS ?)`,
+                        params
+                    );
+                    const result = await this.run(`DELETE FROM schedules WHERE resource_type = ? AND resource_id = ? AND term_id IS ?`, params);
+                    deleted += result.changes;
                 }
+            }
 
-                resolve({ id: busId, ...busData });
-            } catch (error) {
-                reject(error);
+            for (const slot of slots) {
+                await this.run(
+                    `INSERT INTO schedules (resource_type, resource_id, day_of_week, start_time, end_time, subject, instructor, course_code, term_id) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [slot.resource_type, slot.resource_id, slot.day_of_week, slot.start_time, slot.end_time, slot.subject, slot.instructor, slot.course_code, slot.term_id]
+                );
             }
+
+            return { imported: slots.length, deleted };
         });
     }
 
-    updateBus(id, busData) {
+    // Booking Request Methods
+
+    // Find class occurrences and approved bookings overlapping a booking's date and time range
+    findBookingConflicts(booking, excludeId = null) {
         return new Promise(async (resolve, reject) => {
             try {
-                // Update bus
-                const sql = `UPDATE buses SET number = ?, time = ?, route = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-                await new Promise((res, rej) => {
-                    this.db.run(sql, [busData.number, busData.time, busData.route, id], function(err) {
-                        if (err) rej(err);
-                        else res();
-                    });
-                });
-
-                // Delete existing stops
-                await new Promise((res, rej) => {
-                    this.db.run(`DELETE FROM bus_stops WHERE bus_id = ?`, [id], function(err) {
+                // Classes as they happen that day, so holidays and cancellations free the room
+                const { occurrences } = await this.getScheduleOccurrences(booking.date, booking.date, booking);
+                const schedules = occurrences.filter(slot => slot.start_time < booking.end_time && slot.end_time > booking.start_time);
+
+                const bookings = await new Promise((res, rej) => {
+                    const sql = `SELECT id, program_name, date, start_time, end_time, user_id FROM booking_requests
+                                WHERE resource_type = ? AND resource_id = ? AND date = ? AND status = 'approved'
+                                  AND start_time < ? AND end_time > ? AND id != ?
+                                ORDER BY start_time`;
+                    this.db.all(sql, [booking.resource_type, booking.resource_id, booking.date, booking.end_time, booking.start_time, excludeId || 0], (err, rows) => {
                         if (err) rej(err);
-                        else res();
+                        else res(rows);
                     });
                 });
 
-                // Insert new stops
-                if (busData.stops && busData.stops.length > 0) {
-                    for (let i = 0; i < busData.stops.length; i++) {
-                        await this.insertBusStop(id, busData.stops[i], i + 1);
-                    }
-                }
-
-                resolve({ id: parseInt(id), ...busData });
+                resolve({ schedules, bookings });
             } catch (error) {
                 reject(error);
             }
         });
     }
 
-    deleteBus(id) {
-        return new Promise((resolve, reject) => {
-            // SQLite will automatically delete bus_stops due to FOREIGN KEY CASCADE
-            this.db.run(`DELETE FROM buses WHERE id = ?`, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ message: 'Bus route deleted successfully' });
-            });
-        });
+    // Refuse bookings of a resource that doesn't exist, which no conflict check would catch
+    async checkBookableResource(booking) {
+        if (!RESOURCE_TYPES.includes(booking.resource_type)) {
+            throw createBookingResourceError(`resource_type must be one of ${RESOURCE_TYPES.join(', ')}`, 'INVALID_RESOURCE');
+        }
+        if (!(await this.resourceExists(booking.resource_type, booking.resource_id))) {
+            throw createBookingResourceError(`${booking.resource_type} ${booking.resource_id} does not exist`, 'RESOURCE_NOT_FOUND');
+        }
     }
 
-    // Cafeteria
-    getAllMenuItems(filters = {}) {
-        return new Promise((resolve, reject) => {
-            let sql = `SELECT * FROM cafeteria_menu`;
-            const params = [];
-            const conditions = [];
-
-            if (filters.category && filters.category !== 'all') {
-                conditions.push('category = ?');
-                params.push(filters.category);
-            }
-
-            if (filters.availability && filters.availability !== 'all') {
-                conditions.push('availability = ?');
-                params.push(filters.availability);
-            }
-
-            if (filters.search) {
-                conditions.push('(name LIKE ? OR description LIKE ?)');
-                const searchTerm = `%${filters.search}%`;
-                params.push(searchTerm, searchTerm);
-            }
-
-            if (conditions.length > 0) {
-                sql += ' WHERE ' + conditions.join(' AND ');
+    // Checked and stored in one transaction, so concurrent requests can't both pass the conflict check
+    async createBookingRequest(bookingData, options = {}) {
+        const id = await this.transaction(async () => {
+            await this.checkBookableResource(bookingData);
+            if (!options.allowConflicts) {
+                const conflicts = await this.findBookingConflicts(bookingData);
+                if (conflicts.schedules.length > 0 || conflicts.bookings.length > 0) {
+                    throw createConflictError(conflicts);
+                }
             }
 
-            sql += ' ORDER BY category, name';
-
-            this.db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
+            const result = await this.run(
+                `INSERT INTO booking_requests 
+                 (user_id, resource_type, resource_id, date, start_time, end_time, program_name, description, participant_count) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    bookingData.user_id,
+                    bookingData.resource_type,
+                    bookingData.resource_id,
+                    bookingData.date,
+                    bookingData.start_time,
+                    bookingData.end_time,
+                    bookingData.program_name,
+                    bookingData.description || null,
+                    bookingData.participant_count || null
+                ]
+            );
+            await this.insertBookingEquipment(result.lastID, bookingData.equipment);
+            return result.lastID;
         });
+        return { id, ...bookingData, status: 'pending' };
     }
 
-    getMenuItemById(id) {
-        return new Promise((resolve, reject) => {
-            this.db.get(`SELECT * FROM cafeteria_menu WHERE id = ?`, [id], (err, row) => {
-                if (err) reject(err);
-                else resolve(row);
-            });
-        });
+    // Store the equipment a booking request needs ({ equipment_type_id, quantity } entries)
+    async insertBookingEquipment(bookingId, equipment = []) {
+        for (const item of equipment) {
+            await this.run(
+                `INSERT INTO booking_request_equipment (booking_request_id, equipment_type_id, quantity) VALUES (?, ?, ?)`,
+                [bookingId, item.equipment_type_id, item.quantity]
+            );
+        }
     }
 
-    createMenuItem(item) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO cafeteria_menu (name, description, price, category, availability) VALUES (?, ?, ?, ?, ?)`;
-            this.db.run(sql, [item.name, item.description, item.price, item.category, item.availability], function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID, ...item });
-            });
+    // Add `equipment` (each requirement with how many working items the room has as `available`)
+    // and `equipment_supported` to booking requests
+    async attachBookingEquipment(bookings) {
+        if (bookings.length === 0) return bookings;
+
+        const rows = await this.all(`
+            SELECT be.booking_request_id, be.equipment_type_id, t.name, be.quantity,
+                   COALESCE(e.working_quantity, 0) AS available
+            FROM booking_request_equipment be
+            JOIN booking_requests br ON be.booking_request_id = br.id
+            JOIN equipment_types t ON be.equipment_type_id = t.id
+            LEFT JOIN room_equipment e ON e.resource_type = br.resource_type AND e.resource_id = br.resource_id
+                                      AND e.equipment_type_id = be.equipment_type_id
+            WHERE be.booking_request_id IN (${bookings.map(() => '?').join(', ')})
+            ORDER BY t.name
+        `, bookings.map(booking => booking.id));
+
+        return bookings.map(booking => {
+            const equipment = rows
+                .filter(row => row.booking_request_id === booking.id)
+                .map(({ booking_request_id, ...item }) => item);
+            return { ...booking, equipment, equipment_supported: equipment.every(item => item.available >= item.quantity) };
         });
     }
 
-    updateMenuItem(id, item) {
-        return new Promise((resolve, reject) => {
-            const sql = `UPDATE cafeteria_menu SET name = ?, description = ?, price = ?, category = ?, availability = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-            this.db.run(sql, [item.name, item.description, item.price, item.category, item.availability, id], function(err) {
-                if (err) reject(err);
-                else resolve({ id: parseInt(id), ...item });
-            });
-        });
-    }
+    // Recurring Booking Series Methods
 
-    deleteMenuItem(id) {
-        return new Promise((resolve, reject) => {
-            this.db.run(`DELETE FROM cafeteria_menu WHERE id = ?`, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ message: 'Menu item deleted successfully' });
-            });
-        });
-    }
+    // Dates of a weekly/biweekly series, bounded by an end date or an occurrence count.
+    // A series that would run past MAX_SERIES_OCCURRENCES is refused rather than cut short.
+    getSeriesDates(recurrence, startDate) {
+        const step = recurrence.frequency === 'biweekly' ? 14 : 7;
+        const dates = [];
+        let date = startDate;
 
-    getCafeteriaInfo() {
-        return new Promise((resolve, reject) => {
-            this.db.get(`SELECT * FROM cafeteria_info ORDER BY id DESC LIMIT 1`, (err, row) => {
-                if (err) reject(err);
-                else resolve(row || { location: 'Main Campus', contact: 'N/A', hours: '8:00 AM - 8:00 PM' });
-            });
-        });
-    }
+        while (dates.length <= MAX_SERIES_OCCURRENCES) {
+            if (recurrence.until && date > recurrence.until) break;
+            if (recurrence.count && dates.length >= recurrence.count) break;
+            dates.push(date);
+            date = addDays(date, step);
+        }
 
-    updateCafeteriaInfo(info) {
-        return new Promise((resolve, reject) => {
-            // First check if info exists
-            this.db.get(`SELECT id FROM cafeteria_info LIMIT 1`, (err, row) => {
-                if (err) {
-                    reject(err);
-                } else if (row) {
-                    // Update existing
-                    const sql = `UPDATE cafeteria_info SET location = ?, contact = ?, hours = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`;
-                    this.db.run(sql, [info.location, info.contact, info.hours, row.id], function(err) {
-                        if (err) reject(err);
-                        else resolve({ id: row.id, ...info });
-                    });
-                } else {
-                    // Insert new
-                    const sql = `INSERT INTO cafeteria_info (location, contact, hours) VALUES (?, ?, ?)`;
-                    this.db.run(sql, [info.location, info.contact, info.hours], function(err) {
-                        if (err) reject(err);
-                        else resolve({ id: this.lastID, ...info });
-                    });
-                }
-            });
-        });
-    }
+        if (dates.length > MAX_SERIES_OCCURRENCES) {
+            const error = new Error(`A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences; choose an earlier end date`);
+            error.code = 'SERIES_TOO_LONG';
+            throw error;
+        }
 
-    // Schedule Methods
-    createSchedule(schedule) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO schedules (resource_type, resource_id, day_of_week, start_time, end_time, subject, instructor, course_code) 
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?)`;
-            this.db.run(sql, [
-                schedule.resource_type,
-                schedule.resource_id,
-                schedule.day_of_week,
-                schedule.start_time,
-                schedule.end_time,
-                schedule.subject,
-                schedule.instructor || null,
-                schedule.course_code || null
-            ], function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID, ...schedule });
-            });
-        });
+        return dates;
     }
 
-    getSchedulesByResource(resourceType, resourceId, dayOfWeek = null) {
-        return new Promise((resolve, reject) => {
-            let sql = `SELECT * FROM schedules WHERE resource_type = ? AND resource_id = ?`;
-            const params = [resourceType, resourceId];
+    // Create a series and one pending booking request per occurrence.
+    // Every occurrence is conflict-checked on its own; with skipConflicts the clashing dates are left out.
+    async createBookingSeries(bookingData, recurrence, options = {}) {
+        let dates = this.getSeriesDates(recurrence, bookingData.date);
+        let skipped = [];
+
+        return this.transaction(async () => {
+            await this.checkBookableResource(bookingData);
+            if (!options.allowConflicts) {
+                const conflicting = [];
+                for (const date of dates) {
+                    const conflicts = await this.findBookingConflicts({ ...bookingData, date });
+                    if (conflicts.schedules.length > 0 || conflicts.bookings.length > 0) {
+                        conflicting.push({ date, ...conflicts });
+                    }
+                }
 
-            if (dayOfWeek) {
-                sql += ' AND day_of_week = ?';
-                params.push(dayOfWeek);
+                // Skipping only helps if at least one date is free
+                if (conflicting.length > 0 && (!options.skipConflicts || conflicting.length === dates.length)) {
+                    const error = createConflictError(mergeConflicts(conflicting));
+                    error.conflicting_dates = conflicting.map(c => c.date);
+                    throw error;
+                }
+
+                skipped = conflicting.map(c => c.date);
+                dates = dates.filter(date => !skipped.includes(date));
             }
 
-            sql += ' ORDER BY day_of_week, start_time';
+            const series = await this.run(
+                `INSERT INTO booking_series 
+                 (user_id, resource_type, resource_id, program_name, description, participant_count, start_time, end_time, frequency, start_date, until_date, occurrence_count) 
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    bookingData.user_id,
+                    bookingData.resource_type,
+                    bookingData.resource_id,
+                    bookingData.program_name,
+                    bookingData.description || null,
+                    bookingData.participant_count || null,
+                    bookingData.start_time,
+                    bookingData.end_time,
+                    recurrence.frequency,
+                    bookingData.date,
+                    recurrence.until || null,
+                    recurrence.count || null
+                ]
+            );
+
+            const occurrences = [];
+            for (const date of dates) {
+                const result = await this.run(
+                    `INSERT INTO booking_requests 
+                     (user_id, resource_type, resource_id, date, start_time, end_time, program_name, description, participant_count, series_id) 
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        bookingData.user_id,
+                        bookingData.resource_type,
+                        bookingData.resource_id,
+                        date,
+                        bookingData.start_time,
+                        bookingData.end_time,
+                        bookingData.program_name,
+                        bookingData.description || null,
+                        bookingData.participant_count || null,
+                        series.lastID
+                    ]
+                );
+                await this.insertBookingEquipment(result.lastID, bookingData.equipment);
+                occurrences.push({ id: result.lastID, date, status: 'pending' });
+            }
 
-            this.db.all(sql, params, (err, rows) => {
-                if (err) reject(err);
-                else resolve(rows);
-            });
+            return { id: series.lastID, ...bookingData, frequency: recurrence.frequency, occurrences, skipped_dates: skipped };
         });
     }
 
-    updateSchedule(scheduleId, updates) {
-        return new Promise((resolve, reject) => {
-            const fields = [];
-            const values = [];
+    async getBookingSeriesById(id) {
+        const series = await this.get(`SELECT * FROM booking_series WHERE id = ?`, [id]);
+        if (!series) return null;
 
-            if (updates.day_of_week) {
-                fields.push('day_of_week = ?');
-                values.push(updates.day_of_week);
-            }
-            if (updates.start_time) {
-                fields.push('start_time = ?');
-                values.push(updates.start_time);
-            }
-            if (updates.end_time) {
-                fields.push('end_time = ?');
-                values.push(updates.end_time);
-            }
-            if (updates.subject) {
-                fields.push('subject = ?');
-                values.push(updates.subject);
-            }
-            if (updates.instructor !== undefined) {
-                fields.push('instructor = ?');
-                values.push(updates.instructor);
-            }
-            if (updates.course_code !== undefined) {
-                fields.push('course_code = ?');
-                values.push(updates.course_code);
-            }
+        series.occurrences = await this.all(
+            `SELECT id, date, start_time, end_time, status, admin_notes FROM booking_requests WHERE series_id = ? ORDER BY date`,
+            [id]
+        );
+        return series;
+    }
 
-            if (fields.length === 0) {
-                return reject(new Error('No fields to update'));
-            }
+    // Approve or reject every pending occurrence of a series at once
+    async updateBookingSeriesStatus(id, status, adminId, adminNotes = null, options = {}) {
+        const series = await this.getBookingSeriesById(id);
+        if (!series) {
+            throw new Error('Booking series not found');
+        }
 
-            fields.push('updated_at = CURRENT_TIMESTAMP');
-            values.push(scheduleId);
+        const pending = series.occurrences.filter(o => o.status === 'pending');
+
+        return this.transaction(async () => {
+            if (status === 'approved' && !options.allowConflicts) {
+                const conflicting = [];
+                for (const occurrence of pending) {
+                    const conflicts = await this.findBookingConflicts({ ...series, date: occurrence.date }, occurrence.id);
+                    if (conflicts.schedules.length > 0 || conflicts.bookings.length > 0) {
+                        conflicting.push({ date: occurrence.date, ...conflicts });
+                    }
+                }
 
-            const sql = `UPDATE schedules SET ${fields.join(', ')} WHERE id = ?`;
+                if (conflicting.length > 0) {
+                    const error = createConflictError(mergeConflicts(conflicting));
+                    error.conflicting_dates = conflicting.map(c => c.date);
+                    throw error;
+                }
+            }
 
-            this.db.run(sql, values, function(err) {
-                if (err) reject(err);
-                else resolve({ id: scheduleId, changes: this.changes });
-            });
+            for (const occurrence of pending) {
+                await this.run(
+                    `UPDATE booking_requests 
+                     SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, admin_notes = ?, updated_at = CURRENT_TIMESTAMP 
+                     WHERE id = ?`,
+                    [status, adminId, adminNotes, occurrence.id]
+                );
+            }
+            await this.run(`UPDATE booking_series SET updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+            return { id: parseInt(id), status, updated: pending.length };
         });
     }
 
-    deleteSchedule(scheduleId) {
-        return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM schedules WHERE id = ?`;
-            this.db.run(sql, [scheduleId], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: this.changes });
-            });
-        });
-    }
+    // Cancel a series: remove occurrences from today onwards, keeping past ones as history
+    async cancelBookingSeries(id) {
+        return this.transaction(async () => {
+            await this.run(
+                `DELETE FROM booking_request_equipment WHERE booking_request_id IN (SELECT id FROM booking_requests WHERE series_id = ? AND date >= ?)`,
+                [id, formatLocalDate()]
+            );
+            const result = await this.run(
+                `DELETE FROM booking_requests WHERE series_id = ? AND date >= ?`,
+                [id, formatLocalDate()]
+            );
+
+            const remaining = await this.get(`SELECT COUNT(*) as count FROM booking_requests WHERE series_id = ?`, [id]);
+            if (remaining.count === 0) {
+                await this.run(`DELETE FROM booking_series WHERE id = ?`, [id]);
+            }
 
-    // Booking Request Methods
-    createBookingRequest(bookingData) {
-        return new Promise((resolve, reject) => {
-            const sql = `INSERT INTO booking_requests 
-                        (user_id, resource_type, resource_id, date, start_time, end_time, program_name, description, participant_count) 
-                        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`;
-            this.db.run(sql, [
-                bookingData.user_id,
-                bookingData.resource_type,
-                bookingData.resource_id,
-                bookingData.date,
-                bookingData.start_time,
-                bookingData.end_time,
-                bookingData.program_name,
-                bookingData.description || null,
-                bookingData.participant_count || null
-            ], function(err) {
-                if (err) reject(err);
-                else resolve({ id: this.lastID, ...bookingData, status: 'pending' });
-            });
+            return { deleted: result.changes, remaining: remaining.count };
         });
     }
 
@@ -899,6 +3324,7 @@ class Database {
                 JOIN users u ON br.user_id = u.id
                 LEFT JOIN classrooms c ON br.resource_type = 'classroom' AND br.resource_id = c.id
                 LEFT JOIN labs l ON br.resource_type = 'lab' AND br.resource_id = l.id
+                LEFT JOIN departments d ON d.id = COALESCE(c.department_id, l.department_id)
             `;
             const params = [];
             const conditions = [];
@@ -913,6 +3339,12 @@ class Database {
                 params.push(filters.user_id);
             }
 
+            // Department-scoped reviewers: their own requests plus those for their department's rooms
+            if (filters.visible_to) {
+                conditions.push('(br.user_id = ? OR d.code = ?)');
+                params.push(filters.visible_to.user_id, filters.visible_to.dept);
+            }
+
             if (filters.resource_type) {
                 conditions.push('br.resource_type = ?');
                 params.push(filters.resource_type);
@@ -931,7 +3363,7 @@ class Database {
 
             this.db.all(sql, params, (err, rows) => {
                 if (err) reject(err);
-                else resolve(rows);
+                else this.attachBookingEquipment(rows).then(resolve).catch(reject);
             });
         });
     }
@@ -954,34 +3386,241 @@ class Database {
             `;
             this.db.get(sql, [id], (err, row) => {
                 if (err) reject(err);
-                else resolve(row);
+                else if (!row) resolve(row);
+                else this.attachBookingEquipment([row]).then(([booking]) => resolve(booking)).catch(reject);
             });
         });
     }
 
-    updateBookingRequestStatus(id, status, adminId, adminNotes = null) {
-        return new Promise((resolve, reject) => {
-            const sql = `UPDATE booking_requests 
-                        SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, 
-                            admin_notes = ?, updated_at = CURRENT_TIMESTAMP 
-                        WHERE id = ?`;
-            this.db.run(sql, [status, adminId, adminNotes, id], function(err) {
-                if (err) reject(err);
-                else resolve({ id: id, status: status, changes: this.changes });
-            });
+    updateBookingRequestStatus(id, status, adminId, adminNotes = null, options = {}) {
+        // The approval check and the update share a transaction, so two overlapping requests
+        // approved at the same time can't both pass it
+        return this.transaction(async () => {
+            // Re-check conflicts on approval, since schedules and other bookings may have changed
+            if (status === 'approved' && !options.allowConflicts) {
+                const booking = await this.getBookingRequestById(id);
+                if (!booking) {
+                    throw new Error('Booking request not found');
+                }
+
+                const conflicts = await this.findBookingConflicts(booking, booking.id);
+                if (conflicts.schedules.length > 0 || conflicts.bookings.length > 0) {
+                    throw createConflictError(conflicts);
+                }
+            }
+
+            const result = await this.run(
+                `UPDATE booking_requests 
+                 SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, 
+                     admin_notes = ?, updated_at = CURRENT_TIMESTAMP 
+                 WHERE id = ?`,
+                [status, adminId, adminNotes, id]
+            );
+            return { id: id, status: status, changes: result.changes };
         });
     }
 
     deleteBookingRequest(id) {
-        return new Promise((resolve, reject) => {
-            const sql = `DELETE FROM booking_requests WHERE id = ?`;
-            this.db.run(sql, [id], function(err) {
-                if (err) reject(err);
-                else resolve({ deleted: this.changes });
-            });
+        return this.transaction(async () => {
+            await this.run(`DELETE FROM booking_request_equipment WHERE booking_request_id = ?`, [id]);
+            const result = await this.run(`DELETE FROM booking_requests WHERE id = ?`, [id]);
+            return { deleted: result.changes };
         });
     }
 
+    // Notifications
+
+    // Store one inbox entry per user. Multi-row INSERTs keep this to a few statements
+    // (and outside a transaction) even for announcements sent to every user.
+    async createNotifications(userIds, notification) {
+        const { type, title, message, entity_type = null, entity_id = null } = notification;
+        const CHUNK_SIZE = 500;
+
+        for (let i = 0; i < userIds.length; i += CHUNK_SIZE) {
+            const chunk = userIds.slice(i, i + CHUNK_SIZE);
+            await this.run(
+                `INSERT INTO notifications (user_id, type, title, message, entity_type, entity_id)
+                 VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?)').join(', ')}`,
+                chunk.flatMap(userId => [userId, type, title, message, entity_type, entity_id])
+            );
+        }
+    }
+
+    // Active users with the contact details delivery channels need
+    getNotificationRecipients(userIds) {
+        if (userIds.length === 0) return Promise.resolve([]);
+        return this.all(
+            `SELECT id, student_id, name, email FROM users WHERE is_active = 1 AND id IN (${userIds.map(() => '?').join(', ')})`,
+            userIds
+        );
+    }
+
+    async getActiveUserIds() {
+        const rows = await this.all(`SELECT id FROM users WHERE is_active = 1`);
+        return rows.map(row => row.id);
+    }
+
+    // Users with pending or approved bookings for a room from today on, on any of the given weekdays
+    async getUpcomingBookingUserIds(resourceType, resourceId, daysOfWeek) {
+        const bookings = await this.all(
+            `SELECT user_id, date FROM booking_requests
+             WHERE resource_type = ? AND resource_id = ? AND status IN ('pending', 'approved') AND date >= ?`,
+            [resourceType, resourceId, formatLocalDate()]
+        );
+        return [...new Set(bookings.filter(b => daysOfWeek.includes(getDayOfWeek(b.date))).map(b => b.user_id))];
+    }
+
+    // Users with pending or approved bookings of a room on any of the given dates
+    async getBookingUserIdsOn(resourceType, resourceId, dates) {
+        const bookings = await this.all(
+            `SELECT DISTINCT user_id FROM booking_requests
+             WHERE resource_type = ? AND resource_id = ? AND status IN ('pending', 'approved')
+               AND date IN (${dates.map(() => '?').join(', ')})`,
+            [resourceType, resourceId, ...dates]
+        );
+        return bookings.map(b => b.user_id);
+    }
+
+    // Newest first. Filters: unread (only unread entries), limit, offset
+    getNotifications(userId, filters = {}) {
+        return this.all(
+            `SELECT * FROM notifications WHERE user_id = ? ${filters.unread ? 'AND read_at IS NULL' : ''}
+             ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [userId, filters.limit || 50, filters.offset || 0]
+        );
+    }
+
+    async getUnreadNotificationCount(userId) {
+        const row = await this.get(`SELECT COUNT(*) AS count FROM notifications WHERE user_id = ? AND read_at IS NULL`, [userId]);
+        return row.count;
+    }
+
+    async markNotificationRead(userId, id) {
+        const notification = await this.get(`SELECT * FROM notifications WHERE id = ? AND user_id = ?`, [id, userId]);
+        if (!notification) {
+            throw new Error('Notification not found');
+        }
+        if (!notification.read_at) {
+            await this.run(`UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE id = ?`, [id]);
+        }
+        return this.get(`SELECT * FROM notifications WHERE id = ?`, [id]);
+    }
+
+    async markAllNotificationsRead(userId) {
+        const result = await this.run(
+            `UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL`,
+            [userId]
+        );
+        return { updated: result.changes };
+    }
+
+    // Audit Log
+
+    // Current state of an audited entity (null once deleted), stored as the before/after of an entry
+    async getAuditSnapshot(entityType, id) {
+        switch (entityType) {
+            case 'classroom':
+                return await this.getClassroomById(id) || null;
+            case 'lab':
+                return await this.getLabById(id) || null;
+            case 'bus':
+                return await this.getBusById(id);
+            case 'bus_stop':
+                return await this.getBusStopLocation(id) || null;
+            case 'menu_item':
+                return await this.getMenuItemById(id) || null;
+            case 'cafeteria':
+                return await this.getCafeteriaById(id);
+            case 'department':
+                return await this.getDepartmentById(id);
+            case 'building':
+                return await this.getBuildingById(id);
+            case 'floor':
+                return await this.getFloorById(id);
+            case 'equipment_type':
+                return await this.getEquipmentTypeById(id) || null;
+            case 'schedule': {
+                const schedule = await this.getScheduleById(id);
+                return schedule
+                    ? { ...schedule, exceptions: await this.all(`SELECT * FROM schedule_exceptions WHERE schedule_id = ? ORDER BY date`, [id]) }
+                    : null;
+            }
+            case 'booking_request':
+                return await this.get(`SELECT * FROM booking_requests WHERE id = ?`, [id]) || null;
+            case 'booking_series':
+                return await this.getBookingSeriesById(id);
+            case 'pickup_slot':
+                return await this.getPickupSlotById(id);
+            case 'cafeteria_order':
+                return await this.getCafeteriaOrderById(id);
+            case 'issue_ticket':
+                return await this.getIssueTicketById(id);
+            case 'academic_term':
+                return await this.getAcademicTermById(id) || null;
+            case 'holiday':
+                return await this.getHolidayById(id) || null;
+            default:
+                throw new Error(`Unknown audit entity type: ${entityType}`);
+        }
+    }
+
+    async createAuditEntry({ actor, action, entity_type, entity_id, before, after }) {
+        const result = await this.run(
+            `INSERT INTO audit_log (actor_id, actor_name, actor_role, action, entity_type, entity_id, before_json, after_json)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                actor ? actor.id : null,
+                actor ? actor.name : null,
+                actor ? actor.role : null,
+                action,
+                entity_type,
+                entity_id === undefined || entity_id === null ? null : String(entity_id),
+                before ? JSON.stringify(before) : null,
+                after ? JSON.stringify(after) : null
+            ]
+        );
+        return { id: result.lastID };
+    }
+
+    // Newest first. Filters: entity_type, entity_id, actor_id, from/to (YYYY-MM-DD, inclusive, UTC), limit, offset
+    async getAuditLog(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (filters.entity_type) {
+            conditions.push('entity_type = ?');
+            params.push(filters.entity_type);
+        }
+        if (filters.entity_id) {
+            conditions.push('entity_id = ?');
+            params.push(String(filters.entity_id));
+        }
+        if (filters.actor_id) {
+            conditions.push('actor_id = ?');
+            params.push(filters.actor_id);
+        }
+        if (filters.from) {
+            conditions.push('date(created_at) >= ?');
+            params.push(filters.from);
+        }
+        if (filters.to) {
+            conditions.push('date(created_at) <= ?');
+            params.push(filters.to);
+        }
+
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+        const rows = await this.all(
+            `SELECT * FROM audit_log ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+            [...params, filters.limit || 100, filters.offset || 0]
+        );
+
+        return rows.map(({ before_json, after_json, ...entry }) => ({
+            ...entry,
+            before: before_json ? JSON.parse(before_json) : null,
+            after: after_json ? JSON.parse(after_json) : null
+        }));
+    }
+
     // Close database connection
     close() {
         if (this.db) {
@@ -996,4 +3635,316 @@ class Database {
     }
 }
 
+// Change events
+
+// Booking events go to the requester and to staff who can view bookings in the room's department
+async function bookingAudience(db, kind, id, userId) {
+    const scope = await db.getResourceScope(kind, id);
+    return { user_ids: [userId], permission: 'bookings:view', dept: scope ? scope.dept : null };
+}
+
+// Ticket events go to the reporter, the assignee and staff who look after the resource
+function issueAudience(ticket) {
+    return {
+        user_ids: [ticket.reporter_id, ticket.assignee_id].filter(Boolean),
+        permission: RESOURCE_MANAGE_PERMISSIONS[ticket.resource_type],
+        dept: ticket.dept
+    };
+}
+
+// Write methods that emit a 'change' event once their writes are committed: right after they
+// resolve, or when called inside a transaction once it commits (and not at all if it rolls
+// back). `event` builds { type, data, audience? } from the call and may return null to stay
+// quiet; `before` loads what a delete is about to remove. Without an audience an event goes to
+// every signed-in user.
+const CHANGE_EVENTS = {
+    createClassroom: {
+        event: async ({ result }) => ({ type: 'classroom.created', data: result })
+    },
+    updateClassroom: {
+        event: async function({ args }) {
+            const classroom = await this.getClassroomById(args[0]);
+            return classroom ? { type: 'classroom.updated', data: classroom } : null;
+        }
+    },
+    deleteClassroom: {
+        event: async ({ args }) => ({ type: 'classroom.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createLab: {
+        event: async ({ result }) => ({ type: 'lab.created', data: result })
+    },
+    updateLab: {
+        event: async ({ result }) => ({ type: 'lab.updated', data: result })
+    },
+    updateLabStatus: {
+        event: async ({ result }) => ({ type: 'lab.updated', data: result })
+    },
+    deleteLab: {
+        event: async ({ args }) => ({ type: 'lab.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createDepartment: {
+        event: async ({ result }) => ({ type: 'department.created', data: result })
+    },
+    updateDepartment: {
+        event: async ({ result }) => ({ type: 'department.updated', data: result })
+    },
+    deleteDepartment: {
+        event: async ({ args }) => ({ type: 'department.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createBuilding: {
+        event: async ({ result }) => ({ type: 'building.created', data: result })
+    },
+    updateBuilding: {
+        event: async ({ result }) => ({ type: 'building.updated', data: result })
+    },
+    deleteBuilding: {
+        event: async ({ args }) => ({ type: 'building.deleted', data: { id: parseInt(args[0]) } })
+    },
+    // A floor change is a change to its building's floor list
+    createFloor: {
+        event: async function({ args }) {
+            return { type: 'building.updated', data: await this.getBuildingById(args[0]) };
+        }
+    },
+    updateFloor: {
+        event: async function({ result }) {
+            return { type: 'building.updated', data: await this.getBuildingById(result.building_id) };
+        }
+    },
+    deleteFloor: {
+        before: async function(id) {
+            return this.getFloorById(id);
+        },
+        event: async function({ before }) {
+            const building = before && await this.getBuildingById(before.building_id);
+            return building ? { type: 'building.updated', data: building } : null;
+        }
+    },
+    createEquipmentType: {
+        event: async ({ result }) => ({ type: 'equipment_type.created', data: result })
+    },
+    updateEquipmentType: {
+        event: async ({ result }) => ({ type: 'equipment_type.updated', data: result })
+    },
+    deleteEquipmentType: {
+        event: async ({ args }) => ({ type: 'equipment_type.deleted', data: { id: parseInt(args[0]) } })
+    },
+    setRoomEquipment: {
+        event: async ({ args, result }) => result ? { type: `${args[0]}.updated`, data: result } : null
+    },
+    createBus: {
+        event: async ({ result }) => ({ type: 'bus.created', data: result })
+    },
+    updateBus: {
+        event: async ({ result }) => ({ type: 'bus.updated', data: result })
+    },
+    deleteBus: {
+        event: async ({ args }) => ({ type: 'bus.deleted', data: { id: parseInt(args[0]) } })
+    },
+    replaceBusRoutes: {
+        event: async ({ result }) => ({ type: 'bus.imported', data: result })
+    },
+    createMenuItem: {
+        event: async ({ result }) => ({ type: 'menu_item.created', data: result })
+    },
+    updateMenuItem: {
+        event: async ({ result }) => ({ type: 'menu_item.updated', data: result })
+    },
+    deleteMenuItem: {
+        event: async ({ args }) => ({ type: 'menu_item.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createCafeteria: {
+        event: async ({ result }) => ({ type: 'cafeteria.created', data: result })
+    },
+    updateCafeteria: {
+        event: async ({ result }) => ({ type: 'cafeteria.updated', data: result })
+    },
+    deleteCafeteria: {
+        event: async ({ args }) => ({ type: 'cafeteria.deleted', data: { id: parseInt(args[0]) } })
+    },
+    setOpeningException: {
+        event: async ({ args, result }) => ({ type: `${args[0]}.updated`, data: result })
+    },
+    deleteOpeningException: {
+        event: async ({ args, result }) => ({ type: `${args[0]}.updated`, data: result })
+    },
+    replaceMenuPlans: {
+        event: async ({ args, result }) => ({ type: 'menu_plan.updated', data: { cafeteria_id: args[0], days: result } })
+    },
+    replaceMenuRotation: {
+        event: async ({ args, result }) => ({ type: 'menu_rotation.updated', data: { cafeteria_id: args[0], entries: result } })
+    },
+    createSchedule: {
+        event: async ({ result }) => ({ type: 'schedule.created', data: result })
+    },
+    updateSchedule: {
+        event: async function({ args }) {
+            const schedule = await this.getScheduleById(args[0]);
+            return schedule ? { type: 'schedule.updated', data: schedule } : null;
+        }
+    },
+    deleteSchedule: {
+        before: function(scheduleId) {
+            return this.getScheduleById(scheduleId);
+        },
+        event: async ({ before }) => before
+            ? { type: 'schedule.deleted', data: { id: before.id, resource_type: before.resource_type, resource_id: before.resource_id } }
+            : null
+    },
+    importSchedules: {
+        event: async ({ result }) => ({ type: 'schedule.imported', data: result })
+    },
+    setScheduleException: {
+        event: async ({ result }) => ({ type: 'schedule_exception.updated', data: result })
+    },
+    deleteScheduleException: {
+        event: async ({ result }) => ({ type: 'schedule_exception.deleted', data: result })
+    },
+    createAcademicTerm: {
+        event: async ({ result }) => ({ type: 'academic_term.created', data: result })
+    },
+    updateAcademicTerm: {
+        event: async ({ result }) => ({ type: 'academic_term.updated', data: result })
+    },
+    deleteAcademicTerm: {
+        event: async ({ args }) => ({ type: 'academic_term.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createHoliday: {
+        event: async ({ result }) => ({ type: 'holiday.created', data: result })
+    },
+    updateHoliday: {
+        event: async ({ result }) => ({ type: 'holiday.updated', data: result })
+    },
+    deleteHoliday: {
+        event: async ({ args }) => ({ type: 'holiday.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createBookingRequest: {
+        event: async function({ result }) {
+            return {
+                type: 'booking_request.created',
+                data: await this.getBookingRequestById(result.id),
+                audience: await bookingAudience(this, 'booking_request', result.id, result.user_id)
+            };
+        }
+    },
+    updateBookingRequestStatus: {
+        event: async function({ args, result }) {
+            const booking = result.changes > 0 ? await this.getBookingRequestById(args[0]) : null;
+            if (!booking) return null;
+            return {
+                type: 'booking_request.updated',
+                data: booking,
+                audience: await bookingAudience(this, 'booking_request', booking.id, booking.user_id)
+            };
+        }
+    },
+    deleteBookingRequest: {
+        before: async function(id) {
+            const booking = await this.getBookingRequestById(id);
+            return booking && { booking, audience: await bookingAudience(this, 'booking_request', id, booking.user_id) };
+        },
+        event: async ({ before }) => before
+            ? {
+                type: 'booking_request.deleted',
+                data: { id: before.booking.id, series_id: before.booking.series_id, resource_type: before.booking.resource_type, resource_id: before.booking.resource_id },
+                audience: before.audience
+            }
+            : null
+    },
+    createBookingSeries: {
+        event: async function({ result }) {
+            return {
+                type: 'booking_series.created',
+                data: result,
+                audience: await bookingAudience(this, 'booking_series', result.id, result.user_id)
+            };
+        }
+    },
+    updateBookingSeriesStatus: {
+        event: async function({ args }) {
+            const series = await this.getBookingSeriesById(args[0]);
+            return {
+                type: 'booking_series.updated',
+                data: series,
+                audience: await bookingAudience(this, 'booking_series', series.id, series.user_id)
+            };
+        }
+    },
+    cancelBookingSeries: {
+        before: async function(id) {
+            const series = await this.getBookingSeriesById(id);
+            return series && { series, audience: await bookingAudience(this, 'booking_series', id, series.user_id) };
+        },
+        event: async ({ before, result }) => before
+            ? {
+                type: 'booking_series.deleted',
+                data: { id: before.series.id, resource_type: before.series.resource_type, resource_id: before.series.resource_id, ...result },
+                audience: before.audience
+            }
+            : null
+    },
+    createPickupSlot: {
+        event: async ({ result }) => ({ type: 'pickup_slot.created', data: result })
+    },
+    updatePickupSlot: {
+        event: async ({ result }) => ({ type: 'pickup_slot.updated', data: result })
+    },
+    deletePickupSlot: {
+        event: async ({ args }) => ({ type: 'pickup_slot.deleted', data: { id: parseInt(args[0]) } })
+    },
+    createCafeteriaOrder: {
+        event: async ({ result }) => ({
+            type: 'cafeteria_order.created',
+            data: result,
+            audience: { user_ids: [result.user_id], permission: 'cafeteria:manage' }
+        })
+    },
+    updateCafeteriaOrderStatus: {
+        event: async ({ result }) => ({
+            type: 'cafeteria_order.updated',
+            data: result,
+            audience: { user_ids: [result.user_id], permission: 'cafeteria:manage' }
+        })
+    },
+    createIssueTicket: {
+        event: async ({ result }) => ({ type: 'issue_ticket.created', data: result, audience: issueAudience(result) })
+    },
+    updateIssueTicket: {
+        event: async ({ result }) => ({ type: 'issue_ticket.updated', data: result, audience: issueAudience(result) })
+    },
+    addIssueComment: {
+        event: async function({ args }) {
+            const ticket = await this.getIssueTicketById(args[0]);
+            return ticket ? { type: 'issue_ticket.updated', data: ticket, audience: issueAudience(ticket) } : null;
+        }
+    },
+    createNotifications: {
+        event: async ({ args }) => ({
+            type: 'notification.created',
+            data: { type: args[1].type, title: args[1].title },
+            audience: { user_ids: args[0] }
+        })
+    }
+};
+
+for (const [method, spec] of Object.entries(CHANGE_EVENTS)) {
+    const write = Database.prototype[method];
+
+    Database.prototype[method] = async function(...args) {
+        const before = spec.before ? await spec.before.apply(this, args) : null;
+        const result = await write.apply(this, args);
+
+        await this.gate.afterCommit(async () => {
+            // A failure here must not fail the write that already succeeded
+            try {
+                const event = await spec.event.call(this, { args, result, before });
+                if (event) this.emit('change', event);
+            } catch (error) {
+                console.error(`Error building change event for ${method}:`, error);
+            }
+        });
+        return result;
+    };
+}
+
 module.exports = Database;
\ No newline at end of file
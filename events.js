@@ -0,0 +1,70 @@
+// events.js - Live change events over Server-Sent Events
+//
+// publish() fans a Database 'change' event ({ type, data, audience? }) out to every open stream
+// allowed to see it. audience is { user_ids?, permission?, dept? } and is never sent to clients;
+// events without one go to every signed-in user.
+const { hasPermission } = require('./permissions');
+
+const HEARTBEAT_MS = 25000; // keeps proxies from closing idle streams
+const RETRY_MS = 5000;
+
+const clients = new Set();
+let lastEventId = 0;
+
+function canReceive(user, audience) {
+    if (!audience) return true;
+    if (audience.user_ids && audience.user_ids.includes(user.id)) return true;
+    return !!audience.permission && hasPermission(user, audience.permission, audience.dept || undefined);
+}
+
+function send(client, type, data, id = null) {
+    client.res.write(`${id !== null ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function publish(event) {
+    lastEventId += 1;
+    for (const client of clients) {
+        if (canReceive(client.user, event.audience)) {
+            send(client, event.type, event.data, lastEventId);
+        }
+    }
+}
+
+// Express handler for an authenticated request: keeps the response open as an event stream
+// until the client disconnects or its access token expires (the client then reconnects with
+// a fresh token)
+function openEventStream(req, res) {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { user: req.user, res };
+    clients.add(client);
+    send(client, 'connected', { user_id: req.user.id });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    const expiry = setTimeout(() => res.end(), Math.max(req.user.exp * 1000 - Date.now(), 0));
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiry);
+        clients.delete(client);
+    });
+}
+
+// Close a user's open streams, e.g. after signing out everywhere or deactivation
+function disconnectUser(userId) {
+    for (const client of clients) {
+        if (client.user.id === userId) client.res.end();
+    }
+}
+
+module.exports = {
+    publish,
+    openEventStream,
+    disconnectUser
+};
@@ -0,0 +1,46 @@
+// gtfs-cli.js - GTFS feed export/import from the command line
+// Usage: node gtfs-cli.js export [file] | import <file>
+const fs = require('fs');
+const Database = require('./database');
+const { exportGtfsFeed, importGtfsFeed } = require('./gtfs');
+const { formatLocalDate } = require('./time-utils');
+
+const DEFAULT_FEED_FILE = 'campus-gtfs.zip';
+
+async function main() {
+    const [command, file] = process.argv.slice(2);
+    if (command === 'import' && !file) {
+        throw new Error('import needs the path of a GTFS feed ZIP');
+    }
+    if (command !== 'export' && command !== 'import') {
+        throw new Error(`Unknown command "${command || ''}". Use export [file] or import <file>`);
+    }
+
+    const db = new Database();
+    await db.open();
+
+    try {
+        await db.migrate();
+
+        if (command === 'export') {
+            const feed = exportGtfsFeed(await db.getAllBuses(), await db.getBusStopLocations(), {
+                holidays: await db.getHolidays({ from: formatLocalDate() })
+            });
+            fs.writeFileSync(file || DEFAULT_FEED_FILE, feed);
+            console.log(`🎉 Wrote GTFS feed to ${file || DEFAULT_FEED_FILE}`);
+        } else {
+            const { buses, locations, warnings } = importGtfsFeed(fs.readFileSync(file));
+            warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+            const result = await db.replaceBusRoutes({ buses, locations });
+            console.log(`🎉 Imported ${result.routes} bus routes with ${result.trips} trips and ${result.stops} stops (replaced ${result.replaced} routes)`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ GTFS command failed:', error.message);
+    (error.errors || []).forEach(message => console.error(`   - ${message}`));
+    process.exit(1);
+});
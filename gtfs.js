@@ -0,0 +1,406 @@
+// gtfs.js - GTFS static feed export and import for bus routes
+//
+// Exports write one GTFS route per bus, one trip per timetable trip and a calendar entry per
+// service, with calendar_dates that swap in the holiday service on campus holidays. Imports turn a feed back into routes shaped like POST /api/buses bodies, ready for
+// Database.replaceBusRoutes(). See https://gtfs.org/schedule/reference/
+const { parseCsv, formatCsv } = require('./csv-utils');
+const { createZip, readZip } = require('./zip');
+const { DAYS_OF_WEEK, getDayOfWeek, addDays, formatLocalDate } = require('./time-utils');
+const { WEEKEND_DAYS, estimateTripTimes } = require('./bus-timetable');
+
+const AGENCY_ID = 'campus';
+const ROUTE_TYPE_BUS = 3;
+const FEED_VALID_DAYS = 365;
+const REQUIRED_FILES = ['stops.txt', 'routes.txt', 'trips.txt', 'stop_times.txt'];
+
+// Days each service runs on. Holiday trips get a calendar entry with no days, so they only run
+// on the dates calendar_dates.txt adds (the holidays, when the other services are removed).
+const SERVICE_DAYS = {
+    weekday: DAYS_OF_WEEK.filter(day => !WEEKEND_DAYS.includes(day)),
+    weekend: WEEKEND_DAYS,
+    holiday: []
+};
+
+function createGtfsError(errors) {
+    const error = new Error('GTFS import failed');
+    error.code = 'INVALID_GTFS';
+    error.errors = errors;
+    return error;
+}
+
+// An export that would give mapping apps an unusable feed; errors lists what to fix
+function createExportError(errors) {
+    const error = new Error('GTFS export failed');
+    error.code = 'GTFS_EXPORT_FAILED';
+    error.errors = errors;
+    return error;
+}
+
+// '2025-09-01' <-> '20250901'
+function toGtfsDate(date) {
+    return date.replace(/-/g, '');
+}
+
+function fromGtfsDate(date) {
+    return /^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}` : null;
+}
+
+// GTFS 'H:MM:SS' -> 'HH:MM'. Seconds are dropped; times past midnight (24:00:00 and later)
+// have no place in a single day's timetable and return null, as do malformed values.
+function fromGtfsTime(time) {
+    const match = /^(\d{1,2}):([0-5]\d):([0-5]\d)$/.exec(time);
+    if (!match || parseInt(match[1]) > 23) return null;
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+}
+
+// Stable GTFS ids for stop names: 'Main Gate (North)' -> 'main-gate-north'
+function assignStopIds(names) {
+    const ids = new Map();
+    const used = new Set();
+    for (const name of names) {
+        const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'stop';
+        let id = base;
+        for (let n = 2; used.has(id); n++) id = `${base}-${n}`;
+        used.add(id);
+        ids.set(name, id);
+    }
+    return ids;
+}
+
+// Dates from `from` to `to` (YYYY-MM-DD) that fall in one of the holidays, in order
+function holidayDatesBetween(holidays, from, to) {
+    const dates = new Set();
+    for (const holiday of holidays) {
+        const last = holiday.end_date < to ? holiday.end_date : to;
+        for (let date = holiday.start_date > from ? holiday.start_date : from; date <= last; date = addDays(date, 1)) {
+            dates.add(date);
+        }
+    }
+    return [...dates].sort();
+}
+
+/**
+ * Build a GTFS feed ZIP from buses (as returned by Database.getAllBuses), stop locations
+ * ({ stop_name, latitude, longitude }) and options.holidays (rows of the holidays table).
+ * Agency details default to GTFS_AGENCY_NAME, GTFS_AGENCY_URL and GTFS_TIMEZONE; the calendar
+ * runs for FEED_VALID_DAYS from options.startDate (today). Throws a GTFS_EXPORT_FAILED error
+ * when no public agency URL is configured or a stop has no coordinates.
+ */
+function exportGtfsFeed(buses, locations, options = {}) {
+    const {
+        agencyName = process.env.GTFS_AGENCY_NAME || 'Campus Transport',
+        agencyUrl = process.env.GTFS_AGENCY_URL,
+        timezone = process.env.GTFS_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone,
+        startDate = formatLocalDate(),
+        holidays = []
+    } = options;
+
+    const stopNames = [...new Set(buses.flatMap(bus => bus.stops))].sort();
+    const stopIds = assignStopIds(stopNames);
+    const locationsByName = new Map(locations.map(location => [location.stop_name, location]));
+
+    const errors = [];
+    if (!agencyUrl || !/^https?:\/\/\S+$/.test(agencyUrl)) {
+        errors.push('Set GTFS_AGENCY_URL to the public http(s) URL of the campus transport service');
+    }
+    for (const name of stopNames.filter(name => !locationsByName.has(name))) {
+        errors.push(`Stop "${name}" has no coordinates`);
+    }
+    if (errors.length > 0) {
+        throw createExportError(errors);
+    }
+
+    const stops = stopNames.map(name => ({
+        stop_id: stopIds.get(name),
+        stop_name: name,
+        stop_lat: locationsByName.get(name).latitude,
+        stop_lon: locationsByName.get(name).longitude
+    }));
+
+    const routes = buses.map(bus => ({
+        route_id: bus.number,
+        agency_id: AGENCY_ID,
+        route_short_name: bus.number,
+        route_long_name: bus.route,
+        route_type: ROUTE_TYPE_BUS
+    }));
+
+    const trips = [];
+    const stopTimes = [];
+    for (const bus of buses) {
+        for (const trip of bus.trips) {
+            const tripId = `trip-${trip.id}`;
+            const tripStops = trip.direction === 'inbound' ? bus.stops.slice().reverse() : bus.stops;
+            trips.push({
+                route_id: bus.number,
+                service_id: trip.service,
+                trip_id: tripId,
+                trip_headsign: tripStops[tripStops.length - 1],
+                direction_id: trip.direction === 'inbound' ? 1 : 0
+            });
+
+            // GTFS needs times at both ends of a trip, so an untimed last stop is estimated
+            const estimates = estimateTripTimes(trip.times);
+            tripStops.forEach((name, index) => {
+                const last = index === tripStops.length - 1;
+                const time = trip.times[index] || (last ? estimates[index].time : null);
+                stopTimes.push({
+                    trip_id: tripId,
+                    arrival_time: time ? `${time}:00` : '',
+                    departure_time: time ? `${time}:00` : '',
+                    stop_id: stopIds.get(name),
+                    stop_sequence: index + 1,
+                    timepoint: trip.times[index] ? 1 : 0
+                });
+            });
+        }
+    }
+
+    const services = [...new Set(trips.map(trip => trip.service_id))];
+    const endDate = addDays(startDate, FEED_VALID_DAYS);
+    const calendar = services.map(service => {
+        const entry = { service_id: service };
+        for (const day of DAYS_OF_WEEK) {
+            entry[day.toLowerCase()] = SERVICE_DAYS[service].includes(day) ? 1 : 0;
+        }
+        entry.start_date = toGtfsDate(startDate);
+        entry.end_date = toGtfsDate(endDate);
+        return entry;
+    });
+
+    // On a holiday the holiday service runs instead of the weekday or weekend one (as in
+    // busServiceForDate): exception_type 1 adds a service on a date, 2 removes it
+    const calendarDates = [];
+    for (const date of holidayDatesBetween(holidays, startDate, endDate)) {
+        for (const service of services) {
+            if (service === 'holiday') {
+                calendarDates.push({ service_id: service, date: toGtfsDate(date), exception_type: 1 });
+            } else if (SERVICE_DAYS[service].includes(getDayOfWeek(date))) {
+                calendarDates.push({ service_id: service, date: toGtfsDate(date), exception_type: 2 });
+            }
+        }
+    }
+
+    const agency = [{ agency_id: AGENCY_ID, agency_name: agencyName, agency_url: agencyUrl, agency_timezone: timezone }];
+
+    return createZip([
+        { name: 'agency.txt', data: formatCsv(['agency_id', 'agency_name', 'agency_url', 'agency_timezone'], agency) },
+        { name: 'stops.txt', data: formatCsv(['stop_id', 'stop_name', 'stop_lat', 'stop_lon'], stops) },
+        { name: 'routes.txt', data: formatCsv(['route_id', 'agency_id', 'route_short_name', 'route_long_name', 'route_type'], routes) },
+        { name: 'trips.txt', data: formatCsv(['route_id', 'service_id', 'trip_id', 'trip_headsign', 'direction_id'], trips) },
+        { name: 'stop_times.txt', data: formatCsv(['trip_id', 'arrival_time', 'departure_time', 'stop_id', 'stop_sequence', 'timepoint'], stopTimes) },
+        { name: 'calendar.txt', data: formatCsv(['service_id', ...DAYS_OF_WEEK.map(day => day.toLowerCase()), 'start_date', 'end_date'], calendar) },
+        ...(calendarDates.length > 0
+            ? [{ name: 'calendar_dates.txt', data: formatCsv(['service_id', 'date', 'exception_type'], calendarDates) }]
+            : [])
+    ]);
+}
+
+// Our services ('weekday', 'weekend', 'holiday') a GTFS service_id runs on. A calendar.txt
+// entry decides by its days, one with no days being a holiday service; services only listed
+// in calendar_dates.txt go by the weekdays of the dates they add. Returns null if unknown.
+function classifyService(serviceId, calendar, calendarDates) {
+    const entry = calendar.find(row => row.service_id === serviceId);
+    let days;
+
+    if (entry) {
+        days = DAYS_OF_WEEK.filter(day => entry[day.toLowerCase()] === '1');
+        if (days.length === 0) return ['holiday'];
+    } else {
+        days = calendarDates
+            .filter(row => row.service_id === serviceId && row.exception_type === '1')
+            .map(row => getDayOfWeek(fromGtfsDate(row.date)))
+            .filter(Boolean);
+        if (days.length === 0) return null;
+    }
+
+    return ['weekday', 'weekend'].filter(service => days.some(day => SERVICE_DAYS[service].includes(day)));
+}
+
+// Positions of `names` within `pattern`, in order, or null when they don't appear in that order
+function alignStops(names, pattern) {
+    const positions = [];
+    let next = 0;
+    for (const name of names) {
+        while (next < pattern.length && pattern[next] !== name) next++;
+        if (next === pattern.length) return null;
+        positions.push(next++);
+    }
+    return positions;
+}
+
+/**
+ * Read a GTFS feed ZIP into { buses, locations, warnings }. Each GTFS bus route becomes one
+ * route whose stops follow its longest trip (inbound trips read backwards); other trips must
+ * visit stops in that order and start at the route's first stop, and get no time at stops they
+ * skip. Approximate times (timepoint 0) after the departure are dropped and estimated again.
+ * Trips whose service runs on weekdays and weekends become a trip for each. Throws an
+ * INVALID_GTFS error listing every problem found.
+ */
+function importGtfsFeed(zipBuffer) {
+    let entries;
+    try {
+        entries = readZip(zipBuffer);
+    } catch (error) {
+        throw createGtfsError([error.message]);
+    }
+
+    // Feeds are sometimes zipped with their folder
+    const files = new Map();
+    for (const [name, data] of entries) {
+        files.set(name.split('/').pop(), parseCsv(data.toString('utf8')));
+    }
+
+    const missing = REQUIRED_FILES.filter(name => !files.has(name));
+    if (!files.has('calendar.txt') && !files.has('calendar_dates.txt')) {
+        missing.push('calendar.txt or calendar_dates.txt');
+    }
+    if (missing.length > 0) {
+        throw createGtfsError(missing.map(name => `Missing ${name}`));
+    }
+
+    const errors = [];
+    const warnings = [];
+    const calendar = files.get('calendar.txt') || [];
+    const calendarDates = files.get('calendar_dates.txt') || [];
+    const stops = new Map(files.get('stops.txt').map(stop => [stop.stop_id, stop]));
+
+    // First usable coordinates given for each stop name
+    const stopLocations = new Map();
+    for (const stop of stops.values()) {
+        const latitude = parseFloat(stop.stop_lat);
+        const longitude = parseFloat(stop.stop_lon);
+        if (!stopLocations.has(stop.stop_name) && !isNaN(latitude) && !isNaN(longitude)) {
+            stopLocations.set(stop.stop_name, { stop_name: stop.stop_name, latitude, longitude });
+        }
+    }
+
+    const stopTimesByTrip = new Map();
+    files.get('stop_times.txt').forEach((row, index) => {
+        if (!stopTimesByTrip.has(row.trip_id)) stopTimesByTrip.set(row.trip_id, []);
+        stopTimesByTrip.get(row.trip_id).push({ ...row, line: index + 2 });
+    });
+
+    const routes = new Map();
+    const skippedRoutes = new Set();
+    for (const route of files.get('routes.txt')) {
+        const type = parseInt(route.route_type);
+        const number = route.route_short_name || route.route_id;
+        if (type !== ROUTE_TYPE_BUS && !(type >= 700 && type <= 799)) { // 700-799: extended bus types
+            warnings.push(`Skipped route ${number}: not a bus route (route_type ${route.route_type})`);
+            skippedRoutes.add(route.route_id);
+            continue;
+        }
+        routes.set(route.route_id, {
+            number,
+            route: route.route_long_name || route.route_desc || number,
+            trips: []
+        });
+    }
+
+    files.get('trips.txt').forEach((row, index) => {
+        const label = `trips.txt line ${index + 2} (trip ${row.trip_id})`;
+        const route = routes.get(row.route_id);
+        if (!route) {
+            if (!skippedRoutes.has(row.route_id)) errors.push(`${label}: unknown route_id "${row.route_id}"`);
+            return;
+        }
+
+        const services = classifyService(row.service_id, calendar, calendarDates);
+        if (!services) {
+            errors.push(`${label}: service_id "${row.service_id}" has no calendar entry or dates`);
+            return;
+        }
+
+        const stopTimes = (stopTimesByTrip.get(row.trip_id) || [])
+            .sort((a, b) => parseInt(a.stop_sequence) - parseInt(b.stop_sequence));
+        if (stopTimes.length < 2) {
+            errors.push(`${label}: needs at least two stop times`);
+            return;
+        }
+
+        const names = [];
+        const times = [];
+        stopTimes.forEach((stopTime, position) => {
+            const stop = stops.get(stopTime.stop_id);
+            // Approximate times (timepoint 0) are left to estimateTripTimes, apart from the departure
+            const raw = position === 0
+                ? stopTime.departure_time || stopTime.arrival_time
+                : stopTime.timepoint !== '0' && (stopTime.arrival_time || stopTime.departure_time);
+            const time = raw ? fromGtfsTime(raw) : null;
+
+            if (!stop) {
+                errors.push(`stop_times.txt line ${stopTime.line}: unknown stop_id "${stopTime.stop_id}"`);
+            } else if (raw && !time) {
+                errors.push(`stop_times.txt line ${stopTime.line}: time "${raw}" must be between 00:00:00 and 23:59:59`);
+            }
+            names.push(stop ? stop.stop_name : stopTime.stop_id);
+            times.push(time);
+        });
+
+        const direction = row.direction_id === '1' ? 'inbound' : 'outbound';
+        route.trips.push({ label, direction, services, names, times });
+    });
+
+    const buses = [];
+
+    for (const route of routes.values()) {
+        if (route.trips.length === 0) {
+            warnings.push(`Skipped route ${route.number}: no trips`);
+            continue;
+        }
+        if (buses.some(bus => bus.number === route.number)) {
+            errors.push(`routes.txt: more than one route is numbered "${route.number}"`);
+            continue;
+        }
+
+        // Stop names in outbound order, as the longest trip visits them
+        const oriented = trip => trip.direction === 'inbound' ? trip.names.slice().reverse() : trip.names;
+        const pattern = oriented(route.trips.reduce((longest, trip) => trip.names.length > longest.names.length ? trip : longest));
+
+        const trips = [];
+        for (const trip of route.trips) {
+            const positions = alignStops(oriented(trip), pattern);
+            if (!positions) {
+                errors.push(`${trip.label}: stops are not in the same order as route ${route.number}'s other trips`);
+                continue;
+            }
+
+            const tripTimes = new Array(pattern.length).fill(null);
+            const orientedTimes = trip.direction === 'inbound' ? trip.times.slice().reverse() : trip.times;
+            positions.forEach((position, index) => {
+                tripTimes[position] = orientedTimes[index];
+            });
+            if (trip.direction === 'inbound') tripTimes.reverse();
+
+            const timed = tripTimes.filter(Boolean);
+            if (!tripTimes[0]) {
+                const first = trip.direction === 'inbound' ? pattern[pattern.length - 1] : pattern[0];
+                errors.push(`${trip.label}: must depart from route ${route.number}'s first stop (${first}) with a time`);
+            } else if (timed.some((time, index) => index > 0 && time < timed[index - 1])) {
+                errors.push(`${trip.label}: times go backwards along the route`);
+            } else {
+                for (const service of trip.services) {
+                    trips.push({ direction: trip.direction, service, times: tripTimes });
+                }
+            }
+        }
+
+        buses.push({ number: route.number, route: route.route, stops: pattern, trips });
+    }
+
+    if (buses.length === 0 && errors.length === 0) {
+        errors.push('Feed contains no bus routes with trips');
+    }
+    if (errors.length > 0) {
+        throw createGtfsError(errors);
+    }
+    const servedStops = new Set(buses.flatMap(bus => bus.stops));
+    const locations = [...stopLocations.values()].filter(location => servedStops.has(location.stop_name));
+    return { buses, locations, warnings };
+}
+
+module.exports = {
+    exportGtfsFeed,
+    importGtfsFeed
+};
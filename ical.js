@@ -0,0 +1,93 @@
+// ical.js - RFC 5545 iCalendar serialisation for schedule and booking feeds
+const { getDayOfWeek } = require('./time-utils');
+
+const BYDAY_CODES = { Monday: 'MO', Tuesday: 'TU', Wednesday: 'WE', Thursday: 'TH', Friday: 'FR', Saturday: 'SA', Sunday: 'SU' };
+
+// Escape TEXT property values (RFC 5545 section 3.3.11)
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (RFC 5545 section 3.1)
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let limit = 75;
+
+    for (const char of line) {
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+            limit = 74; // continuation lines start with a space
+        }
+        current += char;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+// 'YYYY-MM-DD' + 'HH:MM' -> floating local date-time 'YYYYMMDDTHHMM00'
+function formatDateTime(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '').slice(0, 4)}00`;
+}
+
+// SQLite CURRENT_TIMESTAMP ('YYYY-MM-DD HH:MM:SS', UTC) -> 'YYYYMMDDTHHMMSSZ'
+function formatTimestamp(timestamp) {
+    const date = timestamp ? new Date(`${timestamp.replace(' ', 'T')}Z`) : new Date();
+    const valid = isNaN(date.getTime()) ? new Date() : date;
+    return valid.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a VCALENDAR document.
+ * Each event: { uid, timestamp, date, start_time, end_time, summary, description?, location?, weekly?,
+ * until?, exdates? }
+ * Weekly events repeat every week on the weekday of `date`, up to and including the `until` date if
+ * given, skipping the `exdates` (YYYY-MM-DD).
+ */
+function buildCalendar(name, events) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Campus Navigator//Campus Info System//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    // Calendar apps reject events that end before they start
+    events.filter(event => event.start_time < event.end_time).forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${formatTimestamp(event.timestamp)}`,
+            `DTSTART:${formatDateTime(event.date, event.start_time)}`,
+            `DTEND:${formatDateTime(event.date, event.end_time)}`
+        );
+        if (event.weekly) {
+            const until = event.until ? `;UNTIL=${formatDateTime(event.until, '23:59')}` : '';
+            lines.push(`RRULE:FREQ=WEEKLY;BYDAY=${BYDAY_CODES[getDayOfWeek(event.date)]}${until}`);
+            if (event.exdates && event.exdates.length > 0) {
+                lines.push(`EXDATE:${event.exdates.map(date => formatDateTime(date, event.start_time)).join(',')}`);
+            }
+        }
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    buildCalendar,
+    escapeText,
+    foldLine
+};
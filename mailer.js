@@ -0,0 +1,160 @@
+// mailer.js - Minimal SMTP client for notification emails
+//
+// Speaks plain SMTP (optionally over implicit TLS) with AUTH PLAIN, which is enough for a
+// campus mail relay or a local test server such as MailHog or smtp4dev. No STARTTLS.
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Header values must not smuggle in extra header lines
+function headerValue(value) {
+    return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+// RFC 2047 encoded-word for non-ASCII subjects
+function encodeHeader(value) {
+    const clean = headerValue(value);
+    return /^[\x20-\x7e]*$/.test(clean) ? clean : `=?UTF-8?B?${Buffer.from(clean).toString('base64')}?=`;
+}
+
+// Collects multi-line SMTP replies ("250-...", "250 ...") and hands them out in order
+function createReplyReader(socket) {
+    const replies = [];
+    const waiting = [];
+    let buffer = '';
+    let lines = [];
+    let failure = null;
+
+    function push(reply) {
+        if (waiting.length > 0) waiting.shift().resolve(reply);
+        else replies.push(reply);
+    }
+
+    function fail(error) {
+        failure = failure || error;
+        while (waiting.length > 0) waiting.shift().reject(failure);
+    }
+
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+            if (/^\d{3}(?: |$)/.test(line)) {
+                push({ code: parseInt(line.slice(0, 3)), text: lines.join('\n') });
+                lines = [];
+            }
+        }
+    });
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP connection closed unexpectedly')));
+
+    return () => {
+        if (replies.length > 0) return Promise.resolve(replies.shift());
+        if (failure) return Promise.reject(failure);
+        return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    };
+}
+
+class SmtpTransport {
+    /**
+     * options: { host, port = 25, secure = false, user?, pass?, from, timeout = 10000 }
+     * `secure` opens the connection with TLS (usually port 465).
+     */
+    constructor(options) {
+        this.host = options.host;
+        this.port = options.port || (options.secure ? 465 : 25);
+        this.secure = !!options.secure;
+        this.user = options.user;
+        this.pass = options.pass;
+        this.from = options.from;
+        this.timeout = options.timeout || 10000;
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = this.secure
+                ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+                : net.connect({ host: this.host, port: this.port });
+
+            socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => resolve(socket));
+            socket.once('error', reject);
+        });
+    }
+
+    buildMessage({ to, subject, text }) {
+        const domain = this.from.split('@')[1] || os.hostname();
+        const headers = [
+            `From: ${headerValue(this.from)}`,
+            `To: ${headerValue(to)}`,
+            `Subject: ${encodeHeader(subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit'
+        ];
+
+        // CRLF line endings and dot-stuffing (RFC 5321 section 4.5.2)
+        const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+        return `${headers.join('\r\n')}\r\n\r\n${body}`;
+    }
+
+    // Send one plain-text email; rejects with the server's reply on any failure
+    async sendMail({ to, subject, text }) {
+        const socket = await this.connect();
+        const nextReply = createReplyReader(socket);
+
+        const expect = async (codes) => {
+            const reply = await nextReply();
+            if (![].concat(codes).includes(reply.code)) {
+                throw new Error(`SMTP error: ${reply.text}`);
+            }
+            return reply;
+        };
+        const command = (line, codes) => {
+            socket.write(`${line}\r\n`);
+            return expect(codes);
+        };
+
+        try {
+            await expect(220);
+            await command(`EHLO ${os.hostname()}`, 250);
+            if (this.user) {
+                const credentials = Buffer.from(`\0${this.user}\0${this.pass || ''}`).toString('base64');
+                await command(`AUTH PLAIN ${credentials}`, 235);
+            }
+            await command(`MAIL FROM:<${headerValue(this.from)}>`, 250);
+            await command(`RCPT TO:<${headerValue(to)}>`, [250, 251]);
+            await command('DATA', 354);
+            await command(`${this.buildMessage({ to, subject, text })}\r\n.`, 250);
+            await command('QUIT', 221);
+        } finally {
+            socket.destroy();
+        }
+    }
+}
+
+// SMTP settings from SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS and SMTP_FROM;
+// null when SMTP_HOST is not set (email delivery disabled)
+function createTransportFromEnv(env = process.env) {
+    if (!env.SMTP_HOST) return null;
+
+    return new SmtpTransport({
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT ? parseInt(env.SMTP_PORT) : undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        from: env.SMTP_FROM || 'campus-info@localhost'
+    });
+}
+
+module.exports = {
+    SmtpTransport,
+    createTransportFromEnv
+};
@@ -0,0 +1,55 @@
+// migrate.js - Database migration CLI
+// Usage: node migrate.js [migrate | rollback [steps] | status | seed]
+const Database = require('./database');
+const Migrator = require('./migrator');
+const { seedSampleData } = require('./seed');
+
+async function main() {
+    const [command = 'migrate', arg] = process.argv.slice(2);
+    const db = new Database();
+    await db.open();
+    const migrator = new Migrator(db);
+
+    try {
+        switch (command) {
+            case 'migrate': {
+                const applied = await migrator.migrate();
+                console.log(applied.length > 0 ? `🎉 Applied ${applied.length} migration(s)` : 'ℹ️ Nothing to migrate');
+                break;
+            }
+            case 'rollback': {
+                const steps = arg === undefined ? 1 : parseInt(arg, 10);
+                if (!Number.isInteger(steps) || steps < 1) {
+                    throw new Error('rollback steps must be a positive integer');
+                }
+                const reverted = await migrator.rollback(steps);
+                console.log(reverted.length > 0 ? `🎉 Reverted ${reverted.length} migration(s)` : 'ℹ️ Nothing to roll back');
+                break;
+            }
+            case 'status': {
+                const migrations = await migrator.status();
+                migrations.forEach(m => {
+                    const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+                    console.log(`${m.applied ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name} (${state})`);
+                });
+                break;
+            }
+            case 'seed': {
+                // Seeding needs the full schema and an admin account, same as server start-up
+                await migrator.migrate();
+                await db.ensureDefaultAdmin();
+                await seedSampleData(db);
+                break;
+            }
+            default:
+                throw new Error(`Unknown command "${command}". Use migrate, rollback [steps], status or seed`);
+        }
+    } finally {
+        db.close();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Migration command failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,159 @@
+// 001_initial_schema.js - Core campus tables (users, rooms, labs, buses, cafeteria, schedules, booking requests)
+// Uses IF NOT EXISTS so databases created before migrations existed are adopted as-is.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            -- Users table
+            CREATE TABLE IF NOT EXISTS users (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                student_id TEXT UNIQUE,
+                name TEXT NOT NULL,
+                password TEXT NOT NULL,
+                role TEXT NOT NULL CHECK (role IN ('admin', 'student')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Classrooms table
+            CREATE TABLE IF NOT EXISTS classrooms (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                room TEXT NOT NULL UNIQUE,
+                dept TEXT NOT NULL,
+                floor TEXT NOT NULL,
+                capacity INTEGER NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Labs table
+            CREATE TABLE IF NOT EXISTS labs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                dept TEXT NOT NULL,
+                location TEXT NOT NULL,
+                computers INTEGER NOT NULL,
+                projector TEXT DEFAULT 'No',
+                instruments TEXT DEFAULT 'None',
+                status TEXT NOT NULL CHECK (status IN ('open', 'closed')),
+                hours TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Buses table
+            CREATE TABLE IF NOT EXISTS buses (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                number TEXT NOT NULL UNIQUE,
+                time TEXT NOT NULL,
+                route TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Bus stops table (for normalized stop data)
+            CREATE TABLE IF NOT EXISTS bus_stops (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                bus_id INTEGER NOT NULL,
+                stop_name TEXT NOT NULL,
+                stop_order INTEGER NOT NULL,
+                FOREIGN KEY (bus_id) REFERENCES buses (id) ON DELETE CASCADE
+            );
+
+            -- Cafeteria menu table
+            CREATE TABLE IF NOT EXISTS cafeteria_menu (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                description TEXT NOT NULL,
+                price DECIMAL(10,2) NOT NULL,
+                category TEXT NOT NULL CHECK (category IN ('food', 'snacks', 'drinks')),
+                availability TEXT NOT NULL CHECK (availability IN ('available', 'limited')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Cafeteria info table
+            CREATE TABLE IF NOT EXISTS cafeteria_info (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                location TEXT NOT NULL,
+                contact TEXT NOT NULL,
+                hours TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Schedules table for weekly routines
+            CREATE TABLE IF NOT EXISTS schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
+                resource_id INTEGER NOT NULL,
+                day_of_week TEXT NOT NULL, -- 'Monday', 'Tuesday', etc.
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                subject TEXT NOT NULL,
+                instructor TEXT,
+                course_code TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Booking requests table for special programs
+            CREATE TABLE IF NOT EXISTS booking_requests (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
+                resource_id INTEGER NOT NULL,
+                date DATE NOT NULL,
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                program_name TEXT NOT NULL,
+                description TEXT,
+                participant_count INTEGER,
+                status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+                admin_notes TEXT,
+                reviewed_by INTEGER,
+                reviewed_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id),
+                FOREIGN KEY (reviewed_by) REFERENCES users (id)
+            );
+
+            -- Create indexes for better performance
+            CREATE INDEX IF NOT EXISTS idx_users_student_id ON users (student_id);
+            CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
+            CREATE INDEX IF NOT EXISTS idx_classrooms_dept ON classrooms (dept);
+            CREATE INDEX IF NOT EXISTS idx_classrooms_floor ON classrooms (floor);
+            CREATE INDEX IF NOT EXISTS idx_labs_status ON labs (status);
+            CREATE INDEX IF NOT EXISTS idx_labs_dept ON labs (dept);
+            CREATE INDEX IF NOT EXISTS idx_buses_number ON buses (number);
+            CREATE INDEX IF NOT EXISTS idx_bus_stops_bus_id ON bus_stops (bus_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_category ON cafeteria_menu (category);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_availability ON cafeteria_menu (availability);
+            CREATE INDEX IF NOT EXISTS idx_schedules_resource ON schedules (resource_type, resource_id);
+            CREATE INDEX IF NOT EXISTS idx_schedules_day ON schedules (day_of_week);
+            CREATE INDEX IF NOT EXISTS idx_booking_requests_user ON booking_requests (user_id);
+            CREATE INDEX IF NOT EXISTS idx_booking_requests_resource ON booking_requests (resource_type, resource_id);
+            CREATE INDEX IF NOT EXISTS idx_booking_requests_status ON booking_requests (status);
+            CREATE INDEX IF NOT EXISTS idx_booking_requests_date ON booking_requests (date);
+        `);
+
+        // Older databases created labs before the equipment columns existed
+        await db.addColumnIfMissing('labs', 'projector', `TEXT DEFAULT 'No'`);
+        await db.addColumnIfMissing('labs', 'instruments', `TEXT DEFAULT 'None'`);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS booking_requests;
+            DROP TABLE IF EXISTS schedules;
+            DROP TABLE IF EXISTS cafeteria_info;
+            DROP TABLE IF EXISTS cafeteria_menu;
+            DROP TABLE IF EXISTS bus_stops;
+            DROP TABLE IF EXISTS buses;
+            DROP TABLE IF EXISTS labs;
+            DROP TABLE IF EXISTS classrooms;
+            DROP TABLE IF EXISTS users;
+        `);
+    }
+};
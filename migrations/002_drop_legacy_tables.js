@@ -0,0 +1,22 @@
+// 002_drop_legacy_tables.js - Remove tables left behind by the abandoned check-in and booking features
+// (replaces the old cleanup-database.js script)
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_bookings_date;
+            DROP INDEX IF EXISTS idx_bookings_resource;
+            DROP INDEX IF EXISTS idx_bookings_status;
+            DROP INDEX IF EXISTS idx_bookings_user;
+            DROP INDEX IF EXISTS idx_lab_sessions_lab_id;
+            DROP INDEX IF EXISTS idx_lab_sessions_status;
+            DROP INDEX IF EXISTS idx_lab_sessions_user_id;
+            DROP TABLE IF EXISTS bookings;
+            DROP TABLE IF EXISTS lab_sessions;
+            DROP TABLE IF EXISTS status_reports;
+        `);
+    },
+
+    // The dropped tables were unused and their data is not recoverable
+    async down() {}
+};
@@ -0,0 +1,34 @@
+// 003_booking_series.js - Recurring booking series (occurrences are rows in booking_requests)
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS booking_series (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
+                resource_id INTEGER NOT NULL,
+                program_name TEXT NOT NULL,
+                description TEXT,
+                participant_count INTEGER,
+                start_time TIME NOT NULL,
+                end_time TIME NOT NULL,
+                frequency TEXT NOT NULL CHECK (frequency IN ('weekly', 'biweekly')),
+                start_date DATE NOT NULL,
+                until_date DATE,
+                occurrence_count INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            );
+        `);
+        await db.addColumnIfMissing('booking_requests', 'series_id', 'INTEGER REFERENCES booking_series (id)');
+        await db.run('CREATE INDEX IF NOT EXISTS idx_booking_requests_series ON booking_requests (series_id)');
+    },
+
+    async down(db) {
+        await db.run('DROP INDEX IF EXISTS idx_booking_requests_series');
+        await db.run('ALTER TABLE booking_requests DROP COLUMN series_id');
+        await db.run('DROP TABLE IF EXISTS booking_series');
+    }
+};
@@ -0,0 +1,19 @@
+// 004_calendar_feed_tokens.js - Secret tokens for subscribable calendar feeds (calendar apps cannot send auth headers)
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL UNIQUE,
+                token TEXT NOT NULL UNIQUE,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.run('DROP TABLE IF EXISTS calendar_feed_tokens');
+    }
+};
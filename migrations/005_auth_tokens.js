@@ -0,0 +1,39 @@
+// 005_auth_tokens.js - Rotating refresh tokens, revoked access tokens and per-user token versions
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            -- Refresh tokens are stored as SHA-256 hashes; rotated tokens share a family_id
+            CREATE TABLE IF NOT EXISTS refresh_tokens (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                token_hash TEXT NOT NULL UNIQUE,
+                family_id TEXT NOT NULL,
+                expires_at DATETIME NOT NULL,
+                revoked_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            -- Access tokens signed out before they expire (pruned once expired)
+            CREATE TABLE IF NOT EXISTS revoked_tokens (
+                jti TEXT PRIMARY KEY,
+                expires_at DATETIME NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens (user_id);
+            CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens (family_id);
+        `);
+
+        // Bumping a user's token_version invalidates every access token issued before it
+        await db.addColumnIfMissing('users', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS revoked_tokens;
+            DROP TABLE IF EXISTS refresh_tokens;
+            ALTER TABLE users DROP COLUMN token_version;
+        `);
+    }
+};
@@ -0,0 +1,31 @@
+// 006_user_management.js - Account deactivation and admin-issued password reset codes
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'is_active', 'INTEGER NOT NULL DEFAULT 1');
+
+        await db.exec(`
+            -- One-time codes an admin hands to a user who forgot their password (stored hashed)
+            CREATE TABLE IF NOT EXISTS password_reset_codes (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                code_hash TEXT NOT NULL,
+                created_by INTEGER,
+                expires_at DATETIME NOT NULL,
+                used_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_password_reset_codes_user ON password_reset_codes (user_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS password_reset_codes;
+            ALTER TABLE users DROP COLUMN is_active;
+        `);
+    }
+};
@@ -0,0 +1,46 @@
+// 007_roles_and_departments.js - Staff roles beyond admin/student and a department per user
+// SQLite cannot change a CHECK constraint in place, so the users table is rebuilt.
+
+const USER_COLUMNS = 'id, student_id, name, password, role, token_version, is_active, created_at, updated_at';
+
+async function rebuildUsersTable(db, roles, withDept) {
+    const roleList = roles.map(role => `'${role}'`).join(', ');
+    const columns = withDept ? `${USER_COLUMNS}, dept` : USER_COLUMNS;
+
+    await db.exec(`
+        CREATE TABLE users_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            student_id TEXT UNIQUE,
+            name TEXT NOT NULL,
+            password TEXT NOT NULL,
+            role TEXT NOT NULL CHECK (role IN (${roleList})),
+            ${withDept ? 'dept TEXT, -- department for department-scoped roles' : ''}
+            token_version INTEGER NOT NULL DEFAULT 0,
+            is_active INTEGER NOT NULL DEFAULT 1,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        INSERT INTO users_new (${columns}) SELECT ${columns} FROM users;
+        DROP TABLE users;
+        ALTER TABLE users_new RENAME TO users;
+
+        CREATE INDEX IF NOT EXISTS idx_users_student_id ON users (student_id);
+        CREATE INDEX IF NOT EXISTS idx_users_role ON users (role);
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'dept', 'TEXT');
+        await rebuildUsersTable(db, [
+            'admin', 'student', 'cafeteria_manager', 'transport_officer', 'lab_assistant', 'department_head'
+        ], true);
+    },
+
+    async down(db) {
+        // Staff accounts fall back to plain student access
+        await db.run(`UPDATE users SET role = 'student' WHERE role NOT IN ('admin', 'student')`);
+        await rebuildUsersTable(db, ['admin', 'student'], false);
+    }
+};
@@ -0,0 +1,28 @@
+// 008_audit_log.js - Who changed what: one row per write with before/after snapshots
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                actor_id INTEGER,
+                actor_name TEXT, -- kept so entries stay readable after the user is deleted
+                actor_role TEXT,
+                action TEXT NOT NULL,
+                entity_type TEXT NOT NULL,
+                entity_id TEXT,
+                before_json TEXT,
+                after_json TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log (actor_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS audit_log;`);
+    }
+};
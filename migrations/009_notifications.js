@@ -0,0 +1,31 @@
+// 009_notifications.js - Notification inbox and an optional email address for delivery
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('users', 'email', 'TEXT');
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                type TEXT NOT NULL, -- 'booking_status', 'schedule_change' or 'announcement'
+                title TEXT NOT NULL,
+                message TEXT NOT NULL,
+                entity_type TEXT,
+                entity_id INTEGER,
+                read_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, read_at);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS notifications;
+            ALTER TABLE users DROP COLUMN email;
+        `);
+    }
+};
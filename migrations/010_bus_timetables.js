@@ -0,0 +1,94 @@
+// 010_bus_timetables.js - Bus trips by direction and service day with a time at each stop
+//
+// Replaces the single free-text buses.time. Each existing route becomes one outbound
+// weekday trip departing at its old time.
+
+// '7:30 AM' -> '07:30'; null when the old text isn't a clock time
+function parseClockTime(text) {
+    const match = /^\s*(\d{1,2}):(\d{2})\s*(AM|PM)?\s*$/i.exec(text || '');
+    if (!match) return null;
+
+    let hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    const period = (match[3] || '').toUpperCase();
+    if (period === 'PM' && hours < 12) hours += 12;
+    if (period === 'AM' && hours === 12) hours = 0;
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+// '07:30' -> '7:30 AM'
+function formatClockTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${hours < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS bus_trips (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                bus_id INTEGER NOT NULL,
+                direction TEXT NOT NULL DEFAULT 'outbound' CHECK (direction IN ('outbound', 'inbound')),
+                service TEXT NOT NULL DEFAULT 'weekday' CHECK (service IN ('weekday', 'weekend', 'holiday')),
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (bus_id) REFERENCES buses (id) ON DELETE CASCADE
+            );
+
+            -- Time (HH:MM) a trip reaches each stop; stop_order matches bus_stops.stop_order.
+            -- Only the first stop of a trip must be timed.
+            CREATE TABLE IF NOT EXISTS bus_stop_times (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                trip_id INTEGER NOT NULL,
+                stop_order INTEGER NOT NULL,
+                arrival_time TEXT,
+                FOREIGN KEY (trip_id) REFERENCES bus_trips (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_bus_trips_bus_id ON bus_trips (bus_id);
+            CREATE INDEX IF NOT EXISTS idx_bus_stop_times_trip_id ON bus_stop_times (trip_id);
+        `);
+
+        const buses = await db.all(`SELECT id, time FROM buses`);
+        for (const bus of buses) {
+            const departure = parseClockTime(bus.time);
+            const firstStop = await db.get(`SELECT MIN(stop_order) AS stop_order FROM bus_stops WHERE bus_id = ?`, [bus.id]);
+            if (!departure || firstStop.stop_order === null) {
+                console.log(`⚠️ Bus ${bus.id}: could not convert departure time "${bus.time}", no trip created`);
+                continue;
+            }
+
+            const trip = await db.run(`INSERT INTO bus_trips (bus_id, direction, service) VALUES (?, 'outbound', 'weekday')`, [bus.id]);
+            const stops = await db.all(`SELECT stop_order FROM bus_stops WHERE bus_id = ? ORDER BY stop_order`, [bus.id]);
+            for (const stop of stops) {
+                await db.run(
+                    `INSERT INTO bus_stop_times (trip_id, stop_order, arrival_time) VALUES (?, ?, ?)`,
+                    [trip.lastID, stop.stop_order, stop.stop_order === firstStop.stop_order ? departure : null]
+                );
+            }
+        }
+
+        await db.exec(`ALTER TABLE buses DROP COLUMN time`);
+    },
+
+    async down(db) {
+        await db.exec(`ALTER TABLE buses ADD COLUMN time TEXT NOT NULL DEFAULT ''`);
+
+        // Keep the earliest outbound departure as the route's time
+        const departures = await db.all(`
+            SELECT t.bus_id, MIN(st.arrival_time) AS departure
+            FROM bus_trips t
+            JOIN bus_stop_times st ON st.trip_id = t.id
+            WHERE t.direction = 'outbound' AND st.arrival_time IS NOT NULL
+            GROUP BY t.bus_id
+        `);
+        for (const row of departures) {
+            await db.run(`UPDATE buses SET time = ? WHERE id = ?`, [formatClockTime(row.departure), row.bus_id]);
+        }
+
+        await db.exec(`
+            DROP TABLE IF EXISTS bus_stop_times;
+            DROP TABLE IF EXISTS bus_trips;
+        `);
+    }
+};
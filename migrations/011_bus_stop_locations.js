@@ -0,0 +1,20 @@
+// 011_bus_stop_locations.js - Coordinates of bus stops, keyed by stop name
+//
+// Routes refer to stops by name, so a location is shared by every route serving that stop.
+// Filled in by GTFS imports and written back out by GTFS exports.
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS bus_stop_locations (
+                stop_name TEXT PRIMARY KEY,
+                latitude REAL NOT NULL,
+                longitude REAL NOT NULL,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`DROP TABLE IF EXISTS bus_stop_locations`);
+    }
+};
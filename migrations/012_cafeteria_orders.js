@@ -0,0 +1,61 @@
+// 012_cafeteria_orders.js - Cafeteria pre-orders with pickup slots and daily stock of limited items
+
+module.exports = {
+    async up(db) {
+        // Portions of a limited item that can be ordered per pickup day (NULL = no limit)
+        await db.addColumnIfMissing('cafeteria_menu', 'daily_stock', 'INTEGER');
+
+        await db.exec(`
+            -- Daily pickup windows; capacity is the number of orders each can take per day
+            CREATE TABLE IF NOT EXISTS cafeteria_pickup_slots (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                capacity INTEGER NOT NULL CHECK (capacity > 0),
+                is_active INTEGER NOT NULL DEFAULT 1,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS cafeteria_orders (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                user_id INTEGER NOT NULL,
+                pickup_date TEXT NOT NULL,
+                slot_id INTEGER NOT NULL,
+                status TEXT NOT NULL DEFAULT 'placed' CHECK (status IN ('placed', 'preparing', 'ready', 'collected', 'cancelled')),
+                total DECIMAL(10,2) NOT NULL,
+                notes TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+                FOREIGN KEY (slot_id) REFERENCES cafeteria_pickup_slots (id)
+            );
+
+            -- Name and price are copied from the menu when the order is placed
+            CREATE TABLE IF NOT EXISTS cafeteria_order_items (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                order_id INTEGER NOT NULL,
+                menu_item_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                price DECIMAL(10,2) NOT NULL,
+                quantity INTEGER NOT NULL CHECK (quantity > 0),
+                FOREIGN KEY (order_id) REFERENCES cafeteria_orders (id) ON DELETE CASCADE,
+                FOREIGN KEY (menu_item_id) REFERENCES cafeteria_menu (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_orders_pickup ON cafeteria_orders (pickup_date, slot_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_orders_user ON cafeteria_orders (user_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_order_items_order ON cafeteria_order_items (order_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_order_items_menu_item ON cafeteria_order_items (menu_item_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS cafeteria_order_items;
+            DROP TABLE IF EXISTS cafeteria_orders;
+            DROP TABLE IF EXISTS cafeteria_pickup_slots;
+            ALTER TABLE cafeteria_menu DROP COLUMN daily_stock;
+        `);
+    }
+};
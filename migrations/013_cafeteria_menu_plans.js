@@ -0,0 +1,60 @@
+// 013_cafeteria_menu_plans.js - Meal periods, dated menu plans and the weekly menu rotation
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS cafeteria_meal_periods (
+                name TEXT PRIMARY KEY,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL
+            );
+
+            INSERT OR IGNORE INTO cafeteria_meal_periods (name, start_time, end_time) VALUES
+                ('breakfast', '08:00', '11:00'),
+                ('lunch', '12:00', '15:00'),
+                ('snacks', '15:00', '20:00');
+
+            -- The items served in one meal period on one date. A plan with no items means the
+            -- period is not served that day; dates without a plan fall back to the rotation.
+            CREATE TABLE IF NOT EXISTS cafeteria_menu_plans (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                date TEXT NOT NULL,
+                period TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (date, period),
+                FOREIGN KEY (period) REFERENCES cafeteria_meal_periods (name)
+            );
+
+            CREATE TABLE IF NOT EXISTS cafeteria_menu_plan_items (
+                plan_id INTEGER NOT NULL,
+                menu_item_id INTEGER NOT NULL,
+                PRIMARY KEY (plan_id, menu_item_id),
+                FOREIGN KEY (plan_id) REFERENCES cafeteria_menu_plans (id) ON DELETE CASCADE,
+                FOREIGN KEY (menu_item_id) REFERENCES cafeteria_menu (id) ON DELETE CASCADE
+            );
+
+            -- Weekly template: the items served in each meal period on each weekday
+            CREATE TABLE IF NOT EXISTS cafeteria_menu_rotation (
+                day_of_week TEXT NOT NULL,
+                period TEXT NOT NULL,
+                menu_item_id INTEGER NOT NULL,
+                PRIMARY KEY (day_of_week, period, menu_item_id),
+                FOREIGN KEY (period) REFERENCES cafeteria_meal_periods (name),
+                FOREIGN KEY (menu_item_id) REFERENCES cafeteria_menu (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_plan_items_item ON cafeteria_menu_plan_items (menu_item_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_rotation_item ON cafeteria_menu_rotation (menu_item_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS cafeteria_menu_rotation;
+            DROP TABLE IF EXISTS cafeteria_menu_plan_items;
+            DROP TABLE IF EXISTS cafeteria_menu_plans;
+            DROP TABLE IF EXISTS cafeteria_meal_periods;
+        `);
+    }
+};
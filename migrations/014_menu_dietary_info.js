@@ -0,0 +1,39 @@
+// 014_menu_dietary_info.js - Dietary tags, allergens, calories and spice level of menu items
+
+module.exports = {
+    async up(db) {
+        await db.addColumnIfMissing('cafeteria_menu', 'calories', 'INTEGER');
+        // 0 = not spicy, 1 = mild, 2 = medium, 3 = hot (NULL = not stated)
+        await db.addColumnIfMissing('cafeteria_menu', 'spice_level', 'INTEGER CHECK (spice_level BETWEEN 0 AND 3)');
+
+        await db.exec(`
+            -- 'vegetarian', 'vegan', 'halal' or 'gluten_free'
+            CREATE TABLE IF NOT EXISTS cafeteria_menu_dietary_tags (
+                menu_item_id INTEGER NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (menu_item_id, tag),
+                FOREIGN KEY (menu_item_id) REFERENCES cafeteria_menu (id) ON DELETE CASCADE
+            );
+
+            -- Allergens an item contains, e.g. 'nuts', 'dairy', 'gluten'
+            CREATE TABLE IF NOT EXISTS cafeteria_menu_allergens (
+                menu_item_id INTEGER NOT NULL,
+                allergen TEXT NOT NULL,
+                PRIMARY KEY (menu_item_id, allergen),
+                FOREIGN KEY (menu_item_id) REFERENCES cafeteria_menu (id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_dietary_tags_tag ON cafeteria_menu_dietary_tags (tag);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_allergens_allergen ON cafeteria_menu_allergens (allergen);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP TABLE IF EXISTS cafeteria_menu_allergens;
+            DROP TABLE IF EXISTS cafeteria_menu_dietary_tags;
+            ALTER TABLE cafeteria_menu DROP COLUMN spice_level;
+            ALTER TABLE cafeteria_menu DROP COLUMN calories;
+        `);
+    }
+};
@@ -0,0 +1,159 @@
+// 015_cafeteria_outlets.js - Several cafeterias/food outlets with structured opening hours
+// The single cafeteria_info row becomes the default outlet; existing menu items, pickup
+// slots, orders and menu plans are assigned to it.
+
+const DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// '8:00 AM - 8:00 PM' -> ['08:00', '20:00'], or null if the text isn't a single range
+function parseHours(text) {
+    const match = String(text || '').trim()
+        .match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?\s*[-–]\s*(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return null;
+    const to24 = (h, m, meridiem) => {
+        const hours = meridiem ? (Number(h) % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0) : Number(h);
+        return `${String(hours).padStart(2, '0')}:${m}`;
+    };
+    const open = to24(match[1], match[2], match[3]);
+    const close = to24(match[4], match[5], match[6]);
+    return open < close && close <= '23:59' ? [open, close] : null;
+}
+
+// '20:00' -> '8:00 PM', the format the old free-text hours used
+function to12Hour(time) {
+    const [h, m] = time.split(':').map(Number);
+    return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+async function rebuildMenuPlans(db, withCafeteria) {
+    await db.exec(`
+        CREATE TABLE cafeteria_menu_plans_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            ${withCafeteria ? 'cafeteria_id INTEGER NOT NULL,' : ''}
+            date TEXT NOT NULL,
+            period TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (${withCafeteria ? 'cafeteria_id, ' : ''}date, period),
+            ${withCafeteria ? 'FOREIGN KEY (cafeteria_id) REFERENCES cafeterias (id),' : ''}
+            FOREIGN KEY (period) REFERENCES cafeteria_meal_periods (name)
+        );
+
+        INSERT INTO cafeteria_menu_plans_new (id, ${withCafeteria ? 'cafeteria_id, ' : ''}date, period, created_at, updated_at)
+            SELECT id, ${withCafeteria ? '(SELECT id FROM cafeterias WHERE is_default = 1), ' : ''}date, period, created_at, updated_at
+            FROM cafeteria_menu_plans;
+        DROP TABLE cafeteria_menu_plans;
+        ALTER TABLE cafeteria_menu_plans_new RENAME TO cafeteria_menu_plans;
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS cafeterias (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                location TEXT NOT NULL,
+                contact TEXT NOT NULL,
+                is_default INTEGER NOT NULL DEFAULT 0, -- served by the /api/cafeteria/* endpoints
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Weekly opening hours of a resource; a day without rows is closed and a day
+            -- may have several ranges (e.g. a lunch break)
+            CREATE TABLE IF NOT EXISTS opening_hours (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resource_type TEXT NOT NULL, -- 'cafeteria'
+                resource_id INTEGER NOT NULL,
+                day_of_week TEXT NOT NULL,
+                open_time TEXT NOT NULL,
+                close_time TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_opening_hours_resource ON opening_hours (resource_type, resource_id);
+        `);
+
+        const info = await db.get(`SELECT * FROM cafeteria_info ORDER BY id DESC LIMIT 1`);
+        const { lastID: cafeteriaId } = await db.run(
+            `INSERT INTO cafeterias (name, location, contact, is_default) VALUES (?, ?, ?, 1)`,
+            ['Main Cafeteria', info ? info.location : 'Main Campus', info ? info.contact : 'N/A']
+        );
+
+        // Free-text hours that aren't a single range can't be carried over; staff set them again
+        const hours = parseHours(info ? info.hours : '8:00 AM - 8:00 PM');
+        if (hours) {
+            for (const day of DAYS) {
+                await db.run(
+                    `INSERT INTO opening_hours (resource_type, resource_id, day_of_week, open_time, close_time)
+                     VALUES ('cafeteria', ?, ?, ?, ?)`,
+                    [cafeteriaId, day, hours[0], hours[1]]
+                );
+            }
+        }
+
+        // Added columns can't carry a REFERENCES clause and still be dropped on rollback
+        await db.addColumnIfMissing('cafeteria_menu', 'cafeteria_id', 'INTEGER');
+        await db.addColumnIfMissing('cafeteria_pickup_slots', 'cafeteria_id', 'INTEGER');
+        await db.addColumnIfMissing('cafeteria_orders', 'cafeteria_id', 'INTEGER');
+        await db.run(`UPDATE cafeteria_menu SET cafeteria_id = ?`, [cafeteriaId]);
+        await db.run(`UPDATE cafeteria_pickup_slots SET cafeteria_id = ?`, [cafeteriaId]);
+        await db.run(`UPDATE cafeteria_orders SET cafeteria_id = ?`, [cafeteriaId]);
+        await rebuildMenuPlans(db, true);
+
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_menu_cafeteria ON cafeteria_menu (cafeteria_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_pickup_slots_cafeteria ON cafeteria_pickup_slots (cafeteria_id);
+            CREATE INDEX IF NOT EXISTS idx_cafeteria_orders_cafeteria ON cafeteria_orders (cafeteria_id);
+            DROP TABLE IF EXISTS cafeteria_info;
+        `);
+    },
+
+    async down(db) {
+        // Only the default outlet's details and plans survive; the other outlets' menu items,
+        // slots and orders stay but all belong to the one cafeteria again
+        const cafeteria = await db.get(`SELECT * FROM cafeterias WHERE is_default = 1`);
+        const hours = cafeteria
+            ? await db.get(
+                `SELECT open_time, close_time FROM opening_hours
+                 WHERE resource_type = 'cafeteria' AND resource_id = ? ORDER BY open_time LIMIT 1`,
+                [cafeteria.id]
+            )
+            : null;
+
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS cafeteria_info (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                location TEXT NOT NULL,
+                contact TEXT NOT NULL,
+                hours TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+        `);
+        if (cafeteria) {
+            await db.run(
+                `INSERT INTO cafeteria_info (location, contact, hours) VALUES (?, ?, ?)`,
+                [cafeteria.location, cafeteria.contact,
+                    hours ? `${to12Hour(hours.open_time)} - ${to12Hour(hours.close_time)}` : 'Closed']
+            );
+            await db.run(
+                `DELETE FROM cafeteria_menu_plan_items WHERE plan_id IN
+                    (SELECT id FROM cafeteria_menu_plans WHERE cafeteria_id != ?)`,
+                [cafeteria.id]
+            );
+            await db.run(`DELETE FROM cafeteria_menu_plans WHERE cafeteria_id != ?`, [cafeteria.id]);
+        }
+        await rebuildMenuPlans(db, false);
+
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_cafeteria_orders_cafeteria;
+            DROP INDEX IF EXISTS idx_cafeteria_pickup_slots_cafeteria;
+            DROP INDEX IF EXISTS idx_cafeteria_menu_cafeteria;
+            ALTER TABLE cafeteria_orders DROP COLUMN cafeteria_id;
+            ALTER TABLE cafeteria_pickup_slots DROP COLUMN cafeteria_id;
+            ALTER TABLE cafeteria_menu DROP COLUMN cafeteria_id;
+            DROP TABLE IF EXISTS opening_hours;
+            DROP TABLE IF EXISTS cafeterias;
+        `);
+    }
+};
@@ -0,0 +1,215 @@
+// 016_buildings_and_departments.js - Departments, buildings and floors as their own tables
+// Classrooms and labs point at a department and a floor instead of carrying free text. The
+// existing values are converted: every department code in use becomes a department, and
+// every floor name (classrooms' floor, the part of a lab's location before ", Room ...")
+// becomes a floor of a single "Main Building".
+
+// Names the UI used to hard-code; other codes start out named after themselves
+const DEPARTMENT_NAMES = {
+    CSE: 'Computer Science & Engineering',
+    EEE: 'Electrical & Electronics',
+    BBA: 'Business Administration',
+    Civil: 'Civil Engineering',
+    Physics: 'Physics',
+    Chemistry: 'Chemistry'
+};
+
+const UNASSIGNED_FLOOR = 'Unassigned';
+
+// 'Ground Floor' -> 0, '3rd Floor' -> 3, anything else -> null
+function floorLevel(name) {
+    if (/^ground\b/i.test(name)) return 0;
+    const match = name.match(/^(\d+)(st|nd|rd|th)?\s+floor$/i);
+    return match ? Number(match[1]) : null;
+}
+
+// '1st Floor, Room 1-105' -> { floor: '1st Floor', room: '1-105' }
+function splitLocation(location) {
+    const text = String(location || '').trim();
+    const comma = text.indexOf(',');
+    if (comma !== -1) {
+        return { floor: text.slice(0, comma).trim() || UNASSIGNED_FLOOR, room: text.slice(comma + 1).trim().replace(/^room\s+/i, '') || null };
+    }
+    if (/floor/i.test(text)) return { floor: text, room: null };
+    return { floor: UNASSIGNED_FLOOR, room: text.replace(/^room\s+/i, '') || null };
+}
+
+async function rebuildClassrooms(db, structured) {
+    await db.exec(`
+        CREATE TABLE classrooms_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room TEXT NOT NULL UNIQUE,
+            ${structured ? 'department_id INTEGER NOT NULL,' : 'dept TEXT NOT NULL,'}
+            ${structured ? 'floor_id INTEGER NOT NULL,' : 'floor TEXT NOT NULL,'}
+            capacity INTEGER NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            ${structured ? `,
+            FOREIGN KEY (department_id) REFERENCES departments (id),
+            FOREIGN KEY (floor_id) REFERENCES floors (id)` : ''}
+        );
+    `);
+}
+
+async function rebuildLabs(db, structured) {
+    await db.exec(`
+        CREATE TABLE labs_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            ${structured ? 'department_id INTEGER NOT NULL,' : 'dept TEXT NOT NULL,'}
+            ${structured ? 'floor_id INTEGER NOT NULL,' : 'location TEXT NOT NULL,'}
+            ${structured ? 'room TEXT,' : ''}
+            computers INTEGER NOT NULL,
+            projector TEXT DEFAULT 'No',
+            instruments TEXT DEFAULT 'None',
+            status TEXT NOT NULL CHECK (status IN ('open', 'closed')),
+            hours TEXT NOT NULL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            ${structured ? `,
+            FOREIGN KEY (department_id) REFERENCES departments (id),
+            FOREIGN KEY (floor_id) REFERENCES floors (id)` : ''}
+        );
+    `);
+}
+
+async function swapTables(db) {
+    await db.exec(`
+        DROP INDEX IF EXISTS idx_classrooms_dept;
+        DROP INDEX IF EXISTS idx_classrooms_floor;
+        DROP INDEX IF EXISTS idx_labs_status;
+        DROP INDEX IF EXISTS idx_labs_dept;
+        DROP TABLE classrooms;
+        DROP TABLE labs;
+        ALTER TABLE classrooms_new RENAME TO classrooms;
+        ALTER TABLE labs_new RENAME TO labs;
+        CREATE INDEX IF NOT EXISTS idx_labs_status ON labs (status);
+    `);
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS departments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                code TEXT NOT NULL UNIQUE COLLATE NOCASE, -- what users.dept and the ?dept= filters refer to
+                name TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS buildings (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            CREATE TABLE IF NOT EXISTS floors (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                building_id INTEGER NOT NULL,
+                name TEXT NOT NULL,
+                level INTEGER, -- 0 for the ground floor; null when it has no place in the order
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (building_id, name),
+                FOREIGN KEY (building_id) REFERENCES buildings (id)
+            );
+        `);
+
+        const classrooms = await db.all(`SELECT * FROM classrooms`);
+        const labs = (await db.all(`SELECT * FROM labs`)).map(lab => ({ ...lab, ...splitLocation(lab.location) }));
+        const users = await db.all(`SELECT dept FROM users WHERE dept IS NOT NULL AND TRIM(dept) != ''`);
+
+        const departmentIds = new Map();
+        for (const code of [...classrooms, ...labs, ...users].map(row => row.dept.trim())) {
+            if (departmentIds.has(code.toLowerCase())) continue;
+            const { lastID } = await db.run(`INSERT INTO departments (code, name) VALUES (?, ?)`, [code, DEPARTMENT_NAMES[code] || code]);
+            departmentIds.set(code.toLowerCase(), lastID);
+        }
+
+        const floorIds = new Map();
+        const floorNames = [...classrooms.map(room => room.floor.trim()), ...labs.map(lab => lab.floor)];
+        if (floorNames.length > 0) {
+            const { lastID: buildingId } = await db.run(`INSERT INTO buildings (name) VALUES ('Main Building')`);
+            for (const name of floorNames) {
+                if (floorIds.has(name)) continue;
+                const { lastID } = await db.run(
+                    `INSERT INTO floors (building_id, name, level) VALUES (?, ?, ?)`,
+                    [buildingId, name, floorLevel(name)]
+                );
+                floorIds.set(name, lastID);
+            }
+        }
+
+        await rebuildClassrooms(db, true);
+        for (const room of classrooms) {
+            await db.run(
+                `INSERT INTO classrooms_new (id, room, department_id, floor_id, capacity, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [room.id, room.room, departmentIds.get(room.dept.trim().toLowerCase()), floorIds.get(room.floor.trim()),
+                    room.capacity, room.created_at, room.updated_at]
+            );
+        }
+
+        await rebuildLabs(db, true);
+        for (const lab of labs) {
+            await db.run(
+                `INSERT INTO labs_new (id, name, department_id, floor_id, room, computers, projector, instruments, status, hours, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [lab.id, lab.name, departmentIds.get(lab.dept.trim().toLowerCase()), floorIds.get(lab.floor), lab.room,
+                    lab.computers, lab.projector, lab.instruments, lab.status, lab.hours, lab.created_at, lab.updated_at]
+            );
+        }
+
+        await swapTables(db);
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_classrooms_department ON classrooms (department_id);
+            CREATE INDEX IF NOT EXISTS idx_classrooms_floor ON classrooms (floor_id);
+            CREATE INDEX IF NOT EXISTS idx_labs_department ON labs (department_id);
+            CREATE INDEX IF NOT EXISTS idx_labs_floor ON labs (floor_id);
+            CREATE INDEX IF NOT EXISTS idx_floors_building ON floors (building_id);
+        `);
+    },
+
+    async down(db) {
+        // Buildings are lost: a floor goes back to being just its name
+        await rebuildClassrooms(db, false);
+        await db.run(`
+            INSERT INTO classrooms_new (id, room, dept, floor, capacity, created_at, updated_at)
+            SELECT c.id, c.room, d.code, f.name, c.capacity, c.created_at, c.updated_at
+            FROM classrooms c
+            JOIN departments d ON c.department_id = d.id
+            JOIN floors f ON c.floor_id = f.id
+        `);
+
+        await rebuildLabs(db, false);
+        await db.run(`
+            INSERT INTO labs_new (id, name, dept, location, computers, projector, instruments, status, hours, created_at, updated_at)
+            SELECT l.id, l.name, d.code,
+                   CASE WHEN l.room IS NULL THEN f.name
+                        WHEN f.name = ? THEN 'Room ' || l.room
+                        ELSE f.name || ', Room ' || l.room END,
+                   l.computers, l.projector, l.instruments, l.status, l.hours, l.created_at, l.updated_at
+            FROM labs l
+            JOIN departments d ON l.department_id = d.id
+            JOIN floors f ON l.floor_id = f.id
+        `, [UNASSIGNED_FLOOR]);
+
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_classrooms_department;
+            DROP INDEX IF EXISTS idx_labs_department;
+            DROP INDEX IF EXISTS idx_labs_floor;
+            DROP INDEX IF EXISTS idx_floors_building;
+        `);
+        await swapTables(db);
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_classrooms_dept ON classrooms (dept);
+            CREATE INDEX IF NOT EXISTS idx_classrooms_floor ON classrooms (floor);
+            CREATE INDEX IF NOT EXISTS idx_labs_dept ON labs (dept);
+            DROP TABLE IF EXISTS floors;
+            DROP TABLE IF EXISTS buildings;
+            DROP TABLE IF EXISTS departments;
+        `);
+    }
+};
@@ -0,0 +1,136 @@
+// 017_equipment_inventory.js - Equipment catalogue with per-room inventory and booking requirements
+// A lab's computers, projector and free-text instruments ("Oscilloscopes (20), Whiteboard")
+// become inventory entries; the columns are dropped.
+
+const COMPUTER = 'Computer';
+const PROJECTOR = 'Projector';
+
+// 'Oscilloscopes (20), Whiteboard' -> [['Oscilloscopes', 20], ['Whiteboard', 1]]
+function parseInstruments(text) {
+    return String(text || '')
+        .split(',')
+        .map(part => part.trim())
+        .filter(part => part && part.toLowerCase() !== 'none')
+        .map(part => {
+            const match = part.match(/^(.*?)\s*\((\d+)\)$/);
+            return match ? [match[1], Number(match[2])] : [part, 1];
+        })
+        .filter(([name]) => name);
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS equipment_types (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                description TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- How many of a kind of equipment a classroom or lab has, working and broken
+            CREATE TABLE IF NOT EXISTS room_equipment (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resource_type TEXT NOT NULL, -- 'classroom' or 'lab'
+                resource_id INTEGER NOT NULL,
+                equipment_type_id INTEGER NOT NULL,
+                working_quantity INTEGER NOT NULL DEFAULT 0,
+                broken_quantity INTEGER NOT NULL DEFAULT 0,
+                notes TEXT,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (resource_type, resource_id, equipment_type_id),
+                FOREIGN KEY (equipment_type_id) REFERENCES equipment_types (id)
+            );
+
+            -- Equipment a booking request needs in the room
+            CREATE TABLE IF NOT EXISTS booking_request_equipment (
+                booking_request_id INTEGER NOT NULL,
+                equipment_type_id INTEGER NOT NULL,
+                quantity INTEGER NOT NULL,
+                PRIMARY KEY (booking_request_id, equipment_type_id),
+                FOREIGN KEY (booking_request_id) REFERENCES booking_requests (id),
+                FOREIGN KEY (equipment_type_id) REFERENCES equipment_types (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_room_equipment_resource ON room_equipment (resource_type, resource_id);
+            CREATE INDEX IF NOT EXISTS idx_room_equipment_type ON room_equipment (equipment_type_id);
+        `);
+
+        const typeIds = new Map();
+        const typeId = async name => {
+            const key = name.toLowerCase();
+            if (!typeIds.has(key)) {
+                const { lastID } = await db.run(`INSERT INTO equipment_types (name) VALUES (?)`, [name]);
+                typeIds.set(key, lastID);
+            }
+            return typeIds.get(key);
+        };
+        await typeId(COMPUTER);
+        await typeId(PROJECTOR);
+
+        const labs = await db.all(`SELECT id, computers, projector, instruments FROM labs`);
+        for (const lab of labs) {
+            const quantities = new Map();
+            const add = async (name, quantity) => {
+                const id = await typeId(name);
+                quantities.set(id, (quantities.get(id) || 0) + quantity);
+            };
+            if (lab.computers > 0) await add(COMPUTER, lab.computers);
+            if (lab.projector === 'Yes') await add(PROJECTOR, 1);
+            for (const [name, quantity] of parseInstruments(lab.instruments)) {
+                await add(name, quantity);
+            }
+
+            for (const [id, quantity] of quantities) {
+                await db.run(
+                    `INSERT INTO room_equipment (resource_type, resource_id, equipment_type_id, working_quantity) VALUES ('lab', ?, ?, ?)`,
+                    [lab.id, id, quantity]
+                );
+            }
+        }
+
+        await db.exec(`
+            ALTER TABLE labs DROP COLUMN computers;
+            ALTER TABLE labs DROP COLUMN projector;
+            ALTER TABLE labs DROP COLUMN instruments;
+        `);
+    },
+
+    async down(db) {
+        await db.addColumnIfMissing('labs', 'computers', 'INTEGER NOT NULL DEFAULT 0');
+        await db.addColumnIfMissing('labs', 'projector', "TEXT DEFAULT 'No'");
+        await db.addColumnIfMissing('labs', 'instruments', "TEXT DEFAULT 'None'");
+
+        // Only working equipment counts; classroom inventories are lost
+        const rows = await db.all(`
+            SELECT e.resource_id, t.name, e.working_quantity
+            FROM room_equipment e
+            JOIN equipment_types t ON e.equipment_type_id = t.id
+            WHERE e.resource_type = 'lab' AND e.working_quantity > 0
+            ORDER BY t.name
+        `);
+        const labIds = [...new Set(rows.map(row => row.resource_id))];
+        for (const labId of labIds) {
+            const equipment = rows.filter(row => row.resource_id === labId);
+            const computers = equipment.find(row => row.name.toLowerCase() === COMPUTER.toLowerCase());
+            const projector = equipment.find(row => row.name.toLowerCase() === PROJECTOR.toLowerCase());
+            const instruments = equipment
+                .filter(row => row !== computers && row !== projector)
+                .map(row => row.working_quantity > 1 ? `${row.name} (${row.working_quantity})` : row.name)
+                .join(', ');
+            await db.run(
+                `UPDATE labs SET computers = ?, projector = ?, instruments = ? WHERE id = ?`,
+                [computers ? computers.working_quantity : 0, projector ? 'Yes' : 'No', instruments || 'None', labId]
+            );
+        }
+
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_room_equipment_type;
+            DROP INDEX IF EXISTS idx_room_equipment_resource;
+            DROP TABLE IF EXISTS booking_request_equipment;
+            DROP TABLE IF EXISTS room_equipment;
+            DROP TABLE IF EXISTS equipment_types;
+        `);
+    }
+};
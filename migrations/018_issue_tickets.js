@@ -0,0 +1,50 @@
+// 018_issue_tickets.js - Issue tickets against classrooms, labs, buses and menu items, with comments
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS issue_tickets (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resource_type TEXT NOT NULL CHECK (resource_type IN ('classroom', 'lab', 'bus', 'menu_item')),
+                resource_id INTEGER NOT NULL,
+                category TEXT NOT NULL,
+                priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'critical')),
+                description TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_progress', 'resolved')),
+                reporter_id INTEGER NOT NULL,
+                assignee_id INTEGER,
+                resolved_at DATETIME,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (reporter_id) REFERENCES users (id),
+                FOREIGN KEY (assignee_id) REFERENCES users (id)
+            );
+
+            CREATE TABLE IF NOT EXISTS issue_ticket_comments (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                ticket_id INTEGER NOT NULL,
+                user_id INTEGER, -- NULL once the author's account is deleted
+                body TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                FOREIGN KEY (ticket_id) REFERENCES issue_tickets (id),
+                FOREIGN KEY (user_id) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_issue_tickets_resource ON issue_tickets (resource_type, resource_id, status);
+            CREATE INDEX IF NOT EXISTS idx_issue_tickets_reporter ON issue_tickets (reporter_id);
+            CREATE INDEX IF NOT EXISTS idx_issue_tickets_assignee ON issue_tickets (assignee_id);
+            CREATE INDEX IF NOT EXISTS idx_issue_ticket_comments_ticket ON issue_ticket_comments (ticket_id);
+        `);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_issue_ticket_comments_ticket;
+            DROP INDEX IF EXISTS idx_issue_tickets_assignee;
+            DROP INDEX IF EXISTS idx_issue_tickets_reporter;
+            DROP INDEX IF EXISTS idx_issue_tickets_resource;
+            DROP TABLE IF EXISTS issue_ticket_comments;
+            DROP TABLE IF EXISTS issue_tickets;
+        `);
+    }
+};
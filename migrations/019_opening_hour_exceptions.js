@@ -0,0 +1,87 @@
+// 019_opening_hour_exceptions.js - Weekly opening hours for labs, date exceptions for labs and
+// cafeterias, and an expiring manual override in place of the stored lab status.
+// A lab's hours text ('8:00 AM - 6:00 PM') becomes the same range on every day. Labs whose text
+// isn't a single range get no hours, so they keep their old status as an override that doesn't
+// expire until staff change it; so do labs marked closed, which their hours alone would open.
+const { DAYS_OF_WEEK, parseHoursRange } = require('../time-utils');
+
+// '20:00' -> '8:00 PM', the format the old free-text hours used
+function to12Hour(time) {
+    const [h, m] = time.split(':').map(Number);
+    return `${h % 12 || 12}:${String(m).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            -- Different hours on one date (a single range), or closed all day when the times are NULL
+            CREATE TABLE IF NOT EXISTS opening_hour_exceptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                resource_type TEXT NOT NULL, -- 'lab' or 'cafeteria'
+                resource_id INTEGER NOT NULL,
+                date TEXT NOT NULL,
+                open_time TEXT,
+                close_time TEXT,
+                reason TEXT,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (resource_type, resource_id, date)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_opening_hour_exceptions_resource ON opening_hour_exceptions (resource_type, resource_id, date);
+        `);
+
+        await db.addColumnIfMissing('labs', 'status_override', "TEXT CHECK (status_override IN ('open', 'closed'))");
+        await db.addColumnIfMissing('labs', 'status_override_until', 'TEXT'); // server-local 'YYYY-MM-DD HH:MM'
+
+        const labs = await db.all(`SELECT id, status, hours FROM labs`);
+        for (const lab of labs) {
+            const hours = parseHoursRange(lab.hours);
+            if (!hours || lab.status === 'closed') {
+                await db.run(`UPDATE labs SET status_override = ? WHERE id = ?`, [lab.status, lab.id]);
+            }
+            if (!hours) continue;
+
+            for (const day of DAYS_OF_WEEK) {
+                await db.run(
+                    `INSERT INTO opening_hours (resource_type, resource_id, day_of_week, open_time, close_time)
+                     VALUES ('lab', ?, ?, ?, ?)`,
+                    [lab.id, day, hours.open_time, hours.close_time]
+                );
+            }
+        }
+
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_labs_status;
+            ALTER TABLE labs DROP COLUMN status;
+            ALTER TABLE labs DROP COLUMN hours;
+        `);
+    },
+
+    async down(db) {
+        await db.addColumnIfMissing('labs', 'status', "TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'closed'))");
+        await db.addColumnIfMissing('labs', 'hours', "TEXT NOT NULL DEFAULT 'Closed'");
+
+        // A lab keeps its override as its status and its earliest range as its hours
+        const labs = await db.all(`SELECT id, status_override FROM labs`);
+        for (const lab of labs) {
+            const hours = await db.get(
+                `SELECT open_time, close_time FROM opening_hours
+                 WHERE resource_type = 'lab' AND resource_id = ? ORDER BY open_time LIMIT 1`,
+                [lab.id]
+            );
+            await db.run(
+                `UPDATE labs SET status = ?, hours = ? WHERE id = ?`,
+                [lab.status_override || 'open', hours ? `${to12Hour(hours.open_time)} - ${to12Hour(hours.close_time)}` : 'Closed', lab.id]
+            );
+        }
+
+        await db.exec(`
+            CREATE INDEX IF NOT EXISTS idx_labs_status ON labs (status);
+            ALTER TABLE labs DROP COLUMN status_override_until;
+            ALTER TABLE labs DROP COLUMN status_override;
+            DELETE FROM opening_hours WHERE resource_type = 'lab';
+            DROP INDEX IF EXISTS idx_opening_hour_exceptions_resource;
+            DROP TABLE IF EXISTS opening_hour_exceptions;
+        `);
+    }
+};
@@ -0,0 +1,67 @@
+// 020_academic_calendar.js - Academic terms that weekly schedule slots can belong to, a campus
+// holiday calendar and one-off exceptions to a slot on a single date. Existing slots get no
+// term, so they keep repeating every week as before.
+
+module.exports = {
+    async up(db) {
+        await db.exec(`
+            CREATE TABLE IF NOT EXISTS academic_terms (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                start_date TEXT NOT NULL,
+                end_date TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- Days (start_date to end_date, inclusive) on which no weekly classes take place
+            CREATE TABLE IF NOT EXISTS holidays (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                start_date TEXT NOT NULL,
+                end_date TEXT NOT NULL,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            );
+
+            -- A slot's occurrence on one date, cancelled or moved. The new_* columns are NULL
+            -- where the occurrence keeps the slot's own date, times or room.
+            CREATE TABLE IF NOT EXISTS schedule_exceptions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER NOT NULL,
+                date TEXT NOT NULL,
+                type TEXT NOT NULL CHECK (type IN ('cancelled', 'rescheduled', 'room_changed')),
+                new_date TEXT,
+                new_start_time TEXT,
+                new_end_time TEXT,
+                new_resource_type TEXT CHECK (new_resource_type IN ('classroom', 'lab')),
+                new_resource_id INTEGER,
+                reason TEXT,
+                created_by INTEGER,
+                created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (schedule_id, date),
+                FOREIGN KEY (schedule_id) REFERENCES schedules (id),
+                FOREIGN KEY (created_by) REFERENCES users (id)
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_holidays_dates ON holidays (start_date, end_date);
+            CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_new_date ON schedule_exceptions (new_date);
+        `);
+
+        await db.addColumnIfMissing('schedules', 'term_id', 'INTEGER REFERENCES academic_terms (id)');
+        await db.exec(`CREATE INDEX IF NOT EXISTS idx_schedules_term ON schedules (term_id)`);
+    },
+
+    async down(db) {
+        await db.exec(`
+            DROP INDEX IF EXISTS idx_schedules_term;
+            ALTER TABLE schedules DROP COLUMN term_id;
+            DROP INDEX IF EXISTS idx_schedule_exceptions_new_date;
+            DROP INDEX IF EXISTS idx_holidays_dates;
+            DROP TABLE IF EXISTS schedule_exceptions;
+            DROP TABLE IF EXISTS holidays;
+            DROP TABLE IF EXISTS academic_terms;
+        `);
+    }
+};
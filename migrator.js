@@ -0,0 +1,98 @@
+// migrator.js - Versioned schema migrations (files in ./migrations, applied versions in schema_migrations)
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+class Migrator {
+    constructor(database) {
+        this.database = database;
+    }
+
+    // Load migration files named NNN_description.js, ordered by version
+    loadMigrations() {
+        return fs.readdirSync(MIGRATIONS_DIR)
+            .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+            .map(file => {
+                const migration = require(path.join(MIGRATIONS_DIR, file));
+                if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+                    throw new Error(`Migration ${file} must export up() and down()`);
+                }
+                return {
+                    file: file.replace(/\.js$/, ''),
+                    version: parseInt(file, 10),
+                    name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+                    up: migration.up,
+                    down: migration.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+    }
+
+    async ensureMigrationsTable() {
+        await this.database.run(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    async getAppliedVersions() {
+        await this.ensureMigrationsTable();
+        const rows = await this.database.all('SELECT version, applied_at FROM schema_migrations ORDER BY version');
+        return new Map(rows.map(row => [row.version, row.applied_at]));
+    }
+
+    // List every migration with whether (and when) it has been applied
+    async status() {
+        const applied = await this.getAppliedVersions();
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            applied: applied.has(migration.version),
+            applied_at: applied.get(migration.version) || null
+        }));
+    }
+
+    // Apply all pending migrations in order, each in its own transaction
+    async migrate() {
+        const applied = await this.getAppliedVersions();
+        const pending = this.loadMigrations().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            await this.database.transaction(async () => {
+                await migration.up(this.database);
+                await this.database.run(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                );
+            });
+            console.log(`✅ Applied migration ${migration.file}`);
+        }
+
+        return pending.map(migration => migration.version);
+    }
+
+    // Revert the most recently applied migrations, newest first
+    async rollback(steps = 1) {
+        const applied = await this.getAppliedVersions();
+        const toRevert = this.loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse()
+            .slice(0, steps);
+
+        for (const migration of toRevert) {
+            await this.database.transaction(async () => {
+                await migration.down(this.database);
+                await this.database.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+            });
+            console.log(`↩️ Reverted migration ${migration.file}`);
+        }
+
+        return toRevert.map(migration => migration.version);
+    }
+}
+
+module.exports = Migrator;
@@ -0,0 +1,69 @@
+// notifications.js - In-app notifications with pluggable delivery channels
+//
+// notifyUsers() always stores the notification for the in-app inbox, then hands it to every
+// registered channel (e.g. email). A channel is { name, deliver(recipient, notification) };
+// delivery runs in the background and a failing channel never affects the request.
+
+// Database providing createNotifications() and getNotificationRecipients(), set once at startup
+let notificationStore = null;
+const channels = [];
+
+function setNotificationStore(store) {
+    notificationStore = store;
+}
+
+function registerChannel(channel) {
+    channels.push(channel);
+}
+
+async function deliver(recipients, notification) {
+    for (const channel of channels) {
+        for (const recipient of recipients) {
+            try {
+                await channel.deliver(recipient, notification);
+            } catch (error) {
+                console.error(`Error delivering notification via ${channel.name}:`, error.message);
+            }
+        }
+    }
+}
+
+/**
+ * Notify users. notification: { type, title, message, entity_type?, entity_id? }
+ * Resolves once the inbox entries are stored; external channels deliver afterwards.
+ */
+async function notifyUsers(userIds, notification) {
+    const ids = [...new Set(userIds)];
+    if (ids.length === 0) return 0;
+
+    await notificationStore.createNotifications(ids, notification);
+
+    if (channels.length > 0) {
+        notificationStore.getNotificationRecipients(ids)
+            .then(recipients => deliver(recipients, notification))
+            .catch(error => console.error('Error loading notification recipients:', error));
+    }
+    return ids.length;
+}
+
+// Email channel over a mailer.js transport; users without an email address are skipped
+function createEmailChannel(transport) {
+    return {
+        name: 'email',
+        async deliver(recipient, notification) {
+            if (!recipient.email) return;
+            await transport.sendMail({
+                to: recipient.email,
+                subject: `[Campus Info] ${notification.title}`,
+                text: `Hi ${recipient.name},\n\n${notification.message}\n\n- Campus Information System`
+            });
+        }
+    };
+}
+
+module.exports = {
+    setNotificationStore,
+    registerChannel,
+    notifyUsers,
+    createEmailChannel
+};
@@ -0,0 +1,79 @@
+// permissions.js - Roles and the permissions they grant
+//
+// Permissions are "<resource>:<action>" strings. Department-scoped roles only get their
+// permissions for resources in their own department (users.dept); a scoped user without
+// a department holds them everywhere.
+
+const ROLES = {
+    admin: {
+        label: 'Administrator',
+        permissions: ['*']
+    },
+    student: {
+        label: 'Student',
+        permissions: []
+    },
+    cafeteria_manager: {
+        label: 'Cafeteria Manager',
+        permissions: ['cafeteria:manage']
+    },
+    transport_officer: {
+        label: 'Transport Officer',
+        permissions: ['buses:manage']
+    },
+    lab_assistant: {
+        label: 'Lab Assistant',
+        permissions: ['labs:manage', 'labs:schedule'],
+        departmentScoped: true
+    },
+    department_head: {
+        label: 'Department Head',
+        permissions: [
+            'classrooms:manage', 'classrooms:schedule',
+            'labs:manage', 'labs:schedule',
+            'bookings:view', 'bookings:approve'
+        ],
+        departmentScoped: true,
+        requiresDept: true
+    }
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+// Permission held by the staff who look after each kind of resource (and its issue tickets)
+const RESOURCE_MANAGE_PERMISSIONS = {
+    classroom: 'classrooms:manage',
+    lab: 'labs:manage',
+    bus: 'buses:manage',
+    menu_item: 'cafeteria:manage'
+};
+
+// Permissions granted by a user's role ('*' means everything)
+function getPermissions(user) {
+    const role = ROLES[user.role];
+    return role ? role.permissions : [];
+}
+
+/**
+ * Check whether a user holds a permission.
+ * `dept` is the department (or list of departments) of the resources acted on;
+ * leave it undefined for actions that span all departments.
+ */
+function hasPermission(user, permission, dept) {
+    const role = ROLES[user.role];
+    if (!role) return false;
+    if (role.permissions.includes('*')) return true;
+    if (!role.permissions.includes(permission)) return false;
+    if (!role.departmentScoped || !user.dept) return true;
+
+    const depts = [].concat(dept === undefined ? [] : dept);
+    return depts.length > 0 && depts.every(d => typeof d === 'string' && d.toLowerCase() === user.dept.toLowerCase());
+}
+
+module.exports = {
+    ROLES,
+    ROLE_NAMES,
+    RESOURCE_MANAGE_PERMISSIONS,
+    getPermissions,
+    hasPermission
+};
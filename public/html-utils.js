@@ -0,0 +1,34 @@
+// html-utils.js - Rendering helpers for index.html that the tests in test/ load as well
+//
+// Included with a plain <script> tag, which puts the functions on window; under Node they are
+// exported instead.
+(function(target) {
+    // Text typed by users (ticket descriptions, comments, names) made safe to put in HTML
+    function escapeHtml(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    function getNotificationIcon(type) {
+        const icons = { booking_status: '📝', schedule_change: '📅', announcement: '📣', order_status: '🍽️', issue_update: '🛠️' };
+        return icons[type] || '🔔';
+    }
+
+    // One entry of the notification inbox. Titles and messages quote program names, review
+    // notes, ticket descriptions and comments as their authors typed them.
+    function renderNotificationItem(n) {
+        return `
+            <div class="request-card notification-item ${n.read_at ? '' : 'unread'}" onclick="markNotificationRead(${n.id})">
+                <div class="request-header">
+                    <h4>${getNotificationIcon(n.type)} ${escapeHtml(n.title)}</h4>
+                    ${n.read_at ? '' : '<span class="status-badge pending">NEW</span>'}
+                </div>
+                <div class="request-details">
+                    <p>${escapeHtml(n.message)}</p>
+                    <p class="request-date"><small>${new Date(n.created_at.replace(' ', 'T') + 'Z').toLocaleString()}</small></p>
+                </div>
+            </div>
+        `;
+    }
+
+    Object.assign(target, { escapeHtml, getNotificationIcon, renderNotificationItem });
+})(typeof module !== 'undefined' ? module.exports : window);
@@ -0,0 +1,300 @@
+// seed.js - Optional sample data for demos and local development (run with `npm run seed`)
+const { DAYS_OF_WEEK, timeToMinutes, minutesToTime, addDays, formatLocalDate } = require('./time-utils');
+
+// Insert sample classrooms, labs, buses and cafeteria data into an empty database
+async function seedSampleData(db) {
+    // Check if sample data already exists
+    const classroomCount = await db.getCount('classrooms');
+    if (classroomCount > 0) {
+        console.log('📋 Sample data already exists');
+        return false;
+    }
+
+    console.log('📋 Inserting sample data...');
+
+    // Sample departments, and buildings with their floors ([name, level])
+    const departments = [
+        { code: 'CSE', name: 'Computer Science & Engineering' },
+        { code: 'EEE', name: 'Electrical & Electronics' },
+        { code: 'BBA', name: 'Business Administration' },
+        { code: 'Civil', name: 'Civil Engineering' },
+        { code: 'Physics', name: 'Physics' },
+        { code: 'Chemistry', name: 'Chemistry' }
+    ];
+    const buildings = [
+        {
+            building: { name: 'Main Building', description: 'Lecture rooms and engineering labs' },
+            floors: [['Ground Floor', 0], ['1st Floor', 1], ['2nd Floor', 2], ['3rd Floor', 3]]
+        },
+        {
+            building: { name: 'Science Block', description: 'Natural science labs, behind the library' },
+            floors: [['Ground Floor', 0], ['1st Floor', 1]]
+        }
+    ];
+
+    // Sample classrooms (all in the Main Building) with their equipment ([name, working, broken])
+    const lectureRoom = [['Projector', 1], ['Whiteboard', 1]];
+    const hallRoom = [...lectureRoom, ['Sound System', 1]];
+    const classrooms = [
+        { room: 'G-101', dept: 'CSE', floor: 'Ground Floor', capacity: 60, equipment: lectureRoom },
+        { room: 'G-102', dept: 'EEE', floor: 'Ground Floor', capacity: 50, equipment: lectureRoom },
+        { room: 'G-103', dept: 'BBA', floor: 'Ground Floor', capacity: 70, equipment: [['Projector', 0, 1], ['Whiteboard', 1]] },
+        { room: '1-201', dept: 'CSE', floor: '1st Floor', capacity: 80, equipment: hallRoom },
+        { room: '1-202', dept: 'CSE', floor: '1st Floor', capacity: 60, equipment: [...lectureRoom, ['Computer', 30, 2]] },
+        { room: '1-203', dept: 'EEE', floor: '1st Floor', capacity: 55, equipment: lectureRoom },
+        { room: '2-301', dept: 'BBA', floor: '2nd Floor', capacity: 90, equipment: hallRoom },
+        { room: '2-302', dept: 'Civil', floor: '2nd Floor', capacity: 65, equipment: lectureRoom },
+        { room: '2-303', dept: 'Civil', floor: '2nd Floor', capacity: 70, equipment: [['Whiteboard', 2]] },
+        { room: '3-401', dept: 'CSE', floor: '3rd Floor', capacity: 75, equipment: lectureRoom },
+        { room: '3-402', dept: 'EEE', floor: '3rd Floor', capacity: 60, equipment: lectureRoom },
+        { room: '3-403', dept: 'BBA', floor: '3rd Floor', capacity: 85, equipment: hallRoom }
+    ];
+
+    // Sample labs (in the Main Building unless a building is given), open Monday to Saturday.
+    // `today` is an exception for the current date.
+    const labHours = (open, close, days = DAYS_OF_WEEK.slice(0, 6)) =>
+        days.map(day => ({ day_of_week: day, open_time: open, close_time: close }));
+    const labs = [
+        { name: 'CSE Programming Lab 1', dept: 'CSE', floor: '1st Floor', room: '1-105', opening_hours: labHours('08:00', '18:00'),
+            equipment: [['Computer', 48, 2], ['Projector', 1], ['Whiteboard', 1], ['Sound System', 1]] },
+        { name: 'CSE Programming Lab 2', dept: 'CSE', floor: '1st Floor', room: '1-106', opening_hours: labHours('08:00', '20:00'),
+            equipment: [['Computer', 45], ['Projector', 1], ['Whiteboard', 1]] },
+        { name: 'EEE Circuit Lab', dept: 'EEE', floor: '2nd Floor', room: '2-205', opening_hours: labHours('09:00', '17:00'),
+            today: { open_time: '15:00', close_time: '17:00', reason: 'Maintenance until 3:00 PM' },
+            equipment: [['Computer', 30], ['Oscilloscope', 18, 2], ['Multimeter', 25], ['Function Generator', 15]] },
+        { name: 'Physics Lab', dept: 'Physics', building: 'Science Block', floor: 'Ground Floor', room: 'G-015', opening_hours: labHours('09:00', '17:00'),
+            equipment: [['Computer', 25], ['Projector', 1], ['Microscope', 15], ['Lab Equipment Set', 20]] },
+        { name: 'Chemistry Lab', dept: 'Chemistry', building: 'Science Block', floor: 'Ground Floor', room: 'G-016', opening_hours: labHours('09:00', '17:00'),
+            equipment: [['Computer', 30], ['Projector', 1], ['Fume Hood', 4], ['Lab Bench', 10], ['Glassware Set', 30]] },
+        { name: 'Network & Security Lab', dept: 'CSE', floor: '3rd Floor', room: '3-308', opening_hours: labHours('09:00', '20:00', DAYS_OF_WEEK.slice(0, 5)),
+            today: { open_time: '16:30', close_time: '20:00', reason: 'Scheduled class until 4:30 PM' },
+            equipment: [['Computer', 40], ['Projector', 1], ['Router', 10], ['Switch', 15]] },
+        { name: 'CAD Lab', dept: 'Civil', floor: '2nd Floor', room: '2-210', opening_hours: labHours('08:00', '18:00'),
+            equipment: [['Computer', 35], ['Projector', 1], ['Drawing Tablet', 35], ['3D Printer', 0, 1]] }
+    ];
+
+    // Sample buses with stops and departures ([direction, service, first stop time])
+    const busesWithStops = [
+        { 
+            bus: { number: 'A1', route: 'Campus → City Center → Main Station' },
+            stops: ['Campus Gate', 'Medical College', 'Shopping Mall', 'City Center', 'Main Station'],
+            departures: [['outbound', 'weekday', '07:30'], ['outbound', 'weekday', '12:30'], ['inbound', 'weekday', '08:30'], ['inbound', 'weekday', '17:15'], ['outbound', 'weekend', '10:00'], ['inbound', 'weekend', '16:00']]
+        },
+        { 
+            bus: { number: 'A2', route: 'Campus → University Area → Airport Road' },
+            stops: ['Campus Gate', 'Student Dormitory', 'University Market', 'Tech Park', 'Airport Road'],
+            departures: [['outbound', 'weekday', '08:00'], ['outbound', 'weekday', '14:00'], ['inbound', 'weekday', '07:00'], ['inbound', 'weekday', '15:00']]
+        },
+        { 
+            bus: { number: 'B1', route: 'Campus → Residential Area → Lake View' },
+            stops: ['Campus Gate', 'Faculty Housing', 'Green Park', 'Lake View'],
+            departures: [['outbound', 'weekday', '09:00'], ['outbound', 'weekday', '17:30'], ['inbound', 'weekday', '07:45'], ['outbound', 'holiday', '11:00']]
+        },
+        { 
+            bus: { number: 'B2', route: 'Main Station → City Center → Campus' },
+            stops: ['Main Station', 'City Center', 'Shopping Mall', 'Medical College', 'Campus Gate'],
+            departures: [['outbound', 'weekday', '07:15'], ['outbound', 'weekday', '13:00'], ['inbound', 'weekday', '18:00']]
+        },
+        { 
+            bus: { number: 'C1', route: 'Campus → Downtown → Metro Station' },
+            stops: ['Campus Gate', 'Library Square', 'Downtown Plaza', 'Business District', 'Metro Station'],
+            departures: [['outbound', 'weekday', '17:00'], ['outbound', 'weekday', '19:30'], ['inbound', 'weekday', '07:40'], ['outbound', 'weekend', '18:00']]
+        },
+        { 
+            bus: { number: 'C2', route: 'Airport Road → University Area → Campus' },
+            stops: ['Airport Road', 'Tech Park', 'University Market', 'Student Dormitory', 'Campus Gate'],
+            departures: [['outbound', 'weekday', '07:00'], ['outbound', 'weekday', '18:30'], ['inbound', 'weekday', '16:30']]
+        }
+    ];
+
+    // Sample trips reach the next stop every 10 minutes
+    const tripTimes = (stopCount, firstTime) =>
+        Array.from({ length: stopCount }, (_, i) => minutesToTime(timeToMinutes(firstTime) + i * 10));
+
+    // Insert departments (keeping any an admin already added) and buildings with their floors
+    const departmentIds = {};
+    for (const department of departments) {
+        const existing = await db.getDepartmentByCode(department.code);
+        departmentIds[department.code] = existing ? existing.id : await db.insertDepartment(department);
+    }
+
+    const floorIds = {};
+    for (const { building, floors } of buildings) {
+        const buildingId = await db.insertBuilding(building);
+        for (const [name, level] of floors) {
+            floorIds[`${building.name}/${name}`] = await db.insertFloor({ building_id: buildingId, name, level });
+        }
+    }
+    const placement = resource => ({
+        department_id: departmentIds[resource.dept],
+        floor_id: floorIds[`${resource.building || 'Main Building'}/${resource.floor}`]
+    });
+
+    // Equipment types come from the migrations (Computer, Projector) or are added on first use
+    const equipmentTypeIds = {};
+    for (const type of await db.getEquipmentTypes()) {
+        equipmentTypeIds[type.name] = type.id;
+    }
+    const insertEquipment = async (resourceType, resourceId, equipment) => {
+        for (const [name, working_quantity, broken_quantity = 0] of equipment) {
+            equipmentTypeIds[name] = equipmentTypeIds[name] || await db.insertEquipmentType({ name });
+            await db.insertRoomEquipment(resourceType, resourceId, { equipment_type_id: equipmentTypeIds[name], working_quantity, broken_quantity });
+        }
+    };
+
+    // Insert classrooms
+    for (const classroom of classrooms) {
+        const classroomId = await db.insertClassroom({ ...classroom, ...placement(classroom) });
+        await insertEquipment('classroom', classroomId, classroom.equipment);
+    }
+
+    // Insert labs
+    for (const lab of labs) {
+        const labId = await db.insertLab({ ...lab, ...placement(lab) });
+        await insertEquipment('lab', labId, lab.equipment);
+        if (lab.today) {
+            await db.setOpeningException('lab', labId, { date: formatLocalDate(), ...lab.today });
+        }
+    }
+
+    // Insert buses with their stops and trips
+    for (const busData of busesWithStops) {
+        const busId = await db.insertBus(busData.bus);
+        await db.insertBusTimetable(busId, {
+            stops: busData.stops,
+            trips: busData.departures.map(([direction, service, time]) => ({
+                direction,
+                service,
+                times: tripTimes(busData.stops.length, time)
+            }))
+        });
+    }
+
+    // Cafeteria outlets: the migrations create the default one, the kiosk is added here
+    const weekdays = DAYS_OF_WEEK.slice(0, 5);
+    const mainCafeteria = await db.getDefaultCafeteria();
+    await db.updateCafeteria(mainCafeteria.id, {
+        name: 'Main Cafeteria',
+        location: 'Ground Floor, Main Building',
+        contact: '+880-1234-567890',
+        opening_hours: DAYS_OF_WEEK.map(day => ({ day_of_week: day, open_time: '08:00', close_time: '20:00' }))
+    });
+    const kioskId = await db.insertCafeteria({
+        name: 'Library Coffee Kiosk',
+        location: 'Library Entrance',
+        contact: '+880-1234-567891',
+        opening_hours: [
+            ...weekdays.map(day => ({ day_of_week: day, open_time: '07:30', close_time: '18:00' })),
+            { day_of_week: 'Saturday', open_time: '09:00', close_time: '14:00' }
+        ]
+    });
+    await db.setOpeningException('cafeteria', mainCafeteria.id, {
+        date: addDays(formatLocalDate(), 3),
+        open_time: '08:00',
+        close_time: '14:00',
+        reason: 'Staff training in the afternoon'
+    });
+
+    // Sample cafeteria menu items
+    const menuItems = [
+        { name: 'Chicken Biriyani', description: 'Traditional aromatic rice with tender chicken', price: 180.00, category: 'food', availability: 'available' },
+        { name: 'Beef Curry', description: 'Spicy beef curry with rice', price: 160.00, category: 'food', availability: 'available' },
+        { name: 'Fish Fry', description: 'Crispy fried fish with lemon', price: 140.00, category: 'food', availability: 'limited', daily_stock: 30 },
+        { name: 'Vegetable Fried Rice', description: 'Mixed vegetables with fragrant rice', price: 120.00, category: 'food', availability: 'available' },
+        { name: 'Dal with Rice', description: 'Traditional lentil curry with steamed rice', price: 80.00, category: 'food', availability: 'available' },
+        { name: 'Chicken Sandwich', description: 'Grilled chicken with fresh vegetables', price: 100.00, category: 'snacks', availability: 'available' },
+        { name: 'Samosa', description: 'Crispy pastry with spiced filling', price: 25.00, category: 'snacks', availability: 'available' },
+        { name: 'French Fries', description: 'Golden crispy potato fries', price: 60.00, category: 'snacks', availability: 'available' },
+        { name: 'Spring Rolls', description: 'Crispy vegetable spring rolls', price: 45.00, category: 'snacks', availability: 'limited', daily_stock: 40 },
+        { name: 'Tea', description: 'Hot milk tea', price: 15.00, category: 'drinks', availability: 'available' },
+        { name: 'Coffee', description: 'Fresh brewed coffee', price: 25.00, category: 'drinks', availability: 'available' },
+        { name: 'Fresh Juice', description: 'Seasonal fresh fruit juice', price: 40.00, category: 'drinks', availability: 'available' },
+        { name: 'Soft Drinks', description: 'Chilled carbonated drinks', price: 30.00, category: 'drinks', availability: 'available' },
+        { name: 'Lassi', description: 'Sweet yogurt drink', price: 35.00, category: 'drinks', availability: 'limited', daily_stock: 25 }
+    ];
+
+    // Dietary tags, allergens, calories and spice level (0-3) of the sample items
+    const dietaryInfo = {
+        'Chicken Biriyani': { dietary_tags: ['halal'], allergens: ['dairy'], calories: 650, spice_level: 2 },
+        'Beef Curry': { dietary_tags: ['halal', 'gluten_free'], allergens: [], calories: 550, spice_level: 3 },
+        'Fish Fry': { dietary_tags: ['halal'], allergens: ['fish', 'gluten'], calories: 420, spice_level: 1 },
+        'Vegetable Fried Rice': { dietary_tags: ['vegetarian', 'halal'], allergens: ['eggs', 'soy'], calories: 480, spice_level: 1 },
+        'Dal with Rice': { dietary_tags: ['vegetarian', 'vegan', 'halal', 'gluten_free'], allergens: [], calories: 450, spice_level: 1 },
+        'Chicken Sandwich': { dietary_tags: ['halal'], allergens: ['gluten', 'eggs'], calories: 380, spice_level: 0 },
+        'Samosa': { dietary_tags: ['vegetarian', 'vegan', 'halal'], allergens: ['gluten'], calories: 260, spice_level: 2 },
+        'French Fries': { dietary_tags: ['vegetarian', 'vegan', 'halal', 'gluten_free'], allergens: [], calories: 365, spice_level: 0 },
+        'Spring Rolls': { dietary_tags: ['vegetarian', 'halal'], allergens: ['gluten', 'soy'], calories: 250, spice_level: 1 },
+        'Tea': { dietary_tags: ['vegetarian', 'halal', 'gluten_free'], allergens: ['dairy'], calories: 90, spice_level: 0 },
+        'Coffee': { dietary_tags: ['vegetarian', 'halal', 'gluten_free'], allergens: ['dairy'], calories: 80, spice_level: 0 },
+        'Fresh Juice': { dietary_tags: ['vegetarian', 'vegan', 'halal', 'gluten_free'], allergens: [], calories: 120, spice_level: 0 },
+        'Soft Drinks': { dietary_tags: ['vegetarian', 'vegan', 'halal', 'gluten_free'], allergens: [], calories: 140, spice_level: 0 },
+        'Lassi': { dietary_tags: ['vegetarian', 'halal', 'gluten_free'], allergens: ['dairy', 'nuts'], calories: 220, spice_level: 0 }
+    };
+
+    // Insert cafeteria menu items
+    const menuItemIds = {};
+    for (const item of menuItems) {
+        menuItemIds[item.name] = await db.insertMenuItem({ ...item, ...dietaryInfo[item.name], cafeteria_id: mainCafeteria.id });
+    }
+
+    // The kiosk has no rotation, so its whole (small) menu is served all day
+    const kioskItems = [
+        { name: 'Cappuccino', description: 'Espresso with steamed milk foam', price: 70.00, category: 'drinks', availability: 'available', dietary_tags: ['vegetarian', 'halal', 'gluten_free'], allergens: ['dairy'], calories: 120, spice_level: 0 },
+        { name: 'Iced Coffee', description: 'Cold brew over ice with milk', price: 80.00, category: 'drinks', availability: 'available', dietary_tags: ['vegetarian', 'halal', 'gluten_free'], allergens: ['dairy'], calories: 150, spice_level: 0 },
+        { name: 'Chocolate Muffin', description: 'Freshly baked each morning', price: 55.00, category: 'snacks', availability: 'limited', daily_stock: 20, dietary_tags: ['vegetarian', 'halal'], allergens: ['gluten', 'eggs', 'dairy'], calories: 420, spice_level: 0 },
+        { name: 'Veggie Wrap', description: 'Grilled vegetables and hummus in a flatbread', price: 90.00, category: 'snacks', availability: 'available', dietary_tags: ['vegetarian', 'vegan', 'halal'], allergens: ['gluten', 'sesame'], calories: 340, spice_level: 1 }
+    ];
+
+    for (const item of kioskItems) {
+        await db.insertMenuItem({ ...item, cafeteria_id: kioskId });
+    }
+
+    // Weekly menu rotation: the same breakfast and snacks every day, lunch mains vary
+    const drinks = ['Tea', 'Coffee', 'Fresh Juice', 'Soft Drinks', 'Lassi'];
+    const lunchMains = {
+        Monday: ['Chicken Biriyani', 'Dal with Rice'],
+        Tuesday: ['Beef Curry', 'Vegetable Fried Rice'],
+        Wednesday: ['Fish Fry', 'Dal with Rice'],
+        Thursday: ['Chicken Biriyani', 'Beef Curry'],
+        Friday: ['Fish Fry', 'Vegetable Fried Rice'],
+        Saturday: ['Chicken Biriyani', 'Dal with Rice'],
+        Sunday: ['Beef Curry', 'Dal with Rice']
+    };
+
+    for (const [day, mains] of Object.entries(lunchMains)) {
+        const periods = {
+            breakfast: ['Chicken Sandwich', 'Samosa', 'Tea', 'Coffee'],
+            lunch: [...mains, ...drinks],
+            snacks: ['Samosa', 'French Fries', 'Spring Rolls', 'Chicken Sandwich', ...drinks]
+        };
+        for (const [period, names] of Object.entries(periods)) {
+            for (const name of names) {
+                await db.insertMenuRotationItem({ day_of_week: day, period, menu_item_id: menuItemIds[name] });
+            }
+        }
+    }
+
+    // Lunch and evening pickup slots for cafeteria pre-orders
+    const pickupSlots = [
+        { cafeteria_id: mainCafeteria.id, start_time: '12:00', end_time: '12:30', capacity: 20 },
+        { cafeteria_id: mainCafeteria.id, start_time: '12:30', end_time: '13:00', capacity: 20 },
+        { cafeteria_id: mainCafeteria.id, start_time: '13:00', end_time: '13:30', capacity: 15 },
+        { cafeteria_id: mainCafeteria.id, start_time: '17:00', end_time: '17:30', capacity: 10 },
+        { cafeteria_id: kioskId, start_time: '08:00', end_time: '08:30', capacity: 10 },
+        { cafeteria_id: kioskId, start_time: '10:00', end_time: '10:30', capacity: 10 }
+    ];
+
+    for (const slot of pickupSlots) {
+        await db.insertPickupSlot(slot);
+    }
+
+    // A term running around today and a break two weeks from now
+    const today = formatLocalDate();
+    await db.createAcademicTerm({ name: 'Current Semester', start_date: addDays(today, -28), end_date: addDays(today, 90) });
+    await db.createHoliday({ name: 'Mid-semester Break', start_date: addDays(today, 14), end_date: addDays(today, 16) });
+
+    console.log('✅ Sample data inserted successfully');
+    return true;
+}
+
+module.exports = { seedSampleData };
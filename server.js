@@ -2,17 +2,37 @@
 const express = require('express');
 const cors = require('cors');
 const Database = require('./database');
-const { generateToken, authenticateToken, requireAdmin, requireAuth } = require('./auth');
+const { generateToken, setTokenStore, authenticateToken, requirePermission, requireAuth, JWT_EXPIRES_IN_SECONDS } = require('./auth');
+const { ROLES, ROLE_NAMES, RESOURCE_MANAGE_PERMISSIONS, getPermissions, hasPermission } = require('./permissions');
+const { DAYS_OF_WEEK, isValidDate, isValidTime, addDays, timeToMinutes, minutesToTime, formatLocalDate, formatLocalTime, parseHoursRange, nextWeekday } = require('./time-utils');
+const { parseCsv } = require('./csv-utils');
+const { buildCalendar } = require('./ical');
+const { movedOccurrence } = require('./academic-calendar');
+const { setAuditStore, audit } = require('./audit');
+const { setNotificationStore, registerChannel, notifyUsers, createEmailChannel } = require('./notifications');
+const { createTransportFromEnv } = require('./mailer');
+const { publish, openEventStream, disconnectUser } = require('./events');
+const { exportGtfsFeed, importGtfsFeed } = require('./gtfs');
 
 const app = express();
 const PORT = 3000;
 
 // Initialize database
 const db = new Database();
+setTokenStore(db); // lets authenticateToken reject revoked tokens
+setAuditStore(db); // where audit() middleware records write operations
+setNotificationStore(db);
+db.on('change', publish); // live updates for GET /api/events
+
+// Email notifications are sent when SMTP_HOST is configured (see mailer.js)
+const mailTransport = createTransportFromEnv();
+if (mailTransport) {
+    registerChannel(createEmailChannel(mailTransport));
+}
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '2mb' })); // Timetable imports can be large
 
 // Redirect root to homepage (must be before static middleware)
 app.get('/', (req, res) => {
@@ -36,16 +56,29 @@ async function initializeServer() {
 
 // Authentication Routes
 
+// Access token plus a rotating refresh token for a signed-in user
+async function issueSession(user) {
+    return {
+        token: generateToken(user),
+        refresh_token: await db.createRefreshToken(user.id),
+        expires_in: JWT_EXPIRES_IN_SECONDS
+    };
+}
+
 // Student signup
 app.post('/api/auth/signup', async (req, res) => {
     try {
-        const { student_id, name, password } = req.body;
+        const { student_id, name, password, email } = req.body;
         
         // Validate input
         if (!student_id || !name || !password) {
             return res.status(400).json({ error: 'Student ID, name, and password are required' });
         }
 
+        if (email && !isValidEmail(email)) {
+            return res.status(400).json({ error: 'Email address is not valid' });
+        }
+
         if (password.length < 6) {
             return res.status(400).json({ error: 'Password must be at least 6 characters long' });
         }
@@ -60,12 +93,13 @@ app.post('/api/auth/signup', async (req, res) => {
         const newUser = await db.createUser({
             student_id,
             name,
+            email: email || null,
             password,
             role: 'student'
         });
 
-        // Generate token
-        const token = generateToken(newUser);
+        // Generate tokens
+        const session = await issueSession(newUser);
 
         res.status(201).json({
             message: 'Account created successfully',
@@ -73,9 +107,12 @@ app.post('/api/auth/signup', async (req, res) => {
                 id: newUser.id,
                 student_id: newUser.student_id,
                 name: newUser.name,
-                role: newUser.role
+                email: newUser.email,
+                role: newUser.role,
+                dept: newUser.dept || null,
+                permissions: getPermissions(newUser)
             },
-            token
+            ...session
         });
 
     } catch (error) {
@@ -110,8 +147,12 @@ app.post('/api/auth/signin', async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials' });
         }
 
-        // Generate token
-        const token = generateToken(user);
+        if (!user.is_active) {
+            return res.status(403).json({ error: 'Account is deactivated' });
+        }
+
+        // Generate tokens
+        const session = await issueSession(user);
 
         res.json({
             message: 'Sign in successful',
@@ -119,9 +160,12 @@ app.post('/api/auth/signin', async (req, res) => {
                 id: user.id,
                 student_id: user.student_id,
                 name: user.name,
-                role: user.role
+                email: user.email || null,
+                role: user.role,
+                dept: user.dept || null,
+                permissions: getPermissions(user)
             },
-            token
+            ...session
         });
 
     } catch (error) {
@@ -130,25 +174,156 @@ app.post('/api/auth/signin', async (req, res) => {
     }
 });
 
-// User signout (client-side token removal, server acknowledges)
-app.post('/api/auth/signout', authenticateToken, (req, res) => {
-    res.json({ message: 'Sign out successful' });
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post('/api/auth/refresh', async (req, res) => {
+    try {
+        const { refresh_token } = req.body;
+        if (!refresh_token) {
+            return res.status(400).json({ error: 'Refresh token is required' });
+        }
+
+        const { user, refreshToken } = await db.rotateRefreshToken(refresh_token);
+
+        res.json({
+            user: {
+                id: user.id,
+                student_id: user.student_id,
+                name: user.name,
+                email: user.email || null,
+                role: user.role,
+                dept: user.dept || null,
+                permissions: getPermissions(user)
+            },
+            token: generateToken(user),
+            refresh_token: refreshToken,
+            expires_in: JWT_EXPIRES_IN_SECONDS
+        });
+    } catch (error) {
+        if (error.code === 'INVALID_REFRESH_TOKEN') {
+            return res.status(401).json({ error: error.message });
+        }
+        console.error('Error refreshing token:', error);
+        res.status(500).json({ error: 'Failed to refresh token' });
+    }
+});
+
+// User signout: revoke this access token and (if sent) this device's refresh token
+app.post('/api/auth/signout', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.jti) {
+            await db.revokeAccessToken(req.user.jti, req.user.exp);
+        }
+        if (req.body && req.body.refresh_token) {
+            await db.revokeRefreshToken(req.user.id, req.body.refresh_token);
+        }
+        res.json({ message: 'Sign out successful' });
+    } catch (error) {
+        console.error('Error in signout:', error);
+        res.status(500).json({ error: 'Failed to sign out' });
+    }
+});
+
+// Sign out of all devices: invalidates every access and refresh token of the user
+app.post('/api/auth/signout-all', authenticateToken, async (req, res) => {
+    try {
+        const revokedSessions = await db.revokeAllUserTokens(req.user.id);
+        disconnectUser(req.user.id);
+        res.json({ message: 'Signed out of all devices', revoked_sessions: revokedSessions });
+    } catch (error) {
+        console.error('Error signing out of all devices:', error);
+        res.status(500).json({ error: 'Failed to sign out of all devices' });
+    }
 });
 
 // Get current user info
-app.get('/api/auth/me', authenticateToken, (req, res) => {
-    res.json({
-        user: {
-            id: req.user.id,
-            student_id: req.user.student_id,
-            name: req.user.name,
-            role: req.user.role
+app.get('/api/auth/me', authenticateToken, async (req, res) => {
+    try {
+        const user = await db.findUserById(req.user.id);
+        res.json({
+            user: {
+                id: req.user.id,
+                student_id: req.user.student_id,
+                name: req.user.name,
+                email: user ? user.email : null,
+                role: req.user.role,
+                dept: req.user.dept || null,
+                permissions: getPermissions(req.user)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching current user:', error);
+        res.status(500).json({ error: 'Failed to fetch user info' });
+    }
+});
+
+// Set or clear own email address (used for email notifications)
+app.put('/api/auth/me/email', authenticateToken, async (req, res) => {
+    try {
+        const { email } = req.body;
+        if (email && !isValidEmail(email)) {
+            return res.status(400).json({ error: 'Email address is not valid' });
         }
-    });
+
+        const user = await db.updateUser(req.user.id, { email: email ? email.trim() : null });
+        res.json({ email: user.email });
+    } catch (error) {
+        console.error('Error updating email:', error);
+        res.status(500).json({ error: 'Failed to update email address' });
+    }
+});
+
+// Change own password (signs out every other session and returns fresh tokens)
+app.put('/api/auth/me/password', authenticateToken, async (req, res) => {
+    try {
+        const { current_password, new_password } = req.body;
+        if (!current_password || !new_password) {
+            return res.status(400).json({ error: 'Current password and new password are required' });
+        }
+        if (new_password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        await db.changePassword(req.user.id, current_password, new_password);
+        const user = await db.findUserByStudentId(req.user.student_id);
+
+        res.json({ message: 'Password changed successfully', ...(await issueSession(user)) });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        if (error.code === 'INVALID_PASSWORD') {
+            res.status(400).json({ error: error.message });
+        } else if (error.message === 'User not found') {
+            res.status(404).json({ error: 'User not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to change password' });
+        }
+    }
+});
+
+// Set a new password with a one-time code issued by an admin
+app.post('/api/auth/password-reset', async (req, res) => {
+    try {
+        const { student_id, code, new_password } = req.body;
+        if (!student_id || !code || !new_password) {
+            return res.status(400).json({ error: 'Student ID, reset code and new password are required' });
+        }
+        if (new_password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        await db.resetPasswordWithCode(student_id, code, new_password);
+        res.json({ message: 'Password reset successfully. Please sign in with your new password.' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        if (error.code === 'INVALID_RESET_CODE') {
+            res.status(400).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to reset password' });
+        }
+    }
 });
 
 // Admin: Get all users
-app.get('/api/auth/users', authenticateToken, requireAdmin, async (req, res) => {
+app.get('/api/auth/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
     try {
         const users = await db.getAllUsers();
         res.json(users);
@@ -158,13 +333,244 @@ app.get('/api/auth/users', authenticateToken, requireAdmin, async (req, res) =>
     }
 });
 
+// Check user fields sent by an admin; PUT requires all of them, PATCH any subset
+function isValidEmail(email) {
+    return typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim());
+}
+
+function validateUserUpdate(body, requireAll, existingUser = {}) {
+    const { student_id, name, email, role, dept, is_active } = body;
+
+    if (requireAll && (!student_id || !name || !role)) {
+        return 'Required fields: student_id, name, role';
+    }
+    if (student_id !== undefined && (typeof student_id !== 'string' || !student_id.trim())) {
+        return 'Student ID cannot be empty';
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return 'Name cannot be empty';
+    }
+    if (email !== undefined && email !== null && email !== '' && !isValidEmail(email)) {
+        return 'Email address is not valid';
+    }
+    if (role !== undefined && !ROLE_NAMES.includes(role)) {
+        return `Role must be one of: ${ROLE_NAMES.join(', ')}`;
+    }
+    if (dept !== undefined && dept !== null && typeof dept !== 'string') {
+        return 'Department must be a string';
+    }
+    const finalRole = role !== undefined ? role : existingUser.role;
+    const finalDept = dept !== undefined ? dept : existingUser.dept;
+    if (ROLES[finalRole] && ROLES[finalRole].requiresDept && !(finalDept && finalDept.trim())) {
+        return `A department is required for the ${finalRole} role`;
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return 'is_active must be true or false';
+    }
+    return null;
+}
+
+// A user's department must be one of the departments (by code); null when it is
+async function findUnknownDept(dept) {
+    if (typeof dept !== 'string' || !dept.trim()) return null;
+    return await db.getDepartmentByCode(dept.trim()) ? null : `Department ${dept.trim()} does not exist`;
+}
+
+function sendUserError(res, error, fallback) {
+    if (error.message === 'User not found') {
+        res.status(404).json({ error: 'User not found' });
+    } else if (error.code === 'LAST_ADMIN') {
+        res.status(400).json({ error: error.message });
+    } else if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        res.status(400).json({ error: 'Student ID already exists' });
+    } else {
+        res.status(500).json({ error: fallback });
+    }
+}
+
+// Admin: List roles and the permissions they grant
+app.get('/api/auth/roles', authenticateToken, requirePermission('users:manage'), (req, res) => {
+    res.json(ROLE_NAMES.map(name => ({
+        name,
+        label: ROLES[name].label,
+        permissions: ROLES[name].permissions,
+        department_scoped: !!ROLES[name].departmentScoped,
+        requires_dept: !!ROLES[name].requiresDept
+    })));
+});
+
+// Admin: Create a user with any role
+app.post('/api/auth/users', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { student_id, name, email, password, role = 'student', dept } = req.body;
+
+        const validationError = validateUserUpdate({ student_id, name, email, role, dept }, true) || await findUnknownDept(dept);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!password || password.length < 6) {
+            return res.status(400).json({ error: 'Password must be at least 6 characters long' });
+        }
+
+        if (await db.findUserByStudentId(student_id.trim())) {
+            return res.status(400).json({ error: 'Student ID already exists' });
+        }
+
+        const newUser = await db.createUser({
+            student_id: student_id.trim(),
+            name: name.trim(),
+            email: email && email.trim(),
+            password,
+            role,
+            dept: dept && dept.trim()
+        });
+        res.status(201).json(await db.findUserById(newUser.id));
+    } catch (error) {
+        console.error('Error creating user:', error);
+        sendUserError(res, error, 'Failed to create user');
+    }
+});
+
+// Admin: Update a user's details, role, department or active flag
+async function updateUser(req, res) {
+    try {
+        const target = await db.findUserById(req.params.id);
+        if (!target) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const validationError = validateUserUpdate(req.body, req.method === 'PUT', target) || await findUnknownDept(req.body.dept);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (Number(req.params.id) === req.user.id && req.body.is_active === false) {
+            return res.status(400).json({ error: 'You cannot deactivate your own account' });
+        }
+
+        const { student_id, name, email, role, dept, is_active } = req.body;
+        const existingUser = student_id && await db.findUserByStudentId(student_id.trim());
+        if (existingUser && existingUser.id !== Number(req.params.id)) {
+            return res.status(400).json({ error: 'Student ID already exists' });
+        }
+
+        const user = await db.updateUser(req.params.id, {
+            student_id: student_id && student_id.trim(),
+            name: name && name.trim(),
+            email: typeof email === 'string' ? email.trim() : email,
+            role,
+            dept: typeof dept === 'string' ? dept.trim() : dept,
+            is_active
+        });
+        disconnectUser(user.id); // open event streams reconnect with the new role, or not at all
+        res.json(user);
+    } catch (error) {
+        console.error('Error updating user:', error);
+        sendUserError(res, error, 'Failed to update user');
+    }
+}
+
+app.put('/api/auth/users/:id', authenticateToken, requirePermission('users:manage'), updateUser);
+app.patch('/api/auth/users/:id', authenticateToken, requirePermission('users:manage'), updateUser);
+
+// Admin: Delete a user and their booking requests
+app.delete('/api/auth/users/:id', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        if (Number(req.params.id) === req.user.id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+
+        const result = await db.deleteUser(req.params.id);
+        disconnectUser(Number(req.params.id));
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting user:', error);
+        sendUserError(res, error, 'Failed to delete user');
+    }
+});
+
+// Admin: Issue a one-time password reset code to pass on to the user
+app.post('/api/auth/users/:id/password-reset', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const { user, code, expires_at } = await db.createPasswordResetCode(req.params.id, req.user.id);
+        res.status(201).json({
+            message: `Give this code to ${user.name}; it works once and expires at ${expires_at} UTC`,
+            student_id: user.student_id,
+            code,
+            expires_at
+        });
+    } catch (error) {
+        console.error('Error creating password reset code:', error);
+        sendUserError(res, error, 'Failed to create password reset code');
+    }
+});
+
 // Protected Routes (require authentication)
 
+// Department of the room behind a classroom, lab, schedule slot, booking request or
+// booking series (from req.params.id), for department-scoped permissions
+function deptOf(kind) {
+    return async req => {
+        const scope = await db.getResourceScope(kind, req.params.id);
+        return scope ? scope.dept : null;
+    };
+}
+
+// Department code a classroom or lab payload puts it in: the one behind department_id, or a
+// plain `dept` code
+async function deptOfBody(req) {
+    if (req.body.department_id !== undefined) {
+        const department = await db.getDepartmentById(req.body.department_id);
+        return department ? department.code : null;
+    }
+    return req.body.dept;
+}
+
+// Moving a resource to another department needs permission in both departments
+function deptOfWithBody(kind) {
+    return async req => {
+        const current = await deptOf(kind)(req);
+        const target = await deptOfBody(req);
+        return target === undefined ? current : [current, target];
+    };
+}
+
+// Resolve the department (department_id or `dept` code) and floor_id of a classroom or lab
+// payload, returning { error } or { department_id, floor_id }
+async function parsePlacement(body) {
+    const department = body.department_id !== undefined
+        ? await db.getDepartmentById(body.department_id)
+        : body.dept ? await db.getDepartmentByCode(String(body.dept).trim()) : undefined;
+    if (department === undefined) {
+        return { error: 'A department is required' };
+    }
+    if (!department) {
+        return { error: 'Department not found' };
+    }
+    if (body.floor_id === undefined || body.floor_id === null || body.floor_id === '') {
+        return { error: 'A floor is required' };
+    }
+    const floor = await db.getFloorById(body.floor_id);
+    if (!floor) {
+        return { error: 'Floor not found' };
+    }
+    return { department_id: department.id, floor_id: floor.id };
+}
+
+// Schedule slots are managed with the schedule permission of their room type
+function schedulePermission(resourceType) {
+    return resourceType === 'lab' ? 'labs:schedule' : 'classrooms:schedule';
+}
+
+async function scheduleSlotPermission(req) {
+    const scope = await db.getResourceScope('schedule', req.params.id);
+    return schedulePermission(scope && scope.resource_type);
+}
+
 // Get all classrooms (accessible to all authenticated users)
 app.get('/api/classrooms', authenticateToken, async (req, res) => {
     try {
-        const { dept, search } = req.query;
-        const classrooms = await db.getAllClassrooms({ dept, search });
+        const { dept, building_id, floor_id, search } = req.query;
+        const classrooms = await db.getAllClassrooms({ dept, building_id, floor_id, search });
         res.json(classrooms);
     } catch (error) {
         console.error('Error fetching classrooms:', error);
@@ -187,10 +593,36 @@ app.get('/api/classrooms/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Add new classroom (admin only)
-app.post('/api/classrooms', authenticateToken, requireAdmin, async (req, res) => {
+// Check a classroom payload for POST/PUT, returning an error message or null
+function validateClassroom(classroom) {
+    const { room, capacity } = classroom;
+
+    if (typeof room !== 'string' || !room.trim() || capacity === undefined || capacity === null || capacity === '') {
+        return 'Required fields: room, department_id, floor_id, capacity';
+    }
+    if (!Number.isInteger(Number(capacity)) || Number(capacity) < 1) {
+        return 'Capacity must be a positive whole number';
+    }
+    return null;
+}
+
+// Add new classroom (classrooms:manage)
+app.post('/api/classrooms', authenticateToken, requirePermission('classrooms:manage', { dept: deptOfBody }), audit('classroom', 'create'), async (req, res) => {
     try {
-        const newClassroom = await db.createClassroom(req.body);
+        const validationError = validateClassroom(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const placement = await parsePlacement(req.body);
+        if (placement.error) {
+            return res.status(400).json({ error: placement.error });
+        }
+
+        const newClassroom = await db.createClassroom({
+            room: req.body.room.trim(),
+            capacity: parseInt(req.body.capacity),
+            ...placement
+        });
         res.status(201).json(newClassroom);
     } catch (error) {
         console.error('Error creating classroom:', error);
@@ -202,10 +634,27 @@ app.post('/api/classrooms', authenticateToken, requireAdmin, async (req, res) =>
     }
 });
 
-// Update classroom (admin only)
-app.put('/api/classrooms/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Update classroom (classrooms:manage)
+app.put('/api/classrooms/:id', authenticateToken, requirePermission('classrooms:manage', { dept: deptOfWithBody('classroom') }), audit('classroom', 'update'), async (req, res) => {
     try {
-        const updatedClassroom = await db.updateClassroom(req.params.id, req.body);
+        if (!await db.getClassroomById(req.params.id)) {
+            return res.status(404).json({ error: 'Classroom not found' });
+        }
+
+        const validationError = validateClassroom(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const placement = await parsePlacement(req.body);
+        if (placement.error) {
+            return res.status(400).json({ error: placement.error });
+        }
+
+        const updatedClassroom = await db.updateClassroom(req.params.id, {
+            room: req.body.room.trim(),
+            capacity: parseInt(req.body.capacity),
+            ...placement
+        });
         res.json(updatedClassroom);
     } catch (error) {
         console.error('Error updating classroom:', error);
@@ -217,8 +666,8 @@ app.put('/api/classrooms/:id', authenticateToken, requireAdmin, async (req, res)
     }
 });
 
-// Delete classroom (admin only)
-app.delete('/api/classrooms/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Delete classroom (classrooms:manage)
+app.delete('/api/classrooms/:id', authenticateToken, requirePermission('classrooms:manage', { dept: deptOf('classroom') }), audit('classroom', 'delete'), async (req, res) => {
     try {
         const result = await db.deleteClassroom(req.params.id);
         res.json(result);
@@ -231,8 +680,8 @@ app.delete('/api/classrooms/:id', authenticateToken, requireAdmin, async (req, r
 // Get all labs (accessible to all authenticated users)
 app.get('/api/labs', authenticateToken, async (req, res) => {
     try {
-        const { status, search } = req.query;
-        const labs = await db.getAllLabs({ status, search });
+        const { status, dept, building_id, floor_id, search } = req.query;
+        const labs = await db.getAllLabs({ status, dept, building_id, floor_id, search });
         res.json(labs);
     } catch (error) {
         console.error('Error fetching labs:', error);
@@ -240,340 +689,3097 @@ app.get('/api/labs', authenticateToken, async (req, res) => {
     }
 });
 
-// Update lab status (admin only)
-app.patch('/api/labs/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+// Check a lab payload for POST (isNew) or PUT, returning an error message or null. Opening
+// hours are checked by parseOpeningHours; a new lab needs them, an update may leave them out.
+function validateLab(lab, isNew) {
+    const { name, room } = lab;
+
+    if (!name || (isNew && lab.opening_hours === undefined && lab.hours === undefined)) {
+        return 'Required fields: name, department_id, floor_id, opening_hours';
+    }
+    if (room !== undefined && room !== null && typeof room !== 'string') {
+        return 'Room must be a string';
+    }
+    return null;
+}
+
+// Weekly hours of a lab or cafeteria from a request body, as { error } or { opening_hours }
+// (undefined when the body has none). They come as opening_hours ([{ day_of_week, open_time,
+// close_time }], several ranges a day allowed) or, from older clients, as an hours text like
+// '8:00 AM - 8:00 PM' that applies to every day.
+function parseOpeningHours(body) {
+    let openingHours = body.opening_hours;
+    if (openingHours === undefined && body.hours !== undefined) {
+        const range = parseHoursRange(body.hours);
+        if (!range) {
+            return { error: 'hours must be a range like 8:00 AM - 8:00 PM; use opening_hours for anything else' };
+        }
+        openingHours = DAYS_OF_WEEK.map(day => ({ day_of_week: day, ...range }));
+    }
+    if (openingHours === undefined) {
+        return { opening_hours: undefined };
+    }
+
+    if (!Array.isArray(openingHours)) {
+        return { error: 'opening_hours must be an array' };
+    }
+    for (const range of openingHours) {
+        if (!range || !DAYS_OF_WEEK.includes(range.day_of_week)) {
+            return { error: `day_of_week must be one of ${DAYS_OF_WEEK.join(', ')}` };
+        }
+        if (!isValidTime(range.open_time) || !isValidTime(range.close_time) || range.open_time >= range.close_time) {
+            return { error: `Opening hours on ${range.day_of_week} must be HH:MM with open_time before close_time` };
+        }
+        const overlap = openingHours.some(other => other !== range && other.day_of_week === range.day_of_week &&
+            other.open_time < range.close_time && other.close_time > range.open_time);
+        if (overlap) {
+            return { error: `Opening hours on ${range.day_of_week} overlap` };
+        }
+    }
+    return { opening_hours: openingHours.map(({ day_of_week, open_time, close_time }) => ({ day_of_week, open_time, close_time })) };
+}
+
+// Check PUT .../exceptions/:date, returning { error } or { exception }. Leaving out the times
+// closes the resource all day; otherwise it opens for that one range instead of its weekly hours.
+function parseOpeningException(date, body) {
+    const { open_time, close_time, reason } = body;
+    if (!isValidDate(date)) {
+        return { error: 'Date must be YYYY-MM-DD' };
+    }
+    if (date < formatLocalDate()) {
+        return { error: 'Exceptions can only be set for today or later' };
+    }
+    const closed = (open_time === undefined || open_time === null) && (close_time === undefined || close_time === null);
+    if (!closed && (!isValidTime(open_time) || !isValidTime(close_time) || open_time >= close_time)) {
+        return { error: 'open_time and close_time must be HH:MM with open_time before close_time, or both left out to close all day' };
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+        return { error: 'reason must be text of at most 200 characters' };
+    }
+    return {
+        exception: {
+            date,
+            open_time: closed ? null : open_time,
+            close_time: closed ? null : close_time,
+            reason: reason && reason.trim() ? reason.trim() : null
+        }
+    };
+}
+
+// Get lab by ID (accessible to all authenticated users)
+app.get('/api/labs/:id', authenticateToken, async (req, res) => {
     try {
-        const updatedLab = await db.updateLabStatus(req.params.id, req.body.status);
-        res.json(updatedLab);
-    } catch (error) {
-        console.error('Error updating lab status:', error);
-        if (error.message === 'Lab not found') {
-            res.status(404).json({ error: 'Lab not found' });
+        const lab = await db.getLabById(req.params.id);
+        if (lab) {
+            res.json(lab);
         } else {
-            res.status(500).json({ error: 'Failed to update lab status' });
+            res.status(404).json({ error: 'Lab not found' });
         }
+    } catch (error) {
+        console.error('Error fetching lab:', error);
+        res.status(500).json({ error: 'Failed to fetch lab' });
     }
 });
 
-// Get all buses (accessible to all authenticated users)
-app.get('/api/buses', authenticateToken, async (req, res) => {
+// Add new lab (labs:manage)
+app.post('/api/labs', authenticateToken, requirePermission('labs:manage', { dept: deptOfBody }), audit('lab', 'create'), async (req, res) => {
     try {
-        const { search } = req.query;
-        const buses = await db.getAllBuses({ search });
-        res.json(buses);
+        const validationError = validateLab(req.body, true);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        const hours = parseOpeningHours(req.body);
+        if (hours.error) {
+            return res.status(400).json({ error: hours.error });
+        }
+        const placement = await parsePlacement(req.body);
+        if (placement.error) {
+            return res.status(400).json({ error: placement.error });
+        }
+
+        const newLab = await db.createLab({
+            ...req.body,
+            ...placement,
+            room: req.body.room && req.body.room.trim(),
+            opening_hours: hours.opening_hours
+        });
+        res.status(201).json(newLab);
     } catch (error) {
-        console.error('Error fetching buses:', error);
-        res.status(500).json({ error: 'Failed to fetch buses' });
+        console.error('Error creating lab:', error);
+        res.status(500).json({ error: 'Failed to create lab' });
     }
 });
 
-// Add new bus route (admin only)
-app.post('/api/buses', authenticateToken, requireAdmin, async (req, res) => {
+// Update lab (labs:manage)
+app.put('/api/labs/:id', authenticateToken, requirePermission('labs:manage', { dept: deptOfWithBody('lab') }), audit('lab', 'update'), async (req, res) => {
     try {
-        const newBus = await db.createBus(req.body);
-        res.status(201).json(newBus);
-    } catch (error) {
-        console.error('Error creating bus:', error);
-        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-            res.status(400).json({ error: 'Bus number already exists' });
-        } else {
-            res.status(500).json({ error: 'Failed to create bus route' });
+        const existingLab = await db.getLabById(req.params.id);
+        if (!existingLab) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+
+        const validationError = validateLab(req.body, false);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
         }
+        const hours = parseOpeningHours(req.body);
+        if (hours.error) {
+            return res.status(400).json({ error: hours.error });
+        }
+        const placement = await parsePlacement(req.body);
+        if (placement.error) {
+            return res.status(400).json({ error: placement.error });
+        }
+
+        const updatedLab = await db.updateLab(req.params.id, {
+            ...req.body,
+            ...placement,
+            room: req.body.room && req.body.room.trim(),
+            opening_hours: hours.opening_hours
+        });
+        res.json(updatedLab);
+    } catch (error) {
+        console.error('Error updating lab:', error);
+        res.status(500).json({ error: 'Failed to update lab' });
     }
 });
 
-// Update bus route (admin only)
-app.put('/api/buses/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Delete lab along with its schedules and booking requests (labs:manage)
+app.delete('/api/labs/:id', authenticateToken, requirePermission('labs:manage', { dept: deptOf('lab') }), audit('lab', 'delete'), async (req, res) => {
     try {
-        const updatedBus = await db.updateBus(req.params.id, req.body);
-        res.json(updatedBus);
+        const result = await db.deleteLab(req.params.id);
+        res.json(result);
     } catch (error) {
-        console.error('Error updating bus:', error);
-        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-            res.status(400).json({ error: 'Bus number already exists' });
+        console.error('Error deleting lab:', error);
+        if (error.message === 'Lab not found') {
+            res.status(404).json({ error: 'Lab not found' });
         } else {
-            res.status(500).json({ error: 'Failed to update bus route' });
+            res.status(500).json({ error: 'Failed to delete lab' });
         }
     }
 });
 
-// Delete bus route (admin only)
-app.delete('/api/buses/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Override a lab's status (labs:manage): { status: 'open' | 'closed', until? } keeps it that way
+// until a server-local 'YYYY-MM-DD HH:MM' (the end of today if left out, never if null);
+// { status: 'auto' } goes back to its opening hours
+app.patch('/api/labs/:id/status', authenticateToken, requirePermission('labs:manage', { dept: deptOf('lab') }), audit('lab', 'update_status'), async (req, res) => {
     try {
-        const result = await db.deleteBus(req.params.id);
-        res.json(result);
+        const { status } = req.body;
+        if (!['open', 'closed', 'auto'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be "open", "closed" or "auto"' });
+        }
+
+        let until = null;
+        if (status !== 'auto' && req.body.until !== null) {
+            until = req.body.until === undefined ? `${formatLocalDate()} 23:59` : String(req.body.until).replace('T', ' ');
+            const [date, time] = until.split(' ');
+            if (!isValidDate(date) || !isValidTime(time)) {
+                return res.status(400).json({ error: 'until must be YYYY-MM-DD HH:MM' });
+            }
+            if (until <= `${formatLocalDate()} ${formatLocalTime()}`) {
+                return res.status(400).json({ error: 'until must be in the future' });
+            }
+        }
+
+        const updatedLab = await db.updateLabStatus(req.params.id, status === 'auto' ? null : status, until);
+        res.json(updatedLab);
     } catch (error) {
-        console.error('Error deleting bus:', error);
-        res.status(500).json({ error: 'Failed to delete bus route' });
+        console.error('Error updating lab status:', error);
+        if (error.message === 'Lab not found') {
+            res.status(404).json({ error: 'Lab not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update lab status' });
+        }
     }
 });
 
-// Cafeteria API Routes
-
-// Get all menu items (accessible to all authenticated users)
-app.get('/api/cafeteria/menu', authenticateToken, async (req, res) => {
+// Set different hours, or a closure, for a lab on one date (labs:manage)
+app.put('/api/labs/:id/exceptions/:date', authenticateToken, requirePermission('labs:manage', { dept: deptOf('lab') }), audit('lab', 'update_hours'), async (req, res) => {
     try {
-        const { category, availability, search } = req.query;
-        const menuItems = await db.getAllMenuItems({ category, availability, search });
-        res.json(menuItems);
+        if (!await db.getLabById(req.params.id)) {
+            return res.status(404).json({ error: 'Lab not found' });
+        }
+        const { error, exception } = parseOpeningException(req.params.date, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.setOpeningException('lab', req.params.id, exception));
     } catch (error) {
-        console.error('Error fetching menu items:', error);
-        res.status(500).json({ error: 'Failed to fetch menu items' });
+        console.error('Error setting lab exception:', error);
+        res.status(500).json({ error: 'Failed to set opening exception' });
     }
 });
 
-// Get menu item by ID (accessible to all authenticated users)
-app.get('/api/cafeteria/menu/:id', authenticateToken, async (req, res) => {
+// Go back to a lab's weekly hours on a date (labs:manage)
+app.delete('/api/labs/:id/exceptions/:date', authenticateToken, requirePermission('labs:manage', { dept: deptOf('lab') }), audit('lab', 'update_hours'), async (req, res) => {
     try {
-        const menuItem = await db.getMenuItemById(req.params.id);
-        if (menuItem) {
-            res.json(menuItem);
+        res.json(await db.deleteOpeningException('lab', req.params.id, req.params.date));
+    } catch (error) {
+        console.error('Error deleting lab exception:', error);
+        if (error.message === 'Opening exception not found') {
+            res.status(404).json({ error: 'Opening exception not found' });
         } else {
-            res.status(404).json({ error: 'Menu item not found' });
+            res.status(500).json({ error: 'Failed to delete opening exception' });
+        }
+    }
+});
+
+// Departments, buildings and floors
+
+// Check a department payload, returning { error } or { department }
+function parseDepartment(body) {
+    const { code, name } = body;
+    if (typeof code !== 'string' || !code.trim() || typeof name !== 'string' || !name.trim()) {
+        return { error: 'Required fields: code, name' };
+    }
+    if (!/^[A-Za-z0-9&_-]{1,20}$/.test(code.trim())) {
+        return { error: 'Code must be up to 20 letters, digits or -_&' };
+    }
+    return { department: { code: code.trim(), name: name.trim() } };
+}
+
+// Check a building payload, returning { error } or { building }
+function parseBuilding(body) {
+    const { name, description } = body;
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required' };
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return { error: 'Description must be a string' };
+    }
+    return { building: { name: name.trim(), description: description ? description.trim() : null } };
+}
+
+// Check a floor payload, returning { error } or { floor }; level is 0 for the ground floor
+function parseFloor(body) {
+    const { name, level } = body;
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required' };
+    }
+    if (level !== undefined && level !== null && level !== '' && !Number.isInteger(Number(level))) {
+        return { error: 'Level must be a whole number' };
+    }
+    return { floor: { name: name.trim(), level: level === undefined || level === null || level === '' ? null : Number(level) } };
+}
+
+function sendCampusError(res, error, entity, fallback) {
+    if (error.message === `${entity} not found`) {
+        res.status(404).json({ error: error.message });
+    } else if (/_IN_USE$/.test(error.code || '')) {
+        res.status(409).json({ error: error.message });
+    } else if (/UNIQUE constraint failed/.test(error.message)) {
+        res.status(400).json({ error: `A ${entity.toLowerCase()} with that ${entity === 'Department' ? 'code' : 'name'} already exists` });
+    } else {
+        res.status(500).json({ error: fallback });
+    }
+}
+
+// Load the building behind :id into req.building
+async function loadBuilding(req, res, next) {
+    try {
+        req.building = await db.getBuildingById(req.params.id);
+        if (!req.building) {
+            return res.status(404).json({ error: 'Building not found' });
         }
+        next();
     } catch (error) {
-        console.error('Error fetching menu item:', error);
-        res.status(500).json({ error: 'Failed to fetch menu item' });
+        console.error('Error loading building:', error);
+        res.status(500).json({ error: 'Failed to load building' });
+    }
+}
+
+// Get all departments with their classroom, lab and staff counts (accessible to all authenticated users)
+app.get('/api/departments', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getDepartments());
+    } catch (error) {
+        console.error('Error fetching departments:', error);
+        res.status(500).json({ error: 'Failed to fetch departments' });
     }
 });
 
-// Add new menu item (admin only)
-app.post('/api/cafeteria/menu', authenticateToken, requireAdmin, async (req, res) => {
+// Add a department (campus:manage)
+app.post('/api/departments', authenticateToken, requirePermission('campus:manage'), audit('department', 'create'), async (req, res) => {
     try {
-        const newItem = await db.createMenuItem(req.body);
-        res.status(201).json(newItem);
+        const { error, department } = parseDepartment(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createDepartment(department));
     } catch (error) {
-        console.error('Error creating menu item:', error);
-        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-            res.status(400).json({ error: 'Menu item already exists' });
-        } else {
-            res.status(500).json({ error: 'Failed to create menu item' });
+        console.error('Error creating department:', error);
+        sendCampusError(res, error, 'Department', 'Failed to create department');
+    }
+});
+
+// Update a department; staff accounts follow a change of code (campus:manage)
+app.put('/api/departments/:id', authenticateToken, requirePermission('campus:manage'), audit('department', 'update'), async (req, res) => {
+    try {
+        const { error, department } = parseDepartment(req.body);
+        if (error) {
+            return res.status(400).json({ error });
         }
+        res.json(await db.updateDepartment(req.params.id, department));
+    } catch (error) {
+        console.error('Error updating department:', error);
+        sendCampusError(res, error, 'Department', 'Failed to update department');
     }
 });
 
-// Update menu item (admin only)
-app.put('/api/cafeteria/menu/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Delete a department without classrooms, labs or staff (campus:manage)
+app.delete('/api/departments/:id', authenticateToken, requirePermission('campus:manage'), audit('department', 'delete'), async (req, res) => {
     try {
-        const updatedItem = await db.updateMenuItem(req.params.id, req.body);
-        res.json(updatedItem);
+        res.json(await db.deleteDepartment(req.params.id));
     } catch (error) {
-        console.error('Error updating menu item:', error);
-        res.status(500).json({ error: 'Failed to update menu item' });
+        console.error('Error deleting department:', error);
+        sendCampusError(res, error, 'Department', 'Failed to delete department');
     }
 });
 
-// Delete menu item (admin only)
-app.delete('/api/cafeteria/menu/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Get all buildings with their floors (accessible to all authenticated users)
+app.get('/api/buildings', authenticateToken, async (req, res) => {
     try {
-        const result = await db.deleteMenuItem(req.params.id);
-        res.json(result);
+        res.json(await db.getBuildings());
     } catch (error) {
-        console.error('Error deleting menu item:', error);
-        res.status(500).json({ error: 'Failed to delete menu item' });
+        console.error('Error fetching buildings:', error);
+        res.status(500).json({ error: 'Failed to fetch buildings' });
     }
 });
 
-// Get cafeteria info (accessible to all authenticated users)
-app.get('/api/cafeteria/info', authenticateToken, async (req, res) => {
+// Campus directory of a building: its floors with the classrooms and labs on each
+app.get('/api/buildings/:id', authenticateToken, async (req, res) => {
     try {
-        const cafeteriaInfo = await db.getCafeteriaInfo();
-        res.json(cafeteriaInfo);
+        const building = await db.getBuildingDirectory(req.params.id);
+        if (building) {
+            res.json(building);
+        } else {
+            res.status(404).json({ error: 'Building not found' });
+        }
     } catch (error) {
-        console.error('Error fetching cafeteria info:', error);
-        res.status(500).json({ error: 'Failed to fetch cafeteria info' });
+        console.error('Error fetching building:', error);
+        res.status(500).json({ error: 'Failed to fetch building' });
     }
 });
 
-// Update cafeteria info (admin only)
-app.put('/api/cafeteria/info', authenticateToken, requireAdmin, async (req, res) => {
+// Add a building (campus:manage)
+app.post('/api/buildings', authenticateToken, requirePermission('campus:manage'), audit('building', 'create'), async (req, res) => {
     try {
-        const updatedInfo = await db.updateCafeteriaInfo(req.body);
-        res.json(updatedInfo);
+        const { error, building } = parseBuilding(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createBuilding(building));
     } catch (error) {
-        console.error('Error updating cafeteria info:', error);
-        res.status(500).json({ error: 'Failed to update cafeteria info' });
+        console.error('Error creating building:', error);
+        sendCampusError(res, error, 'Building', 'Failed to create building');
     }
 });
 
-// Schedule Routes
+// Update a building (campus:manage)
+app.put('/api/buildings/:id', authenticateToken, requirePermission('campus:manage'), audit('building', 'update'), async (req, res) => {
+    try {
+        const { error, building } = parseBuilding(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.updateBuilding(req.params.id, building));
+    } catch (error) {
+        console.error('Error updating building:', error);
+        sendCampusError(res, error, 'Building', 'Failed to update building');
+    }
+});
 
-// Get schedules for a specific resource
-app.get('/api/schedules/:type/:id', authenticateToken, async (req, res) => {
+// Delete a building and its floors once no classroom or lab is on them (campus:manage)
+app.delete('/api/buildings/:id', authenticateToken, requirePermission('campus:manage'), audit('building', 'delete'), async (req, res) => {
     try {
-        const { day } = req.query;
-        const schedules = await db.getSchedulesByResource(req.params.type, req.params.id, day);
-        res.json(schedules);
+        res.json(await db.deleteBuilding(req.params.id));
     } catch (error) {
-        console.error('Error fetching schedules:', error);
-        res.status(500).json({ error: 'Failed to fetch schedules' });
+        console.error('Error deleting building:', error);
+        sendCampusError(res, error, 'Building', 'Failed to delete building');
     }
 });
 
-// Create a new schedule entry (admin only)
-app.post('/api/schedules', authenticateToken, requireAdmin, async (req, res) => {
+// Add a floor to a building (campus:manage)
+app.post('/api/buildings/:id/floors', authenticateToken, requirePermission('campus:manage'), loadBuilding, audit('floor', 'create', { id: () => null }), async (req, res) => {
     try {
-        const { resource_type, resource_id, day_of_week, start_time, end_time, subject, instructor, course_code } = req.body;
+        const { error, floor } = parseFloor(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createFloor(req.building.id, floor));
+    } catch (error) {
+        console.error('Error creating floor:', error);
+        sendCampusError(res, error, 'Floor', 'Failed to create floor');
+    }
+});
 
-        if (!resource_type || !resource_id || !day_of_week || !start_time || !end_time || !subject) {
-            return res.status(400).json({ error: 'Required fields: resource_type, resource_id, day_of_week, start_time, end_time, subject' });
+// Look up a floor of req.building, or null when the floor belongs elsewhere
+async function findBuildingFloor(req) {
+    const floor = await db.getFloorById(req.params.floorId);
+    return floor && floor.building_id === req.building.id ? floor : null;
+}
+
+// Rename or renumber a floor (campus:manage)
+app.put('/api/buildings/:id/floors/:floorId', authenticateToken, requirePermission('campus:manage'), loadBuilding, audit('floor', 'update', { id: req => req.params.floorId }), async (req, res) => {
+    try {
+        if (!await findBuildingFloor(req)) {
+            return res.status(404).json({ error: 'Floor not found' });
+        }
+        const { error, floor } = parseFloor(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.updateFloor(req.params.floorId, floor));
+    } catch (error) {
+        console.error('Error updating floor:', error);
+        sendCampusError(res, error, 'Floor', 'Failed to update floor');
+    }
+});
+
+// Delete a floor without classrooms or labs (campus:manage)
+app.delete('/api/buildings/:id/floors/:floorId', authenticateToken, requirePermission('campus:manage'), loadBuilding, audit('floor', 'delete', { id: req => req.params.floorId }), async (req, res) => {
+    try {
+        if (!await findBuildingFloor(req)) {
+            return res.status(404).json({ error: 'Floor not found' });
         }
+        res.json(await db.deleteFloor(req.params.floorId));
+    } catch (error) {
+        console.error('Error deleting floor:', error);
+        sendCampusError(res, error, 'Floor', 'Failed to delete floor');
+    }
+});
 
-        const schedule = await db.createSchedule({
-            resource_type,
-            resource_id,
-            day_of_week,
-            start_time,
-            end_time,
-            subject,
-            instructor,
-            course_code
+// Equipment
+
+// Check an equipment type payload, returning { error } or { type }
+function parseEquipmentType(body) {
+    const { name, description } = body;
+    if (typeof name !== 'string' || !name.trim()) {
+        return { error: 'name is required' };
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        return { error: 'Description must be a string' };
+    }
+    return { type: { name: name.trim(), description: description ? description.trim() : null } };
+}
+
+// Find a catalogue entry by id or (case-insensitive) name
+function findEquipmentType(types, ref) {
+    const text = String(ref).trim();
+    return types.find(type => String(type.id) === text || type.name.toLowerCase() === text.toLowerCase());
+}
+
+// Resolve equipment requirements, given either as text ("Projector:1,Computer:30", names or ids,
+// quantity 1 when left out) or as a list of { equipment_type_id | name, quantity }.
+// Returns { error } or { requirements: [{ equipment_type_id, name, quantity }] }.
+async function parseEquipmentRequirements(input) {
+    if (input === undefined || input === null || input === '') {
+        return { requirements: [] };
+    }
+
+    let entries;
+    if (typeof input === 'string') {
+        entries = input.split(',').filter(part => part.trim()).map(part => {
+            const [ref, quantity] = part.split(':');
+            return { ref, quantity: quantity === undefined ? 1 : quantity };
         });
+    } else if (Array.isArray(input)) {
+        entries = input.map(item => ({
+            ref: item && (item.equipment_type_id !== undefined ? item.equipment_type_id : item.name),
+            quantity: item && item.quantity !== undefined ? item.quantity : 1
+        }));
+    } else {
+        return { error: 'Equipment must be a list of { equipment_type_id or name, quantity }' };
+    }
 
-        res.status(201).json(schedule);
+    const types = await db.getEquipmentTypes();
+    const requirements = [];
+    for (const { ref, quantity } of entries) {
+        const type = ref !== undefined && ref !== null && findEquipmentType(types, ref);
+        if (!type) {
+            return { error: `Unknown equipment: ${ref}` };
+        }
+        if (!Number.isInteger(Number(quantity)) || Number(quantity) < 1) {
+            return { error: `Quantity of ${type.name} must be a positive whole number` };
+        }
+        if (requirements.some(requirement => requirement.equipment_type_id === type.id)) {
+            return { error: `${type.name} is listed more than once` };
+        }
+        requirements.push({ equipment_type_id: type.id, name: type.name, quantity: Number(quantity) });
+    }
+    return { requirements };
+}
+
+// Check a room inventory payload ({ equipment: [{ equipment_type_id, working_quantity, broken_quantity, notes }] }),
+// returning { error } or { entries }
+async function parseRoomEquipment(body) {
+    if (!Array.isArray(body.equipment)) {
+        return { error: 'equipment must be a list' };
+    }
+
+    const types = await db.getEquipmentTypes();
+    const entries = [];
+    for (const item of body.equipment) {
+        const type = item && item.equipment_type_id !== undefined && findEquipmentType(types, item.equipment_type_id);
+        if (!type) {
+            return { error: `Unknown equipment type: ${item && item.equipment_type_id}` };
+        }
+        const working = item.working_quantity === undefined ? 0 : Number(item.working_quantity);
+        const broken = item.broken_quantity === undefined ? 0 : Number(item.broken_quantity);
+        if (![working, broken].every(quantity => Number.isInteger(quantity) && quantity >= 0)) {
+            return { error: `Quantities of ${type.name} must be non-negative whole numbers` };
+        }
+        if (entries.some(entry => entry.equipment_type_id === type.id)) {
+            return { error: `${type.name} is listed more than once` };
+        }
+        if (working + broken > 0) {
+            entries.push({ equipment_type_id: type.id, working_quantity: working, broken_quantity: broken, notes: item.notes || null });
+        }
+    }
+    return { entries };
+}
+
+function sendEquipmentError(res, error, fallback) {
+    if (error.message === 'Equipment type not found') {
+        res.status(404).json({ error: error.message });
+    } else if (error.code === 'EQUIPMENT_TYPE_IN_USE') {
+        res.status(409).json({ error: error.message });
+    } else if (/UNIQUE constraint failed/.test(error.message)) {
+        res.status(400).json({ error: 'An equipment type with that name already exists' });
+    } else {
+        res.status(500).json({ error: fallback });
+    }
+}
+
+// Get the equipment catalogue with installed totals (accessible to all authenticated users)
+app.get('/api/equipment', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getEquipmentTypes());
     } catch (error) {
-        console.error('Error creating schedule:', error);
-        res.status(500).json({ error: 'Failed to create schedule' });
+        console.error('Error fetching equipment types:', error);
+        res.status(500).json({ error: 'Failed to fetch equipment types' });
     }
 });
 
-// Update a schedule entry (admin only)
-app.put('/api/schedules/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Classrooms and labs with enough working equipment, e.g. ?requires=Projector:1,Computer:30
+app.get('/api/equipment/rooms', authenticateToken, async (req, res) => {
     try {
-        const updated = await db.updateSchedule(req.params.id, req.body);
-        res.json(updated);
+        const { type, dept, building_id } = req.query;
+        if (type && !['all', 'classroom', 'lab'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be "classroom", "lab" or "all"' });
+        }
+        const { error, requirements } = await parseEquipmentRequirements(req.query.requires);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const rooms = await db.findRoomsWithEquipment(requirements, { type, dept, building_id });
+        res.json({ requirements, rooms });
     } catch (error) {
-        console.error('Error updating schedule:', error);
-        res.status(500).json({ error: error.message || 'Failed to update schedule' });
+        console.error('Error searching rooms by equipment:', error);
+        res.status(500).json({ error: 'Failed to search rooms by equipment' });
     }
 });
 
-// Delete a schedule entry (admin only)
-app.delete('/api/schedules/:id', authenticateToken, requireAdmin, async (req, res) => {
+// Add an equipment type to the catalogue (campus:manage)
+app.post('/api/equipment', authenticateToken, requirePermission('campus:manage'), audit('equipment_type', 'create'), async (req, res) => {
     try {
-        const result = await db.deleteSchedule(req.params.id);
-        res.json({ message: 'Schedule deleted successfully', ...result });
+        const { error, type } = parseEquipmentType(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createEquipmentType(type));
     } catch (error) {
-        console.error('Error deleting schedule:', error);
-        res.status(500).json({ error: 'Failed to delete schedule' });
+        console.error('Error creating equipment type:', error);
+        sendEquipmentError(res, error, 'Failed to create equipment type');
     }
 });
 
-// Booking Request Routes
+// Rename or describe an equipment type (campus:manage)
+app.put('/api/equipment/:id', authenticateToken, requirePermission('campus:manage'), audit('equipment_type', 'update'), async (req, res) => {
+    try {
+        const { error, type } = parseEquipmentType(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.updateEquipmentType(req.params.id, type));
+    } catch (error) {
+        console.error('Error updating equipment type:', error);
+        sendEquipmentError(res, error, 'Failed to update equipment type');
+    }
+});
 
-// Create a new booking request (all authenticated users)
-app.post('/api/booking-requests', authenticateToken, async (req, res) => {
+// Delete an equipment type no room or booking request lists (campus:manage)
+app.delete('/api/equipment/:id', authenticateToken, requirePermission('campus:manage'), audit('equipment_type', 'delete'), async (req, res) => {
     try {
-        const { resource_type, resource_id, date, start_time, end_time, program_name, description, participant_count } = req.body;
+        res.json(await db.deleteEquipmentType(req.params.id));
+    } catch (error) {
+        console.error('Error deleting equipment type:', error);
+        sendEquipmentError(res, error, 'Failed to delete equipment type');
+    }
+});
 
-        if (!resource_type || !resource_id || !date || !start_time || !end_time || !program_name) {
-            return res.status(400).json({ error: 'Required fields: resource_type, resource_id, date, start_time, end_time, program_name' });
+// Replace the inventory of a classroom or lab; types left out are removed
+async function replaceRoomEquipment(req, res, resourceType) {
+    const label = resourceType === 'lab' ? 'Lab' : 'Classroom';
+    try {
+        if (!await db.resourceExists(resourceType, req.params.id)) {
+            return res.status(404).json({ error: `${label} not found` });
         }
+        const { error, entries } = await parseRoomEquipment(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.setRoomEquipment(resourceType, req.params.id, entries));
+    } catch (error) {
+        console.error(`Error updating ${resourceType} equipment:`, error);
+        res.status(500).json({ error: `Failed to update ${resourceType} equipment` });
+    }
+}
 
-        const bookingRequest = await db.createBookingRequest({
-            user_id: req.user.id,
-            resource_type,
-            resource_id,
-            date,
-            start_time,
-            end_time,
-            program_name,
-            description,
-            participant_count
-        });
+// Update a classroom's equipment (classrooms:manage)
+app.put('/api/classrooms/:id/equipment', authenticateToken, requirePermission('classrooms:manage', { dept: deptOf('classroom') }), audit('classroom', 'update_equipment'), (req, res) => replaceRoomEquipment(req, res, 'classroom'));
 
-        res.status(201).json(bookingRequest);
+// Update a lab's equipment (labs:manage)
+app.put('/api/labs/:id/equipment', authenticateToken, requirePermission('labs:manage', { dept: deptOf('lab') }), audit('lab', 'update_equipment'), (req, res) => replaceRoomEquipment(req, res, 'lab'));
+
+// Get all bus routes with stops and trips (accessible to all authenticated users)
+app.get('/api/buses', authenticateToken, async (req, res) => {
+    try {
+        const { search } = req.query;
+        const buses = await db.getAllBuses({ search });
+        res.json(buses);
     } catch (error) {
-        console.error('Error creating booking request:', error);
-        res.status(500).json({ error: 'Failed to create booking request' });
+        console.error('Error fetching buses:', error);
+        res.status(500).json({ error: 'Failed to fetch buses' });
     }
 });
 
-// Get all booking requests (admin sees all, users see only their own)
-app.get('/api/booking-requests', authenticateToken, async (req, res) => {
+// Stop names for the next-departure lookup
+app.get('/api/buses/stops', authenticateToken, async (req, res) => {
     try {
-        const { status, resource_type, resource_id } = req.query;
-        const filters = { status, resource_type };
-        
-        if (resource_id) {
-            filters.resource_id = parseInt(resource_id);
+        res.json(await db.getBusStopNames());
+    } catch (error) {
+        console.error('Error fetching bus stops:', error);
+        res.status(500).json({ error: 'Failed to fetch bus stops' });
+    }
+});
+
+// Every served stop with its coordinates (null until set), which GTFS exports need
+app.get('/api/buses/stop-locations', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getBusStopsWithLocations());
+    } catch (error) {
+        console.error('Error fetching bus stop locations:', error);
+        res.status(500).json({ error: 'Failed to fetch bus stop locations' });
+    }
+});
+
+// Set a stop's coordinates: { latitude, longitude } in decimal degrees (buses:manage)
+app.put('/api/buses/stop-locations/:name', authenticateToken, requirePermission('buses:manage'), audit('bus_stop', 'update', { id: req => req.params.name }), async (req, res) => {
+    try {
+        const { latitude, longitude } = req.body;
+        if (typeof latitude !== 'number' || typeof longitude !== 'number' ||
+            !(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+            return res.status(400).json({ error: 'latitude (-90 to 90) and longitude (-180 to 180) must be numbers' });
         }
-        
-        // If not admin, only show user's own requests (unless viewing approved bookings for a resource)
-        if (req.user.role !== 'admin' && status !== 'approved') {
-            filters.user_id = req.user.id;
+        res.json(await db.setBusStopLocation(req.params.name, { latitude, longitude }));
+    } catch (error) {
+        console.error('Error setting bus stop location:', error);
+        if (error.message === 'Bus stop not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to set bus stop location' });
         }
+    }
+});
 
-        const bookingRequests = await db.getAllBookingRequests(filters);
-        res.json(bookingRequests);
+// Forget a stop's coordinates (buses:manage)
+app.delete('/api/buses/stop-locations/:name', authenticateToken, requirePermission('buses:manage'), audit('bus_stop', 'delete', { id: req => req.params.name }), async (req, res) => {
+    try {
+        res.json(await db.deleteBusStopLocation(req.params.name));
     } catch (error) {
-        console.error('Error fetching booking requests:', error);
-        res.status(500).json({ error: 'Failed to fetch booking requests' });
+        console.error('Error removing bus stop location:', error);
+        if (error.message === 'Bus stop location not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to remove bus stop location' });
+        }
     }
 });
 
-// Get booking request by ID
-app.get('/api/booking-requests/:id', authenticateToken, async (req, res) => {
+// Next departures from one stop to another: ?from=&to= (stop names), optional
+// after=HH:MM (today) or YYYY-MM-DDTHH:MM (default now) and limit (default 5, max 20)
+app.get('/api/buses/next', authenticateToken, async (req, res) => {
     try {
-        const bookingRequest = await db.getBookingRequestById(req.params.id);
-        
-        if (!bookingRequest) {
-            return res.status(404).json({ error: 'Booking request not found' });
+        const { from, to, after } = req.query;
+        if (typeof from !== 'string' || typeof to !== 'string' || !from.trim() || !to.trim()) {
+            return res.status(400).json({ error: 'Required query parameters: from, to' });
+        }
+        if (from.trim().toLowerCase() === to.trim().toLowerCase()) {
+            return res.status(400).json({ error: 'from and to must be different stops' });
         }
 
-        // Users can only view their own requests, admins can view all
-        if (req.user.role !== 'admin' && bookingRequest.user_id !== req.user.id) {
-            return res.status(403).json({ error: 'Access denied' });
+        let date = formatLocalDate();
+        let time = formatLocalTime();
+        if (after !== undefined) {
+            const [afterDate, afterTime] = String(after).includes('T') ? String(after).split('T') : [date, String(after)];
+            if (!isValidDate(afterDate) || !isValidTime(afterTime)) {
+                return res.status(400).json({ error: 'after must be HH:MM or YYYY-MM-DDTHH:MM' });
+            }
+            date = afterDate;
+            time = afterTime;
         }
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 5, 1), 20);
 
-        res.json(bookingRequest);
+        // Stop names match case-insensitively; answer with the names as stored
+        const stopNames = await db.getBusStopNames();
+        const [fromStop, toStop] = [from, to].map(stop => stopNames.find(name => name.toLowerCase() === stop.trim().toLowerCase()));
+        if (!fromStop || !toStop) {
+            return res.status(404).json({ error: `Stop not found: ${fromStop ? to : from}` });
+        }
+
+        const departures = await db.getNextBusDepartures({ from: fromStop, to: toStop, date, time, limit });
+        res.json({ from: fromStop, to: toStop, after: `${date}T${time}`, departures });
     } catch (error) {
-        console.error('Error fetching booking request:', error);
-        res.status(500).json({ error: 'Failed to fetch booking request' });
+        console.error('Error finding next buses:', error);
+        res.status(500).json({ error: 'Failed to find next buses' });
     }
 });
 
-// Update booking request status (admin only)
-app.patch('/api/booking-requests/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+// Download every route and timetable as a GTFS static feed (ZIP) for mapping apps; 409 with
+// errors when the feed would be unusable (no public agency URL, stops without coordinates)
+app.get('/api/buses/gtfs.zip', authenticateToken, async (req, res) => {
     try {
-        const { status, admin_notes } = req.body;
+        const feed = exportGtfsFeed(await db.getAllBuses(), await db.getBusStopLocations(), {
+            holidays: await db.getHolidays({ from: formatLocalDate() })
+        });
+        res.set({
+            'Content-Type': 'application/zip',
+            'Content-Disposition': 'attachment; filename="campus-gtfs.zip"'
+        });
+        res.send(feed);
+    } catch (error) {
+        console.error('Error exporting GTFS feed:', error);
+        if (error.code === 'GTFS_EXPORT_FAILED') {
+            res.status(409).json({ error: error.message, errors: error.errors });
+        } else {
+            res.status(500).json({ error: 'Failed to export GTFS feed' });
+        }
+    }
+});
 
-        if (!status || !['approved', 'rejected'].includes(status)) {
-            return res.status(400).json({ error: 'Status must be either "approved" or "rejected"' });
+// Replace all bus routes with a GTFS static feed sent as the raw ZIP body (buses:manage)
+app.post('/api/buses/gtfs', authenticateToken, requirePermission('buses:manage'), express.raw({ type: ['application/zip', 'application/octet-stream'], limit: '20mb' }), audit('bus', 'import', { snapshot: false }), async (req, res) => {
+    try {
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+            return res.status(400).json({ error: 'Send the GTFS feed ZIP as the request body (Content-Type: application/zip)' });
         }
 
-        const result = await db.updateBookingRequestStatus(req.params.id, status, req.user.id, admin_notes);
-        res.json(result);
+        const { buses, locations, warnings } = importGtfsFeed(req.body);
+        const result = await db.replaceBusRoutes({ buses, locations });
+        res.status(201).json({ message: `Imported ${result.routes} bus routes with ${result.trips} trips`, ...result, warnings });
     } catch (error) {
-        console.error('Error updating booking request status:', error);
-        res.status(500).json({ error: 'Failed to update booking request status' });
+        console.error('Error importing GTFS feed:', error);
+        if (error.code === 'INVALID_GTFS') {
+            res.status(400).json({ error: error.message, errors: error.errors });
+        } else {
+            res.status(500).json({ error: 'Failed to import GTFS feed' });
+        }
     }
 });
 
-// Delete booking request (user can delete their own pending requests, admin can delete any)
-app.delete('/api/booking-requests/:id', authenticateToken, async (req, res) => {
+// Get a single bus route
+app.get('/api/buses/:id', authenticateToken, async (req, res) => {
     try {
-        const bookingRequest = await db.getBookingRequestById(req.params.id);
-        
-        if (!bookingRequest) {
-            return res.status(404).json({ error: 'Booking request not found' });
+        const bus = await db.getBusById(req.params.id);
+        if (!bus) {
+            return res.status(404).json({ error: 'Bus not found' });
         }
+        res.json(bus);
+    } catch (error) {
+        console.error('Error fetching bus:', error);
+        res.status(500).json({ error: 'Failed to fetch bus' });
+    }
+});
 
-        // Users can only delete their own pending requests
-        if (req.user.role !== 'admin') {
-            if (bookingRequest.user_id !== req.user.id) {
-                return res.status(403).json({ error: 'Access denied' });
-            }
-            if (bookingRequest.status !== 'pending') {
-                return res.status(400).json({ error: 'Can only delete pending requests' });
-            }
-        }
+const BUS_DIRECTIONS = ['outbound', 'inbound'];
+const BUS_SERVICES = ['weekday', 'weekend', 'holiday'];
 
-        const result = await db.deleteBookingRequest(req.params.id);
-        res.json({ message: 'Booking request deleted successfully', ...result });
-    } catch (error) {
-        console.error('Error deleting booking request:', error);
-        res.status(500).json({ error: 'Failed to delete booking request' });
+// Check a bus route payload for POST/PUT, returning an error message or null.
+// trips: [{ direction, service, times }] with one HH:MM time (or null) per stop in the order the
+// trip visits them; the first stop must be timed and times may not go backwards.
+function validateBus(bus) {
+    const { number, route, stops, trips = [] } = bus;
+
+    if (!number || !route || !Array.isArray(stops)) {
+        return 'Required fields: number, route, stops';
+    }
+    if (typeof number !== 'string' || typeof route !== 'string' || !number.trim() || !route.trim()) {
+        return 'Bus number and route must be non-empty text';
+    }
+    if (stops.length < 2 || stops.some(stop => typeof stop !== 'string' || !stop.trim())) {
+        return 'A route needs at least two named stops';
+    }
+    if (!Array.isArray(trips)) {
+        return 'Trips must be a list';
+    }
+
+    for (const [index, trip] of trips.entries()) {
+        const label = `Trip ${index + 1}`;
+        if (!trip || typeof trip !== 'object' || Array.isArray(trip)) {
+            return `${label}: must be an object with direction, service and times`;
+        }
+        if (trip.direction !== undefined && !BUS_DIRECTIONS.includes(trip.direction)) {
+            return `${label}: direction must be one of ${BUS_DIRECTIONS.join(', ')}`;
+        }
+        if (trip.service !== undefined && !BUS_SERVICES.includes(trip.service)) {
+            return `${label}: service must be one of ${BUS_SERVICES.join(', ')}`;
+        }
+        if (!Array.isArray(trip.times) || trip.times.length !== stops.length) {
+            return `${label}: give one time per stop (${stops.length})`;
+        }
+        if (!trip.times[0]) {
+            return `${label}: the first stop needs a departure time`;
+        }
+
+        let previous = null;
+        for (const time of trip.times) {
+            if (!time) continue;
+            if (!isValidTime(time)) {
+                return `${label}: times must be HH:MM`;
+            }
+            if (previous && time < previous) {
+                return `${label}: times must not go backwards along the route`;
+            }
+            previous = time;
+        }
+    }
+    return null;
+}
+
+function busFromBody(body) {
+    return {
+        number: body.number.trim(),
+        route: body.route.trim(),
+        stops: body.stops.map(stop => stop.trim()),
+        trips: (body.trips || []).map(trip => ({
+            direction: trip.direction || 'outbound',
+            service: trip.service || 'weekday',
+            times: trip.times.map(time => time || null)
+        }))
+    };
+}
+
+// Add new bus route with its timetable (buses:manage)
+app.post('/api/buses', authenticateToken, requirePermission('buses:manage'), audit('bus', 'create'), async (req, res) => {
+    try {
+        const validationError = validateBus(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const newBus = await db.createBus(busFromBody(req.body));
+        res.status(201).json(newBus);
+    } catch (error) {
+        console.error('Error creating bus:', error);
+        if (/UNIQUE constraint failed/.test(error.message)) {
+            res.status(400).json({ error: 'Bus number already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to create bus route' });
+        }
+    }
+});
+
+// Update bus route, replacing its stops and timetable (buses:manage)
+app.put('/api/buses/:id', authenticateToken, requirePermission('buses:manage'), audit('bus', 'update'), async (req, res) => {
+    try {
+        const validationError = validateBus(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const updatedBus = await db.updateBus(req.params.id, busFromBody(req.body));
+        res.json(updatedBus);
+    } catch (error) {
+        console.error('Error updating bus:', error);
+        if (error.message === 'Bus not found') {
+            res.status(404).json({ error: 'Bus not found' });
+        } else if (/UNIQUE constraint failed/.test(error.message)) {
+            res.status(400).json({ error: 'Bus number already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to update bus route' });
+        }
+    }
+});
+
+// Delete bus route (buses:manage)
+app.delete('/api/buses/:id', authenticateToken, requirePermission('buses:manage'), audit('bus', 'delete'), async (req, res) => {
+    try {
+        const result = await db.deleteBus(req.params.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting bus:', error);
+        if (error.message === 'Bus not found') {
+            res.status(404).json({ error: 'Bus not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete bus route' });
+        }
+    }
+});
+
+// Cafeteria API Routes
+
+// Every route below exists per outlet under /api/cafeterias/:cafeteriaId and, as before
+// outlets existed, under /api/cafeteria for the default outlet
+function cafeteriaPaths(path) {
+    return [`/api/cafeteria${path}`, `/api/cafeterias/:cafeteriaId${path}`];
+}
+
+// Load the outlet a cafeteria route is for into req.cafeteria
+async function loadCafeteria(req, res, next) {
+    try {
+        const cafeteria = req.params.cafeteriaId === undefined
+            ? await db.getDefaultCafeteria()
+            : await db.getCafeteriaById(req.params.cafeteriaId);
+        if (!cafeteria) {
+            return res.status(404).json({ error: 'Cafeteria not found' });
+        }
+        req.cafeteria = cafeteria;
+        next();
+    } catch (error) {
+        console.error('Error loading cafeteria:', error);
+        res.status(500).json({ error: 'Failed to load cafeteria' });
+    }
+}
+
+// Check outlet details for POST /api/cafeterias (isNew) or PUT .../info, returning
+// { error } or { cafeteria }. Weekly hours are read by parseOpeningHours.
+function parseCafeteria(body, isNew) {
+    const { name, location, contact, is_default } = body;
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+
+    if ((isNew || name !== undefined) && !isText(name)) {
+        return { error: 'name is required' };
+    }
+    if (!isText(location) || !isText(contact)) {
+        return { error: 'Required fields: location, contact' };
+    }
+    if (is_default !== undefined && typeof is_default !== 'boolean') {
+        return { error: 'is_default must be true or false' };
+    }
+    const hours = parseOpeningHours(body);
+    if (hours.error) {
+        return { error: hours.error };
+    }
+
+    return {
+        cafeteria: {
+            name: name === undefined ? undefined : name.trim(),
+            location: location.trim(),
+            contact: contact.trim(),
+            opening_hours: hours.opening_hours,
+            is_default
+        }
+    };
+}
+
+// List outlets, default first, with their weekly opening hours (accessible to all authenticated users)
+app.get('/api/cafeterias', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getCafeterias());
+    } catch (error) {
+        console.error('Error fetching cafeterias:', error);
+        res.status(500).json({ error: 'Failed to fetch cafeterias' });
+    }
+});
+
+// Add an outlet (cafeteria:manage)
+app.post('/api/cafeterias', authenticateToken, requirePermission('cafeteria:manage'), audit('cafeteria', 'create'), async (req, res) => {
+    try {
+        const { error, cafeteria } = parseCafeteria(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        res.status(201).json(await db.createCafeteria(cafeteria));
+    } catch (error) {
+        console.error('Error creating cafeteria:', error);
+        if (/UNIQUE constraint failed/.test(error.message)) {
+            res.status(400).json({ error: 'An outlet with that name already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to create cafeteria' });
+        }
+    }
+});
+
+// Delete an outlet without menu items or pickup slots; the default outlet stays (cafeteria:manage)
+app.delete('/api/cafeterias/:cafeteriaId', authenticateToken, requirePermission('cafeteria:manage'), audit('cafeteria', 'delete', { id: req => req.params.cafeteriaId }), async (req, res) => {
+    try {
+        res.json(await db.deleteCafeteria(req.params.cafeteriaId));
+    } catch (error) {
+        console.error('Error deleting cafeteria:', error);
+        if (error.message === 'Cafeteria not found') {
+            res.status(404).json({ error: error.message });
+        } else if (error.code === 'CAFETERIA_IN_USE') {
+            res.status(409).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to delete cafeteria' });
+        }
+    }
+});
+
+const DIETARY_TAGS = ['vegetarian', 'vegan', 'halal', 'gluten_free'];
+const ALLERGENS = ['gluten', 'dairy', 'eggs', 'nuts', 'peanuts', 'soy', 'fish', 'shellfish', 'sesame'];
+const MAX_CALORIES = 5000;
+
+// Parse a comma-separated query list (?diet=vegetarian,halal) against the allowed values
+function parseQueryList(value, allowed, name) {
+    if (value === undefined || value === '') return { values: [] };
+    const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+    const unknown = values.filter(v => !allowed.includes(v));
+    return unknown.length > 0
+        ? { error: `${name} must be a comma-separated list of ${allowed.join(', ')}` }
+        : { values };
+}
+
+// The meal period a menu request is for: the one asked for ('all' is the whole day, null),
+// otherwise the period being served now or the next one today
+function resolveMealPeriod(periods, date, period) {
+    if (period) return period === 'all' ? null : period;
+    if (date !== formatLocalDate()) return null;
+
+    const now = formatLocalTime();
+    const next = periods.find(p => p.end_time > now);
+    return next ? next.name : null;
+}
+
+// Get the menu served on ?date= (default today) in ?period= (a meal period, or 'all' for the
+// whole day; defaults to the current period), or every item with ?catalogue=true. Accessible
+// to all authenticated users. Besides category/availability/search, ?diet=vegetarian,halal
+// keeps items with all those tags and ?exclude_allergens=nuts,dairy drops items containing
+// any of them; ?max_spice= and ?max_calories= cap those values. Each item also has
+// stock_remaining: portions of a limited item still orderable for pickup that day.
+app.get(cafeteriaPaths('/menu'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const { category, availability, search, period, catalogue } = req.query;
+        const date = req.query.date || formatLocalDate();
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+
+        const diet = parseQueryList(req.query.diet, DIETARY_TAGS, 'diet');
+        const excluded = parseQueryList(req.query.exclude_allergens, ALLERGENS, 'exclude_allergens');
+        const listError = diet.error || excluded.error;
+        if (listError) {
+            return res.status(400).json({ error: listError });
+        }
+
+        const limits = {};
+        for (const [name, max] of [['max_spice', 3], ['max_calories', MAX_CALORIES]]) {
+            if (req.query[name] === undefined) continue;
+            const value = Number(req.query[name]);
+            if (!Number.isInteger(value) || value < 0 || value > max) {
+                return res.status(400).json({ error: `${name} must be a whole number from 0 to ${max}` });
+            }
+            limits[name] = value;
+        }
+
+        const periods = await db.getMealPeriods();
+        if (period !== undefined && period !== 'all' && !periods.some(p => p.name === period)) {
+            return res.status(400).json({ error: `period must be all or one of ${periods.map(p => p.name).join(', ')}` });
+        }
+
+        let menuItems = await db.getAllMenuItems({
+            cafeteria_id: req.cafeteria.id,
+            category,
+            availability,
+            search,
+            diet: diet.values,
+            exclude_allergens: excluded.values,
+            ...limits
+        });
+        if (catalogue !== 'true') {
+            const served = await db.getServedMenuItemIds(req.cafeteria.id, date, resolveMealPeriod(periods, date, period));
+            if (served) {
+                menuItems = menuItems.filter(item => served.has(item.id));
+            }
+        }
+        res.json(await db.attachMenuStock(menuItems, date));
+    } catch (error) {
+        console.error('Error fetching menu items:', error);
+        res.status(500).json({ error: 'Failed to fetch menu items' });
+    }
+});
+
+// Menu item :id if it belongs to the outlet of the request
+async function findOutletMenuItem(req) {
+    const menuItem = await db.getMenuItemById(req.params.id);
+    return menuItem && menuItem.cafeteria_id === req.cafeteria.id ? menuItem : null;
+}
+
+// Get menu item by ID (accessible to all authenticated users)
+app.get(cafeteriaPaths('/menu/:id'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const menuItem = await findOutletMenuItem(req);
+        if (menuItem) {
+            res.json(menuItem);
+        } else {
+            res.status(404).json({ error: 'Menu item not found' });
+        }
+    } catch (error) {
+        console.error('Error fetching menu item:', error);
+        res.status(500).json({ error: 'Failed to fetch menu item' });
+    }
+});
+
+// Check the optional fields of a menu item: daily_stock (portions of a limited item that can
+// be pre-ordered per day), calories, spice_level, dietary_tags and allergens
+function validateMenuItem(item) {
+    const isWholeNumber = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+    const isSet = value => value !== undefined && value !== null;
+
+    if (isSet(item.daily_stock) && !isWholeNumber(item.daily_stock, Infinity)) {
+        return 'daily_stock must be a whole number of 0 or more';
+    }
+    if (isSet(item.calories) && !isWholeNumber(item.calories, MAX_CALORIES)) {
+        return `calories must be a whole number from 0 to ${MAX_CALORIES}`;
+    }
+    if (isSet(item.spice_level) && !isWholeNumber(item.spice_level, 3)) {
+        return 'spice_level must be 0 (not spicy) to 3 (hot)';
+    }
+    if (item.dietary_tags !== undefined &&
+        !(Array.isArray(item.dietary_tags) && item.dietary_tags.every(tag => DIETARY_TAGS.includes(tag)))) {
+        return `dietary_tags must be a list of ${DIETARY_TAGS.join(', ')}`;
+    }
+    if (item.allergens !== undefined &&
+        !(Array.isArray(item.allergens) && item.allergens.every(allergen => ALLERGENS.includes(allergen)))) {
+        return `allergens must be a list of ${ALLERGENS.join(', ')}`;
+    }
+    return null;
+}
+
+// Add new menu item (cafeteria:manage)
+app.post(cafeteriaPaths('/menu'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('menu_item', 'create'), async (req, res) => {
+    try {
+        const validationError = validateMenuItem(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const newItem = await db.createMenuItem({ ...req.body, cafeteria_id: req.cafeteria.id });
+        res.status(201).json(newItem);
+    } catch (error) {
+        console.error('Error creating menu item:', error);
+        if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+            res.status(400).json({ error: 'Menu item already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to create menu item' });
+        }
+    }
+});
+
+// Update menu item (cafeteria:manage)
+app.put(cafeteriaPaths('/menu/:id'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('menu_item', 'update'), async (req, res) => {
+    try {
+        const validationError = validateMenuItem(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!await findOutletMenuItem(req)) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+
+        const updatedItem = await db.updateMenuItem(req.params.id, req.body);
+        res.json(updatedItem);
+    } catch (error) {
+        console.error('Error updating menu item:', error);
+        if (error.message === 'Menu item not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to update menu item' });
+        }
+    }
+});
+
+// Delete menu item (cafeteria:manage)
+app.delete(cafeteriaPaths('/menu/:id'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('menu_item', 'delete'), async (req, res) => {
+    try {
+        if (!await findOutletMenuItem(req)) {
+            return res.status(404).json({ error: 'Menu item not found' });
+        }
+        const result = await db.deleteMenuItem(req.params.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting menu item:', error);
+        res.status(500).json({ error: 'Failed to delete menu item' });
+    }
+});
+
+// Get an outlet's details and opening hours; `hours` summarizes them as text (accessible to
+// all authenticated users)
+app.get(cafeteriaPaths('/info'), authenticateToken, loadCafeteria, (req, res) => {
+    res.json(req.cafeteria);
+});
+
+// Update an outlet: { name?, location, contact, opening_hours? or hours?, is_default? }. Making
+// an outlet the default moves the /api/cafeteria endpoints over to it (cafeteria:manage)
+app.put(cafeteriaPaths('/info'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('cafeteria', 'update', { id: req => req.cafeteria.id }), async (req, res) => {
+    try {
+        const { error, cafeteria } = parseCafeteria(req.body, false);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (cafeteria.is_default === false && req.cafeteria.is_default) {
+            return res.status(400).json({ error: 'Make another outlet the default instead' });
+        }
+
+        res.json(await db.updateCafeteria(req.cafeteria.id, cafeteria));
+    } catch (error) {
+        console.error('Error updating cafeteria info:', error);
+        if (/UNIQUE constraint failed/.test(error.message)) {
+            res.status(400).json({ error: 'An outlet with that name already exists' });
+        } else {
+            res.status(500).json({ error: 'Failed to update cafeteria info' });
+        }
+    }
+});
+
+// Set different hours, or a closure, for an outlet on one date (cafeteria:manage)
+app.put(cafeteriaPaths('/exceptions/:date'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('cafeteria', 'update_hours', { id: req => req.cafeteria.id }), async (req, res) => {
+    try {
+        const { error, exception } = parseOpeningException(req.params.date, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.setOpeningException('cafeteria', req.cafeteria.id, exception));
+    } catch (error) {
+        console.error('Error setting cafeteria exception:', error);
+        res.status(500).json({ error: 'Failed to set opening exception' });
+    }
+});
+
+// Go back to an outlet's weekly hours on a date (cafeteria:manage)
+app.delete(cafeteriaPaths('/exceptions/:date'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('cafeteria', 'update_hours', { id: req => req.cafeteria.id }), async (req, res) => {
+    try {
+        res.json(await db.deleteOpeningException('cafeteria', req.cafeteria.id, req.params.date));
+    } catch (error) {
+        console.error('Error deleting cafeteria exception:', error);
+        if (error.message === 'Opening exception not found') {
+            res.status(404).json({ error: 'Opening exception not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to delete opening exception' });
+        }
+    }
+});
+
+// Pickup Slot Routes
+
+// Check a pickup slot payload for POST/PUT, returning an error message or null
+function validatePickupSlot(slot) {
+    const { start_time, end_time, capacity, is_active } = slot;
+
+    if (!isValidTime(start_time) || !isValidTime(end_time)) {
+        return 'start_time and end_time must be HH:MM';
+    }
+    if (start_time >= end_time) {
+        return 'start_time must be before end_time';
+    }
+    if (!Number.isInteger(capacity) || capacity < 1) {
+        return 'capacity must be a whole number of 1 or more';
+    }
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        return 'is_active must be true or false';
+    }
+    return null;
+}
+
+// Pickup slots with the orders booked and room left on ?date= (default today). Staff can
+// add ?all=true to include inactive slots.
+app.get(cafeteriaPaths('/slots'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const date = req.query.date || formatLocalDate();
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+
+        const includeInactive = req.query.all === 'true' && hasPermission(req.user, 'cafeteria:manage');
+        res.json(await db.getPickupSlots({ cafeteria_id: req.cafeteria.id, date, includeInactive }));
+    } catch (error) {
+        console.error('Error fetching pickup slots:', error);
+        res.status(500).json({ error: 'Failed to fetch pickup slots' });
+    }
+});
+
+// Add a pickup slot (cafeteria:manage)
+app.post(cafeteriaPaths('/slots'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('pickup_slot', 'create'), async (req, res) => {
+    try {
+        const validationError = validatePickupSlot(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { start_time, end_time, capacity, is_active } = req.body;
+        const slot = await db.createPickupSlot({ cafeteria_id: req.cafeteria.id, start_time, end_time, capacity, is_active });
+        res.status(201).json(slot);
+    } catch (error) {
+        console.error('Error creating pickup slot:', error);
+        res.status(500).json({ error: 'Failed to create pickup slot' });
+    }
+});
+
+// Pickup slot :id if it belongs to the outlet of the request
+async function findOutletPickupSlot(req) {
+    const slot = await db.getPickupSlotById(req.params.id);
+    return slot && slot.cafeteria_id === req.cafeteria.id ? slot : null;
+}
+
+// Update a pickup slot; orders already placed keep their slot (cafeteria:manage)
+app.put(cafeteriaPaths('/slots/:id'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('pickup_slot', 'update'), async (req, res) => {
+    try {
+        const validationError = validatePickupSlot(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        if (!await findOutletPickupSlot(req)) {
+            return res.status(404).json({ error: 'Pickup slot not found' });
+        }
+
+        const { start_time, end_time, capacity, is_active } = req.body;
+        const slot = await db.updatePickupSlot(req.params.id, { start_time, end_time, capacity, is_active });
+        res.json(slot);
+    } catch (error) {
+        console.error('Error updating pickup slot:', error);
+        if (error.message === 'Pickup slot not found') {
+            res.status(404).json({ error: 'Pickup slot not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update pickup slot' });
+        }
+    }
+});
+
+// Delete a pickup slot that has never had orders (cafeteria:manage)
+app.delete(cafeteriaPaths('/slots/:id'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('pickup_slot', 'delete'), async (req, res) => {
+    try {
+        if (!await findOutletPickupSlot(req)) {
+            return res.status(404).json({ error: 'Pickup slot not found' });
+        }
+        const result = await db.deletePickupSlot(req.params.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Error deleting pickup slot:', error);
+        if (error.message === 'Pickup slot not found') {
+            res.status(404).json({ error: 'Pickup slot not found' });
+        } else if (error.code === 'INVALID_ORDER') {
+            res.status(409).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to delete pickup slot' });
+        }
+    }
+});
+
+// Cafeteria Order Routes
+
+const ORDER_STATUSES = ['placed', 'preparing', 'ready', 'collected', 'cancelled'];
+const ORDER_DAYS_AHEAD = 7;
+const MAX_ORDER_QUANTITY = 20; // per item
+const MAX_ORDER_NOTES_LENGTH = 200; // as the order form allows
+
+// Check a pre-order payload, returning an error message or null
+function validateCafeteriaOrder(order) {
+    const { pickup_date, slot_id, items, notes } = order;
+    const today = formatLocalDate();
+
+    if (!isValidDate(pickup_date)) {
+        return 'pickup_date must be YYYY-MM-DD';
+    }
+    if (pickup_date < today || pickup_date > addDays(today, ORDER_DAYS_AHEAD)) {
+        return `pickup_date must be between today and ${ORDER_DAYS_AHEAD} days ahead`;
+    }
+    if (!Number.isInteger(slot_id)) {
+        return 'slot_id is required';
+    }
+    if (!Array.isArray(items) || items.length === 0) {
+        return 'An order needs at least one item';
+    }
+    for (const item of items) {
+        if (!item || !Number.isInteger(item.menu_item_id)) {
+            return 'Each item needs a menu_item_id';
+        }
+        if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > MAX_ORDER_QUANTITY) {
+            return `quantity must be between 1 and ${MAX_ORDER_QUANTITY}`;
+        }
+    }
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        return 'notes must be text';
+    }
+    if (typeof notes === 'string' && notes.length > MAX_ORDER_NOTES_LENGTH) {
+        return `notes must be at most ${MAX_ORDER_NOTES_LENGTH} characters`;
+    }
+    return null;
+}
+
+function sendOrderError(res, error, fallback) {
+    if (error.code === 'SLOT_FULL' || error.code === 'OUT_OF_STOCK') {
+        res.status(409).json({ error: error.message, code: error.code });
+    } else if (error.code === 'INVALID_ORDER') {
+        res.status(400).json({ error: error.message });
+    } else if (error.message === 'Order not found') {
+        res.status(404).json({ error: 'Order not found' });
+    } else {
+        res.status(500).json({ error: fallback });
+    }
+}
+
+// Place a pre-order for pickup in a slot: { pickup_date, slot_id, items: [{ menu_item_id, quantity }], notes }
+app.post(cafeteriaPaths('/orders'), authenticateToken, loadCafeteria, audit('cafeteria_order', 'create'), async (req, res) => {
+    try {
+        const validationError = validateCafeteriaOrder(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { pickup_date, slot_id, items, notes } = req.body;
+        const slot = await db.getPickupSlotById(slot_id);
+        if (slot && slot.cafeteria_id !== req.cafeteria.id) {
+            return res.status(400).json({ error: `That pickup slot is not at ${req.cafeteria.name}` });
+        }
+        if (slot && pickup_date === formatLocalDate() && slot.end_time <= formatLocalTime()) {
+            return res.status(400).json({ error: 'That pickup slot is already over for today' });
+        }
+
+        const order = await db.createCafeteriaOrder(req.user.id, {
+            pickup_date,
+            slot_id,
+            items,
+            notes: typeof notes === 'string' ? notes.trim() : null
+        });
+        res.status(201).json(order);
+    } catch (error) {
+        console.error('Error placing cafeteria order:', error);
+        sendOrderError(res, error, 'Failed to place order');
+    }
+});
+
+// List an outlet's orders (?date=, ?status=). Staff (cafeteria:manage) see every order as the
+// order queue unless they ask for ?mine=true; everybody else only sees their own.
+app.get(cafeteriaPaths('/orders'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const { date, status, mine } = req.query;
+        if (date !== undefined && !isValidDate(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        if (status !== undefined && !ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(', ')}` });
+        }
+
+        const filters = { cafeteria_id: req.cafeteria.id, date, status };
+        if (mine === 'true' || !hasPermission(req.user, 'cafeteria:manage')) {
+            filters.user_id = req.user.id;
+        }
+        res.json(await db.getCafeteriaOrders(filters));
+    } catch (error) {
+        console.error('Error fetching cafeteria orders:', error);
+        res.status(500).json({ error: 'Failed to fetch orders' });
+    }
+});
+
+// Daily order summary for ?date= (default today): orders by status and slot, items to prepare, revenue (cafeteria:manage)
+app.get(cafeteriaPaths('/orders/summary'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), async (req, res) => {
+    try {
+        const date = req.query.date || formatLocalDate();
+        if (!isValidDate(date)) {
+            return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+        }
+        res.json(await db.getCafeteriaOrderSummary(req.cafeteria.id, date));
+    } catch (error) {
+        console.error('Error building order summary:', error);
+        res.status(500).json({ error: 'Failed to build order summary' });
+    }
+});
+
+// Order :id if it was placed at the outlet of the request
+async function findOutletOrder(req) {
+    const order = await db.getCafeteriaOrderById(req.params.id);
+    return order && order.cafeteria_id === req.cafeteria.id ? order : null;
+}
+
+// Get an order (its owner or staff)
+app.get(cafeteriaPaths('/orders/:id'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const order = await findOutletOrder(req);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        if (order.user_id !== req.user.id && !hasPermission(req.user, 'cafeteria:manage')) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        res.json(order);
+    } catch (error) {
+        console.error('Error fetching cafeteria order:', error);
+        res.status(500).json({ error: 'Failed to fetch order' });
+    }
+});
+
+// Move an order through the queue (cafeteria:manage). Customers may only cancel their own
+// orders, and only before the kitchen starts preparing them.
+app.patch(cafeteriaPaths('/orders/:id/status'), authenticateToken, loadCafeteria, audit('cafeteria_order', 'update_status'), async (req, res) => {
+    try {
+        const { status } = req.body;
+        if (!ORDER_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${ORDER_STATUSES.join(', ')}` });
+        }
+
+        const order = await findOutletOrder(req);
+        if (!order) {
+            return res.status(404).json({ error: 'Order not found' });
+        }
+        if (!hasPermission(req.user, 'cafeteria:manage')) {
+            if (order.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            if (status !== 'cancelled') {
+                return res.status(403).json({ error: 'You can only cancel your own orders' });
+            }
+            if (order.status !== 'placed') {
+                return res.status(400).json({ error: 'Orders can only be cancelled before they are being prepared' });
+            }
+        }
+
+        const updated = await db.updateCafeteriaOrderStatus(req.params.id, status);
+
+        if (status === 'ready' || status === 'cancelled') {
+            const slot = `${updated.pickup_date} (${updated.slot_start} - ${updated.slot_end})`;
+            await notifyOthers(req, [updated.user_id], {
+                type: 'order_status',
+                title: `Order #${updated.id} ${status === 'ready' ? 'is ready' : 'was cancelled'}`,
+                message: status === 'ready'
+                    ? `Your ${updated.cafeteria_name} order for pickup on ${slot} is ready to collect.`
+                    : `Your ${updated.cafeteria_name} order for pickup on ${slot} was cancelled by the cafeteria.`,
+                entity_type: 'cafeteria_order',
+                entity_id: updated.id
+            });
+        }
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating cafeteria order status:', error);
+        sendOrderError(res, error, 'Failed to update order status');
+    }
+});
+
+// Menu Plan Routes
+
+const MAX_PLAN_DAYS = 31;
+
+// Check an outlet's menu plan or rotation entries ([{ <key>, period, item_ids }], items of that
+// outlet only); `checkKey` returns an error for a bad date or weekday
+async function validateMenuEntries(cafeteriaId, entries, key, checkKey) {
+    if (!Array.isArray(entries)) {
+        return 'entries must be an array';
+    }
+
+    const periods = (await db.getMealPeriods()).map(p => p.name);
+    const menuItemIds = new Set((await db.getAllMenuItems({ cafeteria_id: cafeteriaId })).map(item => item.id));
+    const seen = new Set();
+
+    for (const entry of entries) {
+        if (!entry || typeof entry !== 'object') {
+            return 'Each entry must be an object';
+        }
+        const keyError = checkKey(entry[key]);
+        if (keyError) {
+            return keyError;
+        }
+        if (!periods.includes(entry.period)) {
+            return `period must be one of ${periods.join(', ')}`;
+        }
+
+        const cell = `${entry[key]} ${entry.period}`;
+        if (seen.has(cell)) {
+            return `${cell} is listed more than once`;
+        }
+        seen.add(cell);
+
+        if (!Array.isArray(entry.item_ids) || !entry.item_ids.every(id => menuItemIds.has(id))) {
+            return `item_ids for ${cell} must be a list of this outlet's menu item ids`;
+        }
+    }
+    return null;
+}
+
+// Check a ?from=&to= / { from, to } planning range
+function validatePlanRange(from, to) {
+    if (!isValidDate(from) || !isValidDate(to)) {
+        return 'from and to must be YYYY-MM-DD';
+    }
+    if (from > to) {
+        return 'from must not be after to';
+    }
+    if (to > addDays(from, MAX_PLAN_DAYS - 1)) {
+        return `A menu plan covers at most ${MAX_PLAN_DAYS} days`;
+    }
+    return null;
+}
+
+// Get meal periods, shared by all outlets (accessible to all authenticated users)
+app.get('/api/cafeteria/periods', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getMealPeriods());
+    } catch (error) {
+        console.error('Error fetching meal periods:', error);
+        res.status(500).json({ error: 'Failed to fetch meal periods' });
+    }
+});
+
+// Get the menu of each day and meal period from ?from= (default today) to ?to= (default a
+// week later), and whether it comes from a dated plan, the rotation or the whole catalogue
+app.get(cafeteriaPaths('/plans'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        const from = req.query.from || formatLocalDate();
+        const to = req.query.to || addDays(from, 6);
+        const rangeError = validatePlanRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+
+        res.json(await db.getMenuPlans(req.cafeteria.id, from, to));
+    } catch (error) {
+        console.error('Error fetching menu plans:', error);
+        res.status(500).json({ error: 'Failed to fetch menu plans' });
+    }
+});
+
+// Replace the menu plans from `from` to `to` with `entries` ([{ date, period, item_ids }]);
+// days and periods left out follow the rotation again (cafeteria:manage)
+app.put(cafeteriaPaths('/plans'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('menu_plan', 'update', { snapshot: false }), async (req, res) => {
+    try {
+        const { from, to, entries } = req.body;
+        const rangeError = validatePlanRange(from, to);
+        if (rangeError) {
+            return res.status(400).json({ error: rangeError });
+        }
+        const validationError = await validateMenuEntries(req.cafeteria.id, entries, 'date', date =>
+            isValidDate(date) && date >= from && date <= to ? null : `Entry dates must be between ${from} and ${to}`
+        );
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        res.json(await db.replaceMenuPlans(req.cafeteria.id, from, to, entries));
+    } catch (error) {
+        console.error('Error saving menu plans:', error);
+        res.status(500).json({ error: 'Failed to save menu plans' });
+    }
+});
+
+// Get the weekly menu rotation (accessible to all authenticated users)
+app.get(cafeteriaPaths('/rotation'), authenticateToken, loadCafeteria, async (req, res) => {
+    try {
+        res.json(await db.getMenuRotation(req.cafeteria.id));
+    } catch (error) {
+        console.error('Error fetching menu rotation:', error);
+        res.status(500).json({ error: 'Failed to fetch menu rotation' });
+    }
+});
+
+// Replace the weekly menu rotation with `entries` ([{ day_of_week, period, item_ids }]) (cafeteria:manage)
+app.put(cafeteriaPaths('/rotation'), authenticateToken, loadCafeteria, requirePermission('cafeteria:manage'), audit('menu_rotation', 'update', { snapshot: false }), async (req, res) => {
+    try {
+        const { entries } = req.body;
+        const validationError = await validateMenuEntries(req.cafeteria.id, entries, 'day_of_week', day =>
+            DAYS_OF_WEEK.includes(day) ? null : `day_of_week must be one of ${DAYS_OF_WEEK.join(', ')}`
+        );
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        res.json(await db.replaceMenuRotation(req.cafeteria.id, entries));
+    } catch (error) {
+        console.error('Error saving menu rotation:', error);
+        res.status(500).json({ error: 'Failed to save menu rotation' });
+    }
+});
+
+// Schedule Routes
+
+// 'Room 101' or the lab's name, or null if the room is gone
+async function roomName(resourceType, resourceId) {
+    const resource = resourceType === 'lab'
+        ? await db.getLabById(resourceId)
+        : await db.getClassroomById(resourceId);
+    return !resource ? null : resourceType === 'lab' ? resource.name : `Room ${resource.room}`;
+}
+
+// Tell users with upcoming bookings of the room on the affected weekday(s) that a weekly slot moved or was removed
+async function notifyScheduleChange(req, before, after) {
+    const days = [...new Set([before.day_of_week, after && after.day_of_week].filter(Boolean))];
+    const userIds = await db.getUpcomingBookingUserIds(before.resource_type, before.resource_id, days);
+    if (userIds.length === 0) return;
+
+    const resourceName = await roomName(before.resource_type, before.resource_id) || 'a room you booked';
+    const slot = s => `${s.day_of_week} ${s.start_time} - ${s.end_time}`;
+
+    await notifyOthers(req, userIds, {
+        type: 'schedule_change',
+        title: `Timetable changed: ${resourceName}`,
+        message: after
+            ? `The weekly class "${before.subject}" in ${resourceName} (${slot(before)}) is now "${after.subject}", ${slot(after)}.`
+            : `The weekly class "${before.subject}" in ${resourceName} (${slot(before)}) has been removed from the timetable.`,
+        entity_type: before.resource_type,
+        entity_id: before.resource_id
+    });
+}
+
+// Map schedule validation and overlap errors to 400/409 responses
+function sendScheduleError(res, error, fallbackMessage) {
+    if (error.code === 'INVALID_SCHEDULE') {
+        res.status(400).json({ error: error.message, errors: error.errors });
+    } else if (error.code === 'SCHEDULE_CONFLICT') {
+        res.status(409).json({ error: error.message, conflicts: error.conflicts });
+    } else {
+        res.status(500).json({ error: fallbackMessage });
+    }
+}
+
+// Get schedules for a specific resource
+app.get('/api/schedules/:type/:id', authenticateToken, async (req, res) => {
+    try {
+        const { day } = req.query;
+        const schedules = await db.getSchedulesByResource(req.params.type, req.params.id, day);
+        res.json(schedules);
+    } catch (error) {
+        console.error('Error fetching schedules:', error);
+        res.status(500).json({ error: 'Failed to fetch schedules' });
+    }
+});
+
+// Create a new schedule entry (classrooms:schedule / labs:schedule)
+app.post('/api/schedules', authenticateToken, requirePermission(req => schedulePermission(req.body.resource_type), {
+    dept: async req => {
+        const scope = await db.getResourceScope(req.body.resource_type, req.body.resource_id);
+        return scope ? scope.dept : null;
+    }
+}), audit('schedule', 'create'), async (req, res) => {
+    try {
+        const { resource_type, resource_id, day_of_week, start_time, end_time, subject, instructor, course_code, term_id } = req.body;
+
+        if (!resource_type || !resource_id || !day_of_week || !start_time || !end_time || !subject) {
+            return res.status(400).json({ error: 'Required fields: resource_type, resource_id, day_of_week, start_time, end_time, subject' });
+        }
+
+        const schedule = await db.createSchedule({
+            resource_type,
+            resource_id,
+            day_of_week,
+            start_time,
+            end_time,
+            subject,
+            instructor,
+            course_code,
+            term_id
+        });
+
+        res.status(201).json(schedule);
+    } catch (error) {
+        console.error('Error creating schedule:', error);
+        sendScheduleError(res, error, 'Failed to create schedule');
+    }
+});
+
+// Bulk import a weekly timetable from CSV or JSON (classrooms:schedule / labs:schedule)
+// Body: { csv: "resource_type,resource,day_of_week,..." } or { schedules: [...] }, plus optional replace: true
+app.post('/api/schedules/import', authenticateToken, audit('schedule', 'import', { snapshot: false }), async (req, res) => {
+    try {
+        // Imports can touch any room, so they need the permission across all departments
+        if (!hasPermission(req.user, 'classrooms:schedule') && !hasPermission(req.user, 'labs:schedule')) {
+            return res.status(403).json({ error: 'Permission required: classrooms:schedule or labs:schedule' });
+        }
+
+        const { csv, schedules, replace } = req.body;
+        let records;
+
+        if (typeof csv === 'string') {
+            records = parseCsv(csv);
+        } else if (Array.isArray(schedules)) {
+            records = schedules;
+        } else {
+            return res.status(400).json({ error: 'Provide either a "csv" string or a "schedules" array' });
+        }
+
+        if (records.length === 0) {
+            return res.status(400).json({ error: 'Timetable contains no rows' });
+        }
+
+        // Rows that aren't objects are reported per row by the import, which lowercases the type
+        const deniedType = [...new Set(records.filter(r => r && typeof r === 'object').map(r => String(r.resource_type || '').toLowerCase()))]
+            .find(type => !hasPermission(req.user, schedulePermission(type)));
+        if (deniedType) {
+            return res.status(403).json({ error: `Permission required: ${schedulePermission(deniedType)}` });
+        }
+
+        const result = await db.importSchedules(records, { replace: replace === true });
+        res.status(201).json({ message: `Imported ${result.imported} schedule entries`, ...result });
+    } catch (error) {
+        console.error('Error importing schedules:', error);
+        if (error.code === 'IMPORT_FAILED') {
+            res.status(400).json({ error: error.message, rowErrors: error.rowErrors });
+        } else {
+            res.status(500).json({ error: 'Failed to import schedules' });
+        }
+    }
+});
+
+// Update a schedule entry (classrooms:schedule / labs:schedule)
+app.put('/api/schedules/:id', authenticateToken, requirePermission(scheduleSlotPermission, { dept: deptOf('schedule') }), audit('schedule', 'update'), async (req, res) => {
+    try {
+        const before = await db.getScheduleById(req.params.id);
+        const updated = await db.updateSchedule(req.params.id, req.body);
+        await notifyScheduleChange(req, before, await db.getScheduleById(req.params.id));
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating schedule:', error);
+        if (error.message === 'Schedule not found') {
+            res.status(404).json({ error: 'Schedule not found' });
+        } else if (error.message === 'No fields to update') {
+            res.status(400).json({ error: error.message });
+        } else {
+            sendScheduleError(res, error, 'Failed to update schedule');
+        }
+    }
+});
+
+// Delete a schedule entry (classrooms:schedule / labs:schedule)
+app.delete('/api/schedules/:id', authenticateToken, requirePermission(scheduleSlotPermission, { dept: deptOf('schedule') }), audit('schedule', 'delete'), async (req, res) => {
+    try {
+        const before = await db.getScheduleById(req.params.id);
+        const result = await db.deleteSchedule(req.params.id);
+        if (before) {
+            await notifyScheduleChange(req, before, null);
+        }
+        res.json({ message: 'Schedule deleted successfully', ...result });
+    } catch (error) {
+        console.error('Error deleting schedule:', error);
+        res.status(500).json({ error: 'Failed to delete schedule' });
+    }
+});
+
+// Academic Calendar Routes
+
+// Check a term or holiday body ({ name, start_date, end_date }), returning { error } or { period }
+function parseCalendarPeriod(body) {
+    const { name, start_date, end_date } = body;
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+        return { error: 'Name is required (at most 100 characters)' };
+    }
+    if (!isValidDate(start_date) || !isValidDate(end_date)) {
+        return { error: 'start_date and end_date must be YYYY-MM-DD' };
+    }
+    if (start_date > end_date) {
+        return { error: 'start_date must not be after end_date' };
+    }
+    return { period: { name: name.trim(), start_date, end_date } };
+}
+
+function sendCalendarError(res, error, entity, fallback) {
+    if (error.message === `${entity} not found`) {
+        res.status(404).json({ error: error.message });
+    } else if (error.code === 'TERM_IN_USE') {
+        res.status(409).json({ error: error.message });
+    } else if (/UNIQUE constraint failed/.test(error.message)) {
+        res.status(400).json({ error: 'A term with that name already exists' });
+    } else {
+        res.status(500).json({ error: fallback });
+    }
+}
+
+/**
+ * Check PUT /api/schedules/:id/exceptions/:date, returning { error } or { exception }.
+ * 'cancelled' needs nothing more; 'rescheduled' moves the class to new_date and/or
+ * new_start_time + new_end_time (and optionally to another room); 'room_changed' moves it to
+ * new_resource_type + new_resource_id at its usual time.
+ */
+function parseScheduleException(date, body) {
+    const { type, new_date, new_start_time, new_end_time, new_resource_type, new_resource_id, reason } = body;
+    const given = value => value !== undefined && value !== null && value !== '';
+    const today = formatLocalDate();
+
+    if (!isValidDate(date)) {
+        return { error: 'Date must be YYYY-MM-DD' };
+    }
+    if (date < today) {
+        return { error: 'Exceptions can only be set for today or later' };
+    }
+    if (!['cancelled', 'rescheduled', 'room_changed'].includes(type)) {
+        return { error: 'Type must be "cancelled", "rescheduled" or "room_changed"' };
+    }
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+        return { error: 'reason must be text of at most 200 characters' };
+    }
+
+    const exception = { date, type, reason: reason && reason.trim() ? reason.trim() : null };
+    if (type === 'cancelled') {
+        return { exception };
+    }
+
+    const movesRoom = given(new_resource_type) || given(new_resource_id);
+    if (movesRoom) {
+        if (!['classroom', 'lab'].includes(new_resource_type) || !(parseInt(new_resource_id) > 0)) {
+            return { error: 'new_resource_type must be "classroom" or "lab" with a new_resource_id' };
+        }
+        exception.new_resource_type = new_resource_type;
+        exception.new_resource_id = parseInt(new_resource_id);
+    }
+
+    if (type === 'room_changed') {
+        if (!movesRoom) {
+            return { error: 'A room change needs new_resource_type and new_resource_id' };
+        }
+        if (given(new_date) || given(new_start_time) || given(new_end_time)) {
+            return { error: 'A room change keeps the date and time; use "rescheduled" to move it' };
+        }
+        return { exception };
+    }
+
+    if (given(new_date)) {
+        if (!isValidDate(new_date) || new_date < today) {
+            return { error: 'new_date must be a YYYY-MM-DD date from today on' };
+        }
+        exception.new_date = new_date;
+    }
+    if (given(new_start_time) || given(new_end_time)) {
+        if (!isValidTime(new_start_time) || !isValidTime(new_end_time) || new_start_time >= new_end_time) {
+            return { error: 'new_start_time and new_end_time must be HH:MM with new_start_time first' };
+        }
+        exception.new_start_time = new_start_time;
+        exception.new_end_time = new_end_time;
+    }
+    if (!exception.new_date && !exception.new_start_time) {
+        return { error: 'A reschedule needs a new_date or new_start_time and new_end_time' };
+    }
+    return { exception };
+}
+
+// Tell users booking the rooms on the affected dates that one occurrence of a class changed
+async function notifyScheduleException(req, exception, removed = false) {
+    const moved = exception.type !== 'cancelled' ? movedOccurrence(exception, exception) : null;
+    const affected = [{ resource_type: exception.resource_type, resource_id: exception.resource_id, date: exception.date }];
+    if (moved) affected.push(moved);
+
+    const from = `"${exception.subject}" in ${await roomName(exception.resource_type, exception.resource_id) || 'a room you booked'} on ${exception.date} (${exception.start_time} - ${exception.end_time})`;
+    const message = removed
+        ? `${from} takes place as usual again.`
+        : moved
+            ? `${from} moves to ${await roomName(moved.resource_type, moved.resource_id)} on ${moved.date} (${moved.start_time} - ${moved.end_time}).`
+            : `${from} is cancelled.`;
+
+    const notified = new Set();
+    for (const room of affected) {
+        const userIds = (await db.getBookingUserIdsOn(room.resource_type, room.resource_id, [room.date]))
+            .filter(userId => !notified.has(userId));
+        userIds.forEach(userId => notified.add(userId));
+        if (userIds.length === 0) continue;
+        await notifyOthers(req, userIds, {
+            type: 'schedule_change',
+            title: `Class ${removed ? 'restored' : moved ? 'moved' : 'cancelled'}: ${exception.subject}`,
+            message: exception.reason && !removed ? `${message} ${exception.reason}` : message,
+            entity_type: room.resource_type,
+            entity_id: room.resource_id
+        });
+    }
+}
+
+// Get academic terms with their number of weekly classes (accessible to all authenticated users)
+app.get('/api/terms', authenticateToken, async (req, res) => {
+    try {
+        res.json(await db.getAcademicTerms());
+    } catch (error) {
+        console.error('Error fetching terms:', error);
+        res.status(500).json({ error: 'Failed to fetch terms' });
+    }
+});
+
+// Add an academic term (campus:manage)
+app.post('/api/terms', authenticateToken, requirePermission('campus:manage'), audit('academic_term', 'create'), async (req, res) => {
+    try {
+        const { error, period } = parseCalendarPeriod(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createAcademicTerm(period));
+    } catch (error) {
+        console.error('Error creating term:', error);
+        sendCalendarError(res, error, 'Academic term', 'Failed to create term');
+    }
+});
+
+// Update a term; one-off changes on dates it no longer covers are dropped (campus:manage)
+app.put('/api/terms/:id', authenticateToken, requirePermission('campus:manage'), audit('academic_term', 'update'), async (req, res) => {
+    try {
+        const { error, period } = parseCalendarPeriod(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.updateAcademicTerm(req.params.id, period));
+    } catch (error) {
+        console.error('Error updating term:', error);
+        sendCalendarError(res, error, 'Academic term', 'Failed to update term');
+    }
+});
+
+// Delete a term without weekly classes (campus:manage)
+app.delete('/api/terms/:id', authenticateToken, requirePermission('campus:manage'), audit('academic_term', 'delete'), async (req, res) => {
+    try {
+        res.json(await db.deleteAcademicTerm(req.params.id));
+    } catch (error) {
+        console.error('Error deleting term:', error);
+        sendCalendarError(res, error, 'Academic term', 'Failed to delete term');
+    }
+});
+
+// Get holidays, optionally only those touching ?from=&to= (accessible to all authenticated users)
+app.get('/api/holidays', authenticateToken, async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+        }
+        res.json(await db.getHolidays({ from, to }));
+    } catch (error) {
+        console.error('Error fetching holidays:', error);
+        res.status(500).json({ error: 'Failed to fetch holidays' });
+    }
+});
+
+// Add a holiday; weekly classes don't take place on its dates (campus:manage)
+app.post('/api/holidays', authenticateToken, requirePermission('campus:manage'), audit('holiday', 'create'), async (req, res) => {
+    try {
+        const { error, period } = parseCalendarPeriod(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.status(201).json(await db.createHoliday(period));
+    } catch (error) {
+        console.error('Error creating holiday:', error);
+        sendCalendarError(res, error, 'Holiday', 'Failed to create holiday');
+    }
+});
+
+// Update a holiday (campus:manage)
+app.put('/api/holidays/:id', authenticateToken, requirePermission('campus:manage'), audit('holiday', 'update'), async (req, res) => {
+    try {
+        const { error, period } = parseCalendarPeriod(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        res.json(await db.updateHoliday(req.params.id, period));
+    } catch (error) {
+        console.error('Error updating holiday:', error);
+        sendCalendarError(res, error, 'Holiday', 'Failed to update holiday');
+    }
+});
+
+// Delete a holiday (campus:manage)
+app.delete('/api/holidays/:id', authenticateToken, requirePermission('campus:manage'), audit('holiday', 'delete'), async (req, res) => {
+    try {
+        res.json(await db.deleteHoliday(req.params.id));
+    } catch (error) {
+        console.error('Error deleting holiday:', error);
+        sendCalendarError(res, error, 'Holiday', 'Failed to delete holiday');
+    }
+});
+
+// Cancel or move one occurrence of a weekly class (classrooms:schedule / labs:schedule, and the
+// same for the room it moves to)
+app.put('/api/schedules/:id/exceptions/:date', authenticateToken, requirePermission(scheduleSlotPermission, { dept: deptOf('schedule') }), audit('schedule', 'update_exception'), async (req, res) => {
+    try {
+        const { error, exception } = parseScheduleException(req.params.date, req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        if (exception.new_resource_type) {
+            const scope = await db.getResourceScope(exception.new_resource_type, exception.new_resource_id);
+            const permission = schedulePermission(exception.new_resource_type);
+            if (scope && !hasPermission(req.user, permission, scope.dept)) {
+                return res.status(403).json({ error: `Permission required: ${permission}` });
+            }
+        }
+
+        const saved = await db.setScheduleException(req.params.id, exception, req.user.id);
+        await notifyScheduleException(req, saved);
+        res.json(saved);
+    } catch (error) {
+        console.error('Error saving schedule exception:', error);
+        if (error.message === 'Schedule not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            sendScheduleError(res, error, 'Failed to save schedule exception');
+        }
+    }
+});
+
+// Put one occurrence of a weekly class back to normal (classrooms:schedule / labs:schedule)
+app.delete('/api/schedules/:id/exceptions/:date', authenticateToken, requirePermission(scheduleSlotPermission, { dept: deptOf('schedule') }), audit('schedule', 'update_exception'), async (req, res) => {
+    try {
+        const removed = await db.deleteScheduleException(req.params.id, req.params.date);
+        await notifyScheduleException(req, removed, true);
+        res.json({ message: 'Schedule exception deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting schedule exception:', error);
+        if (error.message === 'Schedule exception not found') {
+            res.status(404).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to delete schedule exception' });
+        }
+    }
+});
+
+// Availability Routes
+
+// Find classrooms and labs that are free for a time range (defaults to the next hour from now)
+app.get('/api/availability', authenticateToken, async (req, res) => {
+    try {
+        const { type, min_capacity, dept, building_id } = req.query;
+        const date = req.query.date || formatLocalDate();
+        const start_time = req.query.start || formatLocalTime();
+        const end_time = req.query.end || minutesToTime(timeToMinutes(start_time) + 60);
+
+        if (!isValidDate(date) || !isValidTime(start_time) || !isValidTime(end_time)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD and start/end must be HH:MM' });
+        }
+
+        if (start_time >= end_time) {
+            // The default hour is cut off at midnight, and from 23:59 nothing is left of the day
+            if (!req.query.end) {
+                return res.json({ date, start_time, end_time, available: [] });
+            }
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        if (type && !['all', 'classroom', 'lab'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be "classroom", "lab" or "all"' });
+        }
+
+        const { error, requirements } = await parseEquipmentRequirements(req.query.equipment);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const available = await db.getAvailableResources({ date, start_time, end_time, type, min_capacity, dept, building_id, equipment: requirements });
+        res.json({ date, start_time, end_time, available });
+    } catch (error) {
+        console.error('Error checking availability:', error);
+        res.status(500).json({ error: 'Failed to check availability' });
+    }
+});
+
+// What occupies a classroom or lab on each date from ?from= to ?to= (default: the next 7 days,
+// at most 92): classes as they actually happen after terms, holidays and one-off changes, and
+// approved bookings
+app.get('/api/occupancy/:type/:id', authenticateToken, async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        if (!['classroom', 'lab'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be "classroom" or "lab"' });
+        }
+        const from = req.query.from || formatLocalDate();
+        const to = req.query.to || addDays(from, 6);
+        if (!isValidDate(from) || !isValidDate(to)) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+        }
+        if (from > to || to > addDays(from, 91)) {
+            return res.status(400).json({ error: 'to must be on or after from and at most 92 days later' });
+        }
+
+        if (!(await db.resourceExists(type, id))) {
+            return res.status(404).json({ error: `${type === 'lab' ? 'Lab' : 'Classroom'} not found` });
+        }
+
+        res.json(await db.getRoomOccupancy(type, id, from, to));
+    } catch (error) {
+        console.error('Error fetching occupancy:', error);
+        res.status(500).json({ error: 'Failed to fetch occupancy' });
+    }
+});
+
+// Booking Request Routes
+
+// 409 response listing the slots and bookings a request clashes with (and the dates, for a series)
+function sendBookingConflict(res, error) {
+    res.status(409).json({
+        error: error.message,
+        conflicts: error.conflicts,
+        ...(error.conflicting_dates && { conflicting_dates: error.conflicting_dates })
+    });
+}
+
+// Check a recurrence rule, returning an error message or null
+function validateRecurrence(recurrence, startDate) {
+    if (!['weekly', 'biweekly'].includes(recurrence.frequency)) {
+        return 'Recurrence frequency must be "weekly" or "biweekly"';
+    }
+    if (!recurrence.until && !recurrence.count) {
+        return 'Recurrence needs an end date ("until") or a number of occurrences ("count")';
+    }
+    if (recurrence.until && (!isValidDate(recurrence.until) || recurrence.until < startDate)) {
+        return 'Recurrence end date must be a YYYY-MM-DD date on or after the first date';
+    }
+    if (recurrence.count && !(parseInt(recurrence.count) >= 1 && parseInt(recurrence.count) <= 52)) {
+        return 'Recurrence count must be between 1 and 52';
+    }
+    return null;
+}
+
+// Create a new booking request (all authenticated users)
+app.post('/api/booking-requests', authenticateToken, audit(req => req.body.recurrence ? 'booking_series' : 'booking_request', 'create'), async (req, res) => {
+    try {
+        const { resource_type, resource_id, date, start_time, end_time, program_name, description, participant_count } = req.body;
+
+        if (!resource_type || !resource_id || !date || !start_time || !end_time || !program_name) {
+            return res.status(400).json({ error: 'Required fields: resource_type, resource_id, date, start_time, end_time, program_name' });
+        }
+
+        if (!isValidDate(date) || !isValidTime(start_time) || !isValidTime(end_time)) {
+            return res.status(400).json({ error: 'Date must be YYYY-MM-DD and times must be HH:MM' });
+        }
+
+        if (start_time >= end_time) {
+            return res.status(400).json({ error: 'End time must be after start time' });
+        }
+
+        // Equipment the program needs: [{ equipment_type_id | name, quantity }]
+        const { error: equipmentError, requirements } = await parseEquipmentRequirements(req.body.equipment);
+        if (equipmentError) {
+            return res.status(400).json({ error: equipmentError });
+        }
+
+        // Only those who may approve bookings for the room may knowingly book over a conflicting slot
+        const scope = await db.getResourceScope(resource_type, resource_id);
+        const allowConflicts = req.body.override === true && hasPermission(req.user, 'bookings:approve', scope ? scope.dept : null);
+
+        const bookingData = {
+            user_id: req.user.id,
+            resource_type,
+            resource_id,
+            date,
+            start_time,
+            end_time,
+            program_name,
+            description,
+            participant_count,
+            equipment: requirements
+        };
+
+        // Recurring request: { frequency: 'weekly' | 'biweekly', until: 'YYYY-MM-DD' } or { frequency, count }
+        const { recurrence } = req.body;
+        if (recurrence) {
+            const recurrenceError = validateRecurrence(recurrence, date);
+            if (recurrenceError) {
+                return res.status(400).json({ error: recurrenceError });
+            }
+
+            const series = await db.createBookingSeries(bookingData, {
+                frequency: recurrence.frequency,
+                until: recurrence.until,
+                count: recurrence.count ? parseInt(recurrence.count) : null
+            }, {
+                allowConflicts,
+                skipConflicts: req.body.skip_conflicts === true
+            });
+            return res.status(201).json(series);
+        }
+
+        const bookingRequest = await db.createBookingRequest(bookingData, { allowConflicts });
+
+        res.status(201).json(bookingRequest);
+    } catch (error) {
+        console.error('Error creating booking request:', error);
+        if (error.code === 'BOOKING_CONFLICT') {
+            sendBookingConflict(res, error);
+        } else if (error.code === 'SERIES_TOO_LONG' || error.code === 'INVALID_RESOURCE') {
+            res.status(400).json({ error: error.message });
+        } else if (error.code === 'RESOURCE_NOT_FOUND') {
+            res.status(404).json({ error: error.message });
+        } else {
+            res.status(500).json({ error: 'Failed to create booking request' });
+        }
+    }
+});
+
+// Get all booking requests (reviewers see those they may review, users only their own)
+app.get('/api/booking-requests', authenticateToken, async (req, res) => {
+    try {
+        const { status, resource_type, resource_id } = req.query;
+        const filters = { status, resource_type };
+        
+        if (resource_id) {
+            filters.resource_id = parseInt(resource_id);
+        }
+        
+        // Without bookings:view, only show user's own requests (unless viewing approved bookings for a resource);
+        // department-scoped reviewers also see requests for their department's rooms
+        if (status !== 'approved' && !hasPermission(req.user, 'bookings:view')) {
+            if (req.user.dept && hasPermission(req.user, 'bookings:view', req.user.dept)) {
+                filters.visible_to = { user_id: req.user.id, dept: req.user.dept };
+            } else {
+                filters.user_id = req.user.id;
+            }
+        }
+
+        const bookingRequests = await db.getAllBookingRequests(filters);
+        res.json(bookingRequests);
+    } catch (error) {
+        console.error('Error fetching booking requests:', error);
+        res.status(500).json({ error: 'Failed to fetch booking requests' });
+    }
+});
+
+// Get booking request by ID
+app.get('/api/booking-requests/:id', authenticateToken, async (req, res) => {
+    try {
+        const bookingRequest = await db.getBookingRequestById(req.params.id);
+        
+        if (!bookingRequest) {
+            return res.status(404).json({ error: 'Booking request not found' });
+        }
+
+        // Users can only view their own requests, reviewers those of their departments
+        if (bookingRequest.user_id !== req.user.id &&
+            !hasPermission(req.user, 'bookings:view', await deptOf('booking_request')(req))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json(bookingRequest);
+    } catch (error) {
+        console.error('Error fetching booking request:', error);
+        res.status(500).json({ error: 'Failed to fetch booking request' });
+    }
+});
+
+// Update booking request status (bookings:approve for the room's department)
+app.patch('/api/booking-requests/:id/status', authenticateToken, requirePermission('bookings:approve', { dept: deptOf('booking_request') }), audit('booking_request', 'update_status'), async (req, res) => {
+    try {
+        const { status, admin_notes, override } = req.body;
+
+        if (!status || !['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be either "approved" or "rejected"' });
+        }
+
+        const result = await db.updateBookingRequestStatus(req.params.id, status, req.user.id, admin_notes, {
+            allowConflicts: override === true
+        });
+
+        const booking = await db.getBookingRequestById(req.params.id);
+        if (booking) {
+            await notifyOthers(req, [booking.user_id], {
+                type: 'booking_status',
+                title: `Booking ${status}: ${booking.program_name}`,
+                message: `Your booking request "${booking.program_name}" for ` +
+                    `${booking.resource_type === 'classroom' ? `Room ${booking.resource_name}` : booking.resource_name} on ${booking.date} ` +
+                    `(${booking.start_time} - ${booking.end_time}) was ${status}.` +
+                    (admin_notes ? ` Note from the reviewer: ${admin_notes}` : ''),
+                entity_type: 'booking_request',
+                entity_id: booking.id
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating booking request status:', error);
+        if (error.code === 'BOOKING_CONFLICT') {
+            sendBookingConflict(res, error);
+        } else if (error.message === 'Booking request not found') {
+            res.status(404).json({ error: 'Booking request not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update booking request status' });
+        }
+    }
+});
+
+// Delete booking request (user can delete their own pending requests, reviewers can delete any they may approve)
+app.delete('/api/booking-requests/:id', authenticateToken, audit('booking_request', 'delete'), async (req, res) => {
+    try {
+        const bookingRequest = await db.getBookingRequestById(req.params.id);
+        
+        if (!bookingRequest) {
+            return res.status(404).json({ error: 'Booking request not found' });
+        }
+
+        // Users can only delete their own pending requests
+        if (!hasPermission(req.user, 'bookings:approve', await deptOf('booking_request')(req))) {
+            if (bookingRequest.user_id !== req.user.id) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            if (bookingRequest.status !== 'pending') {
+                return res.status(400).json({ error: 'Can only delete pending requests' });
+            }
+        }
+
+        const result = await db.deleteBookingRequest(req.params.id);
+        res.json({ message: 'Booking request deleted successfully', ...result });
+    } catch (error) {
+        console.error('Error deleting booking request:', error);
+        res.status(500).json({ error: 'Failed to delete booking request' });
+    }
+});
+
+// Booking Series Routes (recurring booking requests)
+
+// Get a booking series with all its occurrences
+app.get('/api/booking-series/:id', authenticateToken, async (req, res) => {
+    try {
+        const series = await db.getBookingSeriesById(req.params.id);
+
+        if (!series) {
+            return res.status(404).json({ error: 'Booking series not found' });
+        }
+
+        if (series.user_id !== req.user.id &&
+            !hasPermission(req.user, 'bookings:view', await deptOf('booking_series')(req))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.json(series);
+    } catch (error) {
+        console.error('Error fetching booking series:', error);
+        res.status(500).json({ error: 'Failed to fetch booking series' });
+    }
+});
+
+// Approve or reject all pending occurrences of a series (bookings:approve for the room's department)
+app.patch('/api/booking-series/:id/status', authenticateToken, requirePermission('bookings:approve', { dept: deptOf('booking_series') }), audit('booking_series', 'update_status'), async (req, res) => {
+    try {
+        const { status, admin_notes, override } = req.body;
+
+        if (!status || !['approved', 'rejected'].includes(status)) {
+            return res.status(400).json({ error: 'Status must be either "approved" or "rejected"' });
+        }
+
+        const result = await db.updateBookingSeriesStatus(req.params.id, status, req.user.id, admin_notes, {
+            allowConflicts: override === true
+        });
+
+        if (result.updated > 0) {
+            const series = await db.getBookingSeriesById(req.params.id);
+            await notifyOthers(req, [series.user_id], {
+                type: 'booking_status',
+                title: `Recurring booking ${status}: ${series.program_name}`,
+                message: `${result.updated} pending date(s) of your recurring booking "${series.program_name}" ` +
+                    `(${series.start_time} - ${series.end_time}) were ${status}.` +
+                    (admin_notes ? ` Note from the reviewer: ${admin_notes}` : ''),
+                entity_type: 'booking_series',
+                entity_id: series.id
+            });
+        }
+
+        res.json(result);
+    } catch (error) {
+        console.error('Error updating booking series status:', error);
+        if (error.code === 'BOOKING_CONFLICT') {
+            sendBookingConflict(res, error);
+        } else if (error.message === 'Booking series not found') {
+            res.status(404).json({ error: 'Booking series not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update booking series status' });
+        }
+    }
+});
+
+// Cancel a series: removes its occurrences from today onwards (owner or a reviewer who may approve it)
+app.delete('/api/booking-series/:id', authenticateToken, audit('booking_series', 'cancel'), async (req, res) => {
+    try {
+        const series = await db.getBookingSeriesById(req.params.id);
+
+        if (!series) {
+            return res.status(404).json({ error: 'Booking series not found' });
+        }
+
+        if (series.user_id !== req.user.id &&
+            !hasPermission(req.user, 'bookings:approve', await deptOf('booking_series')(req))) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        const result = await db.cancelBookingSeries(req.params.id);
+        res.json({ message: 'Booking series cancelled successfully', ...result });
+    } catch (error) {
+        console.error('Error cancelling booking series:', error);
+        res.status(500).json({ error: 'Failed to cancel booking series' });
+    }
+});
+
+// Issue Ticket Routes
+
+const ISSUE_RESOURCE_TYPES = Object.keys(RESOURCE_MANAGE_PERMISSIONS);
+const ISSUE_RESOURCE_LABELS = { classroom: 'Classroom', lab: 'Lab', bus: 'Bus route', menu_item: 'Menu item' };
+const ISSUE_CATEGORIES = ['equipment', 'electrical', 'plumbing', 'furniture', 'it', 'cleanliness', 'safety', 'vehicle', 'food_quality', 'other'];
+const ISSUE_PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const ISSUE_STATUSES = ['open', 'in_progress', 'resolved'];
+const MAX_ISSUE_TEXT_LENGTH = 2000;
+
+// Staff who look after a ticket's resource: the manage permission of its kind, in the
+// department of a classroom or lab
+function canManageIssue(user, ticket) {
+    return hasPermission(user, RESOURCE_MANAGE_PERMISSIONS[ticket.resource_type], ticket.dept || undefined);
+}
+
+function canViewIssue(user, ticket) {
+    return ticket.reporter_id === user.id || ticket.assignee_id === user.id || canManageIssue(user, ticket);
+}
+
+// Active accounts that may work on a ticket, i.e. be assigned to it
+async function getIssueStaff(ticket) {
+    const users = await db.getAllUsers();
+    return users.filter(user => user.is_active && canManageIssue(user, ticket));
+}
+
+// Load the ticket behind :id into req.ticket; only its reporter, assignee and staff get past
+async function loadIssueTicket(req, res, next) {
+    try {
+        const ticket = await db.getIssueTicketById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Issue ticket not found' });
+        }
+        if (!canViewIssue(req.user, ticket)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+        req.ticket = ticket;
+        next();
+    } catch (error) {
+        console.error('Error loading issue ticket:', error);
+        res.status(500).json({ error: 'Failed to load issue ticket' });
+    }
+}
+
+// Check free text (a description or comment), returning an error message or null
+function validateIssueText(text, field) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return `A ${field} is required`;
+    }
+    if (text.length > MAX_ISSUE_TEXT_LENGTH) {
+        return `The ${field} must be at most ${MAX_ISSUE_TEXT_LENGTH} characters`;
+    }
+    return null;
+}
+
+// Check a new ticket payload, returning an error message or null
+function validateIssueTicket(ticket) {
+    if (!ISSUE_RESOURCE_TYPES.includes(ticket.resource_type)) {
+        return `resource_type must be one of ${ISSUE_RESOURCE_TYPES.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(ticket.resource_id)) || Number(ticket.resource_id) <= 0) {
+        return 'A resource_id is required';
+    }
+    if (!ISSUE_CATEGORIES.includes(ticket.category)) {
+        return `category must be one of ${ISSUE_CATEGORIES.join(', ')}`;
+    }
+    if (ticket.priority !== undefined && !ISSUE_PRIORITIES.includes(ticket.priority)) {
+        return `priority must be one of ${ISSUE_PRIORITIES.join(', ')}`;
+    }
+    return validateIssueText(ticket.description, 'description');
+}
+
+function issueStatusLabel(status) {
+    return status.replace('_', ' ');
+}
+
+// List tickets: staff see those of the resources they look after, everybody their own reports.
+// Filters: status (a status, 'active' for unresolved or 'all'), priority, resource_type,
+// resource_id, mine=true (reported by me), assigned=true (assigned to me)
+app.get('/api/issues', authenticateToken, async (req, res) => {
+    try {
+        const { status, priority, resource_type, resource_id, mine, assigned } = req.query;
+        if (status !== undefined && !['active', 'all', ...ISSUE_STATUSES].includes(status)) {
+            return res.status(400).json({ error: `status must be active, all or one of ${ISSUE_STATUSES.join(', ')}` });
+        }
+        if (priority !== undefined && !ISSUE_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of ${ISSUE_PRIORITIES.join(', ')}` });
+        }
+        if (resource_type !== undefined && !ISSUE_RESOURCE_TYPES.includes(resource_type)) {
+            return res.status(400).json({ error: `resource_type must be one of ${ISSUE_RESOURCE_TYPES.join(', ')}` });
+        }
+
+        const filters = { status, priority, resource_type };
+        if (resource_id) {
+            filters.resource_id = parseInt(resource_id);
+        }
+        if (mine === 'true') {
+            filters.reporter_id = req.user.id;
+        }
+        if (assigned === 'true') {
+            filters.assignee_id = req.user.id;
+        }
+
+        const tickets = await db.getIssueTickets(filters);
+        res.json(tickets.filter(ticket => canViewIssue(req.user, ticket)));
+    } catch (error) {
+        console.error('Error fetching issue tickets:', error);
+        res.status(500).json({ error: 'Failed to fetch issue tickets' });
+    }
+});
+
+// Get a ticket with its comments (its reporter, assignee or staff)
+app.get('/api/issues/:id', authenticateToken, loadIssueTicket, (req, res) => {
+    res.json(req.ticket);
+});
+
+// Report an issue with a classroom, lab, bus route or menu item (all authenticated users)
+app.post('/api/issues', authenticateToken, audit('issue_ticket', 'create'), async (req, res) => {
+    try {
+        const validationError = validateIssueTicket(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        const { resource_type, resource_id, category, priority, description } = req.body;
+        if (!await db.resourceExists(resource_type, resource_id)) {
+            return res.status(404).json({ error: `${ISSUE_RESOURCE_LABELS[resource_type]} not found` });
+        }
+
+        const ticket = await db.createIssueTicket({
+            resource_type,
+            resource_id: Number(resource_id),
+            category,
+            priority,
+            description: description.trim(),
+            reporter_id: req.user.id
+        });
+
+        // Critical problems should not wait for someone to check the ticket list
+        if (ticket.priority === 'critical') {
+            const staff = await getIssueStaff(ticket);
+            await notifyOthers(req, staff.map(user => user.id), {
+                type: 'issue_update',
+                title: `Critical issue reported: ${ticket.resource_name}`,
+                message: `${ticket.reporter_name} reported: ${ticket.description}`,
+                entity_type: 'issue_ticket',
+                entity_id: ticket.id
+            });
+        }
+
+        res.status(201).json(ticket);
+    } catch (error) {
+        console.error('Error creating issue ticket:', error);
+        res.status(500).json({ error: 'Failed to report issue' });
+    }
+});
+
+// Users who may be assigned to a ticket (staff of its resource)
+app.get('/api/issues/:id/assignees', authenticateToken, loadIssueTicket, async (req, res) => {
+    try {
+        if (!canManageIssue(req.user, req.ticket)) {
+            return res.status(403).json({ error: `Permission required: ${RESOURCE_MANAGE_PERMISSIONS[req.ticket.resource_type]}` });
+        }
+        const staff = await getIssueStaff(req.ticket);
+        res.json(staff.map(({ id, student_id, name, role }) => ({ id, student_id, name, role })));
+    } catch (error) {
+        console.error('Error fetching issue assignees:', error);
+        res.status(500).json({ error: 'Failed to fetch assignees' });
+    }
+});
+
+// Triage a ticket: { status?, priority?, category?, assignee_id? (null unassigns), comment? }
+// (the resource's manage permission). The reporter is told about status changes, a new
+// assignee about the assignment.
+app.patch('/api/issues/:id', authenticateToken, loadIssueTicket, requirePermission(req => RESOURCE_MANAGE_PERMISSIONS[req.ticket.resource_type], { dept: req => req.ticket.dept || undefined }), audit('issue_ticket', 'update'), async (req, res) => {
+    try {
+        const { status, priority, category, assignee_id, comment } = req.body;
+        if (status !== undefined && !ISSUE_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of ${ISSUE_STATUSES.join(', ')}` });
+        }
+        if (priority !== undefined && !ISSUE_PRIORITIES.includes(priority)) {
+            return res.status(400).json({ error: `priority must be one of ${ISSUE_PRIORITIES.join(', ')}` });
+        }
+        if (category !== undefined && !ISSUE_CATEGORIES.includes(category)) {
+            return res.status(400).json({ error: `category must be one of ${ISSUE_CATEGORIES.join(', ')}` });
+        }
+        if (comment !== undefined && comment !== '') {
+            const commentError = validateIssueText(comment, 'comment');
+            if (commentError) {
+                return res.status(400).json({ error: commentError });
+            }
+        }
+
+        let assigneeId;
+        if (assignee_id === null || assignee_id === '') {
+            assigneeId = null;
+        } else if (assignee_id !== undefined) {
+            const staff = await getIssueStaff(req.ticket);
+            const assignee = staff.find(user => user.id === Number(assignee_id));
+            if (!assignee) {
+                return res.status(400).json({ error: 'The assignee must be an active user who looks after this resource' });
+            }
+            assigneeId = assignee.id;
+        }
+
+        if (comment) {
+            await db.addIssueComment(req.ticket.id, req.user.id, comment.trim());
+        }
+        const updated = await db.updateIssueTicket(req.ticket.id, { status, priority, category, assignee_id: assigneeId });
+
+        if (updated.assignee_id && updated.assignee_id !== req.ticket.assignee_id) {
+            await notifyOthers(req, [updated.assignee_id], {
+                type: 'issue_update',
+                title: `Issue #${updated.id} assigned to you`,
+                message: `${updated.resource_name}: ${updated.description}`,
+                entity_type: 'issue_ticket',
+                entity_id: updated.id
+            });
+        }
+        if (updated.status !== req.ticket.status) {
+            await notifyOthers(req, [updated.reporter_id], {
+                type: 'issue_update',
+                title: `Your issue report is ${issueStatusLabel(updated.status)}`,
+                message: `Issue #${updated.id} about ${updated.resource_name} was marked ${issueStatusLabel(updated.status)} by ${req.user.name}.` +
+                    (comment ? ` ${comment.trim()}` : ''),
+                entity_type: 'issue_ticket',
+                entity_id: updated.id
+            });
+        }
+
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating issue ticket:', error);
+        if (error.message === 'Issue ticket not found') {
+            res.status(404).json({ error: 'Issue ticket not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to update issue ticket' });
+        }
+    }
+});
+
+// Comment on a ticket (its reporter, assignee or staff); the others involved are notified
+app.post('/api/issues/:id/comments', authenticateToken, loadIssueTicket, audit('issue_ticket', 'comment'), async (req, res) => {
+    try {
+        const commentError = validateIssueText(req.body.body, 'comment');
+        if (commentError) {
+            return res.status(400).json({ error: commentError });
+        }
+
+        const body = req.body.body.trim();
+        await db.addIssueComment(req.ticket.id, req.user.id, body);
+
+        await notifyOthers(req, [req.ticket.reporter_id, req.ticket.assignee_id].filter(Boolean), {
+            type: 'issue_update',
+            title: `New comment on issue #${req.ticket.id}`,
+            message: `${req.user.name} on ${req.ticket.resource_name}: ${body}`,
+            entity_type: 'issue_ticket',
+            entity_id: req.ticket.id
+        });
+
+        res.status(201).json(await db.getIssueTicketById(req.ticket.id));
+    } catch (error) {
+        console.error('Error adding issue comment:', error);
+        if (error.message === 'Issue ticket not found') {
+            res.status(404).json({ error: 'Issue ticket not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to add comment' });
+        }
+    }
+});
+
+// Calendar Feed Routes (iCalendar / .ics)
+
+// Feeds accept ?token=<calendar token> in the URL, since calendar apps cannot send the
+// Authorization header; without a token they fall back to the usual Bearer authentication
+async function authenticateCalendarFeed(req, res, next) {
+    if (!req.query.token) {
+        return authenticateToken(req, res, next);
+    }
+
+    try {
+        const user = await db.findUserByCalendarToken(req.query.token);
+        if (!user) {
+            return res.status(403).json({ error: 'Invalid calendar token' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Error checking calendar token:', error);
+        res.status(500).json({ error: 'Failed to authenticate calendar feed' });
+    }
+}
+
+function sendCalendar(res, filename, ics) {
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(ics);
+}
+
+// Subscription URLs for the current user's feed token
+function calendarFeedUrls(req, token) {
+    const base = `${req.protocol}://${req.get('host')}/api/calendar`;
+    return {
+        bookings: `${base}/bookings.ics?token=${token}`,
+        schedule: `${base}/schedules/{type}/{id}.ics?token=${token}`
+    };
+}
+
+// Get (or create) the current user's calendar feed token
+app.get('/api/calendar/token', authenticateToken, async (req, res) => {
+    try {
+        const token = await db.getCalendarToken(req.user.id);
+        res.json({ token, feeds: calendarFeedUrls(req, token) });
+    } catch (error) {
+        console.error('Error fetching calendar token:', error);
+        res.status(500).json({ error: 'Failed to fetch calendar token' });
+    }
+});
+
+// Regenerate the calendar feed token, revoking previously shared feed URLs
+app.post('/api/calendar/token', authenticateToken, async (req, res) => {
+    try {
+        const token = await db.resetCalendarToken(req.user.id);
+        res.json({ message: 'Calendar token regenerated', token, feeds: calendarFeedUrls(req, token) });
+    } catch (error) {
+        console.error('Error regenerating calendar token:', error);
+        res.status(500).json({ error: 'Failed to regenerate calendar token' });
+    }
+});
+
+// Weekly timetable (plus approved special programs) of a classroom or lab. Classes stop at the end
+// of their term and skip holidays; one-off moves into or within the room are events of their own.
+app.get('/api/calendar/schedules/:type/:id.ics', authenticateCalendarFeed, async (req, res) => {
+    try {
+        const { type, id } = req.params;
+        if (!['classroom', 'lab'].includes(type)) {
+            return res.status(400).json({ error: 'Type must be "classroom" or "lab"' });
+        }
+
+        const resource = type === 'lab' ? await db.getLabById(id) : await db.getClassroomById(id);
+        if (!resource) {
+            return res.status(404).json({ error: `${type === 'lab' ? 'Lab' : 'Classroom'} not found` });
+        }
+
+        const name = type === 'lab' ? resource.name : `Room ${resource.room}`;
+        const location = type === 'lab' ? resource.location : `Room ${resource.room}, ${resource.floor}, ${resource.building}`;
+
+        const schedules = await db.getSchedulesByResource(type, id);
+        const bookings = await db.getAllBookingRequests({ status: 'approved', resource_type: type, resource_id: parseInt(id) });
+        const holidays = await db.getHolidays();
+        const exceptions = await db.getScheduleExceptionsForRoom(type, id);
+        const inRoom = (resourceType, resourceId) => resourceType === type && resourceId === parseInt(id);
+        const summary = slot => slot.course_code ? `${slot.course_code} - ${slot.subject}` : slot.subject;
+
+        // Dates a slot's weekday falls on during a holiday
+        const holidayDates = slot => holidays.flatMap(holiday => {
+            const dates = [];
+            for (let date = nextWeekday(holiday.start_date, slot.day_of_week); date <= holiday.end_date; date = addDays(date, 7)) {
+                dates.push(date);
+            }
+            return dates;
+        });
+
+        // Occurrences moved into this room, or to another date or time in it
+        const moved = exceptions
+            .filter(e => e.type !== 'cancelled')
+            .map(e => movedOccurrence({ ...e, id: e.schedule_id }, e))
+            .filter(occurrence => inRoom(occurrence.resource_type, occurrence.resource_id));
+
+        const events = [
+            ...schedules.map(slot => ({
+                uid: `schedule-${slot.id}@campus-info`,
+                timestamp: slot.updated_at,
+                // Anchor the weekly rule at the start of the slot's term, or else the first matching
+                // weekday after the slot was created
+                date: nextWeekday(slot.term_start || (slot.created_at || '').split(' ')[0] || formatLocalDate(), slot.day_of_week),
+                start_time: slot.start_time,
+                end_time: slot.end_time,
+                weekly: true,
+                until: slot.term_end,
+                exdates: [...new Set([
+                    ...holidayDates(slot),
+                    ...exceptions.filter(e => e.schedule_id === slot.id).map(e => e.date)
+                ])].filter(date => (!slot.term_start || date >= slot.term_start) && (!slot.term_end || date <= slot.term_end)).sort(),
+                summary: summary(slot),
+                description: slot.instructor ? `Instructor: ${slot.instructor}` : null,
+                location
+            })),
+            ...moved.map(occurrence => ({
+                uid: `schedule-${occurrence.id}-${occurrence.exception.date}@campus-info`,
+                timestamp: occurrence.updated_at,
+                date: occurrence.date,
+                start_time: occurrence.start_time,
+                end_time: occurrence.end_time,
+                summary: summary(occurrence),
+                description: [
+                    `Moved from ${occurrence.exception.date} ${occurrence.exception.start_time}`,
+                    occurrence.reason,
+                    occurrence.instructor && `Instructor: ${occurrence.instructor}`
+                ].filter(Boolean).join('\n'),
+                location
+            })),
+            ...bookings.map(booking => ({
+                uid: `booking-${booking.id}@campus-info`,
+                timestamp: booking.updated_at,
+                date: booking.date,
+                start_time: booking.start_time,
+                end_time: booking.end_time,
+                summary: booking.program_name,
+                description: booking.description,
+                location
+            }))
+        ];
+
+        sendCalendar(res, `${type}-${id}.ics`, buildCalendar(`${name} Schedule`, events));
+    } catch (error) {
+        console.error('Error building schedule calendar:', error);
+        res.status(500).json({ error: 'Failed to build schedule calendar' });
+    }
+});
+
+// The current user's approved booking requests
+app.get('/api/calendar/bookings.ics', authenticateCalendarFeed, async (req, res) => {
+    try {
+        const bookings = await db.getAllBookingRequests({ status: 'approved', user_id: req.user.id });
+
+        const events = bookings.map(booking => ({
+            uid: `booking-${booking.id}@campus-info`,
+            timestamp: booking.updated_at,
+            date: booking.date,
+            start_time: booking.start_time,
+            end_time: booking.end_time,
+            summary: booking.program_name,
+            description: booking.description,
+            location: booking.resource_name
+        }));
+
+        sendCalendar(res, 'my-bookings.ics', buildCalendar(`${req.user.name}'s Bookings`, events));
+    } catch (error) {
+        console.error('Error building bookings calendar:', error);
+        res.status(500).json({ error: 'Failed to build bookings calendar' });
+    }
+});
+
+// Notification Routes
+
+// Notify users about something another user did; nobody is notified of their own action.
+// Failures are logged rather than failing the request, whose change has already been saved.
+async function notifyOthers(req, userIds, notification) {
+    try {
+        await notifyUsers(userIds.filter(id => id !== req.user.id), notification);
+    } catch (error) {
+        console.error('Error creating notifications:', error);
+    }
+}
+
+// Get own notifications, newest first (?unread=true for unread only, limit max 100, offset)
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+    try {
+        const notifications = await db.getNotifications(req.user.id, {
+            unread: req.query.unread === 'true',
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100),
+            offset: Math.max(parseInt(req.query.offset) || 0, 0)
+        });
+        res.json(notifications);
+    } catch (error) {
+        console.error('Error fetching notifications:', error);
+        res.status(500).json({ error: 'Failed to fetch notifications' });
+    }
+});
+
+// Number of unread notifications (for the header badge)
+app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+    try {
+        const count = await db.getUnreadNotificationCount(req.user.id);
+        res.json({ count });
+    } catch (error) {
+        console.error('Error counting notifications:', error);
+        res.status(500).json({ error: 'Failed to count notifications' });
+    }
+});
+
+// Mark one of own notifications as read
+app.patch('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+    try {
+        const notification = await db.markNotificationRead(req.user.id, req.params.id);
+        res.json(notification);
+    } catch (error) {
+        console.error('Error marking notification read:', error);
+        if (error.message === 'Notification not found') {
+            res.status(404).json({ error: 'Notification not found' });
+        } else {
+            res.status(500).json({ error: 'Failed to mark notification as read' });
+        }
+    }
+});
+
+// Mark all own notifications as read
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+    try {
+        const result = await db.markAllNotificationsRead(req.user.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Error marking notifications read:', error);
+        res.status(500).json({ error: 'Failed to mark notifications as read' });
+    }
+});
+
+// Send an announcement to every active user (announcements:create)
+app.post('/api/notifications/announcements', authenticateToken, requirePermission('announcements:create'), async (req, res) => {
+    try {
+        const { title, message } = req.body;
+        if (typeof title !== 'string' || !title.trim() || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Required fields: title, message' });
+        }
+
+        const userIds = await db.getActiveUserIds();
+        const recipients = await notifyUsers(userIds.filter(id => id !== req.user.id), {
+            type: 'announcement',
+            title: title.trim(),
+            message: message.trim()
+        });
+        res.status(201).json({ message: 'Announcement sent', recipients });
+    } catch (error) {
+        console.error('Error sending announcement:', error);
+        res.status(500).json({ error: 'Failed to send announcement' });
+    }
+});
+
+// Live Update Routes
+
+// EventSource cannot send headers, so the event stream also accepts ?access_token=
+function tokenFromQuery(req, res, next) {
+    if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    next();
+}
+
+// Server-Sent Events stream of changes the user may see (lab status, menu, bookings, ...)
+app.get('/api/events', tokenFromQuery, authenticateToken, openEventStream);
+
+// Audit Log Routes
+
+// Query the audit log (audit:view), newest first
+// Filters: entity_type, entity_id, actor_id, from/to (YYYY-MM-DD, UTC), limit (max 500), offset
+app.get('/api/audit', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { entity_type, entity_id, actor_id, from, to } = req.query;
+
+        if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+            return res.status(400).json({ error: 'from and to must be YYYY-MM-DD dates' });
+        }
+        if (actor_id && !/^\d+$/.test(actor_id)) {
+            return res.status(400).json({ error: 'actor_id must be a user id' });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+        const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+        const entries = await db.getAuditLog({
+            entity_type,
+            entity_id,
+            actor_id: actor_id ? parseInt(actor_id) : undefined,
+            from,
+            to,
+            limit,
+            offset
+        });
+        res.json(entries);
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
     }
 });
 
@@ -600,7 +3806,7 @@ initializeServer().then(() => {
     app.listen(PORT, () => {
         console.log(`🚀 Server running on http://localhost:${PORT}`);
         console.log(`📡 API available at http://localhost:${PORT}/api`);
-        console.log(`💾 Using SQLite database: campus_info.db`);
+        console.log(`💾 Using SQLite database: ${process.env.DB_PATH || 'campus_info.db'}`);
     });
 }).catch(error => {
     console.error('❌ Failed to start server:', error);
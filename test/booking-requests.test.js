@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+const booking = classroomId => ({
+    user_id: 1,
+    resource_type: 'classroom',
+    resource_id: classroomId,
+    date: '2030-01-07',
+    start_time: '09:00',
+    end_time: '10:00',
+    program_name: 'Robotics club'
+});
+
+test('bookings of rooms that do not exist are refused', async () => {
+    const { db, classroomId } = await createTestDatabase();
+
+    await assert.rejects(db.createBookingRequest({ ...booking(classroomId), resource_type: 'foo' }), error => error.code === 'INVALID_RESOURCE');
+    await assert.rejects(db.createBookingRequest({ ...booking(classroomId), resource_id: 999 }), error => error.code === 'RESOURCE_NOT_FOUND');
+    await assert.rejects(
+        db.createBookingSeries({ ...booking(classroomId), resource_type: 'lab' }, { frequency: 'weekly', count: 2 }),
+        error => error.code === 'RESOURCE_NOT_FOUND'
+    );
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM booking_requests`);
+    assert.strictEqual(count, 0);
+    db.close();
+});
+
+test('only one of two overlapping requests approved at once goes through', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const first = await db.createBookingRequest(booking(classroomId));
+    const second = await db.createBookingRequest({ ...booking(classroomId), start_time: '09:30', end_time: '10:30' });
+
+    const results = await Promise.allSettled([
+        db.updateBookingRequestStatus(first.id, 'approved', 1),
+        db.updateBookingRequestStatus(second.id, 'approved', 1)
+    ]);
+    assert.deepStrictEqual(results.map(r => r.status), ['fulfilled', 'rejected']);
+    assert.strictEqual(results[1].reason.code, 'BOOKING_CONFLICT');
+
+    // A new request over the approved one is refused as well
+    await assert.rejects(db.createBookingRequest(booking(classroomId)), error => error.code === 'BOOKING_CONFLICT');
+    db.close();
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+const booking = classroomId => ({
+    user_id: 1,
+    resource_type: 'classroom',
+    resource_id: classroomId,
+    date: '2030-01-07',
+    start_time: '09:00',
+    end_time: '10:00',
+    program_name: 'Reading group'
+});
+
+test('a series running past 52 occurrences is refused, not cut short', async () => {
+    const { db, classroomId } = await createTestDatabase();
+
+    await assert.rejects(
+        db.createBookingSeries(booking(classroomId), { frequency: 'weekly', until: '2031-12-31' }),
+        error => error.code === 'SERIES_TOO_LONG'
+    );
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM booking_requests`);
+    assert.strictEqual(count, 0);
+    db.close();
+});
+
+test('a series of exactly 52 occurrences is booked in full', async () => {
+    const { db, classroomId } = await createTestDatabase();
+
+    // 2030-01-07 plus 51 weeks
+    const series = await db.createBookingSeries(booking(classroomId), { frequency: 'weekly', until: '2030-12-30' });
+    assert.strictEqual(series.occurrences.length, 52);
+    assert.strictEqual(series.occurrences[51].date, '2030-12-30');
+    db.close();
+});
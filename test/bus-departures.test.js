@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+test('a holiday runs the holiday service', async () => {
+    const { db } = await createTestDatabase();
+    await db.createBus({
+        number: 'C1',
+        route: 'Campus Loop',
+        stops: ['Main Gate', 'Library'],
+        trips: [
+            { direction: 'outbound', service: 'weekday', times: ['08:00', '08:10'] },
+            { direction: 'outbound', service: 'holiday', times: ['10:00', '10:10'] }
+        ]
+    });
+    await db.createHoliday({ name: 'Founders Day', start_date: '2026-11-04', end_date: '2026-11-04' });
+
+    // 2026-11-04 is a Wednesday
+    const [holiday] = await db.getNextBusDepartures({ from: 'Main Gate', to: 'Library', date: '2026-11-04', time: '00:00', limit: 1 });
+    assert.strictEqual(holiday.date, '2026-11-04');
+    assert.strictEqual(holiday.service, 'holiday');
+    assert.strictEqual(holiday.departure_time, '10:00');
+
+    const [nextDay] = await db.getNextBusDepartures({ from: 'Main Gate', to: 'Library', date: '2026-11-05', time: '00:00', limit: 1 });
+    assert.strictEqual(nextDay.service, 'weekday');
+    assert.strictEqual(nextDay.departure_time, '08:00');
+    db.close();
+});
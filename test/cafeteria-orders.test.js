@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+async function createOutlet(db, { capacity, dailyStock }) {
+    const cafeteria = await db.getDefaultCafeteria();
+    const slot = await db.createPickupSlot({ cafeteria_id: cafeteria.id, start_time: '12:00', end_time: '12:15', capacity });
+    const item = await db.createMenuItem({
+        cafeteria_id: cafeteria.id, name: 'Veg Biryani', description: 'Rice with vegetables', price: 120, category: 'food', availability: 'limited', daily_stock: dailyStock
+    });
+    return { slot, item };
+}
+
+test('orders beyond the daily stock of an item are refused', async () => {
+    const { db } = await createTestDatabase();
+    const { slot, item } = await createOutlet(db, { capacity: 10, dailyStock: 3 });
+    const order = quantity => ({ pickup_date: '2030-01-07', slot_id: slot.id, items: [{ menu_item_id: item.id, quantity }] });
+
+    await db.createCafeteriaOrder(1, order(2));
+    await assert.rejects(db.createCafeteriaOrder(1, order(2)), error => error.code === 'OUT_OF_STOCK' && /Only 1 Veg Biryani left/.test(error.message));
+    await db.createCafeteriaOrder(1, order(1));
+    await assert.rejects(db.createCafeteriaOrder(1, order(1)), error => error.code === 'OUT_OF_STOCK' && /sold out/.test(error.message));
+    db.close();
+});
+
+test('a full pickup slot takes no more orders', async () => {
+    const { db } = await createTestDatabase();
+    const { slot, item } = await createOutlet(db, { capacity: 2, dailyStock: 50 });
+    const order = { pickup_date: '2030-01-07', slot_id: slot.id, items: [{ menu_item_id: item.id, quantity: 1 }] };
+
+    const results = await Promise.allSettled([1, 2, 3].map(() => db.createCafeteriaOrder(1, order)));
+    assert.deepStrictEqual(results.map(r => r.status), ['fulfilled', 'fulfilled', 'rejected']);
+    assert.strictEqual(results[2].reason.code, 'SLOT_FULL');
+
+    // Cancelled orders free their place
+    await db.updateCafeteriaOrderStatus(results[0].value.id, 'cancelled');
+    await db.createCafeteriaOrder(1, order);
+    db.close();
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { exportGtfsFeed } = require('../gtfs');
+const { readZip } = require('../zip');
+const { parseCsv } = require('../csv-utils');
+
+const buses = [{
+    number: 'C1',
+    route: 'Campus Loop',
+    stops: ['Main Gate', 'Library'],
+    trips: [
+        { id: 1, direction: 'outbound', service: 'weekday', times: ['08:00', '08:10'] },
+        { id: 2, direction: 'outbound', service: 'holiday', times: ['10:00', '10:10'] }
+    ]
+}];
+const locations = [
+    { stop_name: 'Main Gate', latitude: 23.81, longitude: 90.41 },
+    { stop_name: 'Library', latitude: 23.82, longitude: 90.42 }
+];
+const options = { agencyUrl: 'https://transport.example.edu', timezone: 'Asia/Dhaka', startDate: '2026-10-19' };
+
+function readFeed(zip) {
+    return new Map([...readZip(zip)].map(([name, data]) => [name, parseCsv(data.toString('utf8'))]));
+}
+
+test('holidays run the holiday service in calendar_dates.txt', () => {
+    const feed = readFeed(exportGtfsFeed(buses, locations, {
+        ...options,
+        holidays: [{ name: 'Founders Day', start_date: '2026-11-04', end_date: '2026-11-04' }]
+    }));
+
+    assert.deepStrictEqual(feed.get('calendar_dates.txt'), [
+        { service_id: 'weekday', date: '20261104', exception_type: '2' },
+        { service_id: 'holiday', date: '20261104', exception_type: '1' }
+    ]);
+    assert.deepStrictEqual(feed.get('stops.txt').map(stop => [stop.stop_lat, stop.stop_lon]), [['23.82', '90.42'], ['23.81', '90.41']]);
+});
+
+test('an export without a public URL or stop coordinates is refused', () => {
+    assert.throws(
+        () => exportGtfsFeed(buses, locations.slice(1), { ...options, agencyUrl: '' }),
+        error => error.code === 'GTFS_EXPORT_FAILED' && error.errors.length === 2 && error.errors[1] === 'Stop "Main Gate" has no coordinates'
+    );
+});
@@ -0,0 +1,18 @@
+// test/helpers.js - A migrated in-memory database with a classroom to book
+const Database = require('../database');
+
+// The database logs progress (migrations, connection) to stdout, which the test runner reads
+console.log = () => {};
+
+async function createTestDatabase() {
+    process.env.DB_PATH = ':memory:';
+    const db = new Database();
+    await db.init();
+    const departmentId = await db.insertDepartment({ code: 'CSE', name: 'Computer Science' });
+    const buildingId = await db.insertBuilding({ name: 'Main Building' });
+    const floorId = await db.insertFloor({ building_id: buildingId, name: 'Ground Floor', level: 0 });
+    const classroomId = await db.insertClassroom({ room: '101', department_id: departmentId, floor_id: floorId, capacity: 40 });
+    return { db, classroomId };
+}
+
+module.exports = { createTestDatabase };
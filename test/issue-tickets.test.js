@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+test('unresolved critical tickets warn on the room until resolved', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const ticket = await db.createIssueTicket({
+        resource_type: 'classroom', resource_id: classroomId, category: 'electrical', priority: 'critical', description: 'Sparks from the socket', reporter_id: 1
+    });
+    await db.createIssueTicket({
+        resource_type: 'classroom', resource_id: classroomId, category: 'furniture', priority: 'low', description: 'Wobbly desk', reporter_id: 1
+    });
+    assert.strictEqual((await db.getClassroomById(classroomId)).critical_issues, 1);
+
+    const assigned = await db.updateIssueTicket(ticket.id, { status: 'in_progress', assignee_id: 1 });
+    assert.strictEqual(assigned.assignee_id, 1);
+    assert.strictEqual(assigned.resolved_at, null);
+
+    const resolved = await db.updateIssueTicket(ticket.id, { status: 'resolved' });
+    assert.ok(resolved.resolved_at);
+    assert.strictEqual((await db.getClassroomById(classroomId)).critical_issues, 0);
+    assert.deepStrictEqual((await db.getIssueTickets({ status: 'active' })).map(t => t.description), ['Wobbly desk']);
+
+    // Reopening clears the resolution date
+    const reopened = await db.updateIssueTicket(ticket.id, { status: 'open' });
+    assert.strictEqual(reopened.resolved_at, null);
+    db.close();
+});
+
+test('comments are listed with their authors, oldest first', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const ticket = await db.createIssueTicket({
+        resource_type: 'classroom', resource_id: classroomId, category: 'other', description: 'Projector flickers', reporter_id: 1
+    });
+    await db.addIssueComment(ticket.id, 1, 'Checked the cable');
+    await db.addIssueComment(ticket.id, 1, 'Replaced the lamp');
+
+    const { comments, priority } = await db.getIssueTicketById(ticket.id);
+    assert.strictEqual(priority, 'medium');
+    assert.deepStrictEqual(comments.map(c => c.body), ['Checked the cable', 'Replaced the lamp']);
+    assert.ok(comments[0].user_name);
+    await assert.rejects(db.addIssueComment(999, 1, 'Hello'), /Issue ticket not found/);
+    db.close();
+});
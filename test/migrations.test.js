@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+const Migrator = require('../migrator');
+
+test('labs keep a closed status when their hours move into opening_hours', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const migrator = new Migrator(db);
+    const { department_id, floor_id } = await db.getClassroomById(classroomId);
+
+    // Back to before 019, when labs had a status and free-text hours
+    await migrator.rollback(2);
+    const lab = (name, status, hours) => db.run(
+        `INSERT INTO labs (name, department_id, floor_id, status, hours) VALUES (?, ?, ?, ?, ?)`,
+        [name, department_id, floor_id, status, hours]
+    );
+    const closed = await lab('Closed Lab', 'closed', '8:00 AM - 6:00 PM');
+    const open = await lab('Open Lab', 'open', '08:00-20:00');
+    const unparsed = await lab('Odd Lab', 'open', 'Maintenance until 3:00 PM');
+    await migrator.migrate();
+
+    const overrides = await db.all(`SELECT id, status_override FROM labs ORDER BY id`);
+    assert.deepStrictEqual(overrides.map(row => row.status_override), ['closed', null, 'open']);
+    assert.deepStrictEqual(overrides.map(row => row.id), [closed.lastID, open.lastID, unparsed.lastID]);
+
+    const hours = await db.all(`SELECT resource_id, open_time, close_time FROM opening_hours WHERE resource_type = 'lab' AND day_of_week = 'Monday' ORDER BY resource_id`);
+    assert.deepStrictEqual(hours.map(row => [row.resource_id, row.open_time, row.close_time]), [
+        [closed.lastID, '08:00', '18:00'],
+        [open.lastID, '08:00', '20:00']
+    ]);
+    db.close();
+});
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+const { renderNotificationItem } = require('../public/html-utils');
+
+test('a notification quoting a <script> payload renders it as text', async () => {
+    const { db } = await createTestDatabase();
+    const payload = '<script>alert(document.cookie)</script>';
+    await db.createNotifications([1], {
+        type: 'booking_status',
+        title: `Booking approved: ${payload}`,
+        message: `Reviewer notes: <img src=x onerror="alert(1)">`
+    });
+
+    const [notification] = await db.getNotifications(1);
+    const html = renderNotificationItem(notification);
+    assert.ok(!html.includes('<script>'));
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('Booking approved: &lt;script&gt;alert(document.cookie)&lt;/script&gt;'));
+    assert.ok(html.includes('onerror=&quot;alert(1)&quot;'));
+    db.close();
+});
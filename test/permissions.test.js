@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+const { requirePermission } = require('../auth');
+const { hasPermission } = require('../permissions');
+
+// Run a permission middleware for a user and tell whether the request got through
+function allowed(middleware, user, params = {}) {
+    return new Promise(resolve => {
+        const res = { status: () => ({ json: () => resolve(false) }) };
+        middleware({ user, params }, res, () => resolve(true));
+    });
+}
+
+test('bookings:approve is scoped to the department head\'s own department', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const eeeId = await db.insertDepartment({ code: 'EEE', name: 'Electrical Engineering' });
+    const { floor_id } = await db.getClassroomById(classroomId);
+    const eeeRoomId = await db.insertClassroom({ room: '201', department_id: eeeId, floor_id, capacity: 30 });
+    const request = room => db.createBookingRequest({
+        user_id: 1, resource_type: 'classroom', resource_id: room, date: '2030-01-07', start_time: '09:00', end_time: '10:00', program_name: 'Seminar'
+    });
+    const cseBooking = await request(classroomId);
+    const eeeBooking = await request(eeeRoomId);
+
+    // As PATCH /api/booking-requests/:id/status checks it
+    const approve = requirePermission('bookings:approve', {
+        dept: async req => (await db.getResourceScope('booking_request', req.params.id) || {}).dept || null
+    });
+    const cseHead = { id: 2, role: 'department_head', dept: 'cse' };
+
+    assert.strictEqual(await allowed(approve, cseHead, { id: cseBooking.id }), true);
+    assert.strictEqual(await allowed(approve, cseHead, { id: eeeBooking.id }), false);
+    assert.strictEqual(await allowed(approve, { id: 1, role: 'admin' }, { id: eeeBooking.id }), true);
+    assert.strictEqual(await allowed(approve, { id: 3, role: 'lab_assistant', dept: 'CSE' }, { id: cseBooking.id }), false);
+    assert.strictEqual(await allowed(approve, { id: 4, role: 'student' }, { id: cseBooking.id }), false);
+    db.close();
+});
+
+test('scoped permissions across departments need every department', () => {
+    const cseHead = { role: 'department_head', dept: 'CSE' };
+    assert.strictEqual(hasPermission(cseHead, 'classrooms:manage', ['CSE', 'cse']), true);
+    assert.strictEqual(hasPermission(cseHead, 'classrooms:manage', ['CSE', 'EEE']), false);
+    assert.strictEqual(hasPermission(cseHead, 'classrooms:manage'), false);
+    assert.strictEqual(hasPermission({ role: 'transport_officer' }, 'buses:manage'), true);
+    assert.strictEqual(hasPermission({ role: 'transport_officer' }, 'cafeteria:manage'), false);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+test('a refresh token is exchanged for a new one only once', async () => {
+    const { db } = await createTestDatabase();
+    const first = await db.createRefreshToken(1);
+
+    const { user, refreshToken: second } = await db.rotateRefreshToken(first);
+    assert.strictEqual(user.id, 1);
+    assert.notStrictEqual(second, first);
+    const { refreshToken: third } = await db.rotateRefreshToken(second);
+    assert.ok(third);
+    db.close();
+});
+
+test('reusing a rotated refresh token revokes its whole family', async () => {
+    const { db } = await createTestDatabase();
+    const stolen = await db.createRefreshToken(1);
+    const { refreshToken: current } = await db.rotateRefreshToken(stolen);
+    const otherDevice = await db.createRefreshToken(1);
+
+    await assert.rejects(db.rotateRefreshToken(stolen), error => error.code === 'INVALID_REFRESH_TOKEN' && /revoked/.test(error.message));
+    await assert.rejects(db.rotateRefreshToken(current), error => error.code === 'INVALID_REFRESH_TOKEN');
+
+    // Sessions signed in separately are another family and stay valid
+    const { refreshToken } = await db.rotateRefreshToken(otherDevice);
+    assert.ok(refreshToken);
+    db.close();
+});
+
+test('an unknown refresh token is refused', async () => {
+    const { db } = await createTestDatabase();
+    await assert.rejects(db.rotateRefreshToken('not-a-token'), /Invalid or expired refresh token/);
+    db.close();
+});
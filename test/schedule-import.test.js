@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+const slot = { resource_type: 'classroom', day_of_week: 'Monday', start_time: '09:00', end_time: '10:00', subject: 'Algorithms' };
+
+test('malformed JSON rows are reported per row', async () => {
+    const { db } = await createTestDatabase();
+
+    const error = await db.importSchedules([
+        null,
+        { ...slot, resource: { room: '101' } },
+        { ...slot, resource: '101', subject: 42 },
+        { ...slot, resource_id: 'one' },
+        'classroom,101'
+    ]).catch(e => e);
+
+    assert.strictEqual(error.code, 'IMPORT_FAILED');
+    assert.deepStrictEqual(error.rowErrors, [
+        { row: 1, errors: ['row must be an object'] },
+        { row: 2, errors: ['resource must be a room number or lab name'] },
+        { row: 3, errors: ['subject must be text'] },
+        { row: 4, errors: ['resource_id must be a positive whole number'] },
+        { row: 5, errors: ['row must be an object'] }
+    ]);
+    db.close();
+});
+
+test('a numeric room number is looked up like text', async () => {
+    const { db, classroomId } = await createTestDatabase();
+
+    const result = await db.importSchedules([{ ...slot, resource: 101 }]);
+
+    assert.deepStrictEqual(result, { imported: 1, deleted: 0 });
+    const schedules = await db.getSchedulesByResource('classroom', classroomId);
+    assert.strictEqual(schedules.length, 1);
+    db.close();
+});
+
+test('a replace still reports overlaps with the slots it keeps', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const term = await db.createAcademicTerm({ name: 'Fall 2026', start_date: '2026-09-01', end_date: '2026-12-20' });
+    await db.importSchedules([
+        { ...slot, resource_id: classroomId, subject: 'Old Fall Class', term_id: term.id },
+        { ...slot, resource_id: classroomId, subject: 'Year-round Seminar', start_time: '11:00', end_time: '12:00' }
+    ]);
+
+    // The Fall slot is replaced, but the slot without a term stays and meets during Fall too
+    const error = await db.importSchedules([
+        { ...slot, resource_id: classroomId, subject: 'New Fall Class', term_id: term.id },
+        { ...slot, resource_id: classroomId, subject: 'Late Fall Class', start_time: '11:30', end_time: '12:30', term_id: term.id }
+    ], { replace: true }).catch(e => e);
+
+    assert.strictEqual(error.code, 'IMPORT_FAILED');
+    assert.deepStrictEqual(error.rowErrors, [
+        { row: 2, errors: ['overlaps existing slot Year-round Seminar (11:00-12:00)'] }
+    ]);
+    assert.strictEqual((await db.getSchedulesByResource('classroom', classroomId)).length, 2);
+    db.close();
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTestDatabase } = require('./helpers');
+
+test('concurrent booking requests all go through', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const requests = Array.from({ length: 12 }, (_, i) => db.createBookingRequest({
+        user_id: 1,
+        resource_type: 'classroom',
+        resource_id: classroomId,
+        date: '2030-01-07',
+        start_time: `${String(8 + i).padStart(2, '0')}:00`,
+        end_time: `${String(8 + i).padStart(2, '0')}:30`,
+        program_name: `Program ${i}`
+    }));
+
+    const results = await Promise.allSettled(requests);
+    assert.deepStrictEqual(results.filter(r => r.status === 'rejected').map(r => r.reason.message), []);
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM booking_requests`);
+    assert.strictEqual(count, 12);
+    db.close();
+});
+
+test('a write from outside a transaction survives its rollback', async () => {
+    const { db } = await createTestDatabase();
+    await db.run(`CREATE TABLE notes (body TEXT)`);
+
+    // Another request writes while the transaction below is open
+    const outsideWrite = new Promise(resolve => setTimeout(() => resolve(db.run(`INSERT INTO notes (body) VALUES ('outside')`)), 10));
+    const failing = db.transaction(async () => {
+        await db.run(`INSERT INTO notes (body) VALUES ('inside')`);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        throw new Error('rolled back');
+    });
+
+    await assert.rejects(failing, /rolled back/);
+    await outsideWrite;
+    const rows = await db.all(`SELECT body FROM notes`);
+    assert.deepStrictEqual(rows.map(row => row.body), ['outside']);
+    db.close();
+});
+
+test('a transaction inside another one joins it', async () => {
+    const { db } = await createTestDatabase();
+    await db.run(`CREATE TABLE notes (body TEXT)`);
+
+    await db.transaction(async () => {
+        await db.run(`INSERT INTO notes (body) VALUES ('outer')`);
+        await db.transaction(() => db.run(`INSERT INTO notes (body) VALUES ('inner')`));
+    });
+
+    const { count } = await db.get(`SELECT COUNT(*) AS count FROM notes`);
+    assert.strictEqual(count, 2);
+    db.close();
+});
+
+test('a change inside a transaction is announced only once it commits', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const events = [];
+    db.on('change', event => events.push(event.type));
+
+    await assert.rejects(db.transaction(async () => {
+        await db.deleteClassroom(classroomId);
+        throw new Error('rolled back');
+    }), /rolled back/);
+    assert.deepStrictEqual(events, []);
+    assert.ok(await db.getClassroomById(classroomId));
+
+    await db.transaction(async () => {
+        await db.deleteClassroom(classroomId);
+        assert.deepStrictEqual(events, []);
+    });
+    assert.deepStrictEqual(events, ['classroom.deleted']);
+    db.close();
+});
+
+test('a change outside a transaction is announced when the write resolves', async () => {
+    const { db, classroomId } = await createTestDatabase();
+    const events = [];
+    db.on('change', event => events.push(event.type));
+
+    await db.deleteClassroom(classroomId);
+    assert.deepStrictEqual(events, ['classroom.deleted']);
+    db.close();
+});
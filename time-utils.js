@@ -0,0 +1,148 @@
+// time-utils.js - Date and time helpers shared by schedules, booking requests and opening hours
+
+const DAYS_OF_WEEK = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Check for a YYYY-MM-DD calendar date
+function isValidDate(date) {
+    if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+    const parsed = new Date(`${date}T00:00:00Z`);
+    return !isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date);
+}
+
+// Check for a 24-hour HH:MM time (as sent by <input type="time">)
+function isValidTime(time) {
+    return typeof time === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(time);
+}
+
+// Get the weekday name ('Monday', 'Tuesday', ...) of a YYYY-MM-DD date
+function getDayOfWeek(date) {
+    if (!isValidDate(date)) return null;
+    const day = new Date(`${date}T00:00:00Z`).getUTCDay(); // 0 = Sunday
+    return DAYS_OF_WEEK[(day + 6) % 7];
+}
+
+// Add a number of days to a YYYY-MM-DD date
+function addDays(date, days) {
+    const parsed = new Date(`${date}T00:00:00Z`);
+    parsed.setUTCDate(parsed.getUTCDate() + days);
+    return parsed.toISOString().split('T')[0];
+}
+
+// First date on or after `date` that falls on the given weekday
+function nextWeekday(date, dayOfWeek) {
+    const offset = (DAYS_OF_WEEK.indexOf(dayOfWeek) - DAYS_OF_WEEK.indexOf(getDayOfWeek(date)) + 7) % 7;
+    return addDays(date, offset);
+}
+
+// Convert HH:MM to minutes since midnight and back
+function timeToMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function minutesToTime(minutes) {
+    const clamped = Math.max(0, Math.min(minutes, 23 * 60 + 59));
+    return `${String(Math.floor(clamped / 60)).padStart(2, '0')}:${String(clamped % 60).padStart(2, '0')}`;
+}
+
+// Server-local YYYY-MM-DD and HH:MM for a Date (defaults to now)
+function formatLocalDate(date = new Date()) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function formatLocalTime(date = new Date()) {
+    return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+}
+
+// Parse an hours range such as '8:00 AM - 8:00 PM' or '08:00-20:00' into 24-hour
+// { open_time, close_time }, or null if it isn't one
+function parseHoursRange(text) {
+    const match = typeof text === 'string' &&
+        text.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?\s*[-–]\s*(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return null;
+
+    const to24 = (hours, minutes, meridiem) => {
+        let h = Number(hours);
+        if (meridiem) {
+            if (h < 1 || h > 12) return null;
+            h = (h % 12) + (meridiem.toUpperCase() === 'PM' ? 12 : 0);
+        }
+        const time = `${String(h).padStart(2, '0')}:${minutes}`;
+        return isValidTime(time) ? time : null;
+    };
+    const open = to24(match[1], match[2], match[3]);
+    const close = to24(match[4], match[5], match[6]);
+    return open && close && open < close ? { open_time: open, close_time: close } : null;
+}
+
+// Describe weekly opening hours ([{ day_of_week, open_time, close_time }]) as e.g.
+// 'Mon-Fri 08:00-20:00, Sat 09:00-14:00', grouping consecutive days with the same hours
+function summarizeOpeningHours(hours) {
+    const rangesOf = day => hours
+        .filter(h => h.day_of_week === day)
+        .sort((a, b) => a.open_time.localeCompare(b.open_time))
+        .map(h => `${h.open_time}-${h.close_time}`)
+        .join(', ');
+
+    const groups = [];
+    for (const day of DAYS_OF_WEEK) {
+        const ranges = rangesOf(day);
+        const last = groups[groups.length - 1];
+        if (last && last.ranges === ranges) {
+            last.days.push(day);
+        } else {
+            groups.push({ days: [day], ranges });
+        }
+    }
+
+    const parts = groups
+        .filter(group => group.ranges)
+        .map(group => {
+            const first = group.days[0].slice(0, 3);
+            const label = group.days.length === 1 ? first : `${first}-${group.days[group.days.length - 1].slice(0, 3)}`;
+            return group.days.length === 7 ? `Daily ${group.ranges}` : `${label} ${group.ranges}`;
+        });
+    return parts.length > 0 ? parts.join('; ') : 'Closed';
+}
+
+// Opening ranges ([{ open_time, close_time }] by time) on a YYYY-MM-DD date: the date's exception
+// if there is one (no ranges when it closes the day), otherwise the weekly hours of its weekday
+function openingRangesOn(date, weeklyHours, exceptions = []) {
+    const exception = exceptions.find(e => e.date === date);
+    if (exception) {
+        return exception.open_time ? [{ open_time: exception.open_time, close_time: exception.close_time }] : [];
+    }
+    const day = getDayOfWeek(date);
+    return weeklyHours
+        .filter(h => h.day_of_week === day)
+        .map(({ open_time, close_time }) => ({ open_time, close_time }))
+        .sort((a, b) => a.open_time.localeCompare(b.open_time));
+}
+
+// Whether a time falls inside one of the ranges (closing time itself counts as closed)
+function isOpenAt(ranges, time) {
+    return ranges.some(range => range.open_time <= time && time < range.close_time);
+}
+
+// Whether one range covers the whole of start_time to end_time
+function isOpenThroughout(ranges, startTime, endTime) {
+    return ranges.some(range => range.open_time <= startTime && endTime <= range.close_time);
+}
+
+module.exports = {
+    DAYS_OF_WEEK,
+    isValidDate,
+    isValidTime,
+    getDayOfWeek,
+    addDays,
+    nextWeekday,
+    timeToMinutes,
+    minutesToTime,
+    formatLocalDate,
+    formatLocalTime,
+    parseHoursRange,
+    summarizeOpeningHours,
+    openingRangesOn,
+    isOpenAt,
+    isOpenThroughout
+};
@@ -0,0 +1,131 @@
+// transaction-gate.js - One transaction at a time on a shared sqlite3 connection
+//
+// A connection has a single transaction state, so concurrent requests cannot each open their own:
+// a second BEGIN fails, and statements that other requests send while a transaction is open
+// become part of it (and are lost if it rolls back). The gate queues transactions and holds back
+// statements from outside the running transaction until it has finished. Work that must only
+// happen once the data is committed (such as telling clients about it) waits with afterCommit().
+const { AsyncLocalStorage } = require('async_hooks');
+
+const GATED_METHODS = ['run', 'get', 'all', 'exec'];
+
+class TransactionGate {
+    constructor(connection) {
+        this.raw = connection;
+        this.scope = new AsyncLocalStorage(); // { afterCommit: [] } in the async call chain of the running transaction
+        this.queue = Promise.resolve();       // settles once the last queued transaction has finished
+        this.running = null;                  // settles once the running transaction has finished
+        this.inFlight = 0;                    // statements sent from outside a transaction, not yet answered
+        this.drainWaiters = [];
+
+        // The connection to use instead of the raw one; other methods (close, configure, ...) pass through
+        this.connection = new Proxy(connection, {
+            get: (target, property) => {
+                if (GATED_METHODS.includes(property)) {
+                    return (...args) => this.send(property, args);
+                }
+                const value = target[property];
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+    }
+
+    inTransaction() {
+        return this.scope.getStore() !== undefined;
+    }
+
+    // Run an async callback once the current transaction commits (never, if it rolls back), or
+    // right away outside a transaction
+    async afterCommit(callback) {
+        const store = this.scope.getStore();
+        if (store) {
+            store.afterCommit.push(callback);
+        } else {
+            await callback();
+        }
+    }
+
+    // Send a statement now, or once the running transaction is over if it comes from outside it
+    send(method, args) {
+        if (this.inTransaction()) {
+            return this.raw[method](...args);
+        }
+        if (this.running) {
+            this.running.then(() => this.send(method, args));
+            return this.connection;
+        }
+
+        // Count the statement until its callback fires, so a transaction can wait for it first
+        const last = args.length - 1;
+        const callback = typeof args[last] === 'function' ? args.pop() : null;
+        this.inFlight++;
+        const connection = this.raw;
+        const gate = this;
+        args.push(function(err, ...rest) {
+            gate.settle();
+            if (callback) return callback.call(this, err, ...rest);
+            if (err) connection.emit('error', err);
+        });
+        return this.raw[method](...args);
+    }
+
+    settle() {
+        this.inFlight--;
+        if (this.inFlight === 0) {
+            this.drainWaiters.splice(0).forEach(resolve => resolve());
+        }
+    }
+
+    drain() {
+        return this.inFlight === 0 ? Promise.resolve() : new Promise(resolve => this.drainWaiters.push(resolve));
+    }
+
+    statement(sql) {
+        return new Promise((resolve, reject) => {
+            this.raw.run(sql, err => err ? reject(err) : resolve());
+        });
+    }
+
+    // Run an async callback inside BEGIN/COMMIT once earlier transactions are done, rolling back
+    // if it throws. A transaction started inside another one joins it.
+    async transaction(callback) {
+        if (this.inTransaction()) {
+            return callback();
+        }
+
+        const previous = this.queue;
+        let finish;
+        const finished = new Promise(resolve => { finish = resolve; });
+        this.queue = previous.then(() => finished);
+        await previous;
+
+        const store = { afterCommit: [] };
+        let result;
+        this.running = finished;
+        try {
+            await this.drain();
+            result = await this.scope.run(store, async () => {
+                await this.statement('BEGIN TRANSACTION');
+                try {
+                    const value = await callback();
+                    await this.statement('COMMIT');
+                    return value;
+                } catch (error) {
+                    await this.statement('ROLLBACK').catch(() => {});
+                    throw error;
+                }
+            });
+        } finally {
+            this.running = null;
+            finish();
+        }
+
+        // Outside the transaction's scope, so their own statements go through the gate as usual
+        for (const committed of store.afterCommit) {
+            await committed();
+        }
+        return result;
+    }
+}
+
+module.exports = TransactionGate;